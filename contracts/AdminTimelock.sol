@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AdminTimelock
+ * @notice Delay queue for sensitive admin changes shared by RealtimeMatchEscrow and
+ *         RealtimeGamePoolEscrow: the owner schedules a change, which can only be executed once
+ *         the minimum delay has passed and can be cancelled until then.
+ * @dev Internal functions, compiled into the escrow contracts and modules that use them. Events and
+ *      errors are redeclared in the escrows so they appear in their ABIs.
+ */
+library AdminTimelock {
+    /// @notice Upper bound for the minimum delay (keeps a mistaken delay from freezing admin changes)
+    uint256 internal constant MAX_DELAY = 30 days;
+
+    /// @dev Setter calls (PAYEES and later) store keccak256(abi.encode(...setter arguments)) as value
+    enum Change {
+        OPERATOR,         // value = new operator address (accepted by the new operator)
+        TREASURY,         // value = new treasury address (accepted by the new treasury)
+        FEE_BPS,          // value = new fee in basis points
+        MIN_DELAY,        // value = new minimum delay in seconds
+        PAYEES,           // setPayees(payees, shareBps)
+        RESULT_SIGNER,    // addResultSigner(signer)
+        RESULT_THRESHOLD, // setResultThreshold(newThreshold)
+        ARBITER,          // setArbiter(newArbiter)
+        UPGRADE           // upgradeToAndCall(newImplementation, data): hash of newImplementation only
+    }
+
+    struct Pending {
+        uint256 value;   // New value (addresses are stored as uint160)
+        uint256 readyAt; // Earliest execution time (0 = nothing pending)
+    }
+
+    struct Queue {
+        uint256 minDelay;                   // Delay between schedule and execution
+        mapping(Change => Pending) pending; // At most one pending change per kind
+    }
+
+    event ChangeScheduled(Change indexed change, uint256 value, uint256 readyAt);
+    event ChangeCancelled(Change indexed change, uint256 value);
+    event ChangeExecuted(Change indexed change, uint256 value);
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    error NoPendingChange();
+    error ChangeNotReady();
+    error InvalidDelay();
+    error ChangeMismatch();
+
+    /**
+     * @dev Set the minimum delay directly (constructor and executed MIN_DELAY changes only)
+     */
+    function setMinDelay(Queue storage queue, uint256 newDelay) internal {
+        if (newDelay > MAX_DELAY) {
+            revert InvalidDelay();
+        }
+
+        emit MinDelayUpdated(queue.minDelay, newDelay);
+        queue.minDelay = newDelay;
+    }
+
+    /**
+     * @dev Schedule `change` to `value`, replacing (and restarting the delay of) any pending one
+     * @return readyAt Earliest execution time
+     */
+    function schedule(Queue storage queue, Change change, uint256 value) internal returns (uint256 readyAt) {
+        if (change == Change.MIN_DELAY && value > MAX_DELAY) {
+            revert InvalidDelay();
+        }
+
+        readyAt = block.timestamp + queue.minDelay;
+        queue.pending[change] = Pending({value: value, readyAt: readyAt});
+        emit ChangeScheduled(change, value, readyAt);
+    }
+
+    /**
+     * @dev Drop the pending `change`
+     */
+    function cancel(Queue storage queue, Change change) internal {
+        Pending memory pending = queue.pending[change];
+        if (pending.readyAt == 0) {
+            revert NoPendingChange();
+        }
+
+        delete queue.pending[change];
+        emit ChangeCancelled(change, pending.value);
+    }
+
+    /**
+     * @dev Consume the pending `change` once its delay has passed; the escrow applies the value
+     * @return value Scheduled value
+     */
+    function execute(Queue storage queue, Change change) internal returns (uint256 value) {
+        Pending memory pending = queue.pending[change];
+        if (pending.readyAt == 0) {
+            revert NoPendingChange();
+        }
+        if (block.timestamp < pending.readyAt) {
+            revert ChangeNotReady();
+        }
+
+        delete queue.pending[change];
+        emit ChangeExecuted(change, pending.value);
+        return pending.value;
+    }
+
+    /**
+     * @dev Consume the pending setter call `change` once its delay has passed, requiring it was
+     *      scheduled with the arguments it is now called with
+     */
+    function executeCall(Queue storage queue, Change change, bytes32 argsHash) internal {
+        if (execute(queue, change) != uint256(argsHash)) {
+            revert ChangeMismatch();
+        }
+    }
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeGamePoolEscrowUpgradeable.sol";
+
+/**
+ * @title MockRealtimeGamePoolEscrowV2
+ * @notice Upgrade target for testing RealtimeGamePoolEscrowUpgradeable (same storage layout, new function)
+ */
+contract MockRealtimeGamePoolEscrowV2 is RealtimeGamePoolEscrowUpgradeable {
+    constructor(
+        address gameModule_,
+        address adminModule_
+    ) RealtimeGamePoolEscrowUpgradeable(gameModule_, adminModule_) {}
+
+    function version() external pure returns (string memory) {
+        return "v2";
+    }
+}
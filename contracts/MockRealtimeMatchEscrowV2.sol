@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeMatchEscrowUpgradeable.sol";
+
+/**
+ * @title MockRealtimeMatchEscrowV2
+ * @notice Upgrade target for testing RealtimeMatchEscrowUpgradeable (same storage layout, new function)
+ */
+contract MockRealtimeMatchEscrowV2 is RealtimeMatchEscrowUpgradeable {
+    constructor(address _roomModule, address _adminModule) RealtimeMatchEscrowUpgradeable(_roomModule, _adminModule) {}
+
+    function version() external pure returns (string memory) {
+        return "v2";
+    }
+}
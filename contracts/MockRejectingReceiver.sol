@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockRejectingReceiver
+ * @notice Mock player contract for testing native ETH payouts: forwards calls (with value) to a
+ *         target and rejects incoming ETH while `rejecting` is set
+ */
+contract MockRejectingReceiver {
+    bool public rejecting = true;
+
+    function setRejecting(bool _rejecting) external {
+        rejecting = _rejecting;
+    }
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(!rejecting, "ETH rejected");
+    }
+}
@@ -2,15 +2,19 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockUSDC
- * @notice Mock USDC token for testing (6 decimals like real USDC)
+ * @notice Mock USDC token for testing (6 decimals and EIP-2612 permit, like real USDC)
  */
-contract MockUSDC is ERC20 {
+contract MockUSDC is ERC20, ERC20Permit {
     uint8 private constant _decimals = 6;
 
-    constructor() ERC20("Mock USDC", "mUSDC") {
+    /// @notice Accounts that can neither send nor receive (like USDC's blacklist)
+    mapping(address => bool) public isBlacklisted;
+
+    constructor() ERC20("Mock USDC", "mUSDC") ERC20Permit("Mock USDC") {
         // Mint 1 billion tokens to deployer for testing
         _mint(msg.sender, 1_000_000_000 * 10**decimals());
     }
@@ -32,5 +36,17 @@ contract MockUSDC is ERC20 {
     function burn(address from, uint256 amount) external {
         _burn(from, amount);
     }
+
+    /**
+     * @notice Add or remove an account from the blacklist (for testing)
+     */
+    function setBlacklisted(address account, bool blacklisted) external {
+        isBlacklisted[account] = blacklisted;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        require(!isBlacklisted[from] && !isBlacklisted[to], "Blacklisted");
+        super._update(from, to, value);
+    }
 }
 
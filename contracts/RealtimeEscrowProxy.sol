@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title RealtimeEscrowProxy
+ * @notice ERC1967 proxy for RealtimeMatchEscrowUpgradeable and RealtimeGamePoolEscrowUpgradeable
+ * @dev Pass the encoded initialize() call as `data` so the proxy is initialized in its deployment tx.
+ */
+contract RealtimeEscrowProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) payable ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeGamePoolEscrowStorage.sol";
+
+/**
+ * @title RealtimeGamePoolEscrowAdminModule
+ * @notice Admin functions of RealtimeGamePoolEscrow: timelocked changes, settings, pause, fee withdrawal and fee shares
+ * @dev Passed to the RealtimeGamePoolEscrowBase constructor and only reached through DELEGATECALL from
+ *      the escrow, so every function runs on the escrow's storage, balance and address.
+ */
+contract RealtimeGamePoolEscrowAdminModule is RealtimeGamePoolEscrowStorage {
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Schedule an operator change (OPERATOR_ADMIN_ROLE); the new operator accepts it after
+     *         the delay
+     * @param newOperator New operator address
+     */
+    function scheduleOperator(address newOperator) external onlyRole(OPERATOR_ADMIN_ROLE) {
+        if (newOperator == address(0)) {
+            revert InvalidAddress();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.OPERATOR, uint160(newOperator));
+    }
+
+    /**
+     * @notice Schedule a treasury change (TREASURER_ROLE); the new treasury accepts it after the delay
+     * @param newTreasury New treasury address
+     */
+    function scheduleTreasury(address newTreasury) external onlyRole(TREASURER_ROLE) {
+        if (newTreasury == address(0)) {
+            revert ZeroTreasury();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.TREASURY, uint160(newTreasury));
+    }
+
+    /**
+     * @notice Schedule a fee change (FEE_MANAGER_ROLE), executed with executeFeeBps() after the delay
+     * @param newFeeBps New fee in basis points (max 1000 = 10%)
+     */
+    function scheduleFeeBps(uint256 newFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newFeeBps > MAX_FEE_BPS) {
+            revert InvalidFeeBps();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.FEE_BPS, newFeeBps);
+    }
+
+    /**
+     * @notice Schedule a minimum delay change (DEFAULT_ADMIN_ROLE), executed with executeMinDelay()
+     *         after the current delay
+     * @param newDelay New minimum delay in seconds (max 30 days)
+     */
+    function scheduleMinDelay(uint256 newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.MIN_DELAY, newDelay);
+    }
+
+    /**
+     * @notice Schedule a timelocked setter call (role of that setter; UPGRADER_ROLE for UPGRADE),
+     *         made once the delay has passed with the same arguments
+     * @param change PAYEES or UPGRADE
+     * @param argsHash keccak256(abi.encode(...)) of the setter arguments
+     */
+    function scheduleCall(AdminTimelock.Change change, bytes32 argsHash) external {
+        if (change != AdminTimelock.Change.PAYEES && change != AdminTimelock.Change.UPGRADE) {
+            revert InvalidChange();
+        }
+        _checkRole(_changeRole(change));
+        AdminTimelock.schedule(timelock, change, uint256(argsHash));
+    }
+
+    /**
+     * @notice Cancel a pending change (role that schedules that kind of change)
+     * @param change Kind of change to cancel
+     */
+    function cancelChange(AdminTimelock.Change change) external {
+        _checkRole(_changeRole(change));
+        AdminTimelock.cancel(timelock, change);
+    }
+
+    /**
+     * @notice Become operator once a scheduled operator change is ready (pending operator only)
+     */
+    function acceptOperator() external {
+        address newOperator = address(uint160(AdminTimelock.execute(timelock, AdminTimelock.Change.OPERATOR)));
+        if (msg.sender != newOperator) {
+            revert NotPendingAccount();
+        }
+        address oldOperator = operator;
+        operator = newOperator;
+        _revokeRole(OPERATOR_ROLE, oldOperator);
+        _grantRole(OPERATOR_ROLE, newOperator);
+        emit OperatorUpdated(oldOperator, newOperator);
+    }
+
+    /**
+     * @notice Become treasury once a scheduled treasury change is ready (pending treasury only)
+     */
+    function acceptTreasury() external {
+        address newTreasury = address(uint160(AdminTimelock.execute(timelock, AdminTimelock.Change.TREASURY)));
+        if (msg.sender != newTreasury) {
+            revert NotPendingAccount();
+        }
+        address oldTreasury = treasury;
+        treasury = newTreasury;
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+
+    /**
+     * @notice Apply a scheduled fee change once its delay has passed (FEE_MANAGER_ROLE)
+     */
+    function executeFeeBps() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 newFeeBps = AdminTimelock.execute(timelock, AdminTimelock.Change.FEE_BPS);
+        uint256 oldFeeBps = feeBps;
+        feeBps = newFeeBps;
+        emit FeeBpsUpdated(oldFeeBps, newFeeBps);
+    }
+
+    /**
+     * @notice Apply a scheduled minimum delay change once its delay has passed (DEFAULT_ADMIN_ROLE)
+     */
+    function executeMinDelay() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        AdminTimelock.setMinDelay(timelock, AdminTimelock.execute(timelock, AdminTimelock.Change.MIN_DELAY));
+    }
+
+    /**
+     * @notice List, update or delist a buy-in token (DEFAULT_ADMIN_ROLE)
+     * @dev Delisting only blocks new games; existing games keep settling in their token. Not timelocked:
+     *      it never touches funds already paid in, and players choose the token of each game they join.
+     * @param token ERC20 token address
+     * @param allowed Whether new games may use the token
+     * @param minStake Minimum buy-in (token units, > 0)
+     * @param maxStake Maximum buy-in (token units)
+     */
+    function setStakeToken(
+        address token,
+        bool allowed,
+        uint256 minStake,
+        uint256 maxStake
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setStakeToken(token, allowed, minStake, maxStake);
+    }
+
+    /**
+     * @notice Set the players a game needs by joinDeadline before anyone can cancel it (DEFAULT_ADMIN_ROLE)
+     * @dev Applies to every game not started yet; a game's own targetPlayers caps it.
+     * @param newMinPlayers Minimum number of players (>= 1)
+     */
+    function setMinPlayers(uint32 newMinPlayers) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newMinPlayers == 0) {
+            revert InvalidTargetPlayers();
+        }
+
+        emit MinPlayersUpdated(minPlayers, newMinPlayers);
+        minPlayers = newMinPlayers;
+    }
+
+    /**
+     * @notice Set where endGame sends the unpaid balance of a game (TREASURER_ROLE)
+     * @dev Applies to every game ended from then on.
+     * @param destination TREASURY, NEXT_GAME_SEED or SURVIVORS
+     */
+    function setLeftoverDestination(LeftoverDestination destination) external onlyRole(TREASURER_ROLE) {
+        emit LeftoverDestinationUpdated(leftoverDestination, destination);
+        leftoverDestination = destination;
+    }
+
+    /**
+     * @notice Set the settlement bounds copied to games created from then on (DEFAULT_ADMIN_ROLE)
+     * @param maxPayoutMultipleBps Max payout per settlement in bps of playerDeposited (e.g. 30000 = 3x, 0 = off)
+     * @param maxPotShareBps Max payout per settlement in bps of potAtStart (0 = off, max 10000)
+     * @param capTotalValue Whether a game's reported values must sum to at most its net pot
+     */
+    function setDefaultBounds(
+        uint32 maxPayoutMultipleBps,
+        uint16 maxPotShareBps,
+        bool capTotalValue
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        defaultBounds = _bounds(maxPayoutMultipleBps, maxPotShareBps, capTotalValue);
+        emit DefaultBoundsUpdated(maxPayoutMultipleBps, maxPotShareBps, capTotalValue);
+    }
+
+    /**
+     * @notice Set the settlement bounds of a game that has not ended (DEFAULT_ADMIN_ROLE)
+     * @dev Not available to the operator: the bounds guard against the operator's reported values.
+     * @param gameId Game ID
+     * @param maxPayoutMultipleBps Max payout per settlement in bps of playerDeposited (0 = off)
+     * @param maxPotShareBps Max payout per settlement in bps of potAtStart (0 = off, max 10000)
+     * @param capTotalValue Whether the game's reported values must sum to at most its net pot
+     */
+    function setGameBounds(
+        uint256 gameId,
+        uint32 maxPayoutMultipleBps,
+        uint16 maxPotShareBps,
+        bool capTotalValue
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) validGame(gameId) {
+        GameStatus status = games[gameId].status;
+        if (status == GameStatus.ENDED || status == GameStatus.CANCELLED) {
+            revert GameAlreadyEnded();
+        }
+
+        gameBounds[gameId] = _bounds(maxPayoutMultipleBps, maxPotShareBps, capTotalValue);
+        emit GameBoundsUpdated(gameId, maxPayoutMultipleBps, maxPotShareBps, capTotalValue);
+    }
+
+    /**
+     * @notice Set the referrer share of the protocol fee (FEE_MANAGER_ROLE, max 50%)
+     * @dev Not timelocked: it only moves part of the fee between the payees and referrers, never
+     *      player buy-ins or payouts
+     * @param newShareBps New share in basis points of the fee (e.g., 2000 = 20% of the fee)
+     */
+    function setReferralShareBps(uint256 newShareBps) external onlyRole(FEE_MANAGER_ROLE) {
+        Referrals.setShare(referrals, newShareBps);
+    }
+
+    /**
+     * @notice Withdraw accrued fees of a token (TREASURER_ROLE): to treasury, or split between the
+     *         payees by weight and paid out to each of them when a payee table is set
+     * @param token Token to withdraw fees in
+     * @param amount Amount to withdraw (0 = withdraw all)
+     */
+    function withdrawFees(address token, uint256 amount) external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 accrued = accruedFees[token];
+        uint256 toWithdraw = amount == 0 ? accrued : amount;
+        if (toWithdraw == 0 || toWithdraw > accrued) {
+            revert InsufficientFunds();
+        }
+        accruedFees[token] = accrued - toWithdraw;
+
+        address[] memory payees = revenueShare.payees;
+        if (payees.length == 0) {
+            _pay(token, treasury, toWithdraw);
+            emit FeesWithdrawn(token, treasury, toWithdraw);
+            return;
+        }
+
+        // Split between the payees by weight and pay each of them
+        RevenueShare.split(revenueShare, token, toWithdraw);
+        for (uint256 i = 0; i < payees.length; i++) {
+            _releaseFeeShare(payees[i], token);
+        }
+    }
+
+    /**
+     * @notice Replace the fee payee table (TREASURER_ROLE), as scheduled with scheduleCall(PAYEES)
+     * @dev Weights must be non-zero and sum to 10000 (at most 10 payees); an empty table sends fees
+     *      to treasury again. Fees still accrued are split with the table in force when they are
+     *      withdrawn or claimed.
+     * @param payees Fee recipients (the first one also receives the rounding remainder of each split)
+     * @param shareBps Weight of each payee in basis points
+     */
+    function setPayees(
+        address[] calldata payees,
+        uint256[] calldata shareBps
+    ) external onlyRole(TREASURER_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.PAYEES, keccak256(abi.encode(payees, shareBps)));
+        RevenueShare.setPayees(revenueShare, payees, shareBps);
+    }
+
+    /**
+     * @notice Pause new games, joins and revives (PAUSER_ROLE)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Unpause contract (PAUSER_ROLE)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // ============ Revenue Share ============
+
+    /**
+     * @notice Pull msg.sender's fee share in a token without waiting for withdrawFees
+     * @dev Splits all of the token's accrued fees between the payees first, then pays msg.sender's
+     *      split balance.
+     * @param token Token to claim
+     */
+    function claimFeeShare(address token) external nonReentrant {
+        uint256 accrued = accruedFees[token];
+        if (accrued > 0 && revenueShare.payees.length > 0) {
+            accruedFees[token] = 0;
+            RevenueShare.split(revenueShare, token, accrued);
+        }
+
+        if (_releaseFeeShare(msg.sender, token) == 0) {
+            revert NothingToClaim();
+        }
+    }
+
+    /**
+     * @notice Claim native ETH payouts that could not be pushed to msg.sender
+     */
+    function claimNative() external nonReentrant {
+        uint256 amount = claimableNative[msg.sender];
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        claimableNative[msg.sender] = 0;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        if (!sent) {
+            revert NativeTransferFailed();
+        }
+
+        emit NativeClaimed(msg.sender, amount);
+    }
+}
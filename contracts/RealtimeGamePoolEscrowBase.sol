@@ -0,0 +1,756 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeGamePoolEscrowStorage.sol";
+
+/**
+ * @title RealtimeGamePoolEscrowBase
+ * @notice Escrow contract for game pools. Collects buy-ins from multiple players,
+ *         starts a game once enough players joined, reserves fees, and allows backend
+ *         to settle players (death exit: 50%, alive exit: 100%). Players can revive
+ *         by paying again. Each game runs in one admin-allowlisted ERC20 (USDC by default) or in
+ *         native ETH.
+ * @dev Backend is authoritative for game state and player "in-game value", but the contract
+ *      MUST enforce strict state + anti-replay + sane bounds to prevent accidental drain.
+ *      Backend will be the transaction sender (relayer) for settlements and will pay gas offchain;
+ *      operator-signed settlements can also be submitted by anyone (including the player).
+ *      Joins and revives can also be relayed with player-signed EIP-712 authorizations.
+ *      Shared logic of RealtimeGamePoolEscrow (plain deployment) and RealtimeGamePoolEscrowUpgradeable (UUPS proxy);
+ *      state, events and errors live in RealtimeGamePoolEscrowStorage.
+ *      To stay under the EIP-170 contract size limit, relayed joins and revives, end of game,
+ *      cancellations and referrals run in RealtimeGamePoolEscrowGameModule and admin functions and
+ *      fee share claims in RealtimeGamePoolEscrowAdminModule, both deployed first and passed to the
+ *      constructor. The functions marked "Runs in" a module only forward the call to it with
+ *      DELEGATECALL, so they share this contract's storage, balance, address, events and errors.
+ * @author Senior Solidity Engineer (Audit Mindset)
+ */
+abstract contract RealtimeGamePoolEscrowBase is RealtimeGamePoolEscrowStorage {
+    // ============ Modules ============
+
+    /// @notice Contract running the functions marked "Runs in RealtimeGamePoolEscrowGameModule"
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable gameModule;
+
+    /// @notice Contract running the functions marked "Runs in RealtimeGamePoolEscrowAdminModule"
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable adminModule;
+
+    /**
+     * @param gameModule_ RealtimeGamePoolEscrowGameModule deployment
+     * @param adminModule_ RealtimeGamePoolEscrowAdminModule deployment
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address gameModule_, address adminModule_) {
+        if (gameModule_.code.length == 0 || adminModule_.code.length == 0) {
+            revert InvalidAddress();
+        }
+        gameModule = gameModule_;
+        adminModule = adminModule_;
+    }
+
+    // ============ Admin Functions ============
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function scheduleOperator(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function scheduleTreasury(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function scheduleFeeBps(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function scheduleMinDelay(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function scheduleCall(AdminTimelock.Change, bytes32) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function cancelChange(AdminTimelock.Change) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function acceptOperator() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function acceptTreasury() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function executeFeeBps() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function executeMinDelay() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setStakeToken(address, bool, uint256, uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setMinPlayers(uint32) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setLeftoverDestination(LeftoverDestination) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setDefaultBounds(uint32, uint16, bool) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setGameBounds(uint256, uint32, uint16, bool) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setReferralShareBps(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function withdrawFees(address, uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function setPayees(address[] calldata, uint256[] calldata) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function pause() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function unpause() external {
+        _delegateToAdminModule();
+    }
+
+    // ============ Game Lifecycle Functions ============
+
+    /**
+     * @notice Create a new game pool (operator only)
+     * @param token Allowlisted buy-in token
+     * @param buyIn Buy-in amount per player in token units, within the token's limits
+     * @param targetPlayers Target number of players to start game
+     * @param joinDeadline Unix timestamp deadline for joining
+     * @return gameId The created game ID
+     */
+    function createGame(
+        address token,
+        uint256 buyIn,
+        uint32 targetPlayers,
+        uint64 joinDeadline
+    ) external whenNotPaused onlyOperator returns (uint256 gameId) {
+        StakeToken storage config = stakeTokens[token];
+        if (!config.allowed) {
+            revert TokenNotAllowed();
+        }
+        if (buyIn == 0 || buyIn < config.minStake || buyIn > config.maxStake) {
+            revert InvalidBuyIn();
+        }
+        if (targetPlayers == 0) {
+            revert InvalidTargetPlayers();
+        }
+        if (joinDeadline <= block.timestamp) {
+            revert InvalidDeadline();
+        }
+
+        gameId = nextGameId++;
+        games[gameId] = Game({
+            token: token,
+            targetPlayers: targetPlayers,
+            joinDeadline: joinDeadline,
+            buyIn: buyIn,
+            potAtStart: 0,
+            reservedFee: 0,
+            totalDeposited: 0,
+            totalPaidOut: 0,
+            status: GameStatus.WAITING
+        });
+        gameBounds[gameId] = defaultBounds;
+
+        emit GameCreated(gameId, token, buyIn, targetPlayers, joinDeadline);
+    }
+
+    /**
+     * @notice Join a game by paying buy-in (caller pays and is credited; relayers use joinGameFor)
+     * @dev Native ETH games are paid with msg.value == buyIn, token games with a prior approve
+     * @param gameId Game ID to join
+     */
+    function joinGame(uint256 gameId) external payable nonReentrant whenNotPaused validGame(gameId) {
+        _joinGame(gameId, msg.sender);
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function joinGameWithReferrer(uint256, address) external payable {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function joinGameWithPermit(uint256, uint256, uint8, bytes32, bytes32) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function joinGameFor(uint256, address, uint256, uint256, bytes calldata) external {
+        _delegateToGameModule();
+    }
+
+    /**
+     * @notice Start a game (operator only)
+     * @param gameId Game ID to start
+     */
+    function startGame(uint256 gameId) external onlyOperator validGame(gameId) {
+        Game storage game = games[gameId];
+
+        // Game must be WAITING or FULL
+        if (game.status != GameStatus.WAITING && game.status != GameStatus.FULL) {
+            revert GameNotWaiting();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        game.status = GameStatus.LIVE;
+        game.potAtStart = game.totalDeposited;
+        game.reservedFee = (game.potAtStart * feeBps) / 10_000;
+
+        emit GameStarted(gameId, game.potAtStart, game.reservedFee, feeBps);
+
+        // Leftovers of earlier games are added after the fee is reserved (they already paid it)
+        uint256 seed = seedBalance[game.token];
+        if (seed > 0) {
+            seedBalance[game.token] = 0;
+            game.totalDeposited += seed;
+            emit GameSeeded(gameId, seed);
+        }
+    }
+
+    /**
+     * @notice Settle a player's death exit (operator only)
+     * @param gameId Game ID
+     * @param player Player address to settle
+     * @param value Player's in-game value (backend authoritative)
+     * @param eventId Unique event ID for anti-replay
+     */
+    function settleDeathExit(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId
+    ) external onlyOperator nonReentrant validGame(gameId) {
+        _settleExit(gameId, player, value, eventId, ExitKind.DEATH);
+    }
+
+    /**
+     * @notice Settle a player's alive exit (operator only)
+     * @param gameId Game ID
+     * @param player Player address to settle
+     * @param value Player's in-game value (backend authoritative)
+     * @param eventId Unique event ID for anti-replay
+     */
+    function settleAliveExit(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId
+    ) external onlyOperator nonReentrant validGame(gameId) {
+        _settleExit(gameId, player, value, eventId, ExitKind.ALIVE);
+    }
+
+    /**
+     * @notice Settle a death exit with an operator-signed DeathExit message (callable by anyone,
+     *         e.g. a relayer or the player)
+     * @param gameId Game ID
+     * @param player Player address to settle
+     * @param value Player's in-game value (backend authoritative)
+     * @param eventId Unique event ID for anti-replay (shared with settleDeathExit / settleAliveExit)
+     * @param validUntil Unix timestamp after which the signature is invalid
+     * @param signature Operator's EIP-712 signature over DeathExit (EIP-1271 if operator is a contract)
+     */
+    function settleDeathExitBySignature(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external nonReentrant validGame(gameId) {
+        _checkSettlementSignature(DEATH_EXIT_TYPEHASH, gameId, player, value, eventId, validUntil, signature);
+        _settleExit(gameId, player, value, eventId, ExitKind.DEATH);
+    }
+
+    /**
+     * @notice Settle an alive exit with an operator-signed AliveExit message (callable by anyone,
+     *         e.g. a relayer or the player)
+     * @param gameId Game ID
+     * @param player Player address to settle
+     * @param value Player's in-game value (backend authoritative)
+     * @param eventId Unique event ID for anti-replay (shared with settleDeathExit / settleAliveExit)
+     * @param validUntil Unix timestamp after which the signature is invalid
+     * @param signature Operator's EIP-712 signature over AliveExit (EIP-1271 if operator is a contract)
+     */
+    function settleAliveExitBySignature(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external nonReentrant validGame(gameId) {
+        _checkSettlementSignature(ALIVE_EXIT_TYPEHASH, gameId, player, value, eventId, validUntil, signature);
+        _settleExit(gameId, player, value, eventId, ExitKind.ALIVE);
+    }
+
+    /**
+     * @notice Settle many death / alive exits of one game in one call (operator only)
+     * @dev Items are checked in order against the game's available balance, as if settled one by
+     *      one, and any failing item reverts the whole batch. All state (including a single
+     *      totalPaidOut / activePlayerCount update) is written before the first payout, and each
+     *      item emits the same event as a single settlement. Payouts are computed once and kept in
+     *      memory for the transfers. A player can exit only once per batch, so one transfer per item
+     *      with a non-zero payout is already the minimum.
+     * @param gameId Game ID
+     * @param items Exits to settle (at most MAX_SETTLE_BATCH)
+     */
+    function settleBatch(
+        uint256 gameId,
+        ExitItem[] calldata items
+    ) external onlyOperator nonReentrant validGame(gameId) {
+        if (items.length == 0 || items.length > MAX_SETTLE_BATCH) {
+            revert InvalidBatchSize();
+        }
+
+        Game storage game = games[gameId];
+
+        // Game must be LIVE
+        if (game.status != GameStatus.LIVE) {
+            revert GameNotLive();
+        }
+
+        // Checks and per-player effects, item by item
+        uint256 available = game.totalDeposited - game.reservedFee - game.totalPaidOut;
+        uint256 paidOut;
+        uint256[] memory payouts = new uint256[](items.length);
+        for (uint256 i = 0; i < items.length; i++) {
+            ExitItem calldata item = items[i];
+            uint256 payout = _exitPlayer(gameId, item.player, item.value, item.eventId, item.kind, available);
+            payouts[i] = payout;
+            available -= payout;
+            paidOut += payout;
+        }
+
+        // Aggregated game effects (Checks-Effects-Interactions)
+        activePlayerCount[gameId] -= items.length;
+        game.totalPaidOut += paidOut;
+
+        // Interactions
+        address token = game.token;
+        for (uint256 i = 0; i < items.length; i++) {
+            ExitItem calldata item = items[i];
+            if (payouts[i] > 0) {
+                _pay(token, item.player, payouts[i]);
+            }
+            _emitExit(gameId, item.player, item.value, payouts[i], item.eventId, item.kind);
+        }
+    }
+
+    /**
+     * @notice Revive a player by paying buy-in again (caller pays and is revived; relayers use reviveFor)
+     * @dev Native ETH games are paid with msg.value == buyIn
+     * @param gameId Game ID
+     */
+    function revive(uint256 gameId) external payable nonReentrant whenNotPaused validGame(gameId) {
+        _revive(gameId, msg.sender);
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function reviveWithPermit(uint256, uint256, uint8, bytes32, bytes32) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function reviveFor(uint256, address, uint256, uint256, bytes calldata) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function settleFinal(uint256, address[] calldata, uint256[] calldata) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function endGame(uint256) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function claimLeftover(address) external {
+        _delegateToGameModule();
+    }
+
+    // ============ Cancellation ============
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function cancelGame(uint256) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function cancelExpiredGame(uint256) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function claimRefund(uint256) external {
+        _delegateToGameModule();
+    }
+
+    // ============ Referrals ============
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function bindReferrer(address, address, uint256, bytes calldata) external {
+        _delegateToGameModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowGameModule
+    function claimReferral(address) external {
+        _delegateToGameModule();
+    }
+
+    // ============ Revenue Share ============
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function claimFeeShare(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeGamePoolEscrowAdminModule
+    function claimNative() external {
+        _delegateToAdminModule();
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Delay between scheduling and executing operator / treasury / fee / delay changes
+     */
+    function minDelay() external view returns (uint256) {
+        return timelock.minDelay;
+    }
+
+    /**
+     * @notice Pending change of a kind (readyAt == 0 if none); addresses are returned as uint160 values
+     * @param change Kind of change
+     * @return value Scheduled value
+     * @return readyAt Earliest execution / acceptance time
+     */
+    function pendingChange(AdminTimelock.Change change) external view returns (uint256 value, uint256 readyAt) {
+        AdminTimelock.Pending memory pending = timelock.pending[change];
+        return (pending.value, pending.readyAt);
+    }
+
+    /**
+     * @notice Fee payees and their weights in basis points (empty = all fees go to the treasury)
+     */
+    function getPayees() external view returns (address[] memory payees, uint256[] memory shareBps) {
+        payees = revenueShare.payees;
+        shareBps = new uint256[](payees.length);
+        for (uint256 i = 0; i < payees.length; i++) {
+            shareBps[i] = revenueShare.shareBps[payees[i]];
+        }
+    }
+
+    /**
+     * @notice Fees already split to a payee in a token and not yet paid out
+     * @dev Excludes the payee's part of accruedFees[token], which is split on the next withdrawal or claim.
+     */
+    function feeShareOf(address payee, address token) external view returns (uint256) {
+        return revenueShare.balance[payee][token];
+    }
+
+    /**
+     * @notice Referrer a player is bound to (zero if none)
+     */
+    function referrerOf(address player) external view returns (address) {
+        return referrals.referrerOf[player];
+    }
+
+    /**
+     * @notice Claimable referral balance of a referrer in a token
+     */
+    function referralBalance(address referrer, address token) external view returns (uint256) {
+        return referrals.balance[referrer][token];
+    }
+
+    /**
+     * @notice Referrer share of the protocol fee in basis points
+     */
+    function referralShareBps() external view returns (uint256) {
+        return referrals.shareBps;
+    }
+
+    /**
+     * @notice Get game information
+     * @param gameId Game ID
+     * @return game Game struct
+     */
+    function getGame(uint256 gameId) external view returns (Game memory game) {
+        game = games[gameId];
+    }
+
+    /**
+     * @notice Get player state for a game
+     * @param gameId Game ID
+     * @param player Player address
+     * @return deposited Total deposits (including revives)
+     * @return active Whether player is currently active
+     * @return everJoined Whether player ever joined
+     * @return exited Whether player has exited
+     */
+    function getPlayerState(
+        uint256 gameId,
+        address player
+    )
+        external
+        view
+        returns (
+            uint256 deposited,
+            bool active,
+            bool everJoined,
+            bool exited
+        )
+    {
+        deposited = playerDeposited[gameId][player];
+        active = playerActive[gameId][player];
+        everJoined = playerEverJoined[gameId][player];
+        exited = playerExited[gameId][player];
+    }
+
+    /**
+     * @notice Largest value the operator can currently report for `player` in an alive exit
+     * @dev Minimum of the game's available balance and of the enabled bounds: the deposit
+     *      multiple, the potAtStart share and what is left of the net pot. A death exit pays half
+     *      its value, so it can report up to twice this (within available and the net pot).
+     * @param gameId Game ID
+     * @param player Player address
+     * @return maxValue Largest alive-exit value that passes every check
+     */
+    function playerMaxValue(uint256 gameId, address player) external view returns (uint256 maxValue) {
+        Game memory game = games[gameId];
+        SettlementBounds memory bounds = gameBounds[gameId];
+
+        if (game.totalDeposited < game.reservedFee + game.totalPaidOut) {
+            return 0;
+        }
+        maxValue = game.totalDeposited - game.reservedFee - game.totalPaidOut;
+
+        if (bounds.maxPayoutMultipleBps != 0) {
+            maxValue = _min(maxValue, (playerDeposited[gameId][player] * bounds.maxPayoutMultipleBps) / 10_000);
+        }
+        if (bounds.maxPotShareBps != 0) {
+            maxValue = _min(maxValue, (game.potAtStart * bounds.maxPotShareBps) / 10_000);
+        }
+        if (bounds.capTotalValue) {
+            uint256 netPot = game.totalDeposited - game.reservedFee;
+            uint256 reported = totalReportedValue[gameId];
+            maxValue = _min(maxValue, netPot > reported ? netPot - reported : 0);
+        }
+    }
+
+    /**
+     * @notice Get available balance for payouts in a game
+     * @param gameId Game ID
+     * @return available Available balance (totalDeposited - reservedFee - totalPaidOut)
+     */
+    function availableBalance(uint256 gameId) external view returns (uint256 available) {
+        Game memory game = games[gameId];
+        // Reserved fee is accounting only, not yet transferred, so subtract it from available
+        if (game.totalDeposited >= game.reservedFee + game.totalPaidOut) {
+            available = game.totalDeposited - game.reservedFee - game.totalPaidOut;
+        } else {
+            available = 0;
+        }
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Forward the current call to the game / admin module
+     */
+    function _delegateToGameModule() internal {
+        _delegate(gameModule);
+    }
+
+    function _delegateToAdminModule() internal {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @dev Run the current call in `module` on this contract's storage and return or revert with
+     *      its result
+     */
+    function _delegate(address module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
+
+/**
+ * ============================================================================
+ * RELAYED JOINS / REVIVES (EIP-712, signed by the PLAYER)
+ * ============================================================================
+ *
+ * Domain: name "RealtimeGamePoolEscrow", version "1", chainId, verifyingContract
+ *
+ *   JoinAuthorization(address player,uint256 gameId,uint256 nonce,uint256 expiry)
+ *   ReviveAuthorization(address player,uint256 gameId,uint256 nonce,uint256 expiry)
+ *
+ * - Relayer submits joinGameFor / reviveFor and pays gas; buy-in is pulled from `player`
+ * - nonce is per player (usedAuthorizationNonce) and shared by both message types
+ * - expiry is a unix timestamp; expired authorizations revert with AuthorizationExpired
+ * - Native ETH games cannot be joined or revived by relayers (the player must send msg.value)
+ *
+ * SIGNED SETTLEMENTS (EIP-712, signed by the OPERATOR, same domain):
+ *
+ *   DeathExit(uint256 gameId,address player,uint256 deposited,uint256 value,uint256 eventId,uint256 validUntil)
+ *   AliveExit(uint256 gameId,address player,uint256 deposited,uint256 value,uint256 eventId,uint256 validUntil)
+ *
+ * - anyone submits them with settleDeathExitBySignature / settleAliveExitBySignature and pays gas,
+ *   so the operator key does not need to send transactions and a player can cash out on their own
+ *   if the relayer is down
+ * - signatures are checked against `operator` (EIP-1271 if it is a contract); validUntil is a unix
+ *   timestamp (expired messages revert with AuthorizationExpired)
+ * - eventId is the anti-replay: it shares usedEventId with settleDeathExit / settleAliveExit, so a
+ *   message can only be settled once and never on top of a direct settlement with the same eventId
+ * - deposited is the player's playerDeposited when the message is signed; a revive raises it, so a
+ *   message signed for an earlier life (e.g. never submitted before another exit) no longer verifies
+ *
+ * SETTLEMENT BOUNDS (guardrails against a wrong operator-reported value):
+ * - each game copies defaultBounds at creation; DEFAULT_ADMIN_ROLE changes them with
+ *   setDefaultBounds / setGameBounds (not the operator, whose values they check). All off by default.
+ * - maxPayoutMultipleBps: a settlement pays at most playerDeposited * multiple / 10000
+ * - maxPotShareBps: a settlement pays at most potAtStart * share / 10000
+ * - capTotalValue: the values reported in a game (totalReportedValue, death values in full) sum to
+ *   at most totalDeposited - reservedFee
+ * - they apply to every settlement path (direct, signed, batch and settleFinal); playerMaxValue
+ *   returns the resulting per-player bound
+ *
+ * BATCH SETTLEMENT:
+ * - settleBatch(gameId, items) settles up to MAX_SETTLE_BATCH (player, value, eventId, kind) exits
+ *   of one game; kind is DEATH (50% payout) or ALIVE (100%)
+ * - items are checked in order against the running available balance, with the same rules and
+ *   events as settleDeathExit / settleAliveExit; one failing item reverts the whole batch
+ *
+ * NATIVE ETH GAMES (token == NATIVE_TOKEN == address(0)):
+ * - the admin (DEFAULT_ADMIN_ROLE) lists ETH with setStakeToken(address(0), true, minBuyIn, maxBuyIn)
+ * - joinGame / revive are paid with msg.value == buyIn
+ * - settlements and fee withdrawals push ETH with NATIVE_PAYOUT_GAS; a rejecting recipient is
+ *   credited in claimableNative and pulls it with claimNative()
+ *
+ * REFERRALS:
+ * - a player is bound to a referrer once, with joinGameWithReferrer() or with an operator-signed
+ *   ReferralAttestation(address player,address referrer,uint256 expiry) via bindReferrer()
+ * - buy-ins paid before start by a bound player (referredDeposit) pay a pro-rata part of
+ *   reservedFee; at the player's first settlement referralShareBps of that part accrues to the
+ *   referrer (referralCredited), endGame accrues the rest of reservedFee to accruedFees, and
+ *   referrers pull it with claimReferral(token)
+ * - revives pay no fee, so they earn no referral commission
+ *
+ * REVENUE SHARE:
+ * - TREASURER_ROLE sets fee payees with setPayees(payees, shareBps); weights sum to 10000
+ * - withdrawFees(token, amount) splits the withdrawn fees by weight and pays every payee; each
+ *   share is rounded down and the remainder goes to the first payee
+ * - a payee can also pull its share alone with claimFeeShare(token)
+ * - with no payees set, withdrawFees pays everything to treasury as before
+ *
+ * CANCELLATION:
+ * - a game that has not started can be cancelled by the operator with cancelGame(), or by anyone
+ *   with cancelExpiredGame() once joinDeadline has passed with fewer than minPlayers players
+ *   (DEFAULT_MIN_PLAYERS = 2 at deploy, capped by the game's targetPlayers)
+ * - each player then pulls their whole playerDeposited back with claimRefund(gameId); no fee is
+ *   taken and referrers earn nothing on cancelled games
+ * - GameCancelled / PlayerRefunded are emitted for monitoring
+ *
+ * END OF GAME:
+ * - once the game is over the operator settles every player still in it with
+ *   settleFinal(gameId, players, values) (100% of each final value, batchable); endGame reverts
+ *   with PlayersStillActive until activePlayerCount is 0
+ * - endGame then sends what the game still holds (totalDeposited - reservedFee - totalPaidOut,
+ *   e.g. the other half of death-exit values) to leftoverDestination, set by TREASURER_ROLE:
+ *   TREASURY (accruedFees, the default), NEXT_GAME_SEED (seedBalance, added to the pot of the next
+ *   game started in that token, after its fee is reserved) or SURVIVORS (credited pro-rata to
+ *   settleFinal values in leftoverBalance, which each survivor pulls with claimLeftover(token);
+ *   falls back to TREASURY when they are all 0)
+ * - after endGame a game's available balance is always 0
+ *
+ * ADMIN TIMELOCK:
+ * - operator, treasury and feeBps change in two steps: the change is scheduled (scheduleOperator by
+ *   OPERATOR_ADMIN_ROLE, scheduleTreasury by TREASURER_ROLE, scheduleFeeBps by FEE_MANAGER_ROLE)
+ *   and, once minDelay has passed (DEFAULT_ADMIN_DELAY = 2 days at deploy), the new operator /
+ *   treasury calls acceptOperator / acceptTreasury, or FEE_MANAGER_ROLE calls executeFeeBps
+ * - minDelay itself changes the same way (scheduleMinDelay / executeMinDelay by DEFAULT_ADMIN_ROLE,
+ *   max 30 days)
+ * - setPayees (TREASURER_ROLE) and upgrades (UPGRADER_ROLE, upgradeable deployment only) take
+ *   effect when called with the arguments scheduled minDelay before with
+ *   scheduleCall(change, keccak256(abi.encode(...arguments))); other arguments revert with
+ *   ChangeMismatch
+ * - not timelocked: pause / unpause (stops new games, cannot move funds), setStakeToken (only
+ *   affects new games), setReferralShareBps (moves part of the fee between payees and referrers),
+ *   setMinPlayers and setLeftoverDestination (only apply to games not started / ended yet) and
+ *   setDefaultBounds / setGameBounds (limits on the operator's settlements, cannot move funds)
+ * - the role that schedules a kind of change can cancelChange() it before it is applied;
+ *   pendingChange() shows it
+ * - ChangeScheduled / ChangeCancelled / ChangeExecuted are emitted at every step for monitoring
+ *
+ * DEPLOYMENT:
+ * - deploy RealtimeGamePoolEscrowGameModule and RealtimeGamePoolEscrowAdminModule, then
+ *   RealtimeGamePoolEscrow(usdc, operator, treasury, feeBps, gameModule, adminModule), or a
+ *   RealtimeGamePoolEscrowUpgradeable(gameModule, adminModule) implementation behind a proxy
+ * - the module addresses are immutables of the implementation: an upgrade that changes module
+ *   code deploys new modules along with the new implementation
+ *
+ * ROLES (OpenZeppelin AccessControl; DEFAULT_ADMIN_ROLE grants and revokes every role but OPERATOR_ROLE):
+ * - DEFAULT_ADMIN_ROLE: stake tokens, minDelay, minPlayers, settlement bounds
+ * - PAUSER_ROLE: pause / unpause (on-call, cannot move funds)
+ * - FEE_MANAGER_ROLE: feeBps (timelocked) and referralShareBps
+ * - OPERATOR_ADMIN_ROLE: operator rotation (timelocked)
+ * - TREASURER_ROLE: withdrawFees, leftoverDestination, fee payees and treasury rotation (both
+ *   timelocked)
+ * - OPERATOR_ROLE: operator-only functions; held by `operator` and only moved to the new operator by
+ *   acceptOperator: grantRole / revokeRole revert with OperatorRoleLocked for it
+ * - the deployer gets every role except OPERATOR_ROLE and is expected to hand them out, then renounce
+ * - UPGRADER_ROLE (RealtimeGamePoolEscrowUpgradeable only): upgradeToAndCall (timelocked); granted to
+ *   the account that initializes the proxy
+ * ============================================================================
+ */
@@ -0,0 +1,309 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeGamePoolEscrowStorage.sol";
+
+/**
+ * @title RealtimeGamePoolEscrowGameModule
+ * @notice Relayed join and revive, end of game, cancellation and referral functions of RealtimeGamePoolEscrow
+ * @dev Passed to the RealtimeGamePoolEscrowBase constructor and only reached through DELEGATECALL from
+ *      the escrow, so every function runs on the escrow's storage, balance and address.
+ */
+contract RealtimeGamePoolEscrowGameModule is RealtimeGamePoolEscrowStorage {
+    // ============ Game Lifecycle Functions ============
+
+    /**
+     * @notice Join a game and bind msg.sender to a referrer (only possible while unbound)
+     * @param gameId Game ID to join
+     * @param referrer Referrer credited with a share of the fees paid by msg.sender's buy-ins
+     */
+    function joinGameWithReferrer(
+        uint256 gameId,
+        address referrer
+    ) external payable nonReentrant whenNotPaused validGame(gameId) {
+        Referrals.bind(referrals, msg.sender, referrer);
+        _joinGame(gameId, msg.sender);
+    }
+
+    /**
+     * @notice Join a game with an EIP-2612 permit instead of a prior approve
+     * @dev If the permit fails (e.g. it was front-run and already consumed), the join still
+     *      succeeds when the existing allowance covers the buy-in. Not available for native ETH games.
+     * @param gameId Game ID to join
+     * @param permitDeadline Permit signature deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function joinGameWithPermit(
+        uint256 gameId,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused validGame(gameId) {
+        _permit(games[gameId].token, msg.sender, games[gameId].buyIn, permitDeadline, v, r, s);
+        _joinGame(gameId, msg.sender);
+    }
+
+    /**
+     * @notice Join a game on behalf of a player with the player's JoinAuthorization signature
+     *         (callable by anyone, e.g. a backend relayer sponsoring gas)
+     * @dev The buy-in is pulled from `player`, never from the caller, so the player must have
+     *      approved this contract (a relayer can submit the player's EIP-2612 permit to the token first).
+     *      Not available for native ETH games.
+     * @param gameId Game ID to join
+     * @param player Player being joined
+     * @param nonce Player-chosen unique nonce (anti-replay)
+     * @param expiry Unix timestamp after which the authorization is invalid
+     * @param signature Player's EIP-712 signature over JoinAuthorization
+     */
+    function joinGameFor(
+        uint256 gameId,
+        address player,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validGame(gameId) {
+        _useAuthorization(JOIN_AUTHORIZATION_TYPEHASH, player, gameId, nonce, expiry, signature);
+        _joinGame(gameId, player);
+    }
+
+    /**
+     * @notice Revive with an EIP-2612 permit instead of a prior approve (not for native ETH games)
+     * @param gameId Game ID
+     * @param permitDeadline Permit signature deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function reviveWithPermit(
+        uint256 gameId,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused validGame(gameId) {
+        _permit(games[gameId].token, msg.sender, games[gameId].buyIn, permitDeadline, v, r, s);
+        _revive(gameId, msg.sender);
+    }
+
+    /**
+     * @notice Revive a player on their behalf with the player's ReviveAuthorization signature
+     *         (callable by anyone, e.g. a backend relayer sponsoring gas)
+     * @dev The buy-in is pulled from `player`, never from the caller. Not available for native ETH games.
+     * @param gameId Game ID
+     * @param player Player being revived
+     * @param nonce Player-chosen unique nonce (anti-replay)
+     * @param expiry Unix timestamp after which the authorization is invalid
+     * @param signature Player's EIP-712 signature over ReviveAuthorization
+     */
+    function reviveFor(
+        uint256 gameId,
+        address player,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validGame(gameId) {
+        _useAuthorization(REVIVE_AUTHORIZATION_TYPEHASH, player, gameId, nonce, expiry, signature);
+        _revive(gameId, player);
+    }
+
+    /**
+     * @notice Settle the players still active when the game is over at their final values (operator only)
+     * @dev Pays 100% of each value, like an alive exit; the game's end is the anti-replay, so no
+     *      event IDs. A value of 0 removes the player without payout. Can be split over several calls.
+     * @param gameId Game ID
+     * @param players Active players to settle
+     * @param values Final in-game value of each player (backend authoritative)
+     */
+    function settleFinal(
+        uint256 gameId,
+        address[] calldata players,
+        uint256[] calldata values
+    ) external onlyOperator nonReentrant validGame(gameId) {
+        Game storage game = games[gameId];
+
+        // Game must be LIVE
+        if (game.status != GameStatus.LIVE) {
+            revert GameNotLive();
+        }
+        if (players.length != values.length) {
+            revert LengthMismatch();
+        }
+
+        for (uint256 i = 0; i < players.length; i++) {
+            address player = players[i];
+            uint256 value = values[i];
+
+            if (!playerActive[gameId][player]) {
+                revert PlayerNotActive();
+            }
+            if (value > game.totalDeposited - game.reservedFee - game.totalPaidOut) {
+                revert InsufficientFunds();
+            }
+            _checkBounds(gameId, player, value, value);
+
+            // Update state (Checks-Effects-Interactions)
+            playerActive[gameId][player] = false;
+            playerExited[gameId][player] = true;
+            _creditReferral(gameId, player);
+            activePlayerCount[gameId]--;
+            game.totalPaidOut += value;
+            if (value > 0 && finalValue[gameId][player] == 0) {
+                survivors[gameId].push(player);
+            }
+            finalValue[gameId][player] += value;
+            totalFinalValue[gameId] += value;
+
+            if (value > 0) {
+                _pay(game.token, player, value);
+            }
+
+            emit PlayerFinalSettled(gameId, player, value);
+        }
+    }
+
+    /**
+     * @notice End a game, accrue its fees and send its unpaid balance to leftoverDestination (operator only)
+     * @dev Every player must have exited first (settleFinal for the ones still in the game), after
+     *      which the game's available balance is zero.
+     * @param gameId Game ID to end
+     */
+    function endGame(uint256 gameId) external onlyOperator nonReentrant validGame(gameId) {
+        Game storage game = games[gameId];
+
+        // Game must be LIVE
+        if (game.status != GameStatus.LIVE) {
+            revert GameNotLive();
+        }
+
+        // All players must be settled
+        if (activePlayerCount[gameId] != 0) {
+            revert PlayersStillActive();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        game.status = GameStatus.ENDED;
+
+        // Transfer reserved fee to treasury (or accrue), minus what settlements credited to referrers
+        if (game.reservedFee > 0) {
+            accruedFees[game.token] += game.reservedFee - referralCredited[gameId];
+            // Optionally transfer immediately:
+            // IERC20(game.token).safeTransfer(treasury, game.reservedFee);
+        }
+
+        emit GameEnded(gameId, game.reservedFee, treasury);
+
+        uint256 leftover = game.totalDeposited - game.reservedFee - game.totalPaidOut;
+        if (leftover > 0) {
+            game.totalPaidOut += leftover;
+            _distributeLeftover(gameId, game.token, leftover);
+        }
+    }
+
+    /**
+     * @notice Withdraw the SURVIVORS leftover shares credited to the caller in `token`
+     * @param token Stake token of the ended games (NATIVE_TOKEN for ETH)
+     */
+    function claimLeftover(address token) external nonReentrant {
+        uint256 amount = leftoverBalance[msg.sender][token];
+        if (amount == 0) revert NothingToClaim();
+        leftoverBalance[msg.sender][token] = 0;
+        emit LeftoverClaimed(msg.sender, token, amount);
+        _pay(token, msg.sender, amount);
+    }
+
+    // ============ Cancellation ============
+
+    /**
+     * @notice Cancel a game that has not started (operator only); players then pull full refunds
+     * @param gameId Game ID to cancel
+     */
+    function cancelGame(uint256 gameId) external onlyOperator validGame(gameId) {
+        _requireNotStarted(games[gameId]);
+        _cancelGame(gameId);
+    }
+
+    /**
+     * @notice Cancel a game that missed its joinDeadline with too few players (callable by anyone)
+     * @dev Too few = fewer than minPlayers, or than targetPlayers if lower. Games that gathered
+     *      enough players stay startable by the operator.
+     * @param gameId Game ID to cancel
+     */
+    function cancelExpiredGame(uint256 gameId) external validGame(gameId) {
+        Game storage game = games[gameId];
+        _requireNotStarted(game);
+
+        uint256 required = game.targetPlayers < minPlayers ? game.targetPlayers : minPlayers;
+        if (block.timestamp <= game.joinDeadline || activePlayerCount[gameId] >= required) {
+            revert GameNotCancellable();
+        }
+
+        _cancelGame(gameId);
+    }
+
+    /**
+     * @notice Refund msg.sender's deposits in a cancelled game in full, without fee
+     * @dev Not blocked by pause (refunds only return funds).
+     * @param gameId Cancelled game ID
+     */
+    function claimRefund(uint256 gameId) external nonReentrant validGame(gameId) {
+        Game storage game = games[gameId];
+
+        if (game.status != GameStatus.CANCELLED) {
+            revert GameNotCancelled();
+        }
+        if (playerRefunded[gameId][msg.sender]) {
+            revert AlreadyRefunded();
+        }
+        uint256 amount = playerDeposited[gameId][msg.sender];
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        playerRefunded[gameId][msg.sender] = true;
+        playerActive[gameId][msg.sender] = false;
+        activePlayerCount[gameId]--;
+        game.totalPaidOut += amount;
+
+        _pay(game.token, msg.sender, amount);
+
+        emit PlayerRefunded(gameId, msg.sender, amount);
+    }
+
+    // ============ Referrals ============
+
+    /**
+     * @notice Bind a player to a referrer with an operator-signed ReferralAttestation (callable by anyone)
+     * @dev A player can only be bound once, so the attestation needs no nonce.
+     * @param player Player to bind
+     * @param referrer Referrer to bind the player to
+     * @param expiry Unix timestamp after which the attestation is invalid
+     * @param signature Operator's EIP-712 signature over ReferralAttestation (EIP-1271 if operator is a contract)
+     */
+    function bindReferrer(address player, address referrer, uint256 expiry, bytes calldata signature) external {
+        if (block.timestamp > expiry) {
+            revert AuthorizationExpired();
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(REFERRAL_ATTESTATION_TYPEHASH, player, referrer, expiry))
+        );
+        if (!SignatureChecker.isValidSignatureNow(operator, digest, signature)) {
+            revert InvalidSignature();
+        }
+
+        Referrals.bind(referrals, player, referrer);
+    }
+
+    /**
+     * @notice Claim msg.sender's referral balance in a token
+     * @param token Token to claim
+     */
+    function claimReferral(address token) external nonReentrant {
+        uint256 amount = Referrals.claim(referrals, msg.sender, token);
+        _pay(token, msg.sender, amount);
+    }
+}
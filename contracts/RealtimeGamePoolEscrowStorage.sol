@@ -0,0 +1,964 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./Referrals.sol";
+import "./RevenueShare.sol";
+import "./AdminTimelock.sol";
+
+/**
+ * @title RealtimeGamePoolEscrowStorage
+ * @notice Constants, state, events, errors, modifiers and internal logic of RealtimeGamePoolEscrow
+ * @dev Inherited by RealtimeGamePoolEscrowBase and its modules, which all run against the same storage.
+ *      State is initialized by __RealtimeGamePoolEscrow_init instead of a constructor and ends with a
+ *      storage gap.
+ */
+abstract contract RealtimeGamePoolEscrowStorage is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // ============ Constants ============
+
+    /// @notice Maximum fee basis points (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    /// @notice Role that can pause and unpause
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Role that can change the fee and the referral share
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role that can rotate the operator (and manage result signers)
+    bytes32 public constant OPERATOR_ADMIN_ROLE = keccak256("OPERATOR_ADMIN_ROLE");
+
+    /// @notice Role that can withdraw fees and change the treasury and fee payees
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /// @notice Role of the game backend (operator-only functions); only moves with acceptOperator
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    /// @notice Role that schedules and performs upgrades (RealtimeGamePoolEscrowUpgradeable only)
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /// @notice Initial delay between scheduling and executing operator / treasury / fee changes
+    uint256 public constant DEFAULT_ADMIN_DELAY = 2 days;
+
+    /// @notice Initial minPlayers (a game needs at least two players to be worth starting)
+    uint32 public constant DEFAULT_MIN_PLAYERS = 2;
+
+    /// @notice Buy-in token value for games funded with native ETH (msg.value)
+    address public constant NATIVE_TOKEN = address(0);
+
+    /// @notice Gas forwarded with native payouts; recipients needing more use claimNative
+    uint256 public constant NATIVE_PAYOUT_GAS = 50_000;
+
+    /// @notice Maximum number of exits per settleBatch (bounds the loop below the block gas limit)
+    uint256 public constant MAX_SETTLE_BATCH = 100;
+
+    /// @notice EIP-712 typehash for JoinAuthorization message (signed by player, submitted by relayer)
+    bytes32 internal constant JOIN_AUTHORIZATION_TYPEHASH =
+        keccak256("JoinAuthorization(address player,uint256 gameId,uint256 nonce,uint256 expiry)");
+
+    /// @notice EIP-712 typehash for ReviveAuthorization message (signed by player, submitted by relayer)
+    bytes32 internal constant REVIVE_AUTHORIZATION_TYPEHASH =
+        keccak256("ReviveAuthorization(address player,uint256 gameId,uint256 nonce,uint256 expiry)");
+
+    /// @notice EIP-712 typehash for ReferralAttestation message (signed by operator, binds a referrer)
+    bytes32 internal constant REFERRAL_ATTESTATION_TYPEHASH =
+        keccak256("ReferralAttestation(address player,address referrer,uint256 expiry)");
+
+    /// @notice EIP-712 typehash for DeathExit message (signed by operator, submitted by anyone)
+    bytes32 internal constant DEATH_EXIT_TYPEHASH = keccak256(
+        "DeathExit(uint256 gameId,address player,uint256 deposited,uint256 value,uint256 eventId,uint256 validUntil)"
+    );
+
+    /// @notice EIP-712 typehash for AliveExit message (signed by operator, submitted by anyone)
+    bytes32 internal constant ALIVE_EXIT_TYPEHASH = keccak256(
+        "AliveExit(uint256 gameId,address player,uint256 deposited,uint256 value,uint256 eventId,uint256 validUntil)"
+    );
+
+    // ============ Enums ============
+
+    enum GameStatus {
+        NONE,      // 0: Game doesn't exist
+        WAITING,   // 1: Game created, waiting for players
+        FULL,      // 2: Target players reached (optional, can go directly to LIVE)
+        LIVE,      // 3: Game started
+        ENDED,     // 4: Game ended
+        CANCELLED  // 5: Game cancelled
+    }
+
+    enum ExitKind {
+        DEATH, // 0: 50% of value paid out
+        ALIVE  // 1: 100% of value paid out
+    }
+
+    enum LeftoverDestination {
+        TREASURY,       // 0: accrue to the fees (withdrawn like reservedFee)
+        NEXT_GAME_SEED, // 1: add to the pot of the next game started in the same token
+        SURVIVORS       // 2: pay pro-rata to the final values of the players settled by settleFinal
+    }
+
+    // ============ Structs ============
+
+    struct Game {
+        address token;           // Buy-in token (allowlisted at creation)
+        uint32 targetPlayers;
+        uint64 joinDeadline;
+        uint256 buyIn;
+        uint256 potAtStart;      // Total deposits at game start
+        uint256 reservedFee;     // Fee reserved at start (accounting)
+        uint256 totalDeposited;  // Sum of all buyIns (including revives) and the seed added at start
+        uint256 totalPaidOut;    // Sum of payouts done
+        GameStatus status;
+    }
+
+    struct ExitItem {
+        address player;
+        uint256 value;           // Player's in-game value (backend authoritative)
+        uint256 eventId;         // Unique event ID for anti-replay
+        ExitKind kind;
+    }
+
+    struct SettlementBounds {
+        uint32 maxPayoutMultipleBps; // Max payout per settlement, in bps of the player's playerDeposited (0 = off)
+        uint16 maxPotShareBps;       // Max payout per settlement, in bps of potAtStart (0 = off)
+        bool capTotalValue;          // Reported values must sum to at most totalDeposited - reservedFee
+    }
+
+    struct StakeToken {
+        bool allowed;            // Token can be used for new games
+        uint8 decimals;          // Token decimals (read from the token when listed)
+        uint256 minStake;        // Minimum buy-in (token units)
+        uint256 maxStake;        // Maximum buy-in (token units)
+    }
+
+    // ============ State Variables ============
+
+    /// @notice Backend operator address authorized to manage games
+    address public operator;
+
+    /// @notice Treasury address for fee collection
+    address public treasury;
+
+    /// @notice Fee in basis points (e.g., 200 = 2%)
+    uint256 public feeBps;
+
+    /// @notice Next game ID (auto-incrementing)
+    uint256 public nextGameId;
+
+    /// @notice Pause flag: blocks new games, joins and revives (settlements and claims keep working)
+    bool public paused;
+
+    // ============ Mappings ============
+
+    /// @notice Game data by game ID
+    mapping(uint256 => Game) public games;
+
+    /// @notice Buy-in token allowlist and per-token buy-in limits
+    mapping(address => StakeToken) public stakeTokens;
+
+    /// @notice Fees accrued per token in contract (not yet withdrawn)
+    mapping(address => uint256) public accruedFees;
+
+    /// @notice Native ETH payouts that could not be pushed, claimable by the recipient
+    mapping(address => uint256) public claimableNative;
+
+    /// @notice Total deposits per player per game (sum of buyIns including revives)
+    mapping(uint256 => mapping(address => uint256)) public playerDeposited;
+
+    /// @notice Whether player is currently active in game
+    mapping(uint256 => mapping(address => bool)) public playerActive;
+
+    /// @notice Whether player ever joined the game
+    mapping(uint256 => mapping(address => bool)) public playerEverJoined;
+
+    /// @notice Whether player has exited (died or alive)
+    mapping(uint256 => mapping(address => bool)) public playerExited;
+
+    /// @notice Anti-replay: track used event IDs per game
+    mapping(uint256 => mapping(uint256 => bool)) public usedEventId;
+
+    /// @notice Count of active players in game
+    mapping(uint256 => uint256) public activePlayerCount;
+
+    /// @notice Anti-replay: track used player authorization nonces (relayed joins and revives)
+    mapping(address => mapping(uint256 => bool)) public usedAuthorizationNonce;
+
+    /// @notice Buy-ins paid before start by players bound to a referrer (cleared once credited to the referrer)
+    mapping(uint256 => mapping(address => uint256)) public referredDeposit;
+
+    /// @notice Part of a game's reservedFee already credited to referrers (endGame accrues the rest)
+    mapping(uint256 => uint256) public referralCredited;
+
+    /// @notice Player referrers, referrer fee share and claimable referral balances
+    Referrals.Book internal referrals;
+
+    /// @notice Fee payees and weights (empty = all fees go to the treasury) and their split balances
+    RevenueShare.Table internal revenueShare;
+
+    /// @notice Minimum delay and pending operator / treasury / fee / delay changes
+    AdminTimelock.Queue internal timelock;
+
+    /// @notice Players a game needs by joinDeadline (capped at targetPlayers); below it anyone can cancel
+    uint32 public minPlayers;
+
+    /// @notice Whether a player's deposits in a cancelled game were refunded
+    mapping(uint256 => mapping(address => bool)) public playerRefunded;
+
+    /// @notice Where endGame sends a game's unpaid balance
+    LeftoverDestination public leftoverDestination;
+
+    /// @notice Leftovers waiting to seed the next game started per token
+    mapping(address => uint256) public seedBalance;
+
+    /// @notice Final value paid to each player by settleFinal (weight for SURVIVORS leftovers)
+    mapping(uint256 => mapping(address => uint256)) public finalValue;
+
+    /// @notice Sum of finalValue per game
+    mapping(uint256 => uint256) public totalFinalValue;
+
+    /// @notice Players with a non-zero finalValue per game
+    mapping(uint256 => address[]) internal survivors;
+
+    /// @notice Settlement bounds copied to each new game
+    SettlementBounds public defaultBounds;
+
+    /// @notice Settlement bounds per game (guardrails against wrong operator-reported values)
+    mapping(uint256 => SettlementBounds) public gameBounds;
+
+    /// @notice Sum of the values reported in each game's settlements
+    mapping(uint256 => uint256) public totalReportedValue;
+
+    /// @notice SURVIVORS leftover shares not yet claimed, per player and token (pulled with claimLeftover)
+    mapping(address => mapping(address => uint256)) public leftoverBalance;
+
+    /// @dev Reserved slots so later versions can add state without shifting child storage
+    uint256[39] private __gap;
+
+    // ============ Events ============
+
+    event GameCreated(
+        uint256 indexed gameId,
+        address indexed token,
+        uint256 buyIn,
+        uint32 targetPlayers,
+        uint64 joinDeadline
+    );
+
+    event PlayerJoined(
+        uint256 indexed gameId,
+        address indexed player,
+        uint256 amount,
+        uint256 totalPlayerDeposited
+    );
+
+    event GameFull(uint256 indexed gameId);
+
+    event GameStarted(
+        uint256 indexed gameId,
+        uint256 potAtStart,
+        uint256 reservedFee,
+        uint256 feeBps
+    );
+
+    event PlayerDeathSettled(
+        uint256 indexed gameId,
+        address indexed player,
+        uint256 value,
+        uint256 payout,
+        uint256 indexed eventId
+    );
+
+    event PlayerAliveSettled(
+        uint256 indexed gameId,
+        address indexed player,
+        uint256 value,
+        uint256 payout,
+        uint256 indexed eventId
+    );
+
+    event PlayerRevived(
+        uint256 indexed gameId,
+        address indexed player,
+        uint256 amount,
+        uint256 totalPlayerDeposited
+    );
+
+    event GameEnded(
+        uint256 indexed gameId,
+        uint256 reservedFee,
+        address indexed treasury
+    );
+
+    event GameCancelled(uint256 indexed gameId, address indexed cancelledBy, uint256 totalDeposited);
+
+    event PlayerRefunded(uint256 indexed gameId, address indexed player, uint256 amount);
+
+    event MinPlayersUpdated(uint32 oldMinPlayers, uint32 newMinPlayers);
+
+    event PlayerFinalSettled(uint256 indexed gameId, address indexed player, uint256 value);
+
+    event LeftoverDistributed(uint256 indexed gameId, LeftoverDestination indexed destination, uint256 amount);
+
+    event LeftoverCredited(uint256 indexed gameId, address indexed player, uint256 amount);
+
+    event LeftoverClaimed(address indexed player, address indexed token, uint256 amount);
+
+    event GameSeeded(uint256 indexed gameId, uint256 amount);
+
+    event LeftoverDestinationUpdated(LeftoverDestination oldDestination, LeftoverDestination newDestination);
+
+    event DefaultBoundsUpdated(uint32 maxPayoutMultipleBps, uint16 maxPotShareBps, bool capTotalValue);
+
+    event GameBoundsUpdated(
+        uint256 indexed gameId,
+        uint32 maxPayoutMultipleBps,
+        uint16 maxPotShareBps,
+        bool capTotalValue
+    );
+
+    event OperatorUpdated(address indexed oldOperator, address indexed newOperator);
+
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+
+    event FeeBpsUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+
+    event ChangeScheduled(AdminTimelock.Change indexed change, uint256 value, uint256 readyAt);
+
+    event ChangeCancelled(AdminTimelock.Change indexed change, uint256 value);
+
+    event ChangeExecuted(AdminTimelock.Change indexed change, uint256 value);
+
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    event FeesWithdrawn(address indexed token, address indexed to, uint256 amount);
+
+    event Paused(address account);
+
+    event Unpaused(address account);
+
+    event NativePayoutDeferred(address indexed to, uint256 amount);
+
+    event NativeClaimed(address indexed to, uint256 amount);
+
+    event StakeTokenUpdated(address indexed token, bool allowed, uint8 decimals, uint256 minStake, uint256 maxStake);
+
+    event ReferrerBound(address indexed player, address indexed referrer);
+
+    event ReferralAccrued(address indexed referrer, address indexed player, address indexed token, uint256 amount);
+
+    event ReferralClaimed(address indexed referrer, address indexed token, uint256 amount);
+
+    event ReferralShareUpdated(uint256 oldShareBps, uint256 newShareBps);
+
+    event PayeesUpdated(address[] payees, uint256[] shareBps);
+
+    event FeesSplit(address indexed token, uint256 amount);
+
+    // ============ Errors ============
+
+    error InvalidAddress();
+    error InvalidGame();
+    error InvalidBuyIn();
+    error TokenNotAllowed();
+    error InvalidNativeValue();
+    error NothingToClaim();
+    error NativeTransferFailed();
+    error InvalidTargetPlayers();
+    error InvalidDeadline();
+    error InvalidFeeBps();
+    error InvalidValue();
+    error GameNotWaiting();
+    error GameNotLive();
+    error GameAlreadyStarted();
+    error GameAlreadyEnded();
+    error DeadlinePassed();
+    error PlayerNotActive();
+    error PlayerAlreadyActive();
+    error PlayerNotExited();
+    error PlayerAlreadyExited();
+    error EventIdAlreadyUsed();
+    error InsufficientFunds();
+    error NotOperator();
+    error ContractPaused();
+    error ZeroTreasury();
+    error NoPendingChange();
+    error ChangeNotReady();
+    error InvalidDelay();
+    error ChangeMismatch();
+    error InvalidChange();
+    error NotPendingAccount();
+    error OperatorRoleLocked();
+    error PermitFailed();
+    error AuthorizationExpired();
+    error InvalidSignature();
+    error NonceAlreadyUsed();
+    error InvalidReferrer();
+    error ReferrerAlreadySet();
+    error InvalidReferralShare();
+    error InvalidPayees();
+    error GameNotCancellable();
+    error GameNotCancelled();
+    error AlreadyRefunded();
+    error PlayersStillActive();
+    error LengthMismatch();
+    error InvalidBatchSize();
+    error InvalidBounds();
+    error PayoutAboveDepositCap();
+    error PayoutAbovePotShare();
+    error ValueAboveNetPot();
+
+    // ============ Modifiers ============
+
+    modifier onlyOperator() {
+        if (!hasRole(OPERATOR_ROLE, msg.sender)) revert NotOperator();
+        _;
+    }
+
+    modifier whenNotPaused() {
+        if (paused) revert ContractPaused();
+        _;
+    }
+
+    modifier validGame(uint256 gameId) {
+        if (games[gameId].status == GameStatus.NONE) revert InvalidGame();
+        _;
+    }
+
+    // ============ Initializer ============
+
+    /**
+     * @dev Called by the RealtimeGamePoolEscrow constructor and by RealtimeGamePoolEscrowUpgradeable.initialize();
+     *      msg.sender receives every role except OPERATOR_ROLE.
+     * @param usdc_ USDC token address, listed as the first buy-in token without buy-in limits
+     * @param operator_ Initial operator address
+     * @param treasury_ Initial treasury address
+     * @param feeBps_ Initial fee in basis points (e.g., 200 = 2%)
+     */
+    function __RealtimeGamePoolEscrow_init(
+        address usdc_,
+        address operator_,
+        address treasury_,
+        uint256 feeBps_
+    ) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __EIP712_init("RealtimeGamePoolEscrow", "1");
+
+        if (usdc_ == address(0) || operator_ == address(0) || treasury_ == address(0)) {
+            revert InvalidAddress();
+        }
+        if (feeBps_ > MAX_FEE_BPS) {
+            revert InvalidFeeBps();
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(OPERATOR_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, operator_);
+
+        operator = operator_;
+        treasury = treasury_;
+        feeBps = feeBps_;
+        _setStakeToken(usdc_, true, 1, type(uint256).max);
+        AdminTimelock.setMinDelay(timelock, DEFAULT_ADMIN_DELAY);
+        minPlayers = DEFAULT_MIN_PLAYERS;
+    }
+
+    // ============ Access Control ============
+
+    /**
+     * @notice Grant `role` to `account` (admin of `role`)
+     * @dev OPERATOR_ROLE only moves with acceptOperator, so it always belongs to `operator` and
+     *      cannot be handed out without the operator timelock
+     */
+    function grantRole(bytes32 role, address account) public override {
+        if (role == OPERATOR_ROLE) revert OperatorRoleLocked();
+        super.grantRole(role, account);
+    }
+
+    /**
+     * @notice Revoke `role` from `account` (admin of `role`); OPERATOR_ROLE cannot be revoked, see grantRole
+     */
+    function revokeRole(bytes32 role, address account) public override {
+        if (role == OPERATOR_ROLE) revert OperatorRoleLocked();
+        super.revokeRole(role, account);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Send an ended game's unpaid balance to leftoverDestination. SURVIVORS shares are only
+     *      credited to leftoverBalance (no transfer, so one survivor that cannot receive the token
+     *      does not block endGame) and rounded down; the rounding dust, and the whole leftover when
+     *      no survivor has a value, accrue to the fees.
+     */
+    function _distributeLeftover(uint256 gameId, address token, uint256 leftover) internal {
+        LeftoverDestination destination = leftoverDestination;
+        uint256 total = totalFinalValue[gameId];
+
+        if (destination == LeftoverDestination.NEXT_GAME_SEED) {
+            seedBalance[token] += leftover;
+        } else if (destination == LeftoverDestination.SURVIVORS && total > 0) {
+            address[] storage players = survivors[gameId];
+            uint256 credited;
+            for (uint256 i = 0; i < players.length; i++) {
+                uint256 share = (leftover * finalValue[gameId][players[i]]) / total;
+                if (share > 0) {
+                    credited += share;
+                    leftoverBalance[players[i]][token] += share;
+                    emit LeftoverCredited(gameId, players[i], share);
+                }
+            }
+            accruedFees[token] += leftover - credited;
+        } else {
+            destination = LeftoverDestination.TREASURY;
+            accruedFees[token] += leftover;
+        }
+
+        emit LeftoverDistributed(gameId, destination, leftover);
+    }
+
+    /**
+     * @dev Revert unless the game is still WAITING or FULL
+     */
+    function _requireNotStarted(Game storage game) internal view {
+        if (game.status != GameStatus.WAITING && game.status != GameStatus.FULL) {
+            revert GameNotWaiting();
+        }
+    }
+
+    /**
+     * @dev Move a game that has not started to CANCELLED. No fee was reserved before start, so the
+     *      whole totalDeposited is refundable.
+     */
+    function _cancelGame(uint256 gameId) internal {
+        Game storage game = games[gameId];
+        game.status = GameStatus.CANCELLED;
+
+        emit GameCancelled(gameId, msg.sender, game.totalDeposited);
+    }
+
+    /**
+     * @dev Pay buy-in for `player`. Funds are always pulled from `player`.
+     */
+    function _joinGame(uint256 gameId, address player) internal {
+        Game storage game = games[gameId];
+
+        // Cannot join if game already started or ended
+        if (game.status >= GameStatus.LIVE) {
+            revert GameNotWaiting();
+        }
+
+        // Cannot join after deadline
+        if (block.timestamp > game.joinDeadline) {
+            revert DeadlinePassed();
+        }
+
+        // Transfer buy-in from player (msg.value for native ETH games)
+        _collect(game.token, player, game.buyIn);
+
+        // Update state (Checks-Effects-Interactions)
+        if (!playerEverJoined[gameId][player]) {
+            playerEverJoined[gameId][player] = true;
+            playerActive[gameId][player] = true;
+            activePlayerCount[gameId]++;
+        } else {
+            // Player rejoining (should use revive if they exited)
+            if (!playerActive[gameId][player]) {
+                playerActive[gameId][player] = true;
+                activePlayerCount[gameId]++;
+            }
+        }
+
+        playerDeposited[gameId][player] += game.buyIn;
+        game.totalDeposited += game.buyIn;
+
+        // Buy-ins before start make up potAtStart: track the referred part for the player's settlement
+        if (referrals.referrerOf[player] != address(0)) {
+            referredDeposit[gameId][player] += game.buyIn;
+        }
+
+        emit PlayerJoined(gameId, player, game.buyIn, playerDeposited[gameId][player]);
+
+        // Check if target players reached (optional: can still start manually)
+        if (activePlayerCount[gameId] >= game.targetPlayers && game.status == GameStatus.WAITING) {
+            game.status = GameStatus.FULL;
+            emit GameFull(gameId);
+        }
+    }
+
+    /**
+     * @dev Settle a single death or alive exit
+     */
+    function _settleExit(uint256 gameId, address player, uint256 value, uint256 eventId, ExitKind kind) internal {
+        Game storage game = games[gameId];
+
+        // Game must be LIVE
+        if (game.status != GameStatus.LIVE) {
+            revert GameNotLive();
+        }
+
+        // Check available funds (reservedFee is accounting only, not yet transferred)
+        uint256 available = game.totalDeposited - game.reservedFee - game.totalPaidOut;
+        uint256 payout = _exitPlayer(gameId, player, value, eventId, kind, available);
+
+        // Update state (Checks-Effects-Interactions)
+        activePlayerCount[gameId]--;
+        game.totalPaidOut += payout;
+
+        // Transfer payout to player
+        _pay(game.token, player, payout);
+
+        _emitExit(gameId, player, value, payout, eventId, kind);
+    }
+
+    /**
+     * @dev Check an exit against the game's `available` balance and mark the player exited and the
+     *      event ID used. The caller updates activePlayerCount / totalPaidOut and pays.
+     * @return payout 50% of `value` for a death exit, 100% for an alive exit
+     */
+    function _exitPlayer(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId,
+        ExitKind kind,
+        uint256 available
+    ) internal returns (uint256 payout) {
+        // Player must be active
+        if (!playerActive[gameId][player]) {
+            revert PlayerNotActive();
+        }
+
+        // Player must not already be exited
+        if (playerExited[gameId][player]) {
+            revert PlayerAlreadyExited();
+        }
+
+        // Check event ID not used (anti-replay)
+        if (usedEventId[gameId][eventId]) {
+            revert EventIdAlreadyUsed();
+        }
+
+        // Value must be greater than 0
+        if (value == 0) {
+            revert InvalidValue();
+        }
+
+        payout = kind == ExitKind.DEATH ? value / 2 : value;
+        if (payout > available) {
+            revert InsufficientFunds();
+        }
+        _checkBounds(gameId, player, value, payout);
+
+        usedEventId[gameId][eventId] = true;
+        playerActive[gameId][player] = false;
+        playerExited[gameId][player] = true;
+        _creditReferral(gameId, player);
+    }
+
+    /**
+     * @dev On `player`'s first settlement, credit their referrer with its share of the part of
+     *      reservedFee their referredDeposit paid
+     */
+    function _creditReferral(uint256 gameId, address player) internal {
+        uint256 deposit = referredDeposit[gameId][player];
+        if (deposit == 0) {
+            return;
+        }
+
+        Game storage game = games[gameId];
+        referredDeposit[gameId][player] = 0;
+        uint256 playerFee = (game.reservedFee * deposit) / game.potAtStart;
+        referralCredited[gameId] += Referrals.accrue(referrals, player, game.token, playerFee);
+    }
+
+    /**
+     * @dev Check a settlement against the game's bounds and add `value` to totalReportedValue
+     */
+    function _checkBounds(uint256 gameId, address player, uint256 value, uint256 payout) internal {
+        Game storage game = games[gameId];
+        SettlementBounds memory bounds = gameBounds[gameId];
+
+        if (
+            bounds.maxPayoutMultipleBps != 0 &&
+            payout > (playerDeposited[gameId][player] * bounds.maxPayoutMultipleBps) / 10_000
+        ) {
+            revert PayoutAboveDepositCap();
+        }
+        if (bounds.maxPotShareBps != 0 && payout > (game.potAtStart * bounds.maxPotShareBps) / 10_000) {
+            revert PayoutAbovePotShare();
+        }
+
+        uint256 reported = totalReportedValue[gameId] + value;
+        if (bounds.capTotalValue && reported > game.totalDeposited - game.reservedFee) {
+            revert ValueAboveNetPot();
+        }
+        totalReportedValue[gameId] = reported;
+    }
+
+    /**
+     * @dev Smaller of two values
+     */
+    function _min(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a < b ? a : b;
+    }
+
+    /**
+     * @dev Validate and build settlement bounds
+     */
+    function _bounds(
+        uint32 maxPayoutMultipleBps,
+        uint16 maxPotShareBps,
+        bool capTotalValue
+    ) internal pure returns (SettlementBounds memory) {
+        if (maxPotShareBps > 10_000) {
+            revert InvalidBounds();
+        }
+        return SettlementBounds(maxPayoutMultipleBps, maxPotShareBps, capTotalValue);
+    }
+
+    /**
+     * @dev Emit PlayerDeathSettled or PlayerAliveSettled
+     */
+    function _emitExit(
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 payout,
+        uint256 eventId,
+        ExitKind kind
+    ) internal {
+        if (kind == ExitKind.DEATH) {
+            emit PlayerDeathSettled(gameId, player, value, payout, eventId);
+        } else {
+            emit PlayerAliveSettled(gameId, player, value, payout, eventId);
+        }
+    }
+
+    /**
+     * @dev Check an operator-signed DeathExit / AliveExit message. Replay protection is the
+     *      settlement's usedEventId check.
+     */
+    function _checkSettlementSignature(
+        bytes32 typehash,
+        uint256 gameId,
+        address player,
+        uint256 value,
+        uint256 eventId,
+        uint256 validUntil,
+        bytes calldata signature
+    ) internal view {
+        if (block.timestamp > validUntil) {
+            revert AuthorizationExpired();
+        }
+
+        // deposited ties the message to the player's current life: a revive invalidates it
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(typehash, gameId, player, playerDeposited[gameId][player], value, eventId, validUntil)
+            )
+        );
+        if (!SignatureChecker.isValidSignatureNow(operator, digest, signature)) {
+            revert InvalidSignature();
+        }
+    }
+
+    /**
+     * @dev Pay another buy-in for an exited `player`. Funds are always pulled from `player`.
+     */
+    function _revive(uint256 gameId, address player) internal {
+        Game storage game = games[gameId];
+
+        // Game must be LIVE
+        if (game.status != GameStatus.LIVE) {
+            revert GameNotLive();
+        }
+
+        // Player must have previously joined
+        if (!playerEverJoined[gameId][player]) {
+            revert PlayerNotActive();
+        }
+
+        // Player must have exited (died)
+        if (!playerExited[gameId][player]) {
+            revert PlayerNotExited();
+        }
+
+        // Player must not be currently active
+        if (playerActive[gameId][player]) {
+            revert PlayerAlreadyActive();
+        }
+
+        // Transfer buy-in from player (msg.value for native ETH games)
+        _collect(game.token, player, game.buyIn);
+
+        // Update state (Checks-Effects-Interactions)
+        playerActive[gameId][player] = true;
+        playerExited[gameId][player] = false;
+        activePlayerCount[gameId]++;
+        playerDeposited[gameId][player] += game.buyIn;
+        game.totalDeposited += game.buyIn;
+
+        emit PlayerRevived(gameId, player, game.buyIn, playerDeposited[gameId][player]);
+        emit PlayerJoined(gameId, player, game.buyIn, playerDeposited[gameId][player]);
+    }
+
+    /**
+     * @dev Check and consume a player-signed Join/Revive authorization
+     */
+    function _useAuthorization(
+        bytes32 typehash,
+        address player,
+        uint256 gameId,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > expiry) {
+            revert AuthorizationExpired();
+        }
+        if (usedAuthorizationNonce[player][nonce]) {
+            revert NonceAlreadyUsed();
+        }
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(typehash, player, gameId, nonce, expiry)));
+        if (ECDSA.recover(digest, signature) != player) {
+            revert InvalidSignature();
+        }
+
+        usedAuthorizationNonce[player][nonce] = true;
+    }
+
+    /**
+     * @dev List/delist a buy-in token. Decimals are read from the token (IERC20Metadata),
+     *      NATIVE_TOKEN (ETH) has 18.
+     */
+    function _setStakeToken(
+        address token,
+        bool allowed,
+        uint256 minStake,
+        uint256 maxStake
+    ) internal {
+        if (allowed && (minStake == 0 || minStake > maxStake)) {
+            revert InvalidBuyIn();
+        }
+
+        uint8 decimals = token == NATIVE_TOKEN ? 18 : IERC20Metadata(token).decimals();
+        stakeTokens[token] = StakeToken({
+            allowed: allowed,
+            decimals: decimals,
+            minStake: minStake,
+            maxStake: maxStake
+        });
+
+        emit StakeTokenUpdated(token, allowed, decimals, minStake, maxStake);
+    }
+
+    /**
+     * @dev Take `amount` into escrow: exactly msg.value for native ETH games, otherwise a
+     *      transferFrom `payer` (and no ETH may be sent along)
+     */
+    function _collect(address token, address payer, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            if (msg.value != amount) {
+                revert InvalidNativeValue();
+            }
+            return;
+        }
+        if (msg.value != 0) {
+            revert InvalidNativeValue();
+        }
+        IERC20(token).safeTransferFrom(payer, address(this), amount);
+    }
+
+    /**
+     * @dev Pay `amount` of `token` out of escrow. Native ETH is pushed with NATIVE_PAYOUT_GAS;
+     *      if the recipient rejects it (or needs more gas) it becomes claimable via claimNative,
+     *      so a reverting player cannot block settlements.
+     */
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token != NATIVE_TOKEN) {
+            IERC20(token).safeTransfer(to, amount);
+            return;
+        }
+
+        (bool sent, ) = payable(to).call{value: amount, gas: NATIVE_PAYOUT_GAS}("");
+        if (!sent) {
+            claimableNative[to] += amount;
+            emit NativePayoutDeferred(to, amount);
+        }
+    }
+
+    /**
+     * @dev Role that schedules (and may cancel) a kind of timelocked change
+     */
+    function _changeRole(AdminTimelock.Change change) internal pure returns (bytes32) {
+        if (change == AdminTimelock.Change.OPERATOR) {
+            return OPERATOR_ADMIN_ROLE;
+        }
+        if (change == AdminTimelock.Change.TREASURY || change == AdminTimelock.Change.PAYEES) {
+            return TREASURER_ROLE;
+        }
+        if (change == AdminTimelock.Change.FEE_BPS) {
+            return FEE_MANAGER_ROLE;
+        }
+        if (change == AdminTimelock.Change.UPGRADE) {
+            return UPGRADER_ROLE;
+        }
+        return DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+     * @dev Pay out a payee's split fee balance in a token (no-op if empty)
+     */
+    function _releaseFeeShare(address payee, address token) internal returns (uint256 amount) {
+        amount = RevenueShare.release(revenueShare, payee, token);
+        if (amount > 0) {
+            _pay(token, payee, amount);
+            emit FeesWithdrawn(token, payee, amount);
+        }
+    }
+
+    /**
+     * @dev Apply an EIP-2612 permit for `amount`. A failed permit is tolerated when the allowance
+     *      is already sufficient (permit front-run by a third party), otherwise reverts.
+     */
+    function _permit(
+        address token,
+        address player,
+        uint256 amount,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        if (token == NATIVE_TOKEN) {
+            revert PermitFailed();
+        }
+        try IERC20Permit(token).permit(player, address(this), amount, permitDeadline, v, r, s) {
+            return;
+        } catch {
+            if (IERC20(token).allowance(player, address(this)) < amount) {
+                revert PermitFailed();
+            }
+        }
+    }
+}
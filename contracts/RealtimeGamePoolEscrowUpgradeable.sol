@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./RealtimeGamePoolEscrowBase.sol";
+
+/**
+ * @title RealtimeGamePoolEscrowUpgradeable
+ * @notice UUPS implementation of RealtimeGamePoolEscrow, deployed behind an ERC1967 proxy
+ * @dev The proxy must be deployed with the initialize() calldata so the call cannot be front-run.
+ *      Upgrades are gated by UPGRADER_ROLE and the admin timelock; new implementations must keep the
+ *      storage layout of RealtimeGamePoolEscrowStorage and only append state (shrinking its __gap accordingly).
+ */
+contract RealtimeGamePoolEscrowUpgradeable is RealtimeGamePoolEscrowBase, UUPSUpgradeable {
+    /**
+     * @param gameModule_ RealtimeGamePoolEscrowGameModule deployment
+     * @param adminModule_ RealtimeGamePoolEscrowAdminModule deployment
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address gameModule_, address adminModule_) RealtimeGamePoolEscrowBase(gameModule_, adminModule_) {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize the proxy; msg.sender also receives UPGRADER_ROLE
+     * @param usdc_ USDC token address
+     * @param operator_ Initial operator address
+     * @param treasury_ Initial treasury address
+     * @param feeBps_ Initial fee in basis points (e.g., 200 = 2%)
+     */
+    function initialize(address usdc_, address operator_, address treasury_, uint256 feeBps_) external initializer {
+        __RealtimeGamePoolEscrow_init(usdc_, operator_, treasury_, feeBps_);
+        __UUPSUpgradeable_init();
+        _grantRole(UPGRADER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Only UPGRADER_ROLE can upgrade (checked by upgradeToAndCall), to an implementation it
+     *      scheduled with scheduleCall(UPGRADE, keccak256(abi.encode(newImplementation))) at least
+     *      minDelay before
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.UPGRADE, keccak256(abi.encode(newImplementation)));
+    }
+}
@@ -0,0 +1,313 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeMatchEscrowStorage.sol";
+
+/**
+ * @title RealtimeMatchEscrowAdminModule
+ * @notice Admin functions of RealtimeMatchEscrow: timelocked changes, settings, pause and fee withdrawal
+ * @dev Passed to the RealtimeMatchEscrowBase constructor and only reached through DELEGATECALL from
+ *      the escrow, so every function runs on the escrow's storage, balance and address.
+ */
+contract RealtimeMatchEscrowAdminModule is RealtimeMatchEscrowStorage {
+    // ============ Revenue Share ============
+
+    /**
+     * @notice Pull msg.sender's fee share in a token without waiting for withdrawFees
+     * @dev Splits the token's accrued fees between all payees first, then pays msg.sender's split
+     *      balance. Former payees can still claim what was split to them.
+     * @param token Token to claim
+     */
+    function claimFeeShare(address token) external nonReentrant {
+        uint256 accrued = accruedFees[token];
+        if (accrued > 0 && revenueShare.payees.length > 0) {
+            accruedFees[token] = 0;
+            RevenueShare.split(revenueShare, token, accrued);
+        }
+
+        if (_releaseFeeShare(msg.sender, token) == 0) {
+            revert NothingToClaim();
+        }
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Schedule an operator change (OPERATOR_ADMIN_ROLE); the new operator accepts it after
+     *         the delay
+     * @param newOperator New operator address
+     */
+    function scheduleOperator(address newOperator) external onlyRole(OPERATOR_ADMIN_ROLE) {
+        if (newOperator == address(0)) {
+            revert InvalidAddress();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.OPERATOR, uint160(newOperator));
+    }
+
+    /**
+     * @notice Schedule a treasury change (TREASURER_ROLE); the new treasury accepts it after the delay
+     * @param newTreasury New treasury address
+     */
+    function scheduleTreasury(address newTreasury) external onlyRole(TREASURER_ROLE) {
+        if (newTreasury == address(0)) {
+            revert ZeroTreasury();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.TREASURY, uint160(newTreasury));
+    }
+
+    /**
+     * @notice Schedule a fee change (FEE_MANAGER_ROLE), executed with executeFeeBps() after the delay
+     * @param newFeeBps New fee in basis points (max 1000 = 10%)
+     */
+    function scheduleFeeBps(uint256 newFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        if (newFeeBps > MAX_FEE_BPS) {
+            revert InvalidFeeBps();
+        }
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.FEE_BPS, newFeeBps);
+    }
+
+    /**
+     * @notice Schedule a minimum delay change (DEFAULT_ADMIN_ROLE), executed with executeMinDelay()
+     *         after the current delay
+     * @param newDelay New minimum delay in seconds (max 30 days)
+     */
+    function scheduleMinDelay(uint256 newDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        AdminTimelock.schedule(timelock, AdminTimelock.Change.MIN_DELAY, newDelay);
+    }
+
+    /**
+     * @notice Schedule a timelocked setter call (role of that setter; UPGRADER_ROLE for UPGRADE),
+     *         made once the delay has passed with the same arguments
+     * @param change PAYEES, RESULT_SIGNER, RESULT_THRESHOLD, ARBITER or UPGRADE
+     * @param argsHash keccak256(abi.encode(...)) of the setter arguments
+     */
+    function scheduleCall(AdminTimelock.Change change, bytes32 argsHash) external {
+        if (change < AdminTimelock.Change.PAYEES) {
+            revert InvalidChange();
+        }
+        _checkRole(_changeRole(change));
+        AdminTimelock.schedule(timelock, change, uint256(argsHash));
+    }
+
+    /**
+     * @notice Cancel a pending change (role that schedules that kind of change)
+     * @param change Kind of change to cancel
+     */
+    function cancelChange(AdminTimelock.Change change) external {
+        _checkRole(_changeRole(change));
+        AdminTimelock.cancel(timelock, change);
+    }
+
+    /**
+     * @notice Become operator once a scheduled operator change is ready (pending operator only)
+     */
+    function acceptOperator() external {
+        address newOperator = address(uint160(AdminTimelock.execute(timelock, AdminTimelock.Change.OPERATOR)));
+        if (msg.sender != newOperator) {
+            revert NotPendingAccount();
+        }
+        address oldOperator = operator;
+        operator = newOperator;
+        _revokeRole(OPERATOR_ROLE, oldOperator);
+        _grantRole(OPERATOR_ROLE, newOperator);
+        emit OperatorUpdated(oldOperator, newOperator);
+    }
+
+    /**
+     * @notice Become treasury once a scheduled treasury change is ready (pending treasury only)
+     */
+    function acceptTreasury() external {
+        address newTreasury = address(uint160(AdminTimelock.execute(timelock, AdminTimelock.Change.TREASURY)));
+        if (msg.sender != newTreasury) {
+            revert NotPendingAccount();
+        }
+        address oldTreasury = treasuryAddress;
+        treasuryAddress = newTreasury;
+        emit TreasuryUpdated(oldTreasury, newTreasury);
+    }
+
+    /**
+     * @notice Apply a scheduled fee change once its delay has passed (FEE_MANAGER_ROLE)
+     */
+    function executeFeeBps() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 newFeeBps = AdminTimelock.execute(timelock, AdminTimelock.Change.FEE_BPS);
+        uint256 oldFeeBps = feeBps;
+        feeBps = newFeeBps;
+        emit FeeBpsUpdated(oldFeeBps, newFeeBps);
+    }
+
+    /**
+     * @notice Apply a scheduled minimum delay change once its delay has passed (DEFAULT_ADMIN_ROLE)
+     */
+    function executeMinDelay() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        AdminTimelock.setMinDelay(timelock, AdminTimelock.execute(timelock, AdminTimelock.Change.MIN_DELAY));
+    }
+
+    /**
+     * @notice Withdraw accrued fees of a token (TREASURER_ROLE): to treasury, or split between the
+     *         payees by weight and paid out to each of them when a payee table is set
+     * @param token Token to withdraw fees in
+     */
+    function withdrawFees(address token) external nonReentrant onlyRole(TREASURER_ROLE) {
+        uint256 amount = accruedFees[token];
+        if (amount == 0) {
+            revert NoFeesToWithdraw();
+        }
+        accruedFees[token] = 0;
+
+        address[] memory payees = revenueShare.payees;
+        if (payees.length == 0) {
+            _pay(token, treasuryAddress, amount);
+            emit FeesWithdrawn(token, treasuryAddress, amount);
+            return;
+        }
+
+        RevenueShare.split(revenueShare, token, amount);
+        for (uint256 i = 0; i < payees.length; i++) {
+            _releaseFeeShare(payees[i], token);
+        }
+    }
+
+    /**
+     * @notice Replace the fee payee table (TREASURER_ROLE), as scheduled with scheduleCall(PAYEES)
+     * @dev Weights must be non-zero and sum to 10000 (at most 10 payees); an empty table sends fees
+     *      to treasuryAddress again. Fees still accrued are split with the table in force when
+     *      they are withdrawn or claimed, so withdraw first to settle them under the old weights.
+     * @param payees Fee recipients (the first one also receives the rounding remainder of each split)
+     * @param shareBps Weight of each payee in basis points
+     */
+    function setPayees(
+        address[] calldata payees,
+        uint256[] calldata shareBps
+    ) external onlyRole(TREASURER_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.PAYEES, keccak256(abi.encode(payees, shareBps)));
+        RevenueShare.setPayees(revenueShare, payees, shareBps);
+    }
+
+    /**
+     * @notice Add a result signer (OPERATOR_ADMIN_ROLE), as scheduled with scheduleCall(RESULT_SIGNER)
+     * @param signer Result validator address
+     */
+    function addResultSigner(address signer) external onlyRole(OPERATOR_ADMIN_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.RESULT_SIGNER, keccak256(abi.encode(signer)));
+        if (signer == address(0) || isResultSigner[signer]) {
+            revert InvalidAddress();
+        }
+        isResultSigner[signer] = true;
+        resultSignerCount++;
+        emit ResultSignerAdded(signer);
+    }
+
+    /**
+     * @notice Remove a result signer (OPERATOR_ADMIN_ROLE). Cannot drop below the current threshold.
+     * @dev Not timelocked: it only shrinks the signer set, so a leaked signer key can be dropped at once
+     * @param signer Result validator address
+     */
+    function removeResultSigner(address signer) external onlyRole(OPERATOR_ADMIN_ROLE) {
+        if (!isResultSigner[signer]) {
+            revert InvalidAddress();
+        }
+        if (resultSignerCount - 1 < resultThreshold) {
+            revert InvalidThreshold();
+        }
+        isResultSigner[signer] = false;
+        resultSignerCount--;
+        emit ResultSignerRemoved(signer);
+    }
+
+    /**
+     * @notice Set how many result signers must sign a resolution (OPERATOR_ADMIN_ROLE), as scheduled
+     *         with scheduleCall(RESULT_THRESHOLD)
+     * @param newThreshold Required signatures (0 = back to single operator signature)
+     */
+    function setResultThreshold(uint256 newThreshold) external onlyRole(OPERATOR_ADMIN_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.RESULT_THRESHOLD, keccak256(abi.encode(newThreshold)));
+        if (newThreshold > resultSignerCount) {
+            revert InvalidThreshold();
+        }
+        uint256 oldThreshold = resultThreshold;
+        resultThreshold = newThreshold;
+        emit ResultThresholdUpdated(oldThreshold, newThreshold);
+    }
+
+    /**
+     * @notice Set the challenge window for new results (DEFAULT_ADMIN_ROLE)
+     * @dev Applies to results proposed after the change; results already proposed keep their end time
+     * @param newWindow Window in seconds (0 = instant payout, max MAX_CHALLENGE_WINDOW)
+     */
+    function setChallengeWindow(uint64 newWindow) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newWindow > MAX_CHALLENGE_WINDOW) {
+            revert InvalidChallengeWindow();
+        }
+        uint64 oldWindow = challengeWindow;
+        challengeWindow = newWindow;
+        emit ChallengeWindowUpdated(oldWindow, newWindow);
+    }
+
+    /**
+     * @notice Set the bond required to dispute a result of a room staked in `token` (DEFAULT_ADMIN_ROLE)
+     * @param token Stake token
+     * @param newBond Bond in token units
+     */
+    function setDisputeBond(address token, uint256 newBond) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 oldBond = disputeBond[token];
+        disputeBond[token] = newBond;
+        emit DisputeBondUpdated(token, oldBond, newBond);
+    }
+
+    /**
+     * @notice List, update or delist a stake token (DEFAULT_ADMIN_ROLE)
+     * @dev Delisting only blocks new rooms; existing rooms keep settling in their token. Not timelocked:
+     *      it never touches funds already staked, and players choose the token of each room they join.
+     * @param token ERC20 token address
+     * @param allowed Whether new rooms may use the token
+     * @param minStake Minimum stake per player (token units, > 0)
+     * @param maxStake Maximum stake per player (token units)
+     */
+    function setStakeToken(
+        address token,
+        bool allowed,
+        uint256 minStake,
+        uint256 maxStake
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setStakeToken(token, allowed, minStake, maxStake);
+    }
+
+    /**
+     * @notice Set the dispute arbiter (DEFAULT_ADMIN_ROLE, zero address = admins decide alone), as
+     *         scheduled with scheduleCall(ARBITER)
+     * @param newArbiter New arbiter address
+     */
+    function setArbiter(address newArbiter) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.ARBITER, keccak256(abi.encode(newArbiter)));
+        address oldArbiter = arbiter;
+        arbiter = newArbiter;
+        emit ArbiterUpdated(oldArbiter, newArbiter);
+    }
+
+    /**
+     * @notice Set the referrer share of the protocol fee (FEE_MANAGER_ROLE, max 50%)
+     * @dev Not timelocked: it only moves part of the fee between the payees and referrers, never
+     *      player stakes or payouts
+     * @param newShareBps New share in basis points of the fee (e.g., 2000 = 20% of the fee)
+     */
+    function setReferralShareBps(uint256 newShareBps) external onlyRole(FEE_MANAGER_ROLE) {
+        Referrals.setShare(referrals, newShareBps);
+    }
+
+    /**
+     * @notice Pause contract (PAUSER_ROLE)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Unpause contract (PAUSER_ROLE)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+}
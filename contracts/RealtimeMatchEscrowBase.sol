@@ -0,0 +1,924 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeMatchEscrowStorage.sol";
+
+/**
+ * @title RealtimeMatchEscrowBase
+ * @notice Escrow contract for real-time offchain games. Collects stakes from two players in an
+ *         admin-allowlisted token (USDC by default) or native ETH, locks the room once both have
+ *         paid, then pays the winner based on backend-signed proof.
+ *         Takes a configurable commission (default 2%) to treasury.
+ * @dev MVP / Testnet version. Onchain data is PUBLIC (mempool + calldata + storage).
+ *      This contract uses EIP-712 signatures for integrity verification and optional commitment
+ *      hashes for linking offchain room keys. The "encryptedMetadata" is informational only and PUBLIC.
+ *      Shared logic of RealtimeMatchEscrow (plain deployment) and RealtimeMatchEscrowUpgradeable (UUPS proxy);
+ *      state, events and errors live in RealtimeMatchEscrowStorage.
+ *      To stay under the EIP-170 contract size limit, open seats, cancellations, disputes and
+ *      referrals run in RealtimeMatchEscrowRoomModule and admin functions in
+ *      RealtimeMatchEscrowAdminModule, both deployed first and passed to the constructor. The
+ *      functions marked "Runs in" a module only forward the call to it with DELEGATECALL, so they
+ *      share this contract's storage, balance, address, events and errors.
+ * @author Senior Solidity Engineer (Audit Mindset)
+ */
+abstract contract RealtimeMatchEscrowBase is RealtimeMatchEscrowStorage {
+    // ============ Modules ============
+
+    /// @notice Contract running the functions marked "Runs in RealtimeMatchEscrowRoomModule"
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable roomModule;
+
+    /// @notice Contract running the functions marked "Runs in RealtimeMatchEscrowAdminModule"
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable adminModule;
+
+    /**
+     * @param _roomModule RealtimeMatchEscrowRoomModule deployment
+     * @param _adminModule RealtimeMatchEscrowAdminModule deployment
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _roomModule, address _adminModule) {
+        if (_roomModule.code.length == 0 || _adminModule.code.length == 0) {
+            revert InvalidAddress();
+        }
+        roomModule = _roomModule;
+        adminModule = _adminModule;
+    }
+
+    // ============ Room Lifecycle ============
+
+    /**
+     * @notice Create a new room (callable by operator/backend)
+     * @param token Allowlisted stake token
+     * @param playerA First player address
+     * @param playerB Second player address
+     * @param stake Stake amount per player in token units (e.g., 5 USDC = 5_000_000), within the token's limits
+     * @param joinDeadline Unix timestamp by which both players must pay and the room must start
+     * @param deadline Unix timestamp resolution deadline (must be after joinDeadline)
+     * @param roomKeyCommitment Commitment hash of offchain room key (integrity only, PUBLIC)
+     * @param metadataHash Hash of "encryptedMetadata" blob (informational, PUBLIC)
+     * @return roomId The created room ID
+     */
+    function createRoom(
+        address token,
+        address playerA,
+        address playerB,
+        uint256 stake,
+        uint64 joinDeadline,
+        uint64 deadline,
+        bytes32 roomKeyCommitment,
+        bytes32 metadataHash
+    ) external whenNotPaused onlyOperator returns (uint256 roomId) {
+        if (playerB == address(0)) {
+            revert InvalidAddress();
+        }
+
+        roomId = _createRoom(token, playerA, playerB, stake, joinDeadline, deadline, roomKeyCommitment, metadataHash);
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function createOpenRoom(
+        address,
+        address,
+        uint256,
+        uint64,
+        uint64,
+        bytes32,
+        bytes32,
+        SeatRule calldata
+    ) external returns (uint256) {
+        _delegateToRoomModule();
+    }
+
+    /**
+     * @notice Join a room by paying stake (callable by room players only)
+     * @dev Native ETH rooms are paid with msg.value == stake, token rooms with a prior approve
+     * @param roomId Room ID to join
+     */
+    function joinRoom(uint256 roomId) external payable nonReentrant whenNotPaused validRoom(roomId) {
+        _joinRoom(roomId, msg.sender);
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function joinRoomWithReferrer(uint256, address) external payable {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function joinRoomWithPermit(uint256, uint256, uint8, bytes32, bytes32) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function joinRoomFor(uint256, address, uint256, uint256, bytes calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function joinRoomWithRating(uint256, uint256, uint256, bytes calldata) external payable {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function joinRoomWithInvite(uint256, bytes calldata) external payable {
+        _delegateToRoomModule();
+    }
+
+    /**
+     * @notice Start a room (callable by anyone once READY)
+     * @param roomId Room ID to start
+     */
+    function startRoom(uint256 roomId) external whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+
+        if (room.status != RoomStatus.READY) {
+            revert RoomNotReady();
+        }
+
+        // Unstarted rooms expire at join deadline (refundable from then on)
+        if (block.timestamp > room.joinDeadline) {
+            revert RoomExpired();
+        }
+
+        room.status = RoomStatus.STARTED;
+        emit RoomStarted(roomId);
+    }
+
+    /**
+     * @notice Resolve room and payout winner (callable by anyone with valid operator signature)
+     * @dev If challengeWindow > 0 the result is only proposed (room becomes PROPOSED) and pays
+     *      out through finalizeResult or decideDispute
+     * @param roomId Room ID to resolve
+     * @param winner Winner address (must be playerA or playerB)
+     * @param nonce Unique nonce for this resolution (anti-replay)
+     * @param validUntil Unix timestamp after which the signature can no longer be used
+     * @param signature Operator's EIP-712 signature (EIP-1271 if operator is a contract), or
+     *        concatenated 65-byte result signer signatures when resultThreshold > 0
+     */
+    function resolveAndPayout(
+        uint256 roomId,
+        address winner,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+
+        // Room must be STARTED
+        if (room.status != RoomStatus.STARTED) {
+            revert RoomNotStarted();
+        }
+
+        // Cannot resolve twice
+        if (room.status == RoomStatus.RESOLVED) {
+            revert RoomAlreadyResolved();
+        }
+
+        // Winner must be one of the players
+        if (winner != room.playerA && winner != room.playerB) {
+            revert InvalidWinner();
+        }
+
+        _checkResolvable(room, roomId, nonce, validUntil);
+
+        // Calculate pot, fee, payout
+        uint256 pot = room.stake * 2;
+        uint256 fee = (pot * room.feeBpsSnapshot) / 10_000;
+        uint256 payout = pot - fee;
+
+        // Verify EIP-712 signature
+        _requireResultSignatures(_hashResolve(roomId, winner, pot, fee, payout, nonce, validUntil), signature);
+
+        // Mark nonce as used
+        usedNonce[roomId][nonce] = true;
+
+        // Challenge mode: only record the result, payout happens in finalizeResult / decideDispute
+        if (challengeWindow > 0) {
+            if (winner == room.playerA) {
+                _proposeResult(roomId, payout, 0, fee, nonce);
+            } else {
+                _proposeResult(roomId, 0, payout, fee, nonce);
+            }
+            return;
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        room.status = RoomStatus.RESOLVED;
+        _accrueFee(room, fee);
+
+        // Transfer payout to winner
+        _pay(room.token, winner, payout);
+
+        emit RoomResolved(roomId, winner, pot, fee, payout, nonce);
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function resolveDraw(uint256, uint256, uint256, uint256, bytes calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function resolveBatch(
+        uint256[] calldata,
+        address[] calldata,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes[] calldata,
+        bool
+    ) external returns (uint256) {
+        _delegateToRoomModule();
+    }
+
+    /**
+     * @notice Refund player stake once the room has expired without resolution
+     * @dev A room that never started is refundable after joinDeadline, a STARTED room only after
+     *      deadline. The first refund moves the room to REFUNDING, which can no longer be resolved;
+     *      once every paid player is refunded the room is CANCELLED.
+     * @param roomId Room ID to refund from
+     */
+    function refund(uint256 roomId) external nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+
+        // Only players can refund
+        if (msg.sender != room.playerA && msg.sender != room.playerB) {
+            revert PlayerNotInRoom();
+        }
+
+        // Cannot refund if already refunded
+        if (hasRefunded[roomId][msg.sender]) {
+            revert AlreadyRefunded();
+        }
+
+        // Must have paid
+        if (!hasPaid[roomId][msg.sender]) {
+            revert RoomNotEligibleForRefund();
+        }
+
+        // Room must have expired (never refundable once resolved or cancelled)
+        if (!_isExpired(room)) {
+            revert RoomNotEligibleForRefund();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        room.status = RoomStatus.REFUNDING;
+
+        // If the other player has nothing left in escrow either, mark as cancelled
+        if (_isSettled(roomId, msg.sender == room.playerA ? room.playerB : room.playerA)) {
+            room.status = RoomStatus.CANCELLED;
+        }
+
+        // Mark refunded and transfer refund
+        _refundIfPaid(roomId, room, msg.sender);
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function cancelRoom(uint256, uint8) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function sweepExpired(uint256[] calldata) external returns (uint256) {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function cancelByPlayers(uint256, uint256, uint256, bytes calldata, bytes calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function cancelByOperatorSignature(uint256, uint256, uint256, bytes calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /**
+     * @notice Claim native ETH payouts that could not be pushed to msg.sender
+     */
+    function claimNative() external nonReentrant {
+        uint256 amount = claimableNative[msg.sender];
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        claimableNative[msg.sender] = 0;
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        if (!sent) {
+            revert NativeTransferFailed();
+        }
+
+        emit NativeClaimed(msg.sender, amount);
+    }
+
+    // ============ Referrals ============
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function bindReferrer(address, address, uint256, bytes calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function claimReferral(address) external {
+        _delegateToRoomModule();
+    }
+
+    // ============ Revenue Share ============
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function claimFeeShare(address) external {
+        _delegateToAdminModule();
+    }
+
+    // ============ Challenge Window & Disputes ============
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function disputeResult(uint256) external payable {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function decideDispute(uint256, uint256) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function expireDispute(uint256) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function finalizeResult(uint256) external {
+        _delegateToRoomModule();
+    }
+
+    // ============ Admin Functions ============
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function scheduleOperator(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function scheduleTreasury(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function scheduleFeeBps(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function scheduleMinDelay(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function scheduleCall(AdminTimelock.Change, bytes32) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function cancelChange(AdminTimelock.Change) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function acceptOperator() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function acceptTreasury() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function executeFeeBps() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function executeMinDelay() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function withdrawFees(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setPayees(address[] calldata, uint256[] calldata) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function addResultSigner(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function removeResultSigner(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setResultThreshold(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setChallengeWindow(uint64) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setDisputeBond(address, uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setStakeToken(address, bool, uint256, uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setArbiter(address) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function setReferralShareBps(uint256) external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function pause() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowAdminModule
+    function unpause() external {
+        _delegateToAdminModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function setSeatRule(uint256, SeatRule calldata) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function setSeatAllowlist(uint256, address[] calldata, bool) external {
+        _delegateToRoomModule();
+    }
+
+    /// @dev Runs in RealtimeMatchEscrowRoomModule
+    function setRoomMetadata(uint256, bytes32) external {
+        _delegateToRoomModule();
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Delay between scheduling and executing operator / treasury / fee / delay changes
+     */
+    function minDelay() external view returns (uint256) {
+        return timelock.minDelay;
+    }
+
+    /**
+     * @notice Pending change of a kind (readyAt == 0 if none); addresses are returned as uint160 values
+     * @param change Kind of change
+     * @return value Scheduled value
+     * @return readyAt Earliest execution / acceptance time
+     */
+    function pendingChange(AdminTimelock.Change change) external view returns (uint256 value, uint256 readyAt) {
+        AdminTimelock.Pending memory pending = timelock.pending[change];
+        return (pending.value, pending.readyAt);
+    }
+
+    /**
+     * @notice Fee payees and their weights in basis points (empty = all fees go to the treasury)
+     */
+    function getPayees() external view returns (address[] memory payees, uint256[] memory shareBps) {
+        payees = revenueShare.payees;
+        shareBps = new uint256[](payees.length);
+        for (uint256 i = 0; i < payees.length; i++) {
+            shareBps[i] = revenueShare.shareBps[payees[i]];
+        }
+    }
+
+    /**
+     * @notice Fees already split to a payee in a token and not yet paid out
+     * @dev Excludes the payee's part of accruedFees[token], which is split on the next withdrawal or claim.
+     */
+    function feeShareOf(address payee, address token) external view returns (uint256) {
+        return revenueShare.balance[payee][token];
+    }
+
+    /**
+     * @notice Referrer a player is bound to (zero if none)
+     */
+    function referrerOf(address player) external view returns (address) {
+        return referrals.referrerOf[player];
+    }
+
+    /**
+     * @notice Claimable referral balance of a referrer in a token
+     */
+    function referralBalance(address referrer, address token) external view returns (uint256) {
+        return referrals.balance[referrer][token];
+    }
+
+    /**
+     * @notice Referrer share of the protocol fee in basis points
+     */
+    function referralShareBps() external view returns (uint256) {
+        return referrals.shareBps;
+    }
+
+    /**
+     * @notice Get room information
+     * @param roomId Room ID
+     * @return room Room struct
+     * @return playerAPaid Whether playerA has paid
+     * @return playerBPaid Whether playerB has paid
+     */
+    function getRoom(uint256 roomId)
+        external
+        view
+        returns (
+            Room memory room,
+            bool playerAPaid,
+            bool playerBPaid
+        )
+    {
+        room = rooms[roomId];
+        playerAPaid = hasPaid[roomId][room.playerA];
+        playerBPaid = hasPaid[roomId][room.playerB];
+    }
+
+    /**
+     * @notice Verify resolve signature (view function for backend debugging)
+     * @param roomId Room ID
+     * @param winner Winner address
+     * @param pot Total pot
+     * @param fee Fee amount
+     * @param payout Payout amount
+     * @param nonce Nonce
+     * @param validUntil Signature expiry (not checked against block time here)
+     * @param signature Signature(s) to verify (same format as resolution)
+     * @return isValid Whether signature is valid (threshold reached in multi-signer mode; false, never a revert,
+     *         for malformed or duplicate signatures)
+     * @return signer The operator in single operator mode, the first registered signer in multi-signer mode
+     */
+    function verifyResolveSignature(
+        uint256 roomId,
+        address winner,
+        uint256 pot,
+        uint256 fee,
+        uint256 payout,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external view returns (bool isValid, address signer) {
+        bytes32 digest = _hashResolve(roomId, winner, pot, fee, payout, nonce, validUntil);
+        (isValid, signer, ) = _checkResultSignatures(digest, signature);
+    }
+
+    /**
+     * @notice Get draw split amounts for a room (helper for backend signing)
+     * @param roomId Room ID
+     * @param shareBpsA Share of the net pot for playerA in basis points
+     * @return pot Total pot
+     * @return fee Fee amount (including rounding dust)
+     * @return payoutA Payout to playerA
+     * @return payoutB Payout to playerB
+     */
+    function quoteDraw(uint256 roomId, uint256 shareBpsA)
+        external
+        view
+        validRoom(roomId)
+        returns (
+            uint256 pot,
+            uint256 fee,
+            uint256 payoutA,
+            uint256 payoutB
+        )
+    {
+        if (shareBpsA > 10_000) {
+            revert InvalidSplit();
+        }
+        DrawSplit memory split = _drawSplit(rooms[roomId], shareBpsA);
+        (pot, fee, payoutA, payoutB) = (split.pot, split.fee, split.payoutA, split.payoutB);
+    }
+
+    /**
+     * @notice Verify draw signature (view function for backend debugging)
+     * @param roomId Room ID
+     * @param shareBpsA Share of the net pot for playerA in basis points
+     * @param pot Total pot
+     * @param fee Fee amount (including rounding dust)
+     * @param payoutA Payout to playerA
+     * @param payoutB Payout to playerB
+     * @param nonce Nonce
+     * @param validUntil Signature expiry (not checked against block time here)
+     * @param signature Signature(s) to verify (same format as resolution)
+     * @return isValid Whether signature is valid (threshold reached in multi-signer mode; false, never a revert,
+     *         for malformed or duplicate signatures)
+     * @return signer The operator in single operator mode, the first registered signer in multi-signer mode
+     */
+    function verifyResolveDrawSignature(
+        uint256 roomId,
+        uint256 shareBpsA,
+        uint256 pot,
+        uint256 fee,
+        uint256 payoutA,
+        uint256 payoutB,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external view returns (bool isValid, address signer) {
+        bytes32 digest = _hashResolveDraw(roomId, shareBpsA, DrawSplit(pot, fee, payoutA, payoutB), nonce, validUntil);
+        (isValid, signer, ) = _checkResultSignatures(digest, signature);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Forward the current call to the room / admin module
+     */
+    function _delegateToRoomModule() internal {
+        _delegate(roomModule);
+    }
+
+    function _delegateToAdminModule() internal {
+        _delegate(adminModule);
+    }
+
+    /**
+     * @dev Run the current call in `module` on this contract's storage and return or revert with
+     *      its result
+     */
+    function _delegate(address module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
+
+/**
+ * ============================================================================
+ * HOW BACKEND SIGNS (EIP-712 Pseudo-code)
+ * ============================================================================
+ *
+ * Domain Separator:
+ *   name: "RealtimeMatchEscrow"
+ *   version: "2"   (v2 added validUntil to Resolve / ResolveDraw; v1 signatures are rejected)
+ *   chainId: <current chain ID>
+ *   verifyingContract: <contract address>
+ *
+ * Type Hash:
+ *   keccak256("Resolve(uint256 roomId,address winner,uint256 pot,uint256 fee,uint256 payout,uint256 nonce,uint256 validUntil)")
+ *   - validUntil: unix timestamp, resolveAndPayout reverts with SignatureExpired after it
+ *     (keep it short, e.g. a few minutes after the match ends)
+ *
+ * Draw Type Hash (head-on collision / tie, pot split between both players):
+ *   keccak256("ResolveDraw(uint256 roomId,uint256 shareBpsA,uint256 pot,uint256 fee,uint256 payoutA,uint256 payoutB,uint256 nonce,uint256 validUntil)")
+ *   - shareBpsA: playerA's share of (pot - protocol fee) in basis points, 5000 = even split
+ *   - payoutA = floor(net * shareBpsA / 10000), payoutB = floor(net * (10000 - shareBpsA) / 10000)
+ *   - fee = protocol fee + rounding dust (net - payoutA - payoutB); use quoteDraw() to get exact values
+ *   - nonce shares the usedNonce space with Resolve
+ *
+ * Cancel Type Hash (lobby "leave match", room not started yet):
+ *   keccak256("CancelRoom(uint256 roomId,uint256 nonce,uint256 validUntil)")
+ *   - signed by BOTH players -> cancelByPlayers(roomId, nonce, validUntil, sigA, sigB)
+ *     (only the creator's sigA while an open seat is empty; pass "0x" as sigB; EIP-1271 for
+ *     players that are smart wallets)
+ *   - or signed by operator  -> cancelByOperatorSignature(roomId, nonce, validUntil, sig)
+ *   - validUntil: unix timestamp, both revert with SignatureExpired after it
+ *   - anyone can submit; every player that paid is refunded and the room becomes CANCELLED
+ *
+ * Relayed join (signed by the PLAYER, gas paid by relayer):
+ *   keccak256("JoinAuthorization(address player,uint256 roomId,uint256 nonce,uint256 expiry)")
+ *   - joinRoomFor(roomId, player, nonce, expiry, sig); stake is pulled from player, not relayer
+ *   - nonce is per player (usedAuthorizationNonce), expiry is a unix timestamp
+ *
+ * Open seat rating attestation (signed by OPERATOR, submitted by the joining player):
+ *   keccak256("RatingAttestation(address player,uint256 rating,uint256 expiry)")
+ *   - joinRoomWithRating(roomId, rating, expiry, sig) for rooms created with createOpenRoom
+ *   - the attestation is not bound to a room and can be reused until expiry
+ *
+ * Private room invite proof (signed with the INVITE KEY = the room code shared in chat):
+ *   keccak256("InviteProof(uint256 roomId,address player)")
+ *   - room created with createOpenRoom(..., roomKeyCommitment, ..., rule.inviteOnly = true)
+ *     where roomKeyCommitment = keccak256(abi.encodePacked(inviteKeyAddress))
+ *   - inviteOnly cannot be combined with minRating (InvalidSeatRule): the invite join takes no rating
+ *   - joiner signs InviteProof(roomId, joinerAddress) with the invite key and calls
+ *     joinRoomWithInvite(roomId, sig); a wrong code recovers another address and reverts
+ *   - the proof is bound to the joiner, so copying it from the mempool does not help
+ *   - generate the invite key with full 256-bit entropy: short codes can be brute-forced
+ *     offline against the public commitment
+ *
+ * Example (JavaScript/ethers.js):
+ *   const domain = {
+ *     name: "RealtimeMatchEscrow",
+ *     version: "2",
+ *     chainId: 1, // mainnet
+ *     verifyingContract: "0x..."
+ *   };
+ *
+ *   const types = {
+ *     Resolve: [
+ *       { name: "roomId", type: "uint256" },
+ *       { name: "winner", type: "address" },
+ *       { name: "pot", type: "uint256" },
+ *       { name: "fee", type: "uint256" },
+ *       { name: "payout", type: "uint256" },
+ *       { name: "nonce", type: "uint256" },
+ *       { name: "validUntil", type: "uint256" }
+ *     ]
+ *   };
+ *
+ *   const value = {
+ *     roomId: 1,
+ *     winner: "0x...",
+ *     pot: 10_000_000, // 10 USDC (6 decimals)
+ *     fee: 200_000,    // 0.2 USDC (2%)
+ *     payout: 9_800_000, // 9.8 USDC
+ *     nonce: 12345,
+ *     validUntil: Math.floor(Date.now() / 1000) + 300
+ *   };
+ *
+ *   const signature = await operatorWallet._signTypedData(domain, types, value);
+ *
+ * Example (Python/eth_account):
+ *   import time
+ *   from eth_account.messages import encode_structured_data
+ *
+ *   domain = {
+ *     "name": "RealtimeMatchEscrow",
+ *     "version": "2",
+ *     "chainId": 1,
+ *     "verifyingContract": "0x..."
+ *   }
+ *
+ *   types = {
+ *     "Resolve": [
+ *       {"name": "roomId", "type": "uint256"},
+ *       {"name": "winner", "type": "address"},
+ *       {"name": "pot", "type": "uint256"},
+ *       {"name": "fee", "type": "uint256"},
+ *       {"name": "payout", "type": "uint256"},
+ *       {"name": "nonce", "type": "uint256"},
+ *       {"name": "validUntil", "type": "uint256"}
+ *     ]
+ *   }
+ *
+ *   message = {
+ *     "roomId": 1,
+ *     "winner": "0x...",
+ *     "pot": 10_000_000,
+ *     "fee": 200_000,
+ *     "payout": 9_800_000,
+ *     "nonce": 12345,
+ *     "validUntil": int(time.time()) + 300
+ *   }
+ *
+ *   structured_msg = encode_structured_data({
+ *     "types": types,
+ *     "domain": domain,
+ *     "primaryType": "Resolve",
+ *     "message": message
+ *   })
+ *
+ *   signed_message = operator_account.sign_message(structured_msg)
+ *   signature = signed_message.signature
+ *
+ * ============================================================================
+ * ROOM LIFECYCLE:
+ * ============================================================================
+ *   CREATED --(both pay, <= joinDeadline)--> READY --(startRoom, <= joinDeadline)--> STARTED
+ *   STARTED --(Resolve / ResolveDraw, < deadline)--> RESOLVED          (challengeWindow == 0)
+ *   STARTED --(Resolve / ResolveDraw, < deadline)--> PROPOSED          (challengeWindow > 0)
+ *   PROPOSED --(finalizeResult, window ended)--> RESOLVED
+ *   PROPOSED --(disputeResult by losing player + bond, window open)--> DISPUTED
+ *   DISPUTED --(decideDispute by arbiter or DEFAULT_ADMIN_ROLE, < decision deadline)--> RESOLVED
+ *   DISPUTED --(expireDispute by anyone, >= decision deadline)--> CANCELLED
+ *   CREATED/READY --(CancelRoom)--> CANCELLED
+ *   CREATED/READY/STARTED/REFUNDING --(cancelRoom by operator)--> CANCELLED
+ *   CREATED/READY after joinDeadline, STARTED at/after deadline --(first refund)--> REFUNDING
+ *   REFUNDING --(every paid player refunded)--> CANCELLED
+ *   CREATED/READY after joinDeadline, STARTED at/after deadline, REFUNDING --(sweepExpired)--> CANCELLED
+ *
+ * Resolution and refunds never overlap: a STARTED room is resolvable strictly before `deadline`
+ * and refundable only from `deadline` on, and a REFUNDING room can no longer be resolved.
+ * PROPOSED and DISPUTED rooms are not refundable through refund(): the pot stays locked until the
+ * result pays out, or until expireDispute refunds both stakes of a dispute the arbiter left undecided.
+ * For every stake token, the contract balance therefore always covers accruedFees[token] + the
+ * unclaimed referral and payee fee balances in that token + every
+ * unrefunded stake of rooms in that token that are not RESOLVED or CANCELLED + the bond of every
+ * DISPUTED room in that token (+ the sum of claimableNative for native ETH).
+ *
+ * NATIVE ETH (token == NATIVE_TOKEN == address(0)):
+ *   - the admin (DEFAULT_ADMIN_ROLE) lists it like any stake token: setStakeToken(address(0), true, minStake, maxStake)
+ *   - players pay with joinRoom / joinRoomWithRating / joinRoomWithInvite and msg.value == stake
+ *     (and the dispute bond with msg.value); relayed and permit joins are ERC20-only
+ *   - payouts, refunds and fees are pushed with NATIVE_PAYOUT_GAS; a recipient that rejects them
+ *     (or needs more gas) gets the amount credited to claimableNative and pulls it with claimNative()
+ *
+ * CHALLENGE WINDOW (optional, for high-stakes rooms):
+ *   - the admin sets challengeWindow (seconds), disputeBond (per stake token) and arbiter
+ *   - a valid Resolve / ResolveDraw then only records the result (ResultProposed event)
+ *   - the player with the smaller proposed payout can disputeResult() before challengeEndsAt
+ *   - undisputed results are paid out by anyone through finalizeResult() after challengeEndsAt
+ *   - arbiter (or an admin) calls decideDispute(roomId, shareBpsA): 10000 = playerA wins, 0 = playerB
+ *     wins, anything in between splits the net pot like a draw. The bond is returned if the
+ *     decision raises the disputer's payout, otherwise it is added to the protocol fees
+ *   - the arbiter has until the decision deadline, challengeEndsAt + DISPUTE_DECISION_PERIOD
+ *     (7 days); from then on anyone can expireDispute(roomId): the room is CANCELLED, both stakes
+ *     are refunded, the bond is returned and no fee is taken
+ *
+ * REFERRALS:
+ *   - a player is bound to a referrer once, with joinRoomWithReferrer() or with an operator-signed
+ *     ReferralAttestation(address player,address referrer,uint256 expiry) via bindReferrer()
+ *   - each player's stake pays half of a room's fee; referralShareBps of that half accrues to the
+ *     player's referrer and only the rest goes to accruedFees (forfeited dispute bonds are not shared)
+ *   - referrers pull their balance per token with claimReferral(token)
+ *
+ * REVENUE SHARE:
+ *   - TREASURER_ROLE sets fee payees with setPayees(payees, shareBps); weights sum to 10000
+ *   - withdrawFees(token) splits accruedFees[token] by weight and pays every payee; each share
+ *     is rounded down and the remainder goes to the first payee
+ *   - a payee can also pull its share alone with claimFeeShare(token)
+ *   - with no payees set, withdrawFees pays everything to treasuryAddress as before
+ *
+ * ADMIN TIMELOCK:
+ *   - operator, treasuryAddress and feeBps change in two steps: the change is scheduled
+ *     (scheduleOperator by OPERATOR_ADMIN_ROLE, scheduleTreasury by TREASURER_ROLE, scheduleFeeBps
+ *     by FEE_MANAGER_ROLE) and, once minDelay has passed (DEFAULT_ADMIN_DELAY = 2 days at deploy), the new operator /
+ *     treasury calls acceptOperator / acceptTreasury, or FEE_MANAGER_ROLE calls executeFeeBps
+ *   - minDelay itself changes the same way (scheduleMinDelay / executeMinDelay by DEFAULT_ADMIN_ROLE,
+ *     max 30 days)
+ *   - setPayees (TREASURER_ROLE), addResultSigner / setResultThreshold (OPERATOR_ADMIN_ROLE),
+ *     setArbiter (DEFAULT_ADMIN_ROLE) and upgrades (UPGRADER_ROLE, upgradeable deployment only) take
+ *     effect when called with the arguments scheduled minDelay before with
+ *     scheduleCall(change, keccak256(abi.encode(...arguments))); other arguments revert with
+ *     ChangeMismatch
+ *   - not timelocked: pause / unpause (stops new rooms, cannot move funds), removeResultSigner
+ *     (drops a leaked key at once), setStakeToken (only affects new rooms), setReferralShareBps
+ *     (moves part of the fee between payees and referrers), setChallengeWindow and setDisputeBond
+ *     (only apply to later results and disputes)
+ *   - the role that schedules a kind of change can cancelChange() it before it is applied;
+ *     pendingChange() shows it
+ *   - ChangeScheduled / ChangeCancelled / ChangeExecuted are emitted at every step for monitoring
+ *
+ * DEPLOYMENT:
+ *   - deploy RealtimeMatchEscrowRoomModule and RealtimeMatchEscrowAdminModule, then
+ *     RealtimeMatchEscrow(usdc, operator, treasury, feeBps, roomModule, adminModule), or a
+ *     RealtimeMatchEscrowUpgradeable(roomModule, adminModule) implementation behind a proxy
+ *   - the module addresses are immutables of the implementation: an upgrade that changes module
+ *     code deploys new modules along with the new implementation
+ *
+ * ROLES (OpenZeppelin AccessControl; DEFAULT_ADMIN_ROLE grants and revokes every role but OPERATOR_ROLE):
+ *   - DEFAULT_ADMIN_ROLE: stake tokens, minDelay, challenge window, dispute bonds, arbiter (timelocked)
+ *   - PAUSER_ROLE: pause / unpause (on-call, cannot move funds)
+ *   - FEE_MANAGER_ROLE: feeBps (timelocked) and referralShareBps
+ *   - OPERATOR_ADMIN_ROLE: operator rotation, added result signers and threshold (timelocked), removed
+ *     result signers
+ *   - TREASURER_ROLE: withdrawFees, fee payees and treasury rotation (both timelocked)
+ *   - OPERATOR_ROLE: operator-only functions; held by `operator` and only moved to the new operator
+ *     by acceptOperator: grantRole / revokeRole revert with OperatorRoleLocked for it
+ *   - the deployer gets every role except OPERATOR_ROLE and is expected to hand them out, then
+ *     renounce them
+ *   - UPGRADER_ROLE (RealtimeMatchEscrowUpgradeable only): upgradeToAndCall (timelocked); granted to
+ *     the account that initializes the proxy
+ *
+ * ============================================================================
+ * SECURITY NOTES:
+ * ============================================================================
+ * - All onchain data is PUBLIC (mempool, calldata, storage)
+ * - roomKeyCommitment and metadataHash are for integrity/linking only, except for inviteOnly
+ *   open seats where roomKeyCommitment commits to the invite key address
+ * - EIP-712 signature ensures only operator can authorize payouts
+ * - Optional M-of-N: once resultThreshold > 0, Resolve / ResolveDraw need signatures from at
+ *   least resultThreshold distinct result signers (concatenated 65-byte r,s,v signatures passed
+ *   as `signature`); the operator key alone can no longer steer a pot
+ * - The operator may be a contract (multisig, custodial signer): operator-signed messages are then
+ *   checked with EIP-1271 isValidSignature, and the signature bytes are whatever that wallet expects
+ * - validUntil bounds how long a leaked or withheld Resolve / ResolveDraw signature stays usable
+ * - Nonce prevents replay attacks (Resolve and ResolveDraw share the same per-room nonce space)
+ * - SafeERC20 protects against non-standard tokens
+ * - ReentrancyGuard prevents reentrancy attacks
+ * - Checks-Effects-Interactions pattern followed
+ * ============================================================================
+ */
+
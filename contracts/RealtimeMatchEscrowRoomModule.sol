@@ -0,0 +1,630 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RealtimeMatchEscrowBase.sol";
+
+/**
+ * @title RealtimeMatchEscrowRoomModule
+ * @notice Open seat, cancellation, dispute and referral functions of RealtimeMatchEscrow
+ * @dev Passed to the RealtimeMatchEscrowBase constructor and only reached through DELEGATECALL from
+ *      the escrow, so every function runs on the escrow's storage, balance and address.
+ */
+contract RealtimeMatchEscrowRoomModule is RealtimeMatchEscrowStorage {
+    // ============ Room Lifecycle ============
+
+    /**
+     * @notice Create a room with only the creator listed and an open seat (callable by operator/backend).
+     *         The first eligible player to pay into joinRoom takes the seat as playerB.
+     * @param token Allowlisted stake token
+     * @param playerA Room creator address
+     * @param stake Stake amount per player in token units, within the token's limits
+     * @param joinDeadline Unix timestamp by which the seat must be filled and the room must start
+     * @param deadline Unix timestamp resolution deadline (must be after joinDeadline)
+     * @param roomKeyCommitment Commitment hash of offchain room key (integrity only, PUBLIC)
+     * @param metadataHash Hash of "encryptedMetadata" blob (informational, PUBLIC)
+     * @param rule Seat eligibility (optional allowlist, plus an invite proof or a minimum attested rating)
+     * @return roomId The created room ID
+     */
+    function createOpenRoom(
+        address token,
+        address playerA,
+        uint256 stake,
+        uint64 joinDeadline,
+        uint64 deadline,
+        bytes32 roomKeyCommitment,
+        bytes32 metadataHash,
+        SeatRule calldata rule
+    ) external whenNotPaused onlyOperator returns (uint256 roomId) {
+        roomId = _createRoom(token, playerA, address(0), stake, joinDeadline, deadline, roomKeyCommitment, metadataHash);
+        _setSeatRule(roomId, rule);
+    }
+
+    /**
+     * @notice Join a room and bind msg.sender to a referrer (only possible while unbound)
+     * @param roomId Room ID to join
+     * @param referrer Referrer credited with a share of the fees paid by msg.sender's stakes
+     */
+    function joinRoomWithReferrer(
+        uint256 roomId,
+        address referrer
+    ) external payable nonReentrant whenNotPaused validRoom(roomId) {
+        Referrals.bind(referrals, msg.sender, referrer);
+        _joinRoom(roomId, msg.sender);
+    }
+
+    /**
+     * @notice Join a room with an EIP-2612 permit instead of a prior approve (callable by room players only)
+     * @dev If the permit fails (e.g. it was front-run and already consumed), the join still
+     *      succeeds when the existing allowance covers the stake. Not available for native ETH rooms.
+     * @param roomId Room ID to join
+     * @param permitDeadline Permit signature deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function joinRoomWithPermit(
+        uint256 roomId,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        _permit(rooms[roomId].token, msg.sender, rooms[roomId].stake, permitDeadline, v, r, s);
+        _joinRoom(roomId, msg.sender);
+    }
+
+    /**
+     * @notice Join a room on behalf of a player with the player's JoinAuthorization signature
+     *         (callable by anyone, e.g. a backend relayer sponsoring gas)
+     * @dev The stake is pulled from `player`, never from the caller, so the player must have
+     *      approved this contract (a relayer can submit the player's EIP-2612 permit to the token first).
+     *      Not available for native ETH rooms.
+     * @param roomId Room ID to join
+     * @param player Player being joined (must be playerA or playerB)
+     * @param nonce Player-chosen unique nonce (anti-replay)
+     * @param expiry Unix timestamp after which the authorization is invalid
+     * @param signature Player's EIP-712 signature over JoinAuthorization
+     */
+    function joinRoomFor(
+        uint256 roomId,
+        address player,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        if (block.timestamp > expiry) {
+            revert AuthorizationExpired();
+        }
+        if (usedAuthorizationNonce[player][nonce]) {
+            revert NonceAlreadyUsed();
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(JOIN_AUTHORIZATION_TYPEHASH, player, roomId, nonce, expiry))
+        );
+        if (ECDSA.recover(digest, signature) != player) {
+            revert InvalidSignature();
+        }
+
+        usedAuthorizationNonce[player][nonce] = true;
+        _joinRoom(roomId, player);
+    }
+
+    /**
+     * @notice Take the open seat of a room with an operator-signed rating attestation and pay stake
+     * @param roomId Room ID to join
+     * @param rating Attested player rating
+     * @param expiry Unix timestamp after which the attestation is invalid
+     * @param signature Operator's EIP-712 signature over RatingAttestation for msg.sender
+     *        (EIP-1271 if operator is a contract)
+     */
+    function joinRoomWithRating(
+        uint256 roomId,
+        uint256 rating,
+        uint256 expiry,
+        bytes calldata signature
+    ) external payable nonReentrant whenNotPaused validRoom(roomId) {
+        if (rooms[roomId].playerB != address(0)) {
+            revert SeatNotOpen();
+        }
+        if (block.timestamp > expiry) {
+            revert AuthorizationExpired();
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(RATING_ATTESTATION_TYPEHASH, msg.sender, rating, expiry))
+        );
+        if (!_isOperatorSignature(digest, signature)) {
+            revert InvalidSignature();
+        }
+
+        _claimSeat(roomId, msg.sender, rating, false);
+        _joinRoom(roomId, msg.sender);
+    }
+
+    /**
+     * @notice Take the open seat of a private room with an invite proof and pay stake
+     * @dev The room code shared between friends is the private key of an "invite key". The
+     *      room's roomKeyCommitment is keccak256(abi.encodePacked(inviteKeyAddress)). The joiner
+     *      signs InviteProof(roomId, joiner) with the invite key, so the proof only works for the
+     *      joiner's own address and cannot be front-run from the mempool.
+     * @param roomId Room ID to join
+     * @param inviteSignature EIP-712 signature over InviteProof(roomId, msg.sender) by the invite key
+     */
+    function joinRoomWithInvite(
+        uint256 roomId,
+        bytes calldata inviteSignature
+    ) external payable nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+        if (room.playerB != address(0)) {
+            revert SeatNotOpen();
+        }
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(INVITE_PROOF_TYPEHASH, roomId, msg.sender)));
+        (address inviteKey, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, inviteSignature);
+        if (err != ECDSA.RecoverError.NoError || keccak256(abi.encodePacked(inviteKey)) != room.roomKeyCommitment) {
+            revert InvalidInviteCode();
+        }
+
+        _claimSeat(roomId, msg.sender, 0, true);
+        _joinRoom(roomId, msg.sender);
+    }
+
+    /**
+     * @notice Resolve room as a draw and split the pot between both players (callable by anyone
+     *         with valid operator signature)
+     * @dev The net pot (pot - fee) is split by shareBpsA: playerA gets floor(net * shareBpsA / 10000),
+     *      playerB gets floor(net * (10000 - shareBpsA) / 10000). Rounding dust (at most 1 unit)
+     *      is added to the fee, so the signed `fee` is the protocol fee plus dust.
+     *      If challengeWindow > 0 the split is only proposed, like in resolveAndPayout.
+     * @param roomId Room ID to resolve
+     * @param shareBpsA Share of the net pot for playerA in basis points (5000 = even split)
+     * @param nonce Unique nonce for this resolution (anti-replay, shared with resolveAndPayout)
+     * @param validUntil Unix timestamp after which the signature can no longer be used
+     * @param signature Operator's EIP-712 signature over ResolveDraw (EIP-1271 if operator is a
+     *        contract), or concatenated 65-byte result signer signatures when resultThreshold > 0
+     */
+    function resolveDraw(
+        uint256 roomId,
+        uint256 shareBpsA,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+
+        // Room must be STARTED
+        if (room.status != RoomStatus.STARTED) {
+            revert RoomNotStarted();
+        }
+
+        // Share must be within 0-100%
+        if (shareBpsA > 10_000) {
+            revert InvalidSplit();
+        }
+
+        _checkResolvable(room, roomId, nonce, validUntil);
+
+        // Calculate pot, fee (including rounding dust) and both payouts
+        DrawSplit memory split = _drawSplit(room, shareBpsA);
+
+        // Verify EIP-712 signature
+        _requireResultSignatures(_hashResolveDraw(roomId, shareBpsA, split, nonce, validUntil), signature);
+
+        // Mark nonce as used
+        usedNonce[roomId][nonce] = true;
+
+        // Challenge mode: only record the result, payout happens in finalizeResult / decideDispute
+        if (challengeWindow > 0) {
+            _proposeResult(roomId, split.payoutA, split.payoutB, split.fee, nonce);
+            return;
+        }
+
+        // Transfer both payouts
+        _payResult(room, split.payoutA, split.payoutB, split.fee);
+
+        emit RoomDrawResolved(roomId, shareBpsA, split.pot, split.fee, split.payoutA, split.payoutB, nonce);
+    }
+
+    /**
+     * @notice Resolve many rooms in one transaction (callable by anyone with valid signatures)
+     * @dev Each item goes through resolveAndPayout (as an external self-call, so every item gets
+     *      the same checks and reentrancy lock as a single call). In all-or-nothing mode the first
+     *      failing item reverts the whole batch with its original error; in best-effort mode it
+     *      emits ResolveFailed with the custom error selector (0 for reverts without data) and
+     *      the batch continues.
+     * @param roomIds Room IDs to resolve
+     * @param winners Winner of each room
+     * @param nonces Resolve nonce of each room
+     * @param validUntils Signature expiry of each room
+     * @param signatures Signature(s) of each room, as for resolveAndPayout
+     * @param bestEffort Skip failing items instead of reverting the batch
+     * @return resolved Number of rooms resolved (or proposed, in challenge mode)
+     */
+    function resolveBatch(
+        uint256[] calldata roomIds,
+        address[] calldata winners,
+        uint256[] calldata nonces,
+        uint256[] calldata validUntils,
+        bytes[] calldata signatures,
+        bool bestEffort
+    ) external returns (uint256 resolved) {
+        uint256 count = roomIds.length;
+        if (
+            winners.length != count ||
+            nonces.length != count ||
+            validUntils.length != count ||
+            signatures.length != count
+        ) {
+            revert ArrayLengthMismatch();
+        }
+
+        // Each room goes through the escrow's own resolveAndPayout (address(this) is the escrow)
+        for (uint256 i = 0; i < count; i++) {
+            try
+                RealtimeMatchEscrowBase(address(this)).resolveAndPayout(
+                    roomIds[i],
+                    winners[i],
+                    nonces[i],
+                    validUntils[i],
+                    signatures[i]
+                )
+            {
+                resolved++;
+            } catch (bytes memory reason) {
+                if (!bestEffort) {
+                    assembly {
+                        revert(add(reason, 32), mload(reason))
+                    }
+                }
+                emit ResolveFailed(i, roomIds[i], bytes4(reason));
+            }
+        }
+    }
+
+    /**
+     * @notice Cancel a room and refund every paid stake in full, without fee (operator only)
+     * @dev Allowed while the room is CREATED, READY or STARTED (e.g. game server crash, cheating
+     *      detected), and in REFUNDING where players that already refunded are skipped.
+     * @param roomId Room ID to cancel
+     * @param reasonCode Offchain-defined reason (e.g. 1 = server crash, 2 = cheating detected)
+     */
+    function cancelRoom(uint256 roomId, uint8 reasonCode)
+        external
+        nonReentrant
+        whenNotPaused
+        onlyOperator
+        validRoom(roomId)
+    {
+        Room storage room = rooms[roomId];
+
+        RoomStatus status = room.status;
+        if (
+            status != RoomStatus.CREATED &&
+            status != RoomStatus.READY &&
+            status != RoomStatus.STARTED &&
+            status != RoomStatus.REFUNDING
+        ) {
+            revert RoomNotCancellable();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        room.status = RoomStatus.CANCELLED;
+
+        emit RoomCancelled(roomId, msg.sender, reasonCode);
+
+        _refundPaidPlayers(roomId);
+    }
+
+    /**
+     * @notice Refund every paid player of expired, unresolved rooms and mark them CANCELLED
+     *         (callable by anyone, e.g. a keeper bot)
+     * @dev Uses the same expiry rule as refund. Rooms that are not eligible (unknown, not expired,
+     *      resolved, cancelled, proposed or disputed) are skipped instead of reverting.
+     * @param roomIds Room IDs to sweep
+     * @return swept Number of rooms cancelled
+     */
+    function sweepExpired(uint256[] calldata roomIds) external nonReentrant whenNotPaused returns (uint256 swept) {
+        for (uint256 i = 0; i < roomIds.length; i++) {
+            uint256 roomId = roomIds[i];
+            Room storage room = rooms[roomId];
+            if (!_isExpired(room)) {
+                continue;
+            }
+
+            // Update state (Checks-Effects-Interactions)
+            room.status = RoomStatus.CANCELLED;
+            swept++;
+
+            emit RoomSwept(roomId);
+
+            _refundPaidPlayers(roomId);
+        }
+    }
+
+    /**
+     * @notice Cancel a room before it starts with CancelRoom signatures from both players
+     *         (callable by anyone). Refunds every player that paid and marks the room CANCELLED.
+     * @dev While an open seat is still empty the creator is the only player, so signatureB is ignored.
+     *      Players that are contracts (smart wallets) sign through EIP-1271.
+     * @param roomId Room ID to cancel
+     * @param nonce Unique nonce for this cancellation (anti-replay)
+     * @param validUntil Signature expiry (unix timestamp)
+     * @param signatureA playerA's EIP-712 signature over CancelRoom
+     * @param signatureB playerB's EIP-712 signature over CancelRoom (empty while the seat is open)
+     */
+    function cancelByPlayers(
+        uint256 roomId,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signatureA,
+        bytes calldata signatureB
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+
+        bytes32 digest = _checkCancellable(roomId, nonce, validUntil);
+        if (
+            !SignatureChecker.isValidSignatureNow(room.playerA, digest, signatureA) ||
+            (room.playerB != address(0) && !SignatureChecker.isValidSignatureNow(room.playerB, digest, signatureB))
+        ) {
+            revert InvalidSignature();
+        }
+
+        _cancelAndRefund(roomId, nonce, false);
+    }
+
+    /**
+     * @notice Cancel a room before it starts with an operator CancelRoom signature
+     *         (callable by anyone). Refunds every player that paid and marks the room CANCELLED.
+     * @param roomId Room ID to cancel
+     * @param nonce Unique nonce for this cancellation (anti-replay)
+     * @param validUntil Signature expiry (unix timestamp)
+     * @param signature Operator's EIP-712 signature over CancelRoom (EIP-1271 if operator is a contract)
+     */
+    function cancelByOperatorSignature(
+        uint256 roomId,
+        uint256 nonce,
+        uint256 validUntil,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused validRoom(roomId) {
+        bytes32 digest = _checkCancellable(roomId, nonce, validUntil);
+        if (!_isOperatorSignature(digest, signature)) {
+            revert InvalidSignature();
+        }
+
+        _cancelAndRefund(roomId, nonce, true);
+    }
+
+    // ============ Referrals ============
+
+    /**
+     * @notice Bind a player to a referrer with an operator-signed ReferralAttestation (callable by anyone)
+     * @dev A player can only be bound once, so the attestation needs no nonce.
+     * @param player Player to bind
+     * @param referrer Referrer to bind the player to
+     * @param expiry Unix timestamp after which the attestation is invalid
+     * @param signature Operator's EIP-712 signature over ReferralAttestation (EIP-1271 if operator is a contract)
+     */
+    function bindReferrer(
+        address player,
+        address referrer,
+        uint256 expiry,
+        bytes calldata signature
+    ) external whenNotPaused {
+        if (block.timestamp > expiry) {
+            revert AuthorizationExpired();
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(REFERRAL_ATTESTATION_TYPEHASH, player, referrer, expiry))
+        );
+        if (!_isOperatorSignature(digest, signature)) {
+            revert InvalidSignature();
+        }
+
+        Referrals.bind(referrals, player, referrer);
+    }
+
+    /**
+     * @notice Claim msg.sender's referral balance in a token
+     * @param token Token to claim
+     */
+    function claimReferral(address token) external nonReentrant {
+        uint256 amount = Referrals.claim(referrals, msg.sender, token);
+        _pay(token, msg.sender, amount);
+    }
+
+    // ============ Challenge Window & Disputes ============
+
+    /**
+     * @notice Dispute a proposed result during its challenge window by posting the room token's disputeBond
+     * @dev Only the player with the smaller proposed payout can dispute (either player on an
+     *      even split). The bond is returned if the arbiter improves the disputer's payout and
+     *      goes to the protocol fees otherwise.
+     * @param roomId Room ID with a proposed result
+     */
+    function disputeResult(uint256 roomId) external payable nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+        ProposedResult storage result = proposedResults[roomId];
+
+        if (room.status != RoomStatus.PROPOSED) {
+            revert ResultNotProposed();
+        }
+        if (block.timestamp >= result.challengeEndsAt) {
+            revert ChallengeWindowClosed();
+        }
+
+        // Only the losing side can dispute
+        if (msg.sender == room.playerA) {
+            if (result.payoutA > result.payoutB) {
+                revert NotDisputable();
+            }
+        } else if (msg.sender == room.playerB) {
+            if (result.payoutB > result.payoutA) {
+                revert NotDisputable();
+            }
+        } else {
+            revert PlayerNotInRoom();
+        }
+
+        // Update state (Checks-Effects-Interactions)
+        uint256 bond = disputeBond[room.token];
+        room.status = RoomStatus.DISPUTED;
+        result.disputer = msg.sender;
+        result.bond = bond;
+
+        _collect(room.token, msg.sender, bond);
+
+        emit ResultDisputed(roomId, msg.sender, bond);
+    }
+
+    /**
+     * @notice Decide a disputed room (arbiter or DEFAULT_ADMIN_ROLE) and pay out
+     * @dev The net pot is split like resolveDraw: 10000 = playerA wins, 0 = playerB wins. Only
+     *      possible until DISPUTE_DECISION_PERIOD after the challenge window; expireDispute then
+     *      refunds the room instead.
+     * @param roomId Room ID in DISPUTED status
+     * @param shareBpsA Share of the net pot for playerA in basis points
+     */
+    function decideDispute(uint256 roomId, uint256 shareBpsA) external nonReentrant whenNotPaused validRoom(roomId) {
+        if (msg.sender != arbiter && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert NotArbiter();
+        }
+
+        Room storage room = rooms[roomId];
+        ProposedResult storage result = proposedResults[roomId];
+
+        if (room.status != RoomStatus.DISPUTED) {
+            revert RoomNotDisputed();
+        }
+        if (block.timestamp >= result.challengeEndsAt + DISPUTE_DECISION_PERIOD) {
+            revert DecisionPeriodClosed();
+        }
+        if (shareBpsA > 10_000) {
+            revert InvalidSplit();
+        }
+
+        DrawSplit memory split = _drawSplit(room, shareBpsA);
+
+        // Bond comes back only if the decision improves the disputer's payout
+        bool bondReturned = result.disputer == room.playerA
+            ? split.payoutA > result.payoutA
+            : split.payoutB > result.payoutB;
+        address disputer = result.disputer;
+        uint256 bond = result.bond;
+
+        // Update state (Checks-Effects-Interactions)
+        if (!bondReturned) {
+            accruedFees[room.token] += bond;
+        }
+        result.payoutA = split.payoutA;
+        result.payoutB = split.payoutB;
+        result.fee = split.fee;
+        result.bond = 0;
+
+        emit DisputeDecided(roomId, msg.sender, shareBpsA, split.payoutA, split.payoutB, bondReturned);
+
+        if (bondReturned && bond > 0) {
+            _pay(room.token, disputer, bond);
+        }
+        _finalizeResult(roomId);
+    }
+
+    /**
+     * @notice Cancel a disputed room the arbiter did not decide in time (callable by anyone): both
+     *         stakes are refunded and the bond goes back to the disputer
+     * @dev Available from DISPUTE_DECISION_PERIOD after the challenge window on, when decideDispute
+     *      no longer is. No fee is taken.
+     * @param roomId Room ID in DISPUTED status
+     */
+    function expireDispute(uint256 roomId) external nonReentrant whenNotPaused validRoom(roomId) {
+        Room storage room = rooms[roomId];
+        ProposedResult storage result = proposedResults[roomId];
+
+        if (room.status != RoomStatus.DISPUTED) {
+            revert RoomNotDisputed();
+        }
+        if (block.timestamp < result.challengeEndsAt + DISPUTE_DECISION_PERIOD) {
+            revert DecisionPeriodOpen();
+        }
+
+        address disputer = result.disputer;
+        uint256 bond = result.bond;
+
+        // Update state (Checks-Effects-Interactions)
+        room.status = RoomStatus.CANCELLED;
+        result.bond = 0;
+
+        emit DisputeExpired(roomId, disputer, bond);
+
+        if (bond > 0) {
+            _pay(room.token, disputer, bond);
+        }
+        _refundPaidPlayers(roomId);
+    }
+
+    /**
+     * @notice Pay out an undisputed proposed result once its challenge window has ended (callable by anyone)
+     * @param roomId Room ID in PROPOSED status
+     */
+    function finalizeResult(uint256 roomId) external nonReentrant whenNotPaused validRoom(roomId) {
+        if (rooms[roomId].status != RoomStatus.PROPOSED) {
+            revert ResultNotProposed();
+        }
+        if (block.timestamp < proposedResults[roomId].challengeEndsAt) {
+            revert ChallengeWindowOpen();
+        }
+
+        _finalizeResult(roomId);
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Update the open seat rule of a room (operator only, while the seat is open)
+     * @param roomId Room ID
+     * @param rule New seat eligibility rule
+     */
+    function setSeatRule(
+        uint256 roomId,
+        SeatRule calldata rule
+    ) external whenNotPaused onlyOperator validRoom(roomId) {
+        if (rooms[roomId].playerB != address(0)) {
+            revert SeatNotOpen();
+        }
+        _setSeatRule(roomId, rule);
+    }
+
+    /**
+     * @notice Add or remove addresses from the open seat allowlist of a room (operator only)
+     * @param roomId Room ID
+     * @param players Addresses to update
+     * @param allowed Whether the addresses may take the seat
+     */
+    function setSeatAllowlist(
+        uint256 roomId,
+        address[] calldata players,
+        bool allowed
+    ) external whenNotPaused onlyOperator validRoom(roomId) {
+        if (rooms[roomId].playerB != address(0)) {
+            revert SeatNotOpen();
+        }
+        for (uint256 i = 0; i < players.length; i++) {
+            seatAllowlist[roomId][players[i]] = allowed;
+            emit SeatAllowlistUpdated(roomId, players[i], allowed);
+        }
+    }
+
+    /**
+     * @notice Update room metadata hash (operator only, optional)
+     * @param roomId Room ID
+     * @param metadataHash New metadata hash
+     */
+    function setRoomMetadata(
+        uint256 roomId,
+        bytes32 metadataHash
+    ) external whenNotPaused onlyOperator validRoom(roomId) {
+        rooms[roomId].metadataHash = metadataHash;
+        emit RoomMetadataUpdated(roomId, metadataHash);
+    }
+}
@@ -0,0 +1,1065 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./Referrals.sol";
+import "./RevenueShare.sol";
+import "./AdminTimelock.sol";
+
+/**
+ * @title RealtimeMatchEscrowStorage
+ * @notice Constants, state, events, errors, modifiers and internal logic of RealtimeMatchEscrow
+ * @dev Inherited by RealtimeMatchEscrowBase and its modules, which all run against the same storage.
+ *      State is initialized by __RealtimeMatchEscrow_init instead of a constructor and ends with a
+ *      storage gap.
+ */
+abstract contract RealtimeMatchEscrowStorage is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // ============ Constants ============
+
+    /// @notice Maximum fee basis points (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    /// @notice Role that can pause and unpause
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Role that can change the fee and the referral share
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role that can rotate the operator (and manage result signers)
+    bytes32 public constant OPERATOR_ADMIN_ROLE = keccak256("OPERATOR_ADMIN_ROLE");
+
+    /// @notice Role that can withdraw fees and change the treasury and fee payees
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /// @notice Role of the game backend (operator-only functions); only moves with acceptOperator
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    /// @notice Role that schedules and performs upgrades (RealtimeMatchEscrowUpgradeable only)
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    /// @notice Initial delay between scheduling and executing operator / treasury / fee changes
+    uint256 public constant DEFAULT_ADMIN_DELAY = 2 days;
+
+    /// @notice Maximum challenge window for proposed results
+    uint64 public constant MAX_CHALLENGE_WINDOW = 7 days;
+
+    /// @notice Time the arbiter has after a disputed result's challenge window to decide it
+    uint64 public constant DISPUTE_DECISION_PERIOD = 7 days;
+
+    /// @notice Stake token value for rooms funded with native ETH (msg.value)
+    address public constant NATIVE_TOKEN = address(0);
+
+    /// @notice Gas forwarded with native payouts; recipients needing more use claimNative
+    uint256 public constant NATIVE_PAYOUT_GAS = 50_000;
+
+    /// @notice EIP-712 typehash for Resolve message
+    bytes32 internal constant RESOLVE_TYPEHASH =
+        keccak256(
+            "Resolve(uint256 roomId,address winner,uint256 pot,uint256 fee,uint256 payout,uint256 nonce,uint256 validUntil)"
+        );
+
+    /// @notice EIP-712 typehash for ResolveDraw message (pot split between both players)
+    bytes32 internal constant RESOLVE_DRAW_TYPEHASH =
+        keccak256(
+            "ResolveDraw(uint256 roomId,uint256 shareBpsA,uint256 pot,uint256 fee,uint256 payoutA,uint256 payoutB,uint256 nonce,uint256 validUntil)"
+        );
+
+    /// @notice EIP-712 typehash for CancelRoom message (signed by both players or by operator)
+    bytes32 internal constant CANCEL_ROOM_TYPEHASH =
+        keccak256("CancelRoom(uint256 roomId,uint256 nonce,uint256 validUntil)");
+
+    /// @notice EIP-712 typehash for JoinAuthorization message (signed by player, submitted by relayer)
+    bytes32 internal constant JOIN_AUTHORIZATION_TYPEHASH =
+        keccak256("JoinAuthorization(address player,uint256 roomId,uint256 nonce,uint256 expiry)");
+
+    /// @notice EIP-712 typehash for RatingAttestation message (signed by operator, for open seats)
+    bytes32 internal constant RATING_ATTESTATION_TYPEHASH =
+        keccak256("RatingAttestation(address player,uint256 rating,uint256 expiry)");
+
+    /// @notice EIP-712 typehash for InviteProof message (signed with the room's invite key)
+    bytes32 internal constant INVITE_PROOF_TYPEHASH = keccak256("InviteProof(uint256 roomId,address player)");
+
+    /// @notice EIP-712 typehash for ReferralAttestation message (signed by operator, binds a referrer)
+    bytes32 internal constant REFERRAL_ATTESTATION_TYPEHASH =
+        keccak256("ReferralAttestation(address player,address referrer,uint256 expiry)");
+
+    // ============ State Variables ============
+
+    /// @notice Backend operator address authorized to sign results
+    address public operator;
+
+    /// @notice Treasury address for fee collection
+    address public treasuryAddress;
+
+    /// @notice Fee in basis points (e.g., 200 = 2%)
+    uint256 public feeBps;
+
+    /// @notice Next room ID (auto-incrementing)
+    uint256 public nextRoomId;
+
+    /// @notice Pause flag for emergency stops
+    bool public paused;
+
+    /// @notice Number of distinct result signer signatures required to resolve (0 = single operator)
+    uint256 public resultThreshold;
+
+    /// @notice Number of registered result signers
+    uint256 public resultSignerCount;
+
+    /// @notice Seconds a signed result can be disputed before it pays out (0 = instant payout)
+    uint64 public challengeWindow;
+
+    /// @notice Address allowed to decide disputed rooms (besides DEFAULT_ADMIN_ROLE holders)
+    address public arbiter;
+
+    // ============ Enums ============
+
+    enum RoomStatus {
+        NONE,      // 0: Room doesn't exist
+        CREATED,   // 1: Room created, waiting for players
+        READY,     // 2: Both players paid
+        STARTED,   // 3: Game started
+        RESOLVED,  // 4: Winner paid
+        CANCELLED, // 5: Cancelled/refunded
+        REFUNDING, // 6: Expired, at least one player refunded (no longer resolvable)
+        PROPOSED,  // 7: Signed result recorded, challenge window running
+        DISPUTED   // 8: Proposed result disputed, waiting for arbiter decision
+    }
+
+    // ============ Structs ============
+
+    struct Room {
+        address playerA;
+        address playerB;
+        address token;              // Stake token (allowlisted at creation)
+        uint256 stake;              // Stake per player (in stake token units)
+        uint64 joinDeadline;         // Unix timestamp: room must be joined and started by then
+        uint64 deadline;             // Unix timestamp: resolution deadline, refunds open after it
+        RoomStatus status;
+        uint8 paidMask;              // bit0 = A paid, bit1 = B paid
+        bytes32 roomKeyCommitment;   // Offchain commitment hash (integrity only, PUBLIC)
+        bytes32 metadataHash;        // Hash of "encryptedMetadata" blob (informational, PUBLIC)
+        uint256 feeBpsSnapshot;      // Fee BPS at room creation (for consistency)
+    }
+
+    struct StakeToken {
+        bool allowed;                // Token can be used for new rooms
+        uint8 decimals;              // Token decimals (read from the token when listed)
+        uint256 minStake;            // Minimum stake per player (token units)
+        uint256 maxStake;            // Maximum stake per player (token units)
+    }
+
+    struct SeatRule {
+        bool allowlistOnly;          // Only allowlisted addresses may take the open seat
+        bool inviteOnly;             // Seat requires an invite proof matching roomKeyCommitment
+        uint256 minRating;           // Minimum operator-attested rating (0 = no rating check)
+    }
+
+    struct DrawSplit {
+        uint256 pot;                 // Total pot (stake * 2)
+        uint256 fee;                 // Protocol fee + rounding dust
+        uint256 payoutA;             // Amount paid to playerA
+        uint256 payoutB;             // Amount paid to playerB
+    }
+
+    struct ProposedResult {
+        uint256 payoutA;             // Proposed payout to playerA
+        uint256 payoutB;             // Proposed payout to playerB
+        uint256 fee;                 // Proposed protocol fee (+ rounding dust for draws)
+        uint64 challengeEndsAt;      // Unix timestamp: disputes allowed until then (exclusive)
+        address disputer;            // Player that disputed (zero if undisputed)
+        uint256 bond;                // Bond posted by the disputer
+    }
+
+    // ============ Mappings ============
+
+    /// @notice Room data by room ID
+    mapping(uint256 => Room) public rooms;
+
+    /// @notice Stake token allowlist and per-token stake limits
+    mapping(address => StakeToken) public stakeTokens;
+
+    /// @notice Fees accrued per token in contract (not yet withdrawn)
+    mapping(address => uint256) public accruedFees;
+
+    /// @notice Native ETH payouts that could not be pushed, claimable by the recipient
+    mapping(address => uint256) public claimableNative;
+
+    /// @notice Bond (in that token's units) a player must post to dispute a result of a room staked in the token
+    mapping(address => uint256) public disputeBond;
+
+    /// @notice Track if player has paid for a room
+    mapping(uint256 => mapping(address => bool)) public hasPaid;
+
+    /// @notice Track if player has been refunded
+    mapping(uint256 => mapping(address => bool)) public hasRefunded;
+
+    /// @notice Anti-replay: track used nonces per room
+    mapping(uint256 => mapping(uint256 => bool)) public usedNonce;
+
+    /// @notice Anti-replay: track used player authorization nonces (relayed joins)
+    mapping(address => mapping(uint256 => bool)) public usedAuthorizationNonce;
+
+    /// @notice Result validator keys that can co-sign Resolve / ResolveDraw (used when resultThreshold > 0)
+    mapping(address => bool) public isResultSigner;
+
+    /// @notice Eligibility rule for the open seat of a room created with createOpenRoom
+    mapping(uint256 => SeatRule) public seatRules;
+
+    /// @notice Allowlist for the open seat (only enforced if seatRules[roomId].allowlistOnly)
+    mapping(uint256 => mapping(address => bool)) public seatAllowlist;
+
+    /// @notice Result recorded by resolveAndPayout / resolveDraw while a challenge window is set
+    mapping(uint256 => ProposedResult) public proposedResults;
+
+    /// @notice Player referrers, referrer fee share and claimable referral balances
+    Referrals.Book internal referrals;
+
+    /// @notice Fee payees and weights (empty = all fees go to the treasury) and their split balances
+    RevenueShare.Table internal revenueShare;
+
+    /// @notice Minimum delay and pending operator / treasury / fee / delay changes
+    AdminTimelock.Queue internal timelock;
+
+    /// @dev Reserved slots so later versions can add state without shifting child storage
+    uint256[50] private __gap;
+
+    // ============ Events ============
+
+    event RoomCreated(
+        uint256 indexed roomId,
+        address indexed playerA,
+        address indexed playerB,
+        address token,
+        uint256 stake,
+        uint64 joinDeadline,
+        uint64 deadline,
+        address operator,
+        bytes32 roomKeyCommitment
+    );
+
+    event RoomJoined(uint256 indexed roomId, address indexed player, uint256 amount);
+
+    event RoomReady(uint256 indexed roomId);
+
+    event RoomStarted(uint256 indexed roomId);
+
+    event RoomResolved(
+        uint256 indexed roomId,
+        address indexed winner,
+        uint256 pot,
+        uint256 fee,
+        uint256 payout,
+        uint256 nonce
+    );
+
+    event RoomDrawResolved(
+        uint256 indexed roomId,
+        uint256 shareBpsA,
+        uint256 pot,
+        uint256 fee,
+        uint256 payoutA,
+        uint256 payoutB,
+        uint256 nonce
+    );
+
+    event RoomRefunded(uint256 indexed roomId, address indexed player, uint256 amount);
+
+    event RoomSwept(uint256 indexed roomId);
+
+    event ResolveFailed(uint256 indexed index, uint256 indexed roomId, bytes4 selector);
+
+    event ResultProposed(
+        uint256 indexed roomId,
+        uint256 payoutA,
+        uint256 payoutB,
+        uint256 fee,
+        uint256 nonce,
+        uint64 challengeEndsAt
+    );
+
+    event ResultDisputed(uint256 indexed roomId, address indexed disputer, uint256 bond);
+
+    event DisputeDecided(
+        uint256 indexed roomId,
+        address indexed decidedBy,
+        uint256 shareBpsA,
+        uint256 payoutA,
+        uint256 payoutB,
+        bool bondReturned
+    );
+
+    event DisputeExpired(uint256 indexed roomId, address indexed disputer, uint256 bond);
+
+    event ResultFinalized(uint256 indexed roomId, uint256 payoutA, uint256 payoutB, uint256 fee);
+
+    event RoomCancelAuthorized(uint256 indexed roomId, uint256 nonce, bool byOperator);
+
+    event RoomCancelled(uint256 indexed roomId, address indexed cancelledBy, uint8 indexed reasonCode);
+
+    event SeatFilled(uint256 indexed roomId, address indexed player, uint256 rating);
+
+    event SeatRuleUpdated(uint256 indexed roomId, bool allowlistOnly, bool inviteOnly, uint256 minRating);
+
+    event SeatAllowlistUpdated(uint256 indexed roomId, address indexed player, bool allowed);
+
+    event OperatorUpdated(address indexed oldOperator, address indexed newOperator);
+
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+
+    event FeeBpsUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+
+    event ChangeScheduled(AdminTimelock.Change indexed change, uint256 value, uint256 readyAt);
+
+    event ChangeCancelled(AdminTimelock.Change indexed change, uint256 value);
+
+    event ChangeExecuted(AdminTimelock.Change indexed change, uint256 value);
+
+    event MinDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    event FeesWithdrawn(address indexed token, address indexed to, uint256 amount);
+
+    event NativePayoutDeferred(address indexed to, uint256 amount);
+
+    event NativeClaimed(address indexed to, uint256 amount);
+
+    event StakeTokenUpdated(address indexed token, bool allowed, uint8 decimals, uint256 minStake, uint256 maxStake);
+
+    event ResultSignerAdded(address indexed signer);
+
+    event ResultSignerRemoved(address indexed signer);
+
+    event ResultThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
+    event ChallengeWindowUpdated(uint64 oldWindow, uint64 newWindow);
+
+    event DisputeBondUpdated(address indexed token, uint256 oldBond, uint256 newBond);
+
+    event ArbiterUpdated(address indexed oldArbiter, address indexed newArbiter);
+
+    event RoomMetadataUpdated(uint256 indexed roomId, bytes32 metadataHash);
+
+    event ReferrerBound(address indexed player, address indexed referrer);
+
+    event ReferralAccrued(address indexed referrer, address indexed player, address indexed token, uint256 amount);
+
+    event ReferralClaimed(address indexed referrer, address indexed token, uint256 amount);
+
+    event ReferralShareUpdated(uint256 oldShareBps, uint256 newShareBps);
+
+    event PayeesUpdated(address[] payees, uint256[] shareBps);
+
+    event FeesSplit(address indexed token, uint256 amount);
+
+    event Paused(address account);
+    event Unpaused(address account);
+
+    // ============ Errors ============
+
+    error InvalidAddress();
+    error InvalidStake();
+    error TokenNotAllowed();
+    error InvalidNativeValue();
+    error NothingToClaim();
+    error NativeTransferFailed();
+    error InvalidDeadline();
+    error RoomExpired();
+    error InvalidRoom();
+    error RoomNotReady();
+    error RoomNotStarted();
+    error RoomAlreadyResolved();
+    error RoomNotEligibleForRefund();
+    error PlayerNotInRoom();
+    error AlreadyPaid();
+    error AlreadyRefunded();
+    error InvalidWinner();
+    error InvalidSplit();
+    error ArrayLengthMismatch();
+    error RoomNotCancellable();
+    error PermitFailed();
+    error AuthorizationExpired();
+    error SignatureExpired();
+    error SeatNotOpen();
+    error NotEligibleForSeat();
+    error InvalidSeatRule();
+    error InvalidInviteCode();
+    error DuplicateSigner();
+    error InvalidThreshold();
+    error InvalidChallengeWindow();
+    error ResultNotProposed();
+    error ChallengeWindowClosed();
+    error ChallengeWindowOpen();
+    error DecisionPeriodClosed();
+    error DecisionPeriodOpen();
+    error NotDisputable();
+    error RoomNotDisputed();
+    error NotArbiter();
+    error InvalidReferrer();
+    error ReferrerAlreadySet();
+    error InvalidReferralShare();
+    error InvalidPayees();
+    error InvalidSignature();
+    error NonceAlreadyUsed();
+    error InsufficientPot();
+    error InvalidFeeBps();
+    error ZeroTreasury();
+    error NoPendingChange();
+    error ChangeNotReady();
+    error InvalidDelay();
+    error ChangeMismatch();
+    error InvalidChange();
+    error NotPendingAccount();
+    error OperatorRoleLocked();
+    error ContractPaused();
+    error NoFeesToWithdraw();
+
+    // ============ Modifiers ============
+
+    modifier whenNotPaused() {
+        if (paused) revert ContractPaused();
+        _;
+    }
+
+    modifier validRoom(uint256 roomId) {
+        if (rooms[roomId].status == RoomStatus.NONE) revert InvalidRoom();
+        _;
+    }
+
+    modifier onlyOperator() {
+        if (!hasRole(OPERATOR_ROLE, msg.sender)) revert InvalidAddress();
+        _;
+    }
+
+    // ============ Initializer ============
+
+    /**
+     * @dev Called by the RealtimeMatchEscrow constructor and by RealtimeMatchEscrowUpgradeable.initialize();
+     *      msg.sender receives every role except OPERATOR_ROLE.
+     * @param _usdc USDC token address, listed as the first stake token without stake limits
+     * @param _operator Initial operator address
+     * @param _treasuryAddress Initial treasury address
+     * @param _feeBps Initial fee in basis points (e.g., 200 = 2%)
+     */
+    function __RealtimeMatchEscrow_init(
+        address _usdc,
+        address _operator,
+        address _treasuryAddress,
+        uint256 _feeBps
+    ) internal onlyInitializing {
+        __AccessControl_init();
+        __ReentrancyGuard_init();
+        __EIP712_init("RealtimeMatchEscrow", "2");
+
+        if (_usdc == address(0) || _operator == address(0) || _treasuryAddress == address(0)) {
+            revert InvalidAddress();
+        }
+        if (_feeBps > MAX_FEE_BPS) {
+            revert InvalidFeeBps();
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(OPERATOR_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, _operator);
+
+        operator = _operator;
+        treasuryAddress = _treasuryAddress;
+        feeBps = _feeBps;
+        _setStakeToken(_usdc, true, 1, type(uint256).max);
+        AdminTimelock.setMinDelay(timelock, DEFAULT_ADMIN_DELAY);
+    }
+
+    // ============ Access Control ============
+
+    /**
+     * @notice Grant `role` to `account` (admin of `role`)
+     * @dev OPERATOR_ROLE only moves with acceptOperator, so it always belongs to `operator` and
+     *      cannot be handed out without the operator timelock
+     */
+    function grantRole(bytes32 role, address account) public override {
+        if (role == OPERATOR_ROLE) revert OperatorRoleLocked();
+        super.grantRole(role, account);
+    }
+
+    /**
+     * @notice Revoke `role` from `account` (admin of `role`); OPERATOR_ROLE cannot be revoked, see grantRole
+     */
+    function revokeRole(bytes32 role, address account) public override {
+        if (role == OPERATOR_ROLE) revert OperatorRoleLocked();
+        super.revokeRole(role, account);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Check an operator signature over `digest`. ECDSA for an EOA operator, EIP-1271
+     *      isValidSignature for a contract operator (multisig, custodial signer).
+     */
+    function _isOperatorSignature(bytes32 digest, bytes calldata signature) internal view returns (bool) {
+        return SignatureChecker.isValidSignatureNow(operator, digest, signature);
+    }
+
+    /**
+     * @dev Revert unless `signatures` authorize the resolution `digest`: DuplicateSigner if a result
+     *      signer signed twice, InvalidSignature if the threshold is not reached
+     */
+    function _requireResultSignatures(bytes32 digest, bytes calldata signatures) internal view {
+        (bool isValid, , bool duplicate) = _checkResultSignatures(digest, signatures);
+        if (duplicate) {
+            revert DuplicateSigner();
+        }
+        if (!isValid) {
+            revert InvalidSignature();
+        }
+    }
+
+    /**
+     * @dev Check resolution signatures over `digest` without reverting. With resultThreshold == 0 a
+     *      single operator signature is expected (see _isOperatorSignature) and `signer` is the
+     *      operator. Otherwise `signatures` is a concatenation of 65-byte signatures and at least
+     *      resultThreshold of them must come from distinct registered result signers; chunks that do
+     *      not recover, or recover to a non-signer, are skipped. `signer` is then the first registered
+     *      signer found and `duplicate` is set (with isValid false) if a registered signer signed twice.
+     */
+    function _checkResultSignatures(bytes32 digest, bytes calldata signatures)
+        internal
+        view
+        returns (bool isValid, address signer, bool duplicate)
+    {
+        uint256 threshold = resultThreshold;
+        if (threshold == 0) {
+            return (_isOperatorSignature(digest, signatures), operator, false);
+        }
+
+        if (signatures.length == 0 || signatures.length % 65 != 0) {
+            return (false, address(0), false);
+        }
+
+        uint256 count = signatures.length / 65;
+        address[] memory counted = new address[](count);
+        uint256 validCount;
+
+        for (uint256 i = 0; i < count; i++) {
+            (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+                digest,
+                signatures[i * 65:(i + 1) * 65]
+            );
+            if (err != ECDSA.RecoverError.NoError || !isResultSigner[recovered]) {
+                continue;
+            }
+            for (uint256 j = 0; j < validCount; j++) {
+                if (counted[j] == recovered) {
+                    return (false, counted[0], true);
+                }
+            }
+            counted[validCount++] = recovered;
+        }
+
+        if (validCount > 0) {
+            signer = counted[0];
+        }
+        isValid = validCount >= threshold;
+    }
+
+    /**
+     * @dev Validate parameters and store a new room. playerB == address(0) means open seat.
+     */
+    function _createRoom(
+        address token,
+        address playerA,
+        address playerB,
+        uint256 stake,
+        uint64 joinDeadline,
+        uint64 deadline,
+        bytes32 roomKeyCommitment,
+        bytes32 metadataHash
+    ) internal returns (uint256 roomId) {
+        if (playerA == address(0) || playerA == playerB) {
+            revert InvalidAddress();
+        }
+        StakeToken storage config = stakeTokens[token];
+        if (!config.allowed) {
+            revert TokenNotAllowed();
+        }
+        if (stake == 0 || stake < config.minStake || stake > config.maxStake) {
+            revert InvalidStake();
+        }
+        if (joinDeadline <= block.timestamp || deadline <= joinDeadline) {
+            revert InvalidDeadline();
+        }
+
+        roomId = nextRoomId++;
+        rooms[roomId] = Room({
+            playerA: playerA,
+            playerB: playerB,
+            token: token,
+            stake: stake,
+            joinDeadline: joinDeadline,
+            deadline: deadline,
+            status: RoomStatus.CREATED,
+            paidMask: 0,
+            roomKeyCommitment: roomKeyCommitment,
+            metadataHash: metadataHash,
+            feeBpsSnapshot: feeBps
+        });
+
+        emit RoomCreated(roomId, playerA, playerB, token, stake, joinDeadline, deadline, operator, roomKeyCommitment);
+    }
+
+    /**
+     * @dev Store the open seat rule of a room. An invite proof and a rating attestation are taken
+     *      by different join functions, so a rule needing both could never be met.
+     */
+    function _setSeatRule(uint256 roomId, SeatRule calldata rule) internal {
+        if (rule.inviteOnly && rule.minRating != 0) {
+            revert InvalidSeatRule();
+        }
+
+        seatRules[roomId] = rule;
+        emit SeatRuleUpdated(roomId, rule.allowlistOnly, rule.inviteOnly, rule.minRating);
+    }
+
+    /**
+     * @dev Seat `player` as playerB if eligible under the room's seat rule
+     */
+    function _claimSeat(uint256 roomId, address player, uint256 rating, bool invited) internal {
+        Room storage room = rooms[roomId];
+        SeatRule storage rule = seatRules[roomId];
+
+        if (player == room.playerA) {
+            revert NotEligibleForSeat();
+        }
+        if (rule.allowlistOnly && !seatAllowlist[roomId][player]) {
+            revert NotEligibleForSeat();
+        }
+        if (rule.inviteOnly && !invited) {
+            revert NotEligibleForSeat();
+        }
+        if (rating < rule.minRating) {
+            revert NotEligibleForSeat();
+        }
+
+        room.playerB = player;
+        emit SeatFilled(roomId, player, rating);
+    }
+
+    /**
+     * @dev Pay `player`'s stake into a room. Funds are always pulled from `player`.
+     *      Takes the open seat first if the room has one and `player` is not the creator.
+     */
+    function _joinRoom(uint256 roomId, address player) internal {
+        Room storage room = rooms[roomId];
+
+        // Fill open seat (rated and private seats must go through joinRoomWithRating / joinRoomWithInvite)
+        if (room.playerB == address(0) && player != room.playerA) {
+            _claimSeat(roomId, player, 0, false);
+        }
+
+        // Only players can join
+        if (player != room.playerA && player != room.playerB) {
+            revert PlayerNotInRoom();
+        }
+
+        // Cannot join if already paid
+        if (hasPaid[roomId][player]) {
+            revert AlreadyPaid();
+        }
+
+        // Cannot join if room already started, resolved, cancelled or refunding
+        if (room.status >= RoomStatus.STARTED) {
+            revert RoomNotReady();
+        }
+
+        // Cannot join after join deadline
+        if (block.timestamp > room.joinDeadline) {
+            revert RoomExpired();
+        }
+
+        // Transfer stake from player (msg.value for native ETH rooms)
+        _collect(room.token, player, room.stake);
+
+        // Update state (Checks-Effects-Interactions: state before external calls)
+        hasPaid[roomId][player] = true;
+        if (player == room.playerA) {
+            room.paidMask |= 1; // bit 0
+        } else {
+            room.paidMask |= 2; // bit 1
+        }
+
+        emit RoomJoined(roomId, player, room.stake);
+
+        // Check if both players paid
+        if (room.paidMask == 3) {
+            room.status = RoomStatus.READY;
+            emit RoomReady(roomId);
+        }
+    }
+
+    /**
+     * @dev Take `amount` into escrow: exactly msg.value for native ETH rooms, otherwise a
+     *      transferFrom `payer` (and no ETH may be sent along)
+     */
+    function _collect(address token, address payer, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            if (msg.value != amount) {
+                revert InvalidNativeValue();
+            }
+            return;
+        }
+        if (msg.value != 0) {
+            revert InvalidNativeValue();
+        }
+        if (amount > 0) {
+            IERC20(token).safeTransferFrom(payer, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Pay `amount` of `token` out of escrow. Native ETH is pushed with NATIVE_PAYOUT_GAS;
+     *      if the recipient rejects it (or needs more gas) it becomes claimable via claimNative,
+     *      so a reverting winner cannot block resolution, refunds or the other player's payout.
+     */
+    function _pay(address token, address to, uint256 amount) internal {
+        if (token != NATIVE_TOKEN) {
+            IERC20(token).safeTransfer(to, amount);
+            return;
+        }
+
+        (bool sent, ) = payable(to).call{value: amount, gas: NATIVE_PAYOUT_GAS}("");
+        if (!sent) {
+            claimableNative[to] += amount;
+            emit NativePayoutDeferred(to, amount);
+        }
+    }
+
+    /**
+     * @dev Apply an EIP-2612 permit for `amount`. A failed permit is tolerated when the allowance
+     *      is already sufficient (permit front-run by a third party), otherwise reverts.
+     */
+    function _permit(
+        address token,
+        address player,
+        uint256 amount,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        if (token == NATIVE_TOKEN) {
+            revert PermitFailed();
+        }
+        try IERC20Permit(token).permit(player, address(this), amount, permitDeadline, v, r, s) {
+            return;
+        } catch {
+            if (IERC20(token).allowance(player, address(this)) < amount) {
+                revert PermitFailed();
+            }
+        }
+    }
+
+    /**
+     * @dev Whether a room is past its window: unstarted after joinDeadline, STARTED at deadline,
+     *      or already REFUNDING. RESOLVED and CANCELLED rooms are never expired.
+     */
+    function _isExpired(Room storage room) internal view returns (bool) {
+        RoomStatus status = room.status;
+        if (status == RoomStatus.REFUNDING) {
+            return true;
+        }
+        if (status == RoomStatus.CREATED || status == RoomStatus.READY) {
+            return block.timestamp > room.joinDeadline;
+        }
+        if (status == RoomStatus.STARTED) {
+            return block.timestamp >= room.deadline;
+        }
+        return false;
+    }
+
+    /**
+     * @dev List/delist a stake token. Decimals are read from the token (IERC20Metadata),
+     *      NATIVE_TOKEN (ETH) has 18.
+     */
+    function _setStakeToken(
+        address token,
+        bool allowed,
+        uint256 minStake,
+        uint256 maxStake
+    ) internal {
+        if (allowed && (minStake == 0 || minStake > maxStake)) {
+            revert InvalidStake();
+        }
+
+        uint8 decimals = token == NATIVE_TOKEN ? 18 : IERC20Metadata(token).decimals();
+        stakeTokens[token] = StakeToken({
+            allowed: allowed,
+            decimals: decimals,
+            minStake: minStake,
+            maxStake: maxStake
+        });
+
+        emit StakeTokenUpdated(token, allowed, decimals, minStake, maxStake);
+    }
+
+    /**
+     * @dev Record a signed result for a STARTED room and open its challenge window
+     */
+    function _proposeResult(
+        uint256 roomId,
+        uint256 payoutA,
+        uint256 payoutB,
+        uint256 fee,
+        uint256 nonce
+    ) internal {
+        uint64 challengeEndsAt = uint64(block.timestamp) + challengeWindow;
+
+        rooms[roomId].status = RoomStatus.PROPOSED;
+        proposedResults[roomId] = ProposedResult({
+            payoutA: payoutA,
+            payoutB: payoutB,
+            fee: fee,
+            challengeEndsAt: challengeEndsAt,
+            disputer: address(0),
+            bond: 0
+        });
+
+        emit ResultProposed(roomId, payoutA, payoutB, fee, nonce, challengeEndsAt);
+    }
+
+    /**
+     * @dev Pay out the (possibly arbitrated) proposed result and mark the room RESOLVED
+     */
+    function _finalizeResult(uint256 roomId) internal {
+        ProposedResult storage result = proposedResults[roomId];
+
+        _payResult(rooms[roomId], result.payoutA, result.payoutB, result.fee);
+
+        emit ResultFinalized(roomId, result.payoutA, result.payoutB, result.fee);
+    }
+
+    /**
+     * @dev Checks shared by resolveAndPayout and resolveDraw once the room is known to be STARTED
+     */
+    function _checkResolvable(Room storage room, uint256 roomId, uint256 nonce, uint256 validUntil) internal view {
+        // Resolution window closes at deadline (refunds open from then on)
+        if (block.timestamp >= room.deadline) {
+            revert RoomExpired();
+        }
+
+        // Both players must have paid
+        if (room.paidMask != 3) {
+            revert InsufficientPot();
+        }
+
+        // Check nonce not used (anti-replay)
+        if (usedNonce[roomId][nonce]) {
+            revert NonceAlreadyUsed();
+        }
+
+        // Signed result must not be stale
+        if (block.timestamp > validUntil) {
+            revert SignatureExpired();
+        }
+    }
+
+    /**
+     * @dev Mark the room RESOLVED, accrue the fee and pay both sides (zero payouts are skipped)
+     */
+    function _payResult(Room storage room, uint256 payoutA, uint256 payoutB, uint256 fee) internal {
+        // Update state (Checks-Effects-Interactions)
+        room.status = RoomStatus.RESOLVED;
+        _accrueFee(room, fee);
+
+        if (payoutA > 0) {
+            _pay(room.token, room.playerA, payoutA);
+        }
+        if (payoutB > 0) {
+            _pay(room.token, room.playerB, payoutB);
+        }
+    }
+
+    /**
+     * @dev Accrue a settlement fee: each player's stake paid half of it, and that player's referrer
+     *      (if any) gets referralShareBps of the half. The rest goes to the protocol fees.
+     */
+    function _accrueFee(Room storage room, uint256 fee) internal {
+        uint256 half = fee / 2;
+        uint256 referred = Referrals.accrue(referrals, room.playerA, room.token, half) +
+            Referrals.accrue(referrals, room.playerB, room.token, half);
+        accruedFees[room.token] += fee - referred;
+    }
+
+    /**
+     * @dev Role that schedules (and may cancel) a kind of timelocked change
+     */
+    function _changeRole(AdminTimelock.Change change) internal pure returns (bytes32) {
+        if (change == AdminTimelock.Change.OPERATOR) {
+            return OPERATOR_ADMIN_ROLE;
+        }
+        if (change == AdminTimelock.Change.TREASURY || change == AdminTimelock.Change.PAYEES) {
+            return TREASURER_ROLE;
+        }
+        if (change == AdminTimelock.Change.FEE_BPS) {
+            return FEE_MANAGER_ROLE;
+        }
+        if (change == AdminTimelock.Change.RESULT_SIGNER || change == AdminTimelock.Change.RESULT_THRESHOLD) {
+            return OPERATOR_ADMIN_ROLE;
+        }
+        if (change == AdminTimelock.Change.UPGRADE) {
+            return UPGRADER_ROLE;
+        }
+        return DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+     * @dev Pay out a payee's split fee balance in a token (no-op if empty)
+     */
+    function _releaseFeeShare(address payee, address token) internal returns (uint256 amount) {
+        amount = RevenueShare.release(revenueShare, payee, token);
+        if (amount > 0) {
+            _pay(token, payee, amount);
+            emit FeesWithdrawn(token, payee, amount);
+        }
+    }
+
+    /**
+     * @dev Whether a player has nothing left in escrow for a room (never paid or already refunded)
+     */
+    function _isSettled(uint256 roomId, address player) internal view returns (bool) {
+        return !hasPaid[roomId][player] || hasRefunded[roomId][player];
+    }
+
+    /**
+     * @dev Check a room can be cancelled cooperatively and return the CancelRoom digest
+     */
+    function _checkCancellable(uint256 roomId, uint256 nonce, uint256 validUntil) internal view returns (bytes32) {
+        // Only rooms that have not started can be cancelled
+        RoomStatus status = rooms[roomId].status;
+        if (status != RoomStatus.CREATED && status != RoomStatus.READY) {
+            revert RoomNotCancellable();
+        }
+
+        // Check nonce not used (anti-replay)
+        if (usedNonce[roomId][nonce]) {
+            revert NonceAlreadyUsed();
+        }
+
+        // Signed cancellation must not be stale
+        if (block.timestamp > validUntil) {
+            revert SignatureExpired();
+        }
+
+        return _hashTypedDataV4(keccak256(abi.encode(CANCEL_ROOM_TYPEHASH, roomId, nonce, validUntil)));
+    }
+
+    /**
+     * @dev Mark room CANCELLED and refund every player that paid and was not refunded yet
+     */
+    function _cancelAndRefund(uint256 roomId, uint256 nonce, bool byOperator) internal {
+        Room storage room = rooms[roomId];
+
+        // Update state (Checks-Effects-Interactions)
+        usedNonce[roomId][nonce] = true;
+        room.status = RoomStatus.CANCELLED;
+
+        emit RoomCancelAuthorized(roomId, nonce, byOperator);
+
+        _refundPaidPlayers(roomId);
+    }
+
+    /**
+     * @dev Refund the stake of every player that paid and was not refunded yet
+     */
+    function _refundPaidPlayers(uint256 roomId) internal {
+        Room storage room = rooms[roomId];
+        _refundIfPaid(roomId, room, room.playerA);
+        _refundIfPaid(roomId, room, room.playerB);
+    }
+
+    /**
+     * @dev Refund a player's stake if they paid and have not been refunded yet
+     */
+    function _refundIfPaid(uint256 roomId, Room storage room, address player) internal {
+        if (!hasPaid[roomId][player] || hasRefunded[roomId][player]) {
+            return;
+        }
+        hasRefunded[roomId][player] = true;
+        _pay(room.token, player, room.stake);
+        emit RoomRefunded(roomId, player, room.stake);
+    }
+
+    /**
+     * @dev Compute draw amounts. Dust left by flooring both shares goes to the fee.
+     */
+    function _drawSplit(Room storage room, uint256 shareBpsA) internal view returns (DrawSplit memory split) {
+        split.pot = room.stake * 2;
+        split.fee = (split.pot * room.feeBpsSnapshot) / 10_000;
+        uint256 net = split.pot - split.fee;
+        split.payoutA = (net * shareBpsA) / 10_000;
+        split.payoutB = (net * (10_000 - shareBpsA)) / 10_000;
+        split.fee += net - split.payoutA - split.payoutB;
+    }
+
+    /**
+     * @dev EIP-712 digest of a Resolve message
+     */
+    function _hashResolve(
+        uint256 roomId,
+        address winner,
+        uint256 pot,
+        uint256 fee,
+        uint256 payout,
+        uint256 nonce,
+        uint256 validUntil
+    ) internal view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(abi.encode(RESOLVE_TYPEHASH, roomId, winner, pot, fee, payout, nonce, validUntil))
+            );
+    }
+
+    /**
+     * @dev EIP-712 digest of a ResolveDraw message
+     */
+    function _hashResolveDraw(
+        uint256 roomId,
+        uint256 shareBpsA,
+        DrawSplit memory split,
+        uint256 nonce,
+        uint256 validUntil
+    ) internal view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        RESOLVE_DRAW_TYPEHASH,
+                        roomId,
+                        shareBpsA,
+                        split.pot,
+                        split.fee,
+                        split.payoutA,
+                        split.payoutB,
+                        nonce,
+                        validUntil
+                    )
+                )
+            );
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./RealtimeMatchEscrowBase.sol";
+
+/**
+ * @title RealtimeMatchEscrowUpgradeable
+ * @notice UUPS implementation of RealtimeMatchEscrow, deployed behind an ERC1967 proxy
+ * @dev The proxy must be deployed with the initialize() calldata so the call cannot be front-run.
+ *      Upgrades are gated by UPGRADER_ROLE and the admin timelock; new implementations must keep the
+ *      storage layout of RealtimeMatchEscrowStorage and only append state (shrinking its __gap accordingly).
+ */
+contract RealtimeMatchEscrowUpgradeable is RealtimeMatchEscrowBase, UUPSUpgradeable {
+    /**
+     * @param _roomModule RealtimeMatchEscrowRoomModule deployment
+     * @param _adminModule RealtimeMatchEscrowAdminModule deployment
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address _roomModule, address _adminModule) RealtimeMatchEscrowBase(_roomModule, _adminModule) {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initialize the proxy; msg.sender also receives UPGRADER_ROLE
+     * @param _usdc USDC token address
+     * @param _operator Initial operator address
+     * @param _treasuryAddress Initial treasury address
+     * @param _feeBps Initial fee in basis points (e.g., 200 = 2%)
+     */
+    function initialize(
+        address _usdc,
+        address _operator,
+        address _treasuryAddress,
+        uint256 _feeBps
+    ) external initializer {
+        __RealtimeMatchEscrow_init(_usdc, _operator, _treasuryAddress, _feeBps);
+        __UUPSUpgradeable_init();
+        _grantRole(UPGRADER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Only UPGRADER_ROLE can upgrade (checked by upgradeToAndCall), to an implementation it
+     *      scheduled with scheduleCall(UPGRADE, keccak256(abi.encode(newImplementation))) at least
+     *      minDelay before
+     */
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {
+        AdminTimelock.executeCall(timelock, AdminTimelock.Change.UPGRADE, keccak256(abi.encode(newImplementation)));
+    }
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Referrals
+ * @notice Referral bookkeeping shared by RealtimeMatchEscrow and RealtimeGamePoolEscrow: players are
+ *         bound to a referrer once, and a configurable share of the protocol fee their stakes pay
+ *         accrues to that referrer as a claimable balance (per token).
+ * @dev Internal functions, compiled into the escrow contracts and modules that use them. Events and
+ *      errors are redeclared in the escrows so they appear in their ABIs.
+ */
+library Referrals {
+    /// @notice Maximum referrer share of the protocol fee (50%)
+    uint256 internal constant MAX_SHARE_BPS = 5000;
+
+    struct Book {
+        uint256 shareBps;                                         // Referrer share of the fee in basis points
+        mapping(address => address) referrerOf;                  // Player => referrer (set once)
+        mapping(address => mapping(address => uint256)) balance; // Referrer => token => claimable amount
+    }
+
+    event ReferrerBound(address indexed player, address indexed referrer);
+    event ReferralAccrued(address indexed referrer, address indexed player, address indexed token, uint256 amount);
+    event ReferralClaimed(address indexed referrer, address indexed token, uint256 amount);
+    event ReferralShareUpdated(uint256 oldShareBps, uint256 newShareBps);
+
+    error InvalidReferrer();
+    error ReferrerAlreadySet();
+    error InvalidReferralShare();
+    error NothingToClaim();
+
+    /**
+     * @dev Bind `player` to `referrer`. A player can only ever be bound once.
+     */
+    function bind(Book storage book, address player, address referrer) internal {
+        if (referrer == address(0) || referrer == player) {
+            revert InvalidReferrer();
+        }
+        if (book.referrerOf[player] != address(0)) {
+            revert ReferrerAlreadySet();
+        }
+
+        book.referrerOf[player] = referrer;
+        emit ReferrerBound(player, referrer);
+    }
+
+    /**
+     * @dev Credit the referrer of `player` (if any) with shareBps of `fee`
+     * @param fee Part of the protocol fee paid by `player`'s stake
+     * @return amount Amount credited to the referrer (to be deducted from the protocol fee)
+     */
+    function accrue(Book storage book, address player, address token, uint256 fee) internal returns (uint256 amount) {
+        address referrer = book.referrerOf[player];
+        if (referrer == address(0)) {
+            return 0;
+        }
+
+        amount = (fee * book.shareBps) / 10_000;
+        if (amount > 0) {
+            book.balance[referrer][token] += amount;
+            emit ReferralAccrued(referrer, player, token, amount);
+        }
+    }
+
+    /**
+     * @dev Zero `referrer`'s balance in `token` and return it; the escrow pays it out
+     */
+    function claim(Book storage book, address referrer, address token) internal returns (uint256 amount) {
+        amount = book.balance[referrer][token];
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        book.balance[referrer][token] = 0;
+        emit ReferralClaimed(referrer, token, amount);
+    }
+
+    /**
+     * @dev Update the referrer share of the fee (applies to fees taken from then on)
+     */
+    function setShare(Book storage book, uint256 newShareBps) internal {
+        if (newShareBps > MAX_SHARE_BPS) {
+            revert InvalidReferralShare();
+        }
+
+        emit ReferralShareUpdated(book.shareBps, newShareBps);
+        book.shareBps = newShareBps;
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title RevenueShare
+ * @notice Protocol fee payee table shared by RealtimeMatchEscrow and RealtimeGamePoolEscrow: fee
+ *         recipients with basis-point weights summing to 100%, and the per-token share each of
+ *         them can pull.
+ * @dev Internal functions, compiled into the escrow contracts and modules that use them. Events and
+ *      errors are redeclared in the escrows so they appear in their ABIs.
+ */
+library RevenueShare {
+    /// @notice Maximum number of payees (bounds the split loop)
+    uint256 internal constant MAX_PAYEES = 10;
+
+    struct Table {
+        address[] payees;                                         // Fee recipients, in split order
+        mapping(address => uint256) shareBps;                    // Payee => weight in basis points
+        mapping(address => mapping(address => uint256)) balance; // Payee => token => split, unpaid amount
+    }
+
+    event PayeesUpdated(address[] payees, uint256[] shareBps);
+    event FeesSplit(address indexed token, uint256 amount);
+
+    error InvalidPayees();
+
+    /**
+     * @dev Replace the payee table. Weights must be non-zero and sum to exactly 10000; an empty
+     *      table turns revenue sharing off (fees go to the treasury again). Balances already split
+     *      to former payees stay claimable.
+     */
+    function setPayees(Table storage table, address[] calldata payees, uint256[] calldata shareBps) internal {
+        if (payees.length != shareBps.length || payees.length > MAX_PAYEES) {
+            revert InvalidPayees();
+        }
+
+        for (uint256 i = 0; i < table.payees.length; i++) {
+            table.shareBps[table.payees[i]] = 0;
+        }
+        delete table.payees;
+
+        uint256 total;
+        for (uint256 i = 0; i < payees.length; i++) {
+            address payee = payees[i];
+            if (payee == address(0) || shareBps[i] == 0 || table.shareBps[payee] != 0) {
+                revert InvalidPayees();
+            }
+            table.shareBps[payee] = shareBps[i];
+            table.payees.push(payee);
+            total += shareBps[i];
+        }
+        if (payees.length > 0 && total != 10_000) {
+            revert InvalidPayees();
+        }
+
+        emit PayeesUpdated(payees, shareBps);
+    }
+
+    /**
+     * @dev Credit `amount` of `token` to the payees by weight. Each share is rounded down and the
+     *      rounding remainder goes to the first payee, so the whole amount is always credited.
+     */
+    function split(Table storage table, address token, uint256 amount) internal {
+        address[] storage payees = table.payees;
+        uint256 credited;
+        for (uint256 i = 1; i < payees.length; i++) {
+            uint256 share = (amount * table.shareBps[payees[i]]) / 10_000;
+            table.balance[payees[i]][token] += share;
+            credited += share;
+        }
+        table.balance[payees[0]][token] += amount - credited;
+
+        emit FeesSplit(token, amount);
+    }
+
+    /**
+     * @dev Zero `payee`'s split balance in `token` and return it (0 if none); the escrow pays it out
+     */
+    function release(Table storage table, address payee, address token) internal returns (uint256 amount) {
+        amount = table.balance[payee][token];
+        table.balance[payee][token] = 0;
+    }
+}
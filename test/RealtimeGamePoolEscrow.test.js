@@ -3,12 +3,50 @@ const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("RealtimeGamePoolEscrow", function () {
+  // EIP-170 limit on deployed code, asserted directly so allowUnlimitedContractSize cannot hide an overrun
+  const MAX_CODE_SIZE = 24576;
+  // AdminTimelock.Change
+  const Change = {
+    OPERATOR: 0,
+    TREASURY: 1,
+    FEE_BPS: 2,
+    MIN_DELAY: 3,
+    PAYEES: 4,
+    RESULT_SIGNER: 5,
+    RESULT_THRESHOLD: 6,
+    ARBITER: 7,
+    UPGRADE: 8,
+  };
+
   // Helper function to get future timestamp
   async function getFutureTimestamp(secondsFromNow) {
     const latestBlock = await ethers.provider.getBlock("latest");
     return Number(latestBlock.timestamp) + secondsFromNow;
   }
 
+  // Settle the listed (still active) players with equal shares of the game's available balance, so
+  // that endGame has no leftover
+  async function settleRemaining(escrow, operator, gameId, players) {
+    const available = await escrow.availableBalance(gameId);
+    const values = players.map(() => available / BigInt(players.length));
+    values[values.length - 1] += available - values.reduce((a, b) => a + b, 0n);
+    return escrow.connect(operator).settleFinal(gameId, players.map((player) => player.address), values);
+  }
+
+  // Schedule the timelocked setter call `change` with `args` (ABI-encoded as `types`) and wait out the delay
+  async function scheduleCall(escrow, signer, change, types, args) {
+    const argsHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(types, args));
+    await escrow.connect(signer).scheduleCall(change, argsHash);
+    await time.increase(await escrow.minDelay());
+  }
+
+  // Freshly deployed game and admin modules, the last constructor arguments of every escrow
+  async function deployModules() {
+    const gameModule = await (await ethers.getContractFactory("RealtimeGamePoolEscrowGameModule")).deploy();
+    const adminModule = await (await ethers.getContractFactory("RealtimeGamePoolEscrowAdminModule")).deploy();
+    return [await gameModule.getAddress(), await adminModule.getAddress()];
+  }
+
   // Deploy contracts fixture
   async function deployContractsFixture() {
     const [owner, operator, treasury, playerA, playerB, playerC, playerD, attacker, other] = await ethers.getSigners();
@@ -23,7 +61,8 @@ describe("RealtimeGamePoolEscrow", function () {
       await usdc.getAddress(),
       operator.address,
       treasury.address,
-      200 // 2% fee
+      200, // 2% fee
+      ...(await deployModules())
     );
 
     // Give players some USDC
@@ -58,21 +97,24 @@ describe("RealtimeGamePoolEscrow", function () {
     it("Should deploy with correct initial values", async function () {
       const { escrow, usdc, operator, treasury } = await loadFixture(deployContractsFixture);
 
-      expect(await escrow.usdc()).to.equal(await usdc.getAddress());
+      const usdcConfig = await escrow.stakeTokens(await usdc.getAddress());
+      expect(usdcConfig.allowed).to.equal(true);
+      expect(usdcConfig.decimals).to.equal(6);
       expect(await escrow.operator()).to.equal(operator.address);
       expect(await escrow.treasury()).to.equal(treasury.address);
       expect(await escrow.feeBps()).to.equal(200);
       expect(await escrow.nextGameId()).to.equal(0);
-      expect(await escrow.accruedFees()).to.equal(0);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
     });
 
     it("Should revert with invalid constructor parameters", async function () {
       const { usdc, operator, treasury } = await loadFixture(deployContractsFixture);
       const RealtimeGamePoolEscrow = await ethers.getContractFactory("RealtimeGamePoolEscrow");
+      const modules = await deployModules();
 
       // Zero address for USDC
       await expect(
-        RealtimeGamePoolEscrow.deploy(ethers.ZeroAddress, operator.address, treasury.address, 200)
+        RealtimeGamePoolEscrow.deploy(ethers.ZeroAddress, operator.address, treasury.address, 200, ...modules)
       ).to.be.revertedWithCustomError(
         { interface: (await ethers.getContractFactory("RealtimeGamePoolEscrow")).interface },
         "InvalidAddress"
@@ -80,7 +122,7 @@ describe("RealtimeGamePoolEscrow", function () {
 
       // Zero address for operator
       await expect(
-        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), ethers.ZeroAddress, treasury.address, 200)
+        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), ethers.ZeroAddress, treasury.address, 200, ...modules)
       ).to.be.revertedWithCustomError(
         { interface: (await ethers.getContractFactory("RealtimeGamePoolEscrow")).interface },
         "InvalidAddress"
@@ -88,7 +130,7 @@ describe("RealtimeGamePoolEscrow", function () {
 
       // Zero address for treasury
       await expect(
-        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), operator.address, ethers.ZeroAddress, 200)
+        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), operator.address, ethers.ZeroAddress, 200, ...modules)
       ).to.be.revertedWithCustomError(
         { interface: (await ethers.getContractFactory("RealtimeGamePoolEscrow")).interface },
         "InvalidAddress"
@@ -96,39 +138,73 @@ describe("RealtimeGamePoolEscrow", function () {
 
       // Fee too high
       await expect(
-        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), operator.address, treasury.address, 1001)
+        RealtimeGamePoolEscrow.deploy(await usdc.getAddress(), operator.address, treasury.address, 1001, ...modules)
       ).to.be.revertedWithCustomError(
         { interface: (await ethers.getContractFactory("RealtimeGamePoolEscrow")).interface },
         "InvalidFeeBps"
       );
+
+      // Module without code
+      await expect(
+        RealtimeGamePoolEscrow.deploy(
+          await usdc.getAddress(),
+          operator.address,
+          treasury.address,
+          200,
+          ethers.ZeroAddress,
+          modules[1]
+        )
+      ).to.be.revertedWithCustomError(
+        { interface: (await ethers.getContractFactory("RealtimeGamePoolEscrow")).interface },
+        "InvalidAddress"
+      );
+    });
+
+    it("Should keep the escrow and its modules under the EIP-170 contract size limit", async function () {
+      const { escrow } = await loadFixture(deployContractsFixture);
+
+      for (const address of [await escrow.getAddress(), await escrow.gameModule(), await escrow.adminModule()]) {
+        expect(ethers.dataLength(await ethers.provider.getCode(address))).to.be.at.most(MAX_CODE_SIZE);
+      }
     });
   });
 
   describe("Admin Functions", function () {
-    it("Should update operator", async function () {
+    const ADMIN_DELAY = 2 * 24 * 60 * 60; // DEFAULT_ADMIN_DELAY
+
+    it("Should update operator after the delay once accepted", async function () {
       const { escrow, owner, operator, attacker } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setOperator(attacker.address))
+      await escrow.connect(owner).scheduleOperator(attacker.address);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(attacker).acceptOperator())
         .to.emit(escrow, "OperatorUpdated")
         .withArgs(operator.address, attacker.address);
 
       expect(await escrow.operator()).to.equal(attacker.address);
     });
 
-    it("Should update treasury", async function () {
+    it("Should update treasury after the delay once accepted", async function () {
       const { escrow, owner, treasury, attacker } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setTreasury(attacker.address))
+      await escrow.connect(owner).scheduleTreasury(attacker.address);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(attacker).acceptTreasury())
         .to.emit(escrow, "TreasuryUpdated")
         .withArgs(treasury.address, attacker.address);
 
       expect(await escrow.treasury()).to.equal(attacker.address);
     });
 
-    it("Should update fee BPS", async function () {
+    it("Should update fee BPS after the delay", async function () {
       const { escrow, owner } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setFeeBps(300))
+      await escrow.connect(owner).scheduleFeeBps(300);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(owner).executeFeeBps())
         .to.emit(escrow, "FeeBpsUpdated")
         .withArgs(200, 300);
 
@@ -138,48 +214,519 @@ describe("RealtimeGamePoolEscrow", function () {
     it("Should revert if fee BPS too high", async function () {
       const { escrow, owner } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setFeeBps(1001))
+      await expect(escrow.connect(owner).scheduleFeeBps(1001))
         .to.be.revertedWithCustomError(escrow, "InvalidFeeBps");
     });
 
     it("Should revert if non-owner tries admin functions", async function () {
-      const { escrow, attacker } = await loadFixture(deployContractsFixture);
+      const { escrow, owner, attacker } = await loadFixture(deployContractsFixture);
+
+      await expect(escrow.connect(attacker).scheduleOperator(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(attacker).scheduleTreasury(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(attacker).scheduleFeeBps(300))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
 
-      await expect(escrow.connect(attacker).setOperator(attacker.address))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(attacker).scheduleMinDelay(0))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
 
-      await expect(escrow.connect(attacker).setTreasury(attacker.address))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await escrow.connect(owner).scheduleFeeBps(300);
+      await time.increase(ADMIN_DELAY);
 
-      await expect(escrow.connect(attacker).setFeeBps(300))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(attacker).executeFeeBps())
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(attacker).cancelChange(2)) // FEE_BPS
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
     });
 
     it("Should revert with zero address for operator", async function () {
       const { escrow, owner } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setOperator(ethers.ZeroAddress))
+      await expect(escrow.connect(owner).scheduleOperator(ethers.ZeroAddress))
         .to.be.revertedWithCustomError(escrow, "InvalidAddress");
     });
 
     it("Should revert with zero address for treasury", async function () {
       const { escrow, owner } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setTreasury(ethers.ZeroAddress))
+      await expect(escrow.connect(owner).scheduleTreasury(ethers.ZeroAddress))
         .to.be.revertedWithCustomError(escrow, "ZeroTreasury");
     });
   });
 
+  describe("Admin Timelock", function () {
+    const ADMIN_DELAY = 2 * 24 * 60 * 60; // DEFAULT_ADMIN_DELAY
+
+    it("Should schedule changes with the default delay and expose them", async function () {
+      const { escrow, owner, attacker } = await loadFixture(deployContractsFixture);
+
+      expect(await escrow.minDelay()).to.equal(ADMIN_DELAY);
+
+      const tx = escrow.connect(owner).scheduleOperator(attacker.address);
+      const readyAt = (await time.latest()) + 1 + ADMIN_DELAY;
+      await expect(tx)
+        .to.emit(escrow, "ChangeScheduled")
+        .withArgs(Change.OPERATOR, BigInt(attacker.address), readyAt);
+
+      const [value, pendingReadyAt] = await escrow.pendingChange(Change.OPERATOR);
+      expect(ethers.getAddress(ethers.toBeHex(value, 20))).to.equal(attacker.address);
+      expect(pendingReadyAt).to.equal(readyAt);
+    });
+
+    it("Should not apply changes before the delay", async function () {
+      const { escrow, owner, operator, attacker } = await loadFixture(deployContractsFixture);
+
+      await escrow.connect(owner).scheduleOperator(attacker.address);
+      await escrow.connect(owner).scheduleFeeBps(1000);
+      await time.increase(ADMIN_DELAY - 10);
+
+      await expect(escrow.connect(attacker).acceptOperator())
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+      await expect(escrow.connect(owner).executeFeeBps())
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      expect(await escrow.operator()).to.equal(operator.address);
+      expect(await escrow.feeBps()).to.equal(200);
+    });
+
+    it("Should only let the scheduled account accept", async function () {
+      const { escrow, owner, attacker, other } = await loadFixture(deployContractsFixture);
+
+      await escrow.connect(owner).scheduleOperator(other.address);
+      await escrow.connect(owner).scheduleTreasury(other.address);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(attacker).acceptOperator())
+        .to.be.revertedWithCustomError(escrow, "NotPendingAccount");
+      await expect(escrow.connect(owner).acceptTreasury())
+        .to.be.revertedWithCustomError(escrow, "NotPendingAccount");
+
+      await expect(escrow.connect(other).acceptOperator())
+        .to.emit(escrow, "ChangeExecuted")
+        .withArgs(Change.OPERATOR, BigInt(other.address));
+      await expect(escrow.connect(other).acceptOperator())
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+    });
+
+    it("Should cancel a pending change", async function () {
+      const { escrow, owner, treasury, attacker } = await loadFixture(deployContractsFixture);
+
+      await escrow.connect(owner).scheduleTreasury(attacker.address);
+
+      await expect(escrow.connect(owner).cancelChange(Change.TREASURY))
+        .to.emit(escrow, "ChangeCancelled")
+        .withArgs(Change.TREASURY, BigInt(attacker.address));
+
+      await time.increase(ADMIN_DELAY);
+      await expect(escrow.connect(attacker).acceptTreasury())
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+      await expect(escrow.connect(owner).cancelChange(Change.TREASURY))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+
+      expect(await escrow.treasury()).to.equal(treasury.address);
+      expect((await escrow.pendingChange(Change.TREASURY))[1]).to.equal(0);
+    });
+
+    it("Should change the minimum delay through the timelock", async function () {
+      const { escrow, owner } = await loadFixture(deployContractsFixture);
+
+      await expect(escrow.connect(owner).scheduleMinDelay(31 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(escrow, "InvalidDelay");
+
+      await escrow.connect(owner).scheduleMinDelay(3600);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(owner).executeMinDelay())
+        .to.emit(escrow, "MinDelayUpdated")
+        .withArgs(ADMIN_DELAY, 3600);
+      expect(await escrow.minDelay()).to.equal(3600);
+
+      // Later changes use the new delay
+      await escrow.connect(owner).scheduleFeeBps(100);
+      await time.increase(3600);
+      await escrow.connect(owner).executeFeeBps();
+      expect(await escrow.feeBps()).to.equal(100);
+    });
+
+    it("Should only apply a setter call scheduled with the same arguments after the delay", async function () {
+      const { escrow, owner, treasury, other } = await loadFixture(deployContractsFixture);
+      const argsHash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [[other.address], [10000]])
+      );
+
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+
+      await expect(escrow.connect(owner).scheduleCall(Change.PAYEES, argsHash))
+        .to.emit(escrow, "ChangeScheduled");
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      await time.increase(ADMIN_DELAY);
+      await expect(escrow.connect(owner).setPayees([treasury.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "ChangeMismatch");
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.emit(escrow, "PayeesUpdated")
+        .withArgs([other.address], [10000]);
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+
+      // Changes with their own schedule function cannot be scheduled as setter calls
+      await expect(escrow.connect(owner).scheduleCall(Change.OPERATOR, argsHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidChange");
+      await expect(escrow.connect(owner).scheduleCall(Change.ARBITER, argsHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidChange");
+    });
+  });
+
+  describe("Access Control", function () {
+    const ROLES = ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE", "OPERATOR_ADMIN_ROLE", "TREASURER_ROLE", "OPERATOR_ROLE"];
+
+    async function rolesFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, buyIn } = base;
+      const [pauser, feeManager, operatorAdmin, treasurer] = (await ethers.getSigners()).slice(10, 14);
+
+      await escrow.connect(owner).grantRole(await escrow.PAUSER_ROLE(), pauser.address);
+      await escrow.connect(owner).grantRole(await escrow.FEE_MANAGER_ROLE(), feeManager.address);
+      await escrow.connect(owner).grantRole(await escrow.OPERATOR_ADMIN_ROLE(), operatorAdmin.address);
+      await escrow.connect(owner).grantRole(await escrow.TREASURER_ROLE(), treasurer.address);
+
+      // The deployer keeps only the admin role
+      for (const role of ["PAUSER_ROLE", "FEE_MANAGER_ROLE", "OPERATOR_ADMIN_ROLE", "TREASURER_ROLE"]) {
+        await escrow.connect(owner).renounceRole(await escrow[role](), owner.address);
+      }
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      const holders = {
+        DEFAULT_ADMIN_ROLE: owner,
+        PAUSER_ROLE: pauser,
+        FEE_MANAGER_ROLE: feeManager,
+        OPERATOR_ADMIN_ROLE: operatorAdmin,
+        TREASURER_ROLE: treasurer,
+        OPERATOR_ROLE: operator,
+      };
+
+      return { ...base, holders, deadline };
+    }
+
+    // Every role-gated function, with the role allowed to call it
+    const GATED = [
+      ["PAUSER_ROLE", "pause", (e) => e.pause()],
+      ["PAUSER_ROLE", "unpause", (e) => e.unpause()],
+      ["FEE_MANAGER_ROLE", "scheduleFeeBps", (e) => e.scheduleFeeBps(300)],
+      ["FEE_MANAGER_ROLE", "executeFeeBps", (e) => e.executeFeeBps()],
+      ["FEE_MANAGER_ROLE", "cancelChange(FEE_BPS)", (e) => e.cancelChange(Change.FEE_BPS)],
+      ["FEE_MANAGER_ROLE", "setReferralShareBps", (e) => e.setReferralShareBps(100)],
+      ["OPERATOR_ADMIN_ROLE", "scheduleOperator", (e, c) => e.scheduleOperator(c.other.address)],
+      ["OPERATOR_ADMIN_ROLE", "cancelChange(OPERATOR)", (e) => e.cancelChange(Change.OPERATOR)],
+      ["TREASURER_ROLE", "withdrawFees", (e, c) => e.withdrawFees(c.usdcAddress, 0)],
+      ["TREASURER_ROLE", "setPayees", (e, c) => e.setPayees([c.other.address], [10000])],
+      ["TREASURER_ROLE", "scheduleCall(PAYEES)", (e) => e.scheduleCall(Change.PAYEES, ethers.ZeroHash)],
+      ["TREASURER_ROLE", "setLeftoverDestination", (e) => e.setLeftoverDestination(1)],
+      ["TREASURER_ROLE", "scheduleTreasury", (e, c) => e.scheduleTreasury(c.other.address)],
+      ["TREASURER_ROLE", "cancelChange(TREASURY)", (e) => e.cancelChange(Change.TREASURY)],
+      ["DEFAULT_ADMIN_ROLE", "scheduleMinDelay", (e) => e.scheduleMinDelay(3600)],
+      ["DEFAULT_ADMIN_ROLE", "executeMinDelay", (e) => e.executeMinDelay()],
+      ["DEFAULT_ADMIN_ROLE", "cancelChange(MIN_DELAY)", (e) => e.cancelChange(Change.MIN_DELAY)],
+      ["DEFAULT_ADMIN_ROLE", "setStakeToken", (e, c) => e.setStakeToken(c.usdcAddress, true, 1, ethers.MaxUint256)],
+      ["DEFAULT_ADMIN_ROLE", "setMinPlayers", (e) => e.setMinPlayers(3)],
+      ["DEFAULT_ADMIN_ROLE", "setDefaultBounds", (e) => e.setDefaultBounds(30000, 5000, true)],
+      ["DEFAULT_ADMIN_ROLE", "setGameBounds", (e) => e.setGameBounds(0, 30000, 5000, true)],
+      ["DEFAULT_ADMIN_ROLE", "grantRole", async (e, c) => e.grantRole(await e.PAUSER_ROLE(), c.other.address)],
+      ["OPERATOR_ROLE", "createGame", (e, c) => e.createGame(c.usdcAddress, c.buyIn, 4, c.deadline)],
+      ["OPERATOR_ROLE", "startGame", (e) => e.startGame(0)],
+      ["OPERATOR_ROLE", "settleDeathExit", (e, c) => e.settleDeathExit(0, c.playerA.address, 0, 1)],
+      ["OPERATOR_ROLE", "settleAliveExit", (e, c) => e.settleAliveExit(0, c.playerA.address, 0, 1)],
+      ["OPERATOR_ROLE", "settleBatch", (e, c) =>
+        e.settleBatch(0, [{ player: c.playerA.address, value: 1, eventId: 1, kind: 0 }])],
+      ["OPERATOR_ROLE", "settleFinal", (e, c) => e.settleFinal(0, [c.playerA.address], [0])],
+      ["OPERATOR_ROLE", "endGame", (e) => e.endGame(0)],
+      ["OPERATOR_ROLE", "cancelGame", (e) => e.cancelGame(0)],
+    ];
+
+    for (const role of ROLES) {
+      it(`Should only let ${role} call its functions`, async function () {
+        const context = await loadFixture(rolesFixture);
+        const { escrow, usdc, holders } = context;
+        context.usdcAddress = await usdc.getAddress();
+
+        for (const [allowed, name, call] of GATED.filter(([allowed]) => allowed === role)) {
+          for (const other of ROLES.filter((r) => r !== role)) {
+            const signer = holders[other];
+            const tx = call(escrow.connect(signer), context);
+            if (role === "OPERATOR_ROLE") {
+              await expect(tx, `${name} as ${other}`).to.be.revertedWithCustomError(escrow, "NotOperator");
+            } else {
+              await expect(tx, `${name} as ${other}`)
+                .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+                .withArgs(signer.address, await escrow[allowed]());
+            }
+          }
+
+          await expect(call(escrow.connect(holders[role]), context), `${name} as ${role}`)
+            .not.to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+        }
+      });
+    }
+
+    it("Should block new games, joins and revives while paused", async function () {
+      const { escrow, usdc, holders, operator, playerA, buyIn, deadline } = await loadFixture(rolesFixture);
+
+      await expect(escrow.connect(holders.PAUSER_ROLE).pause())
+        .to.emit(escrow, "Paused")
+        .withArgs(holders.PAUSER_ROLE.address);
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn);
+      await expect(escrow.connect(playerA).joinGame(0))
+        .to.be.revertedWithCustomError(escrow, "ContractPaused");
+      await expect(escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline))
+        .to.be.revertedWithCustomError(escrow, "ContractPaused");
+
+      await expect(escrow.connect(holders.PAUSER_ROLE).unpause())
+        .to.emit(escrow, "Unpaused")
+        .withArgs(holders.PAUSER_ROLE.address);
+      await expect(escrow.connect(playerA).joinGame(0)).to.emit(escrow, "PlayerJoined");
+    });
+
+    it("Should keep settlements running while paused", async function () {
+      const { escrow, usdc, holders, operator, playerA, playerB, playerC, playerD, buyIn } =
+        await loadFixture(rolesFixture);
+
+      for (const player of [playerA, playerB, playerC, playerD]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(holders.PAUSER_ROLE).pause();
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn, 1))
+        .to.emit(escrow, "PlayerAliveSettled");
+    });
+
+    it("Should not let DEFAULT_ADMIN_ROLE grant or revoke the operator role", async function () {
+      const { escrow, holders, operator, other } = await loadFixture(rolesFixture);
+      const OPERATOR_ROLE = await escrow.OPERATOR_ROLE();
+
+      await expect(escrow.connect(holders.DEFAULT_ADMIN_ROLE).grantRole(OPERATOR_ROLE, other.address))
+        .to.be.revertedWithCustomError(escrow, "OperatorRoleLocked");
+      await expect(escrow.connect(holders.DEFAULT_ADMIN_ROLE).revokeRole(OPERATOR_ROLE, operator.address))
+        .to.be.revertedWithCustomError(escrow, "OperatorRoleLocked");
+
+      expect(await escrow.hasRole(OPERATOR_ROLE, other.address)).to.equal(false);
+      expect(await escrow.hasRole(OPERATOR_ROLE, operator.address)).to.equal(true);
+    });
+
+    it("Should move the operator role with the operator rotation", async function () {
+      const { escrow, holders, operator, other } = await loadFixture(rolesFixture);
+      const OPERATOR_ROLE = await escrow.OPERATOR_ROLE();
+
+      await escrow.connect(holders.OPERATOR_ADMIN_ROLE).scheduleOperator(other.address);
+      await time.increase(2 * 24 * 60 * 60);
+      await escrow.connect(other).acceptOperator();
+
+      expect(await escrow.hasRole(OPERATOR_ROLE, other.address)).to.equal(true);
+      expect(await escrow.hasRole(OPERATOR_ROLE, operator.address)).to.equal(false);
+      await expect(escrow.connect(operator).endGame(0))
+        .to.be.revertedWithCustomError(escrow, "NotOperator");
+    });
+  });
+
+  describe("Upgradeability", function () {
+    // RealtimeGamePoolEscrowUpgradeable behind an ERC1967 proxy, initialized in the proxy deployment
+    // tx, with a live game (A and B) and a waiting game (A only)
+    async function proxyFixture() {
+      const [owner, operator, treasury, playerA, playerB, attacker, other] = await ethers.getSigners();
+
+      const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+      const usdcAddress = await usdc.getAddress();
+
+      const Upgradeable = await ethers.getContractFactory("RealtimeGamePoolEscrowUpgradeable");
+      const implementation = await Upgradeable.deploy(...(await deployModules()));
+      const initData = implementation.interface.encodeFunctionData("initialize", [
+        usdcAddress,
+        operator.address,
+        treasury.address,
+        200,
+      ]);
+      const proxy = await (await ethers.getContractFactory("RealtimeEscrowProxy")).deploy(
+        await implementation.getAddress(),
+        initData
+      );
+      const escrow = Upgradeable.attach(await proxy.getAddress());
+      const escrowAddress = await escrow.getAddress();
+
+      const buyIn = ethers.parseUnits("100", 6);
+      for (const player of [playerA, playerB]) {
+        await usdc.transfer(player.address, ethers.parseUnits("1000", 6));
+        await usdc.connect(player).approve(escrowAddress, ethers.MaxUint256);
+      }
+
+      // Far enough out for the games to outlast the upgrade delay
+      const deadline = await getFutureTimestamp(7 * 24 * 3600);
+      await escrow.connect(operator).createGame(usdcAddress, buyIn, 2, deadline);
+      await escrow.connect(operator).createGame(usdcAddress, buyIn, 2, deadline);
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(playerA).joinGame(1);
+
+      return {
+        escrow,
+        implementation,
+        usdc,
+        owner,
+        operator,
+        treasury,
+        playerA,
+        playerB,
+        attacker,
+        other,
+        buyIn,
+      };
+    }
+
+    async function signJoinAuthorization(escrow, signer, player, gameId, nonce, expiry) {
+      const domain = {
+        name: "RealtimeGamePoolEscrow",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        JoinAuthorization: [
+          { name: "player", type: "address" },
+          { name: "gameId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, gameId, nonce, expiry });
+    }
+
+    async function upgradeToV2(escrow, signer) {
+      const v2 = await (await ethers.getContractFactory("MockRealtimeGamePoolEscrowV2")).deploy(...(await deployModules()));
+      await scheduleCall(escrow, signer, Change.UPGRADE, ["address"], [await v2.getAddress()]);
+      await escrow.connect(signer).upgradeToAndCall(await v2.getAddress(), "0x");
+      return v2.attach(await escrow.getAddress());
+    }
+
+    it("Should initialize the proxy like the constructor deployment", async function () {
+      const { escrow, usdc, owner, operator, treasury } = await loadFixture(proxyFixture);
+
+      expect(await escrow.operator()).to.equal(operator.address);
+      expect(await escrow.treasury()).to.equal(treasury.address);
+      expect(await escrow.feeBps()).to.equal(200);
+      expect(await escrow.minDelay()).to.equal(2 * 24 * 3600);
+      expect((await escrow.stakeTokens(await usdc.getAddress())).allowed).to.equal(true);
+      expect(await escrow.hasRole(await escrow.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await escrow.hasRole(await escrow.UPGRADER_ROLE(), owner.address)).to.equal(true);
+      expect(await escrow.hasRole(await escrow.OPERATOR_ROLE(), operator.address)).to.equal(true);
+
+      const domain = await escrow.eip712Domain();
+      expect(domain.name).to.equal("RealtimeGamePoolEscrow");
+      expect(domain.version).to.equal("1");
+      expect(domain.verifyingContract).to.equal(await escrow.getAddress());
+    });
+
+    it("Should keep the implementation and its modules under the EIP-170 contract size limit", async function () {
+      const { implementation } = await loadFixture(proxyFixture);
+
+      for (const address of [
+        await implementation.getAddress(),
+        await implementation.gameModule(),
+        await implementation.adminModule(),
+      ]) {
+        expect(ethers.dataLength(await ethers.provider.getCode(address))).to.be.at.most(MAX_CODE_SIZE);
+      }
+    });
+
+    it("Should not initialize twice or through the implementation", async function () {
+      const { escrow, implementation, usdc, operator, treasury, attacker } = await loadFixture(proxyFixture);
+      const args = [await usdc.getAddress(), operator.address, treasury.address, 200];
+
+      await expect(escrow.connect(attacker).initialize(...args))
+        .to.be.revertedWithCustomError(escrow, "InvalidInitialization");
+      await expect(implementation.connect(attacker).initialize(...args))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should only let UPGRADER_ROLE upgrade", async function () {
+      const { escrow, owner, attacker } = await loadFixture(proxyFixture);
+      const v2 = await (await ethers.getContractFactory("MockRealtimeGamePoolEscrowV2")).deploy(...(await deployModules()));
+
+      await expect(escrow.connect(attacker).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+        .withArgs(attacker.address, await escrow.UPGRADER_ROLE());
+
+      // The upgrader has to schedule the implementation first, and wait out the delay
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+      await escrow.connect(owner).scheduleCall(Change.UPGRADE, ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address"], [await v2.getAddress()])
+      ));
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      // Management roles do not imply the upgrade right
+      await escrow.connect(owner).renounceRole(await escrow.UPGRADER_ROLE(), owner.address);
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep games, balances and roles across an upgrade", async function () {
+      const { escrow, usdc, owner, operator, playerA, playerB, other, buyIn } = await loadFixture(proxyFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      const gamesBefore = [await escrow.getGame(0), await escrow.getGame(1)];
+      const playerBefore = await escrow.getPlayerState(0, playerA.address);
+      const balanceBefore = await usdc.balanceOf(escrowAddress);
+      expect(balanceBefore).to.equal(buyIn * 3n);
+
+      const upgraded = await upgradeToV2(escrow, owner);
+
+      expect(await upgraded.version()).to.equal("v2");
+      expect(await upgraded.getGame(0)).to.deep.equal(gamesBefore[0]);
+      expect(await upgraded.getGame(1)).to.deep.equal(gamesBefore[1]);
+      expect(await upgraded.getPlayerState(0, playerA.address)).to.deep.equal(playerBefore);
+      expect(await upgraded.activePlayerCount(0)).to.equal(2);
+      expect(await usdc.balanceOf(escrowAddress)).to.equal(balanceBefore);
+      expect(await upgraded.nextGameId()).to.equal(2);
+      expect(await upgraded.hasRole(await upgraded.UPGRADER_ROLE(), owner.address)).to.equal(true);
+      expect(await upgraded.hasRole(await upgraded.OPERATOR_ROLE(), operator.address)).to.equal(true);
+
+      // The live game can still be settled...
+      await expect(upgraded.connect(operator).settleAliveExit(0, playerA.address, buyIn, 1))
+        .to.changeTokenBalance(usdc, playerA, buyIn);
+
+      // ...and the EIP-712 domain (name, version, proxy address) still verifies player signatures
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signJoinAuthorization(upgraded, playerB, playerB.address, 1, 1, expiry);
+      await expect(upgraded.connect(other).joinGameFor(1, playerB.address, 1, expiry, signature))
+        .to.emit(upgraded, "PlayerJoined")
+        .withArgs(1, playerB.address, buyIn, buyIn);
+      expect(await usdc.balanceOf(escrowAddress)).to.equal(buyIn * 3n);
+    });
+  });
+
   describe("Game Creation", function () {
     it("Should create a game successfully", async function () {
-      const { escrow, operator, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = await loadFixture(deployContractsFixture);
 
       const targetPlayers = 4;
       const deadline = await getFutureTimestamp(3600); // 1 hour from now
 
-      await expect(escrow.connect(operator).createGame(buyIn, targetPlayers, deadline))
+      await expect(escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, targetPlayers, deadline))
         .to.emit(escrow, "GameCreated")
-        .withArgs(0, buyIn, targetPlayers, deadline);
+        .withArgs(0, await usdc.getAddress(), buyIn, targetPlayers, deadline);
 
       const game = await escrow.games(0);
       expect(game.buyIn).to.equal(buyIn);
@@ -195,53 +742,275 @@ describe("RealtimeGamePoolEscrow", function () {
     });
 
     it("Should create multiple games with auto-incrementing IDs", async function () {
-      const { escrow, operator, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
 
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       expect(await escrow.nextGameId()).to.equal(3);
     });
 
     it("Should revert if non-operator tries to create game", async function () {
-      const { escrow, attacker, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, attacker, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
 
-      await expect(escrow.connect(attacker).createGame(buyIn, 4, deadline))
+      await expect(escrow.connect(attacker).createGame(await usdc.getAddress(), buyIn, 4, deadline))
         .to.be.revertedWithCustomError(escrow, "NotOperator");
     });
 
     it("Should revert with invalid game parameters", async function () {
-      const { escrow, operator } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
 
       // Zero buy-in
-      await expect(escrow.connect(operator).createGame(0, 4, deadline))
+      await expect(escrow.connect(operator).createGame(await usdc.getAddress(), 0, 4, deadline))
         .to.be.revertedWithCustomError(escrow, "InvalidBuyIn");
 
       // Zero target players
-      await expect(escrow.connect(operator).createGame(ethers.parseUnits("100", 6), 0, deadline))
+      await expect(escrow.connect(operator).createGame(await usdc.getAddress(), ethers.parseUnits("100", 6), 0, deadline))
         .to.be.revertedWithCustomError(escrow, "InvalidTargetPlayers");
 
       // Invalid deadline (past)
       const pastDeadline = (await ethers.provider.getBlock("latest")).timestamp - 100;
-      await expect(escrow.connect(operator).createGame(ethers.parseUnits("100", 6), 4, pastDeadline))
+      await expect(escrow.connect(operator).createGame(await usdc.getAddress(), ethers.parseUnits("100", 6), 4, pastDeadline))
         .to.be.revertedWithCustomError(escrow, "InvalidDeadline");
     });
   });
 
+  describe("Multi-Token Buy-ins", function () {
+    async function multiTokenFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, owner, playerA, playerB } = base;
+
+      // Game points token with 18 decimals
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const points = await MockERC20.deploy("Game Points", "PTS", 18);
+
+      const minStake = ethers.parseUnits("1", 18);
+      const maxStake = ethers.parseUnits("1000", 18);
+      await escrow.connect(owner).setStakeToken(await points.getAddress(), true, minStake, maxStake);
+
+      for (const player of [playerA, playerB]) {
+        await points.transfer(player.address, ethers.parseUnits("10000", 18));
+        await points.connect(player).approve(await escrow.getAddress(), ethers.MaxUint256);
+      }
+
+      return { ...base, points, minStake, maxStake };
+    }
+
+    it("Should run a game and accrue fees in its own token", async function () {
+      const { escrow, usdc, points, owner, operator, treasury, playerA, playerB } =
+        await loadFixture(multiTokenFixture);
+
+      const buyIn = ethers.parseUnits("100", 18);
+      const deadline = await getFutureTimestamp(3600);
+
+      await expect(escrow.connect(operator).createGame(await points.getAddress(), buyIn, 2, deadline))
+        .to.emit(escrow, "GameCreated")
+        .withArgs(0, await points.getAddress(), buyIn, 2, deadline);
+
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+      await escrow.connect(operator).startGame(0);
+
+      const balanceBefore = await points.balanceOf(playerA.address);
+      await escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn, 1);
+      expect(await points.balanceOf(playerA.address)).to.equal(balanceBefore + buyIn);
+
+      await settleRemaining(escrow, operator, 0, [playerB]);
+      await escrow.connect(operator).endGame(0);
+
+      const fee = (buyIn * 2n * 200n) / 10000n;
+      expect(await escrow.accruedFees(await points.getAddress())).to.equal(fee);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+
+      await expect(escrow.connect(owner).withdrawFees(await points.getAddress(), 0))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await points.getAddress(), treasury.address, fee);
+      expect(await points.balanceOf(treasury.address)).to.equal(fee);
+    });
+
+    it("Should reject tokens that are not allowlisted", async function () {
+      const { escrow, operator } = await loadFixture(multiTokenFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdt = await MockERC20.deploy("Mock USDT", "mUSDT", 6);
+      const deadline = await getFutureTimestamp(3600);
+
+      await expect(escrow.connect(operator).createGame(await usdt.getAddress(), 1_000_000n, 2, deadline))
+        .to.be.revertedWithCustomError(escrow, "TokenNotAllowed");
+    });
+
+    it("Should enforce per-token buy-in limits", async function () {
+      const { escrow, points, operator, minStake, maxStake } = await loadFixture(multiTokenFixture);
+
+      const token = await points.getAddress();
+      const deadline = await getFutureTimestamp(3600);
+
+      await expect(escrow.connect(operator).createGame(token, minStake - 1n, 2, deadline))
+        .to.be.revertedWithCustomError(escrow, "InvalidBuyIn");
+      await expect(escrow.connect(operator).createGame(token, maxStake + 1n, 2, deadline))
+        .to.be.revertedWithCustomError(escrow, "InvalidBuyIn");
+    });
+
+    it("Should keep delisted-token games running", async function () {
+      const { escrow, points, owner, operator, playerA, playerB, minStake, maxStake } =
+        await loadFixture(multiTokenFixture);
+
+      const token = await points.getAddress();
+      const buyIn = ethers.parseUnits("10", 18);
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createGame(token, buyIn, 2, deadline);
+      await escrow.connect(owner).setStakeToken(token, false, minStake, maxStake);
+
+      await expect(escrow.connect(operator).createGame(token, buyIn, 2, deadline))
+        .to.be.revertedWithCustomError(escrow, "TokenNotAllowed");
+
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+      expect((await escrow.games(0)).token).to.equal(token);
+      expect((await escrow.games(0)).totalDeposited).to.equal(buyIn * 2n);
+    });
+
+    it("Should only let the owner configure tokens", async function () {
+      const { escrow, points, attacker } = await loadFixture(multiTokenFixture);
+
+      await expect(escrow.connect(attacker).setStakeToken(await points.getAddress(), true, 1, 10))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Native ETH Buy-ins", function () {
+    async function nativeGameFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, owner, operator } = base;
+
+      const minStake = ethers.parseEther("0.001");
+      const maxStake = ethers.parseEther("10");
+      await escrow.connect(owner).setStakeToken(ethers.ZeroAddress, true, minStake, maxStake);
+
+      const buyIn = ethers.parseEther("1");
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(ethers.ZeroAddress, buyIn, 2, deadline);
+
+      return { ...base, buyIn };
+    }
+
+    it("Should list native ETH with 18 decimals", async function () {
+      const { escrow, owner } = await loadFixture(deployContractsFixture);
+
+      await expect(escrow.connect(owner).setStakeToken(ethers.ZeroAddress, true, 1, 10))
+        .to.emit(escrow, "StakeTokenUpdated")
+        .withArgs(ethers.ZeroAddress, true, 18, 1, 10);
+    });
+
+    it("Should join, settle and withdraw fees in ETH", async function () {
+      const { escrow, owner, operator, treasury, playerA, playerB, buyIn } = await loadFixture(nativeGameFixture);
+
+      await expect(escrow.connect(playerA).joinGame(0, { value: buyIn }))
+        .to.changeEtherBalances([playerA, escrow], [-buyIn, buyIn]);
+      await escrow.connect(playerB).joinGame(0, { value: buyIn });
+      await escrow.connect(operator).startGame(0);
+
+      await expect(escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1))
+        .to.changeEtherBalance(playerA, buyIn / 2n);
+      await expect(escrow.connect(operator).settleAliveExit(0, playerB.address, buyIn, 2))
+        .to.changeEtherBalance(playerB, buyIn);
+
+      await escrow.connect(operator).endGame(0);
+
+      // The unpaid half of A's death value goes to the treasury with the fee
+      const fee = (buyIn * 2n * 200n) / 10000n;
+      const leftover = buyIn * 2n - fee - buyIn / 2n - buyIn;
+      expect(await escrow.accruedFees(ethers.ZeroAddress)).to.equal(fee + leftover);
+      await expect(escrow.connect(owner).withdrawFees(ethers.ZeroAddress, 0))
+        .to.changeEtherBalance(treasury, fee + leftover);
+    });
+
+    it("Should revive with ETH", async function () {
+      const { escrow, operator, playerA, playerB, buyIn } = await loadFixture(nativeGameFixture);
+
+      await escrow.connect(playerA).joinGame(0, { value: buyIn });
+      await escrow.connect(playerB).joinGame(0, { value: buyIn });
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      await expect(escrow.connect(playerA).revive(0, { value: buyIn }))
+        .to.emit(escrow, "PlayerRevived");
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(true);
+    });
+
+    it("Should revert when msg.value does not match the buy-in", async function () {
+      const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(nativeGameFixture);
+
+      await expect(escrow.connect(playerA).joinGame(0, { value: buyIn - 1n }))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+      await expect(escrow.connect(playerA).joinGame(0))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+
+      // Token games do not accept ETH
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), ethers.parseUnits("100", 6), 2, deadline);
+      await usdc.connect(playerA).approve(await escrow.getAddress(), ethers.MaxUint256);
+      await expect(escrow.connect(playerA).joinGame(1, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+    });
+
+    it("Should reject permit joins for ETH games", async function () {
+      const { escrow, playerA } = await loadFixture(nativeGameFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      await expect(escrow.connect(playerA).joinGameWithPermit(0, permitDeadline, 27, ethers.ZeroHash, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should credit rejected payouts as claimable ETH", async function () {
+      const { escrow, operator, playerB, buyIn } = await loadFixture(nativeGameFixture);
+
+      const Receiver = await ethers.getContractFactory("MockRejectingReceiver");
+      const receiver = await Receiver.deploy();
+      const receiverAddress = await receiver.getAddress();
+
+      await receiver.execute(await escrow.getAddress(), escrow.interface.encodeFunctionData("joinGame", [0]), {
+        value: buyIn,
+      });
+      await escrow.connect(playerB).joinGame(0, { value: buyIn });
+      await escrow.connect(operator).startGame(0);
+
+      // The rejecting player cannot block the settlement
+      await expect(escrow.connect(operator).settleAliveExit(0, receiverAddress, buyIn, 1))
+        .to.emit(escrow, "NativePayoutDeferred")
+        .withArgs(receiverAddress, buyIn);
+      expect(await escrow.claimableNative(receiverAddress)).to.equal(buyIn);
+
+      const claim = escrow.interface.encodeFunctionData("claimNative");
+      await expect(receiver.execute(await escrow.getAddress(), claim))
+        .to.be.revertedWithCustomError(escrow, "NativeTransferFailed");
+
+      await receiver.setRejecting(false);
+      await expect(receiver.execute(await escrow.getAddress(), claim))
+        .to.emit(escrow, "NativeClaimed")
+        .withArgs(receiverAddress, buyIn);
+      expect(await escrow.claimableNative(receiverAddress)).to.equal(0);
+
+      await expect(receiver.execute(await escrow.getAddress(), claim))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+  });
+
   describe("Joining Games", function () {
     async function createGameFixture() {
       const base = await loadFixture(deployContractsFixture);
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       // Approve USDC spending
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
@@ -322,7 +1091,7 @@ describe("RealtimeGamePoolEscrow", function () {
 
       const currentTime = BigInt((await ethers.provider.getBlock("latest")).timestamp);
       const deadline = currentTime + 100n;
-      await escrow.connect(operator).createGame(buyIn, 4, Number(deadline));
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, Number(deadline));
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn);
 
@@ -337,7 +1106,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       // Don't approve - should revert on transfer
       await expect(escrow.connect(playerA).joinGame(0))
@@ -345,54 +1114,289 @@ describe("RealtimeGamePoolEscrow", function () {
     });
   });
 
-  describe("Starting Games", function () {
-    async function playersJoinedFixture() {
+  describe("Permit Joins and Revives", function () {
+    async function permitGameFixture() {
       const base = await loadFixture(deployContractsFixture);
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
-
-      await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
-      await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
-      await usdc.connect(base.playerC).approve(await escrow.getAddress(), buyIn * 10n);
-      await usdc.connect(base.playerD).approve(await escrow.getAddress(), buyIn * 10n);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
-      await escrow.connect(base.playerA).joinGame(0);
-      await escrow.connect(base.playerB).joinGame(0);
-      await escrow.connect(base.playerC).joinGame(0);
-      await escrow.connect(base.playerD).joinGame(0);
+      return base;
+    }
 
-      return { ...base };
+    async function signPermit(usdc, owner, spender, value, deadline) {
+      const domain = {
+        name: "Mock USDC",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await usdc.getAddress(),
+      };
+
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      const message = {
+        owner: owner.address,
+        spender,
+        value,
+        nonce: await usdc.nonces(owner.address),
+        deadline,
+      };
+
+      return ethers.Signature.from(await owner.signTypedData(domain, types, message));
     }
 
-    it("Should start a game successfully", async function () {
-      const { escrow, operator, buyIn } = await loadFixture(playersJoinedFixture);
+    it("Should join with a permit and no prior approve", async function () {
+      const { escrow, usdc, playerA, buyIn } = await loadFixture(permitGameFixture);
 
-      const gameBefore = await escrow.games(0);
-      const totalDeposited = buyIn * 4n;
-      const expectedFee = (totalDeposited * 200n) / 10000n; // 2%
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), buyIn, permitDeadline);
 
-      await expect(escrow.connect(operator).startGame(0))
-        .to.emit(escrow, "GameStarted")
-        .withArgs(0, totalDeposited, expectedFee, 200);
+      const balanceBefore = await usdc.balanceOf(playerA.address);
 
-      const game = await escrow.games(0);
-      expect(game.status).to.equal(3); // LIVE
-      expect(game.potAtStart).to.equal(totalDeposited);
-      expect(game.reservedFee).to.equal(expectedFee);
+      await expect(escrow.connect(playerA).joinGameWithPermit(0, permitDeadline, v, r, s))
+        .to.emit(escrow, "PlayerJoined")
+        .withArgs(0, playerA.address, buyIn, buyIn);
+
+      expect(balanceBefore - (await usdc.balanceOf(playerA.address))).to.equal(buyIn);
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(true);
     });
 
-    it("Should start game even if not full", async function () {
-      const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(deployContractsFixture);
+    it("Should revert with an expired permit", async function () {
+      const { escrow, usdc, playerA, buyIn } = await loadFixture(permitGameFixture);
 
-      const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      const permitDeadline = await getFutureTimestamp(10);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), buyIn, permitDeadline);
 
-      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
-      await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
+      await time.increaseTo(permitDeadline + 1);
 
-      await escrow.connect(playerA).joinGame(0);
+      await expect(escrow.connect(playerA).joinGameWithPermit(0, permitDeadline, v, r, s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should revert with a replayed permit", async function () {
+      const { escrow, usdc, playerA, buyIn } = await loadFixture(permitGameFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), buyIn, permitDeadline);
+
+      await escrow.connect(playerA).joinGameWithPermit(0, permitDeadline, v, r, s);
+
+      await expect(escrow.connect(playerA).joinGameWithPermit(1, permitDeadline, v, r, s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should revive with a permit", async function () {
+      const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(permitGameFixture);
+
+      const spender = await escrow.getAddress();
+      let permitDeadline = await getFutureTimestamp(600);
+      let sig = await signPermit(usdc, playerA, spender, buyIn, permitDeadline);
+      await escrow.connect(playerA).joinGameWithPermit(0, permitDeadline, sig.v, sig.r, sig.s);
+
+      sig = await signPermit(usdc, playerB, spender, buyIn, permitDeadline);
+      await escrow.connect(playerB).joinGameWithPermit(0, permitDeadline, sig.v, sig.r, sig.s);
+
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      permitDeadline = await getFutureTimestamp(600);
+      sig = await signPermit(usdc, playerA, spender, buyIn, permitDeadline);
+
+      await expect(escrow.connect(playerA).reviveWithPermit(0, permitDeadline, sig.v, sig.r, sig.s))
+        .to.emit(escrow, "PlayerRevived")
+        .withArgs(0, playerA.address, buyIn, buyIn * 2n);
+
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(true);
+
+      // Replaying the revive permit fails once the player is dead again
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 2);
+      await expect(escrow.connect(playerA).reviveWithPermit(0, permitDeadline, sig.v, sig.r, sig.s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+  });
+
+  describe("Relayed Joins and Revives", function () {
+    async function relayedGameFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
+
+      return base;
+    }
+
+    async function signAuthorization(escrow, signer, primaryType, player, gameId, nonce, expiry) {
+      const domain = {
+        name: "RealtimeGamePoolEscrow",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        [primaryType]: [
+          { name: "player", type: "address" },
+          { name: "gameId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, gameId, nonce, expiry });
+    }
+
+    it("Should join the player, with the player's funds, when a relayer submits", async function () {
+      const { escrow, usdc, playerA, other, buyIn } = await loadFixture(relayedGameFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAuthorization(escrow, playerA, "JoinAuthorization", playerA.address, 0, 1, expiry);
+
+      const playerBalanceBefore = await usdc.balanceOf(playerA.address);
+      const relayerBalanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).joinGameFor(0, playerA.address, 1, expiry, signature))
+        .to.emit(escrow, "PlayerJoined")
+        .withArgs(0, playerA.address, buyIn, buyIn);
+
+      expect(playerBalanceBefore - (await usdc.balanceOf(playerA.address))).to.equal(buyIn);
+      expect(await usdc.balanceOf(other.address)).to.equal(relayerBalanceBefore);
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(true);
+      expect(await escrow.playerEverJoined(0, other.address)).to.equal(false);
+    });
+
+    it("Should revive the player when a relayer submits", async function () {
+      const { escrow, usdc, operator, playerA, playerB, other, buyIn } = await loadFixture(relayedGameFixture);
+
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAuthorization(escrow, playerA, "ReviveAuthorization", playerA.address, 0, 7, expiry);
+
+      const relayerBalanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).reviveFor(0, playerA.address, 7, expiry, signature))
+        .to.emit(escrow, "PlayerRevived")
+        .withArgs(0, playerA.address, buyIn, buyIn * 2n);
+
+      expect(await usdc.balanceOf(other.address)).to.equal(relayerBalanceBefore);
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(true);
+    });
+
+    it("Should not accept a join authorization as a revive authorization", async function () {
+      const { escrow, operator, playerA, playerB, other, buyIn } = await loadFixture(relayedGameFixture);
+
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAuthorization(escrow, playerA, "JoinAuthorization", playerA.address, 0, 1, expiry);
+
+      await expect(escrow.connect(other).reviveFor(0, playerA.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert with an expired authorization", async function () {
+      const { escrow, playerA, other } = await loadFixture(relayedGameFixture);
+
+      const expiry = await getFutureTimestamp(10);
+      const signature = await signAuthorization(escrow, playerA, "JoinAuthorization", playerA.address, 0, 1, expiry);
+
+      await time.increaseTo(expiry + 1);
+
+      await expect(escrow.connect(other).joinGameFor(0, playerA.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "AuthorizationExpired");
+    });
+
+    it("Should revert with a reused authorization nonce", async function () {
+      const { escrow, playerA, other } = await loadFixture(relayedGameFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAuthorization(escrow, playerA, "JoinAuthorization", playerA.address, 0, 1, expiry);
+
+      await escrow.connect(other).joinGameFor(0, playerA.address, 1, expiry, signature);
+
+      await expect(escrow.connect(other).joinGameFor(0, playerA.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed");
+    });
+
+    it("Should revert if the authorization is not signed by the player", async function () {
+      const { escrow, playerA, attacker, other } = await loadFixture(relayedGameFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const forged = await signAuthorization(escrow, attacker, "JoinAuthorization", playerA.address, 0, 1, expiry);
+
+      await expect(escrow.connect(other).joinGameFor(0, playerA.address, 1, expiry, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+  });
+
+  describe("Starting Games", function () {
+    async function playersJoinedFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerC).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerD).approve(await escrow.getAddress(), buyIn * 10n);
+
+      await escrow.connect(base.playerA).joinGame(0);
+      await escrow.connect(base.playerB).joinGame(0);
+      await escrow.connect(base.playerC).joinGame(0);
+      await escrow.connect(base.playerD).joinGame(0);
+
+      return { ...base };
+    }
+
+    it("Should start a game successfully", async function () {
+      const { escrow, operator, buyIn } = await loadFixture(playersJoinedFixture);
+
+      const gameBefore = await escrow.games(0);
+      const totalDeposited = buyIn * 4n;
+      const expectedFee = (totalDeposited * 200n) / 10000n; // 2%
+
+      await expect(escrow.connect(operator).startGame(0))
+        .to.emit(escrow, "GameStarted")
+        .withArgs(0, totalDeposited, expectedFee, 200);
+
+      const game = await escrow.games(0);
+      expect(game.status).to.equal(3); // LIVE
+      expect(game.potAtStart).to.equal(totalDeposited);
+      expect(game.reservedFee).to.equal(expectedFee);
+    });
+
+    it("Should start game even if not full", async function () {
+      const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(deployContractsFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
+
+      await escrow.connect(playerA).joinGame(0);
       await escrow.connect(playerB).joinGame(0);
 
       await expect(escrow.connect(operator).startGame(0))
@@ -432,7 +1436,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -495,10 +1499,10 @@ describe("RealtimeGamePoolEscrow", function () {
     });
 
     it("Should revert if game not live", async function () {
-      const { escrow, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await expect(escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1))
         .to.be.revertedWithCustomError(escrow, "GameNotLive");
@@ -577,7 +1581,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -640,10 +1644,10 @@ describe("RealtimeGamePoolEscrow", function () {
     });
 
     it("Should revert if game not live", async function () {
-      const { escrow, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await expect(escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn, 1))
         .to.be.revertedWithCustomError(escrow, "GameNotLive");
@@ -699,13 +1703,476 @@ describe("RealtimeGamePoolEscrow", function () {
     });
   });
 
+  describe("Signed Settlements", function () {
+    const NO_EXPIRY = ethers.MaxUint256;
+
+    async function liveGameFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 2, deadline);
+      for (const player of [playerA, playerB]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn * 10n);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+
+      return base;
+    }
+
+    // Signs for the player's current playerDeposited, as the operator would
+    async function signExit(escrow, signer, primaryType, gameId, player, value, eventId, validUntil) {
+      const domain = {
+        name: "RealtimeGamePoolEscrow",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        [primaryType]: [
+          { name: "gameId", type: "uint256" },
+          { name: "player", type: "address" },
+          { name: "deposited", type: "uint256" },
+          { name: "value", type: "uint256" },
+          { name: "eventId", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const deposited = await escrow.playerDeposited(gameId, player);
+      return signer.signTypedData(domain, types, { gameId, player, deposited, value, eventId, validUntil });
+    }
+
+    it("Should settle a death exit submitted by a relayer", async function () {
+      const { escrow, usdc, operator, playerA, other, buyIn } = await loadFixture(liveGameFixture);
+
+      const signature = await signExit(escrow, operator, "DeathExit", 0, playerA.address, buyIn, 1, NO_EXPIRY);
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(other).settleDeathExitBySignature(0, playerA.address, buyIn, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "PlayerDeathSettled")
+        .withArgs(0, playerA.address, buyIn, buyIn / 2n, 1);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + buyIn / 2n);
+      expect(await escrow.usedEventId(0, 1)).to.equal(true);
+      expect(await escrow.playerActive(0, playerA.address)).to.equal(false);
+    });
+
+    it("Should let the player cash out on their own", async function () {
+      const { escrow, usdc, operator, playerB, buyIn } = await loadFixture(liveGameFixture);
+
+      const validUntil = await getFutureTimestamp(600);
+      const signature = await signExit(escrow, operator, "AliveExit", 0, playerB.address, buyIn, 7, validUntil);
+      const balanceBefore = await usdc.balanceOf(playerB.address);
+
+      await expect(
+        escrow.connect(playerB).settleAliveExitBySignature(0, playerB.address, buyIn, 7, validUntil, signature)
+      )
+        .to.emit(escrow, "PlayerAliveSettled")
+        .withArgs(0, playerB.address, buyIn, buyIn, 7);
+
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBefore + buyIn);
+    });
+
+    it("Should share usedEventId with direct settlements", async function () {
+      const { escrow, operator, playerA, playerB, other, buyIn } = await loadFixture(liveGameFixture);
+
+      const signature = await signExit(escrow, operator, "DeathExit", 0, playerA.address, buyIn, 1, NO_EXPIRY);
+      await escrow.connect(other).settleDeathExitBySignature(0, playerA.address, buyIn, 1, NO_EXPIRY, signature);
+
+      // The same eventId signed again after a revive
+      await escrow.connect(playerA).revive(0);
+      const replay = await signExit(escrow, operator, "DeathExit", 0, playerA.address, buyIn, 1, NO_EXPIRY);
+      await expect(escrow.connect(other).settleDeathExitBySignature(0, playerA.address, buyIn, 1, NO_EXPIRY, replay))
+        .to.be.revertedWithCustomError(escrow, "EventIdAlreadyUsed");
+
+      // A message for an eventId the operator already settled directly
+      await escrow.connect(operator).settleAliveExit(0, playerB.address, buyIn, 2);
+      const late = await signExit(escrow, operator, "AliveExit", 0, playerA.address, buyIn, 2, NO_EXPIRY);
+      await expect(escrow.connect(other).settleAliveExitBySignature(0, playerA.address, buyIn, 2, NO_EXPIRY, late))
+        .to.be.revertedWithCustomError(escrow, "EventIdAlreadyUsed");
+    });
+
+    it("Should reject forged, tampered and mismatched messages", async function () {
+      const { escrow, operator, playerA, attacker, buyIn } = await loadFixture(liveGameFixture);
+
+      const forged = await signExit(escrow, attacker, "AliveExit", 0, playerA.address, buyIn, 1, NO_EXPIRY);
+      await expect(escrow.connect(attacker).settleAliveExitBySignature(0, playerA.address, buyIn, 1, NO_EXPIRY, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const signature = await signExit(escrow, operator, "DeathExit", 0, playerA.address, buyIn, 1, NO_EXPIRY);
+      await expect(escrow.settleDeathExitBySignature(0, playerA.address, buyIn * 2n, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+      await expect(escrow.settleDeathExitBySignature(0, attacker.address, buyIn, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // A DeathExit message cannot be submitted as an AliveExit (double payout)
+      await expect(escrow.settleAliveExitBySignature(0, playerA.address, buyIn, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should not settle a message signed before the player's revive", async function () {
+      const { escrow, operator, playerA, other, buyIn } = await loadFixture(liveGameFixture);
+
+      // Signed but never submitted: the player exits through another settlement, then revives
+      const stale = await signExit(escrow, operator, "AliveExit", 0, playerA.address, buyIn, 2, NO_EXPIRY);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+      await escrow.connect(playerA).revive(0);
+
+      await expect(escrow.connect(other).settleAliveExitBySignature(0, playerA.address, buyIn, 2, NO_EXPIRY, stale))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const current = await signExit(escrow, operator, "AliveExit", 0, playerA.address, buyIn, 2, NO_EXPIRY);
+      await expect(escrow.connect(other).settleAliveExitBySignature(0, playerA.address, buyIn, 2, NO_EXPIRY, current))
+        .to.emit(escrow, "PlayerAliveSettled")
+        .withArgs(0, playerA.address, buyIn, buyIn, 2);
+    });
+
+    it("Should reject expired messages", async function () {
+      const { escrow, operator, playerA, buyIn } = await loadFixture(liveGameFixture);
+
+      const validUntil = await getFutureTimestamp(600);
+      const signature = await signExit(escrow, operator, "AliveExit", 0, playerA.address, buyIn, 1, validUntil);
+      await time.increaseTo(validUntil + 1);
+
+      await expect(escrow.settleAliveExitBySignature(0, playerA.address, buyIn, 1, validUntil, signature))
+        .to.be.revertedWithCustomError(escrow, "AuthorizationExpired");
+    });
+
+    it("Should apply the usual settlement checks", async function () {
+      const { escrow, operator, playerA, buyIn } = await loadFixture(liveGameFixture);
+
+      const tooMuch = buyIn * 2n;
+      const signature = await signExit(escrow, operator, "AliveExit", 0, playerA.address, tooMuch, 1, NO_EXPIRY);
+      await expect(escrow.settleAliveExitBySignature(0, playerA.address, tooMuch, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InsufficientFunds");
+
+      const unknown = await signExit(escrow, operator, "AliveExit", 5, playerA.address, buyIn, 1, NO_EXPIRY);
+      await expect(escrow.settleAliveExitBySignature(5, playerA.address, buyIn, 1, NO_EXPIRY, unknown))
+        .to.be.revertedWithCustomError(escrow, "InvalidGame");
+    });
+  });
+
+  describe("Batch Settlement", function () {
+    const DEATH = 0;
+    const ALIVE = 1;
+    const PLAYERS = 10;
+
+    // Live game 0 with PLAYERS players
+    async function batchFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = base;
+      const players = (await ethers.getSigners()).slice(9, 9 + PLAYERS);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, PLAYERS, deadline);
+      for (const player of players) {
+        await usdc.transfer(player.address, buyIn);
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+
+      return { ...base, players };
+    }
+
+    it("Should settle deaths and alive exits with the per-player events", async function () {
+      const { escrow, usdc, operator, players, buyIn } = await loadFixture(batchFixture);
+      const [p0, p1, p2] = players;
+
+      const items = [
+        { player: p0.address, value: buyIn, eventId: 1, kind: DEATH },
+        { player: p1.address, value: buyIn * 2n, eventId: 2, kind: ALIVE },
+        { player: p2.address, value: 1n, eventId: 3, kind: DEATH },
+      ];
+      const balances = [await usdc.balanceOf(p0.address), await usdc.balanceOf(p1.address)];
+
+      await expect(escrow.connect(operator).settleBatch(0, items))
+        .to.emit(escrow, "PlayerDeathSettled")
+        .withArgs(0, p0.address, buyIn, buyIn / 2n, 1)
+        .and.to.emit(escrow, "PlayerAliveSettled")
+        .withArgs(0, p1.address, buyIn * 2n, buyIn * 2n, 2)
+        .and.to.emit(escrow, "PlayerDeathSettled")
+        .withArgs(0, p2.address, 1n, 0, 3);
+
+      expect(await usdc.balanceOf(p0.address)).to.equal(balances[0] + buyIn / 2n);
+      expect(await usdc.balanceOf(p1.address)).to.equal(balances[1] + buyIn * 2n);
+      expect(await escrow.activePlayerCount(0)).to.equal(PLAYERS - 3);
+      expect((await escrow.games(0)).totalPaidOut).to.equal(buyIn / 2n + buyIn * 2n);
+      expect(await escrow.usedEventId(0, 3)).to.equal(true);
+      expect(await escrow.playerExited(0, p2.address)).to.equal(true);
+    });
+
+    it("Should check each item against the remaining available balance", async function () {
+      const { escrow, operator, players } = await loadFixture(batchFixture);
+
+      const available = await escrow.availableBalance(0);
+      const items = [
+        { player: players[0].address, value: available - 10n, eventId: 1, kind: ALIVE },
+        { player: players[1].address, value: 11n, eventId: 2, kind: ALIVE },
+      ];
+      await expect(escrow.connect(operator).settleBatch(0, items))
+        .to.be.revertedWithCustomError(escrow, "InsufficientFunds");
+
+      items[1].value = 10n;
+      await escrow.connect(operator).settleBatch(0, items);
+      expect(await escrow.availableBalance(0)).to.equal(0);
+    });
+
+    it("Should revert the whole batch on a failing item", async function () {
+      const { escrow, operator, players, buyIn } = await loadFixture(batchFixture);
+
+      await escrow.connect(operator).settleDeathExit(0, players[2].address, buyIn, 9);
+
+      const item = (player, eventId) => ({ player: player.address, value: buyIn, eventId, kind: DEATH });
+      await expect(escrow.connect(operator).settleBatch(0, [item(players[0], 1), item(players[1], 9)]))
+        .to.be.revertedWithCustomError(escrow, "EventIdAlreadyUsed");
+      await expect(escrow.connect(operator).settleBatch(0, [item(players[0], 1), item(players[0], 2)]))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotActive");
+      await expect(escrow.connect(operator).settleBatch(0, [item(players[0], 1), item(players[2], 2)]))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotActive");
+      await expect(
+        escrow.connect(operator).settleBatch(0, [{ player: players[0].address, value: 0, eventId: 1, kind: ALIVE }])
+      ).to.be.revertedWithCustomError(escrow, "InvalidValue");
+
+      expect(await escrow.playerActive(0, players[0].address)).to.equal(true);
+      expect(await escrow.usedEventId(0, 1)).to.equal(false);
+    });
+
+    it("Should guard the batch size, game state and caller", async function () {
+      const { escrow, operator, attacker, players, buyIn } = await loadFixture(batchFixture);
+
+      const max = Number(await escrow.MAX_SETTLE_BATCH());
+      const tooMany = Array.from({ length: max + 1 }, (_, i) => ({
+        player: players[0].address,
+        value: buyIn,
+        eventId: i,
+        kind: DEATH,
+      }));
+      await expect(escrow.connect(operator).settleBatch(0, tooMany))
+        .to.be.revertedWithCustomError(escrow, "InvalidBatchSize");
+      await expect(escrow.connect(operator).settleBatch(0, []))
+        .to.be.revertedWithCustomError(escrow, "InvalidBatchSize");
+
+      const items = [{ player: players[0].address, value: buyIn, eventId: 1, kind: DEATH }];
+      await expect(escrow.connect(attacker).settleBatch(0, items))
+        .to.be.revertedWithCustomError(escrow, "NotOperator");
+      await expect(escrow.connect(operator).settleBatch(1, items))
+        .to.be.revertedWithCustomError(escrow, "InvalidGame");
+    });
+
+    it("Should use less gas than single settlements", async function () {
+      const { escrow, operator, players, buyIn } = await loadFixture(batchFixture);
+      const half = PLAYERS / 2;
+
+      let singleGas = 0n;
+      for (let i = 0; i < half; i++) {
+        const settle = i % 2 === 0 ? "settleDeathExit" : "settleAliveExit";
+        const tx = await escrow.connect(operator)[settle](0, players[i].address, buyIn / 2n, i + 1);
+        singleGas += (await tx.wait()).gasUsed;
+      }
+
+      const items = players.slice(half).map((player, i) => ({
+        player: player.address,
+        value: buyIn / 2n,
+        eventId: half + i + 1,
+        kind: i % 2 === 0 ? DEATH : ALIVE,
+      }));
+      const tx = await escrow.connect(operator).settleBatch(0, items);
+      const batchGas = (await tx.wait()).gasUsed;
+
+      expect(batchGas).to.be.lessThan(singleGas);
+      expect(await escrow.activePlayerCount(0)).to.equal(0);
+    });
+  });
+
+  describe("Settlement Bounds", function () {
+    // Live game 0 with four players (pot 4 * buyIn), created after `bounds` became the defaults
+    async function boundedGame(bounds) {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, playerA, playerB, playerC, playerD, buyIn } = base;
+
+      await escrow.connect(owner).setDefaultBounds(...bounds);
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      for (const player of [playerA, playerB, playerC, playerD]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn * 10n);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+
+      return base;
+    }
+
+    it("Should copy the default bounds into new games only", async function () {
+      const { escrow, usdc, owner, operator, buyIn } = await loadFixture(deployContractsFixture);
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await expect(escrow.connect(owner).setDefaultBounds(30000, 5000, true))
+        .to.emit(escrow, "DefaultBoundsUpdated")
+        .withArgs(30000, 5000, true);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      const before = await escrow.gameBounds(0);
+      expect(before.maxPayoutMultipleBps).to.equal(0);
+      expect(before.maxPotShareBps).to.equal(0);
+      expect(before.capTotalValue).to.equal(false);
+
+      const after = await escrow.gameBounds(1);
+      expect(after.maxPayoutMultipleBps).to.equal(30000);
+      expect(after.maxPotShareBps).to.equal(5000);
+      expect(after.capTotalValue).to.equal(true);
+    });
+
+    it("Should cap each payout at a multiple of the player's deposits", async function () {
+      const { escrow, operator, playerA, playerB, playerC, buyIn } = await boundedGame([20000, 0, false]);
+
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerB.address, buyIn * 2n + 1n, 2))
+        .to.be.revertedWithCustomError(escrow, "PayoutAboveDepositCap");
+      await escrow.connect(operator).settleAliveExit(0, playerB.address, buyIn * 2n, 2);
+
+      // A death exit pays half its value, so it can report more than the multiple
+      await escrow.connect(operator).settleDeathExit(0, playerC.address, (buyIn * 28n) / 10n, 3);
+    });
+
+    it("Should count revives in the player's deposits", async function () {
+      const { escrow, operator, playerA, buyIn } = await boundedGame([10000, 0, false]);
+
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+      await escrow.connect(playerA).revive(0);
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn * 2n + 1n, 2))
+        .to.be.revertedWithCustomError(escrow, "PayoutAboveDepositCap");
+      await escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn * 2n, 2);
+    });
+
+    it("Should cap each payout at a share of potAtStart", async function () {
+      const { escrow, operator, playerA, buyIn } = await boundedGame([0, 2500, false]);
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn + 1n, 1))
+        .to.be.revertedWithCustomError(escrow, "PayoutAbovePotShare");
+      await escrow.connect(operator).settleAliveExit(0, playerA.address, buyIn, 1);
+    });
+
+    it("Should cap the sum of reported values at the net pot", async function () {
+      const { escrow, operator, playerA, playerB, playerC, buyIn } = await boundedGame([0, 0, true]);
+
+      const netPot = buyIn * 4n - (buyIn * 4n * 200n) / 10000n;
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn * 3n, 1);
+      await escrow.connect(operator).settleAliveExit(0, playerB.address, netPot - buyIn * 3n, 2);
+      expect(await escrow.totalReportedValue(0)).to.equal(netPot);
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerC.address, 1, 3))
+        .to.be.revertedWithCustomError(escrow, "ValueAboveNetPot");
+    });
+
+    it("Should apply the bounds to signed, batch and final settlements", async function () {
+      const { escrow, operator, playerA, playerB, buyIn } = await boundedGame([0, 2500, false]);
+
+      const items = [
+        { player: playerA.address, value: buyIn, eventId: 1, kind: 1 },
+        { player: playerB.address, value: buyIn + 1n, eventId: 2, kind: 1 },
+      ];
+      await expect(escrow.connect(operator).settleBatch(0, items))
+        .to.be.revertedWithCustomError(escrow, "PayoutAbovePotShare");
+
+      await expect(escrow.connect(operator).settleFinal(0, [playerA.address], [buyIn + 1n]))
+        .to.be.revertedWithCustomError(escrow, "PayoutAbovePotShare");
+
+      const domain = {
+        name: "RealtimeGamePoolEscrow",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+      const types = {
+        AliveExit: [
+          { name: "gameId", type: "uint256" },
+          { name: "player", type: "address" },
+          { name: "deposited", type: "uint256" },
+          { name: "value", type: "uint256" },
+          { name: "eventId", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+      const message = {
+        gameId: 0,
+        player: playerA.address,
+        deposited: buyIn,
+        value: buyIn + 1n,
+        eventId: 1,
+        validUntil: ethers.MaxUint256,
+      };
+      const signature = await operator.signTypedData(domain, types, message);
+      await expect(
+        escrow.settleAliveExitBySignature(0, playerA.address, buyIn + 1n, 1, ethers.MaxUint256, signature)
+      ).to.be.revertedWithCustomError(escrow, "PayoutAbovePotShare");
+    });
+
+    it("Should return the per-player bound from playerMaxValue", async function () {
+      const { escrow, owner, operator, playerA, playerB, playerC, buyIn } = await boundedGame([15000, 3000, true]);
+
+      // min(available 392, 1.5 * deposit 150, 30% of pot 120, net pot left 392)
+      expect(await escrow.playerMaxValue(0, playerA.address)).to.equal((buyIn * 4n * 3000n) / 10000n);
+
+      // Without the pot share, the deposit multiple is the tightest
+      await escrow.connect(owner).setGameBounds(0, 15000, 0, true);
+      expect(await escrow.playerMaxValue(0, playerA.address)).to.equal((buyIn * 15000n) / 10000n);
+
+      // ...until the reported values leave less of the net pot
+      await escrow.connect(owner).setGameBounds(0, 0, 0, true);
+      await escrow.connect(operator).settleDeathExit(0, playerB.address, buyIn * 3n, 1);
+      const left = buyIn * 4n - (buyIn * 4n * 200n) / 10000n - buyIn * 3n;
+      expect(await escrow.playerMaxValue(0, playerA.address)).to.equal(left);
+
+      await expect(escrow.connect(operator).settleAliveExit(0, playerA.address, left + 1n, 2))
+        .to.be.revertedWithCustomError(escrow, "ValueAboveNetPot");
+      await escrow.connect(operator).settleAliveExit(0, playerA.address, left, 2);
+      expect(await escrow.playerMaxValue(0, playerC.address)).to.equal(0);
+    });
+
+    it("Should validate and restrict bounds updates", async function () {
+      const { escrow, owner, operator, attacker, playerA, playerB, playerC, playerD } =
+        await boundedGame([0, 0, false]);
+
+      await expect(escrow.connect(attacker).setGameBounds(0, 10000, 0, false))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(operator).setGameBounds(0, 10000, 0, false))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(owner).setGameBounds(0, 0, 10001, false))
+        .to.be.revertedWithCustomError(escrow, "InvalidBounds");
+      await expect(escrow.connect(owner).setDefaultBounds(0, 10001, false))
+        .to.be.revertedWithCustomError(escrow, "InvalidBounds");
+      await expect(escrow.connect(owner).setGameBounds(1, 0, 0, false))
+        .to.be.revertedWithCustomError(escrow, "InvalidGame");
+
+      await expect(escrow.connect(owner).setGameBounds(0, 10000, 2500, true))
+        .to.emit(escrow, "GameBoundsUpdated")
+        .withArgs(0, 10000, 2500, true);
+
+      await escrow.connect(operator).settleFinal(
+        0,
+        [playerA.address, playerB.address, playerC.address, playerD.address],
+        [0, 0, 0, 0]
+      );
+      await escrow.connect(operator).endGame(0);
+      await expect(escrow.connect(owner).setGameBounds(0, 0, 0, false))
+        .to.be.revertedWithCustomError(escrow, "GameAlreadyEnded");
+    });
+  });
+
   describe("Revive Functionality", function () {
     async function playerDiedFixture() {
       const base = await loadFixture(deployContractsFixture);
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -764,10 +2231,10 @@ describe("RealtimeGamePoolEscrow", function () {
     });
 
     it("Should revert if game not live", async function () {
-      const { escrow, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await expect(escrow.connect(playerA).revive(0))
         .to.be.revertedWithCustomError(escrow, "GameNotLive");
@@ -777,7 +2244,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, other, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await escrow.connect(playerA).joinGame(0);
@@ -824,7 +2291,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -842,10 +2309,12 @@ describe("RealtimeGamePoolEscrow", function () {
     }
 
     it("Should end game and accrue fees", async function () {
-      const { escrow, operator, buyIn } = await loadFixture(liveGameFixture);
+      const { escrow, usdc, operator, playerA, playerB, playerC, playerD } = await loadFixture(liveGameFixture);
+
+      await settleRemaining(escrow, operator, 0, [playerA, playerB, playerC, playerD]);
 
       const gameBefore = await escrow.games(0);
-      const accruedFeesBefore = await escrow.accruedFees();
+      const accruedFeesBefore = await escrow.accruedFees(await usdc.getAddress());
 
       await expect(escrow.connect(operator).endGame(0))
         .to.emit(escrow, "GameEnded")
@@ -853,14 +2322,14 @@ describe("RealtimeGamePoolEscrow", function () {
 
       const game = await escrow.games(0);
       expect(game.status).to.equal(4); // ENDED
-      expect(await escrow.accruedFees()).to.equal(accruedFeesBefore + gameBefore.reservedFee);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(accruedFeesBefore + gameBefore.reservedFee);
     });
 
     it("Should revert if game not live", async function () {
-      const { escrow, operator, buyIn } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await expect(escrow.connect(operator).endGame(0))
         .to.be.revertedWithCustomError(escrow, "GameNotLive");
@@ -874,13 +2343,614 @@ describe("RealtimeGamePoolEscrow", function () {
     });
   });
 
+  describe("End of Game Settlement", function () {
+    const Destination = { TREASURY: 0, NEXT_GAME_SEED: 1, SURVIVORS: 2 };
+
+    // Live game 0 with four players where A died with value buyIn (paid buyIn / 2)
+    async function finalFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, playerC, playerD, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      for (const player of [playerA, playerB, playerC, playerD]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn * 10n);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+      await escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1);
+
+      const fee = (buyIn * 4n * 200n) / 10000n;
+      return { ...base, fee };
+    }
+
+    it("Should block endGame until every player is settled", async function () {
+      const { escrow, operator, playerB, playerC, playerD, buyIn } = await loadFixture(finalFixture);
+
+      await expect(escrow.connect(operator).endGame(0))
+        .to.be.revertedWithCustomError(escrow, "PlayersStillActive");
+
+      await escrow.connect(operator).settleFinal(0, [playerB.address, playerC.address], [buyIn, buyIn]);
+      await expect(escrow.connect(operator).endGame(0))
+        .to.be.revertedWithCustomError(escrow, "PlayersStillActive");
+
+      await escrow.connect(operator).settleFinal(0, [playerD.address], [buyIn]);
+      await expect(escrow.connect(operator).endGame(0)).to.emit(escrow, "GameEnded");
+    });
+
+    it("Should pay remaining players their final values", async function () {
+      const { escrow, usdc, operator, playerB, playerC, playerD, buyIn } = await loadFixture(finalFixture);
+
+      const balanceBefore = await usdc.balanceOf(playerB.address);
+      await expect(
+        escrow.connect(operator).settleFinal(
+          0,
+          [playerB.address, playerC.address, playerD.address],
+          [buyIn * 2n, buyIn / 2n, 0]
+        )
+      )
+        .to.emit(escrow, "PlayerFinalSettled")
+        .withArgs(0, playerB.address, buyIn * 2n)
+        .and.to.emit(escrow, "PlayerFinalSettled")
+        .withArgs(0, playerD.address, 0);
+
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBefore + buyIn * 2n);
+      expect(await escrow.activePlayerCount(0)).to.equal(0);
+      expect(await escrow.playerExited(0, playerD.address)).to.equal(true);
+      expect(await escrow.finalValue(0, playerC.address)).to.equal(buyIn / 2n);
+      expect(await escrow.totalFinalValue(0)).to.equal(buyIn * 2n + buyIn / 2n);
+    });
+
+    it("Should reject invalid final settlements", async function () {
+      const { escrow, operator, playerA, playerB, attacker, buyIn } = await loadFixture(finalFixture);
+
+      await expect(escrow.connect(operator).settleFinal(0, [playerA.address], [buyIn]))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotActive");
+      await expect(escrow.connect(operator).settleFinal(0, [playerB.address], []))
+        .to.be.revertedWithCustomError(escrow, "LengthMismatch");
+      await expect(escrow.connect(operator).settleFinal(0, [playerB.address], [buyIn * 4n]))
+        .to.be.revertedWithCustomError(escrow, "InsufficientFunds");
+      await expect(escrow.connect(operator).settleFinal(0, [playerB.address, playerB.address], [1, 1]))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotActive");
+      await expect(escrow.connect(attacker).settleFinal(0, [playerB.address], [buyIn]))
+        .to.be.revertedWithCustomError(escrow, "NotOperator");
+      await expect(escrow.connect(operator).settleFinal(1, [playerB.address], [buyIn]))
+        .to.be.revertedWithCustomError(escrow, "InvalidGame");
+    });
+
+    it("Should send the leftover to the treasury by default", async function () {
+      const { escrow, usdc, operator, playerB, playerC, playerD, buyIn, fee } = await loadFixture(finalFixture);
+
+      const survivors = [playerB.address, playerC.address, playerD.address];
+      await escrow.connect(operator).settleFinal(0, survivors, [buyIn, buyIn, buyIn]);
+      const leftover = buyIn * 4n - fee - buyIn / 2n - buyIn * 3n;
+
+      await expect(escrow.connect(operator).endGame(0))
+        .to.emit(escrow, "LeftoverDistributed")
+        .withArgs(0, Destination.TREASURY, leftover);
+
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee + leftover);
+      expect(await escrow.availableBalance(0)).to.equal(0);
+    });
+
+    it("Should seed the next game started in the same token", async function () {
+      const { escrow, usdc, owner, operator, playerA, playerB, playerC, playerD, buyIn, fee } =
+        await loadFixture(finalFixture);
+
+      await expect(escrow.connect(owner).setLeftoverDestination(Destination.NEXT_GAME_SEED))
+        .to.emit(escrow, "LeftoverDestinationUpdated")
+        .withArgs(Destination.TREASURY, Destination.NEXT_GAME_SEED);
+
+      const survivors = [playerB.address, playerC.address, playerD.address];
+      await escrow.connect(operator).settleFinal(0, survivors, [buyIn, buyIn, 0]);
+      const leftover = buyIn * 4n - fee - buyIn / 2n - buyIn * 2n;
+      await escrow.connect(operator).endGame(0);
+
+      const usdcAddress = await usdc.getAddress();
+      expect(await escrow.seedBalance(usdcAddress)).to.equal(leftover);
+      expect(await escrow.accruedFees(usdcAddress)).to.equal(fee);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(usdcAddress, buyIn, 2, deadline);
+      await escrow.connect(playerA).joinGame(1);
+      await escrow.connect(playerB).joinGame(1);
+
+      await expect(escrow.connect(operator).startGame(1))
+        .to.emit(escrow, "GameSeeded")
+        .withArgs(1, leftover);
+
+      // The seed is added to the pot after the fee is reserved
+      const game = await escrow.games(1);
+      expect(game.potAtStart).to.equal(buyIn * 2n);
+      expect(game.reservedFee).to.equal((buyIn * 2n * 200n) / 10000n);
+      expect(await escrow.availableBalance(1)).to.equal(buyIn * 2n - game.reservedFee + leftover);
+      expect(await escrow.seedBalance(usdcAddress)).to.equal(0);
+    });
+
+    it("Should credit the leftover pro-rata to the final values of the survivors", async function () {
+      const { escrow, usdc, owner, operator, playerB, playerC, playerD, buyIn, fee } = await loadFixture(finalFixture);
+
+      await escrow.connect(owner).setLeftoverDestination(Destination.SURVIVORS);
+      const survivors = [playerB.address, playerC.address, playerD.address];
+      await escrow.connect(operator).settleFinal(0, survivors, [buyIn * 3n / 2n, buyIn / 2n, 0]);
+
+      const usdcAddress = await usdc.getAddress();
+      const leftover = buyIn * 4n - fee - buyIn / 2n - buyIn * 2n;
+      const shareB = (leftover * 3n) / 4n;
+      const shareC = leftover / 4n;
+      const balanceB = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.connect(operator).endGame(0))
+        .to.emit(escrow, "LeftoverDistributed")
+        .withArgs(0, Destination.SURVIVORS, leftover)
+        .and.to.emit(escrow, "LeftoverCredited")
+        .withArgs(0, playerB.address, shareB);
+
+      // Nothing is transferred by endGame
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB);
+      expect(await escrow.leftoverBalance(playerB.address, usdcAddress)).to.equal(shareB);
+      expect(await escrow.leftoverBalance(playerC.address, usdcAddress)).to.equal(shareC);
+      expect(await escrow.leftoverBalance(playerD.address, usdcAddress)).to.equal(0);
+      expect(await escrow.accruedFees(usdcAddress)).to.equal(fee + leftover - shareB - shareC);
+
+      await expect(escrow.connect(playerB).claimLeftover(usdcAddress))
+        .to.emit(escrow, "LeftoverClaimed")
+        .withArgs(playerB.address, usdcAddress, shareB);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + shareB);
+      expect(await escrow.leftoverBalance(playerB.address, usdcAddress)).to.equal(0);
+
+      await expect(escrow.connect(playerB).claimLeftover(usdcAddress))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+      await expect(escrow.connect(playerD).claimLeftover(usdcAddress))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("Should end the game when a survivor cannot receive the token", async function () {
+      const { escrow, usdc, owner, operator, playerB, playerC, playerD, buyIn, fee } = await loadFixture(finalFixture);
+
+      await escrow.connect(owner).setLeftoverDestination(Destination.SURVIVORS);
+      const survivors = [playerB.address, playerC.address];
+      await escrow.connect(operator).settleFinal(0, [...survivors, playerD.address], [buyIn, buyIn, 0]);
+
+      // C is blacklisted by the token after its final settlement
+      await usdc.setBlacklisted(playerC.address, true);
+
+      const usdcAddress = await usdc.getAddress();
+      const leftover = buyIn * 4n - fee - buyIn / 2n - buyIn * 2n;
+      await expect(escrow.connect(operator).endGame(0))
+        .to.emit(escrow, "LeftoverDistributed")
+        .withArgs(0, Destination.SURVIVORS, leftover);
+
+      const share = leftover / 2n;
+      for (const survivor of survivors) {
+        expect(await escrow.leftoverBalance(survivor, usdcAddress)).to.equal(share);
+      }
+
+      // Only C's own claim fails, and its balance is kept for later
+      await expect(escrow.connect(playerC).claimLeftover(usdcAddress)).to.be.revertedWith("Blacklisted");
+      expect(await escrow.leftoverBalance(playerC.address, usdcAddress)).to.equal(share);
+
+      const balanceB = await usdc.balanceOf(playerB.address);
+      await escrow.connect(playerB).claimLeftover(usdcAddress);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + share);
+
+      await usdc.setBlacklisted(playerC.address, false);
+      const balanceC = await usdc.balanceOf(playerC.address);
+      await escrow.connect(playerC).claimLeftover(usdcAddress);
+      expect(await usdc.balanceOf(playerC.address)).to.equal(balanceC + share);
+    });
+
+    it("Should fall back to the treasury when no survivor has a value", async function () {
+      const { escrow, usdc, owner, operator, playerB, playerC, playerD, buyIn, fee } = await loadFixture(finalFixture);
+
+      await escrow.connect(owner).setLeftoverDestination(Destination.SURVIVORS);
+      const survivors = [playerB.address, playerC.address, playerD.address];
+      await escrow.connect(operator).settleFinal(0, survivors, [0, 0, 0]);
+
+      const leftover = buyIn * 4n - fee - buyIn / 2n;
+      await expect(escrow.connect(operator).endGame(0))
+        .to.emit(escrow, "LeftoverDistributed")
+        .withArgs(0, Destination.TREASURY, leftover);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee + leftover);
+    });
+
+    it("Should zero every ended game's accounting (invariant)", async function () {
+      const { escrow, usdc, owner, operator, playerA, playerB, playerC, playerD, buyIn } =
+        await loadFixture(deployContractsFixture);
+      const players = [playerA, playerB, playerC, playerD];
+      const usdcAddress = await usdc.getAddress();
+      const escrowAddress = await escrow.getAddress();
+      for (const player of players) {
+        await usdc.connect(player).approve(escrowAddress, ethers.MaxUint256);
+      }
+
+      // Deterministic pseudo-random sequence
+      let seed = 42n;
+      const random = (max) => {
+        seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+        return max === 0n ? 0n : (seed >> 16n) % max;
+      };
+
+      for (let gameId = 0; gameId < 6; gameId++) {
+        await escrow.connect(owner).setLeftoverDestination(gameId % 3);
+        await escrow.connect(operator).createGame(usdcAddress, buyIn, 4, await getFutureTimestamp(3600));
+        for (const player of players) {
+          await escrow.connect(player).joinGame(gameId);
+        }
+        await escrow.connect(operator).startGame(gameId);
+
+        // Some deaths and alive exits, each followed by a revive half of the time
+        let eventId = 1;
+        for (const player of players.slice(0, 3)) {
+          const value = random(await escrow.availableBalance(gameId)) + 1n;
+          if (random(2n) === 0n) {
+            await escrow.connect(operator).settleDeathExit(gameId, player.address, value, eventId++);
+          } else {
+            await escrow.connect(operator).settleAliveExit(gameId, player.address, value / 2n + 1n, eventId++);
+          }
+          if (random(2n) === 0n) {
+            await escrow.connect(player).revive(gameId);
+          }
+        }
+
+        // Final values for whoever is left, within the available balance
+        const remaining = [];
+        for (const player of players) {
+          if (await escrow.playerActive(gameId, player.address)) {
+            remaining.push(player);
+          }
+        }
+        const values = [];
+        let available = await escrow.availableBalance(gameId);
+        for (let i = 0; i < remaining.length; i++) {
+          values.push(random(available / BigInt(remaining.length - i) + 1n));
+          available -= values[i];
+        }
+        await escrow.connect(operator).settleFinal(gameId, remaining.map((player) => player.address), values);
+        await escrow.connect(operator).endGame(gameId);
+
+        const game = await escrow.games(gameId);
+        expect(game.totalDeposited - game.reservedFee - game.totalPaidOut).to.equal(0);
+        expect(await escrow.availableBalance(gameId)).to.equal(0);
+        expect(await escrow.activePlayerCount(gameId)).to.equal(0);
+
+        // Everything the escrow holds is owed to the fees, the next game's seed or the survivors
+        let unclaimed = 0n;
+        for (const player of players) {
+          unclaimed += await escrow.leftoverBalance(player.address, usdcAddress);
+        }
+        expect(await usdc.balanceOf(escrowAddress)).to.equal(
+          (await escrow.accruedFees(usdcAddress)) + (await escrow.seedBalance(usdcAddress)) + unclaimed
+        );
+      }
+    });
+  });
+
+  describe("Cancelling Games", function () {
+    // Game 0 (target 4) with A twice and B joined, so A has deposited two buy-ins
+    async function waitingGameFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerA).joinGame(0);
+      await escrow.connect(playerB).joinGame(0);
+
+      return { ...base, deadline };
+    }
+
+    it("Should let the operator cancel a game and players claim full refunds", async function () {
+      const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(waitingGameFixture);
+
+      await expect(escrow.connect(operator).cancelGame(0))
+        .to.emit(escrow, "GameCancelled")
+        .withArgs(0, operator.address, buyIn * 3n);
+      expect((await escrow.games(0)).status).to.equal(5); // CANCELLED
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.emit(escrow, "PlayerRefunded")
+        .withArgs(0, playerA.address, buyIn * 2n);
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + buyIn * 2n);
+      await expect(escrow.connect(playerB).claimRefund(0))
+        .to.changeTokenBalance(usdc, playerB, buyIn);
+
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+      expect(await escrow.activePlayerCount(0)).to.equal(0);
+      expect(await escrow.playerRefunded(0, playerA.address)).to.equal(true);
+    });
+
+    it("Should let the operator cancel a full game", async function () {
+      const { escrow, usdc, operator, playerC, playerD, buyIn } = await loadFixture(waitingGameFixture);
+
+      for (const player of [playerC, playerD]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn);
+        await escrow.connect(player).joinGame(0);
+      }
+      expect((await escrow.games(0)).status).to.equal(2); // FULL
+
+      await expect(escrow.connect(operator).cancelGame(0)).to.emit(escrow, "GameCancelled");
+    });
+
+    it("Should not cancel started, ended or cancelled games", async function () {
+      const { escrow, operator, playerA, playerB, attacker, deadline } = await loadFixture(waitingGameFixture);
+
+      await escrow.connect(operator).startGame(0);
+      await expect(escrow.connect(operator).cancelGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotWaiting");
+
+      await settleRemaining(escrow, operator, 0, [playerA, playerB]);
+      await escrow.connect(operator).endGame(0);
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(attacker).cancelExpiredGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotWaiting");
+
+      await expect(escrow.connect(operator).cancelGame(1))
+        .to.be.revertedWithCustomError(escrow, "InvalidGame");
+    });
+
+    it("Should only let the operator cancel before the deadline", async function () {
+      const { escrow, attacker } = await loadFixture(waitingGameFixture);
+
+      await expect(escrow.connect(attacker).cancelGame(0))
+        .to.be.revertedWithCustomError(escrow, "NotOperator");
+      await expect(escrow.connect(attacker).cancelExpiredGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotCancellable");
+    });
+
+    it("Should let anyone cancel a game below minPlayers after the deadline", async function () {
+      const { escrow, usdc, owner, operator, playerA, attacker, buyIn } = await loadFixture(deployContractsFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn);
+      await escrow.connect(playerA).joinGame(0);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(attacker).cancelExpiredGame(0))
+        .to.emit(escrow, "GameCancelled")
+        .withArgs(0, attacker.address, buyIn);
+
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.changeTokenBalance(usdc, playerA, buyIn);
+
+      // A game nobody joined can be cleaned up too
+      await escrow.connect(owner).setMinPlayers(1);
+      const deadline2 = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline2);
+      await time.increaseTo(deadline2 + 1);
+      await expect(escrow.connect(attacker).cancelExpiredGame(1)).to.emit(escrow, "GameCancelled");
+    });
+
+    it("Should keep a game with enough players startable after the deadline", async function () {
+      const { escrow, owner, operator, attacker, deadline } = await loadFixture(waitingGameFixture);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(attacker).cancelExpiredGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotCancellable");
+
+      // Raising minPlayers above the joined count makes it cancellable
+      await expect(escrow.connect(owner).setMinPlayers(3))
+        .to.emit(escrow, "MinPlayersUpdated")
+        .withArgs(2, 3);
+      await expect(escrow.connect(attacker).cancelExpiredGame(0)).to.emit(escrow, "GameCancelled");
+    });
+
+    it("Should cap minPlayers at the game's targetPlayers", async function () {
+      const { escrow, usdc, owner, operator, playerA, attacker, buyIn } = await loadFixture(deployContractsFixture);
+
+      await escrow.connect(owner).setMinPlayers(3);
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 1, deadline);
+      await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn);
+      await escrow.connect(playerA).joinGame(0);
+
+      await time.increaseTo(deadline + 1);
+      await expect(escrow.connect(attacker).cancelExpiredGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotCancellable");
+    });
+
+    it("Should reject invalid refund claims", async function () {
+      const { escrow, operator, playerA, attacker } = await loadFixture(waitingGameFixture);
+
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotCancelled");
+
+      await escrow.connect(operator).cancelGame(0);
+      await expect(escrow.connect(attacker).claimRefund(0))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+
+      await escrow.connect(playerA).claimRefund(0);
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+    });
+
+    it("Should refund while paused and block joins into a cancelled game", async function () {
+      const { escrow, usdc, owner, operator, playerA, playerC, buyIn } = await loadFixture(waitingGameFixture);
+
+      await escrow.connect(operator).cancelGame(0);
+      await usdc.connect(playerC).approve(await escrow.getAddress(), buyIn);
+      await expect(escrow.connect(playerC).joinGame(0))
+        .to.be.revertedWithCustomError(escrow, "GameNotWaiting");
+
+      await escrow.connect(owner).pause();
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.changeTokenBalance(usdc, playerA, buyIn * 2n);
+    });
+
+    it("Should refund native ETH games", async function () {
+      const { escrow, owner, operator, playerA } = await loadFixture(deployContractsFixture);
+
+      const buyIn = ethers.parseEther("1");
+      await escrow.connect(owner).setStakeToken(ethers.ZeroAddress, true, 1, buyIn);
+      await escrow.connect(operator).createGame(ethers.ZeroAddress, buyIn, 2, await getFutureTimestamp(3600));
+      await escrow.connect(playerA).joinGame(0, { value: buyIn });
+
+      await escrow.connect(operator).cancelGame(0);
+      await expect(escrow.connect(playerA).claimRefund(0))
+        .to.changeEtherBalances([playerA, escrow], [buyIn, -buyIn]);
+    });
+
+    it("Should reject a zero minPlayers", async function () {
+      const { escrow, owner } = await loadFixture(deployContractsFixture);
+
+      expect(await escrow.minPlayers()).to.equal(2);
+      await expect(escrow.connect(owner).setMinPlayers(0))
+        .to.be.revertedWithCustomError(escrow, "InvalidTargetPlayers");
+    });
+  });
+
+  describe("Referrals", function () {
+    const SHARE_BPS = 2000n; // 20% of the fee
+
+    async function referralFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, buyIn } = base;
+
+      await escrow.connect(owner).setReferralShareBps(SHARE_BPS);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+
+      await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerC).approve(await escrow.getAddress(), buyIn * 10n);
+      await usdc.connect(base.playerD).approve(await escrow.getAddress(), buyIn * 10n);
+
+      return base;
+    }
+
+    async function signAttestation(escrow, signer, player, referrer, expiry) {
+      const domain = {
+        name: "RealtimeGamePoolEscrow",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        ReferralAttestation: [
+          { name: "player", type: "address" },
+          { name: "referrer", type: "address" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, referrer, expiry });
+    }
+
+    it("Should bind the referrer and track the referred buy-in on join", async function () {
+      const { escrow, playerA, other, buyIn } = await loadFixture(referralFixture);
+
+      await expect(escrow.connect(playerA).joinGameWithReferrer(0, other.address))
+        .to.emit(escrow, "ReferrerBound")
+        .withArgs(playerA.address, other.address)
+        .and.to.emit(escrow, "PlayerJoined");
+
+      expect(await escrow.referrerOf(playerA.address)).to.equal(other.address);
+      expect(await escrow.referredDeposit(0, playerA.address)).to.equal(buyIn);
+    });
+
+    it("Should reject self and second referrers", async function () {
+      const { escrow, operator, playerA, playerB, other } = await loadFixture(referralFixture);
+
+      await expect(escrow.connect(playerA).joinGameWithReferrer(0, playerA.address))
+        .to.be.revertedWithCustomError(escrow, "InvalidReferrer");
+
+      await escrow.connect(playerA).joinGameWithReferrer(0, other.address);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAttestation(escrow, operator, playerA.address, playerB.address, expiry);
+      await expect(escrow.bindReferrer(playerA.address, playerB.address, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "ReferrerAlreadySet");
+    });
+
+    it("Should bind a referrer from an operator attestation and reject forged ones", async function () {
+      const { escrow, operator, playerA, other, attacker, buyIn } = await loadFixture(referralFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const forged = await signAttestation(escrow, attacker, playerA.address, attacker.address, expiry);
+      await expect(escrow.bindReferrer(playerA.address, attacker.address, expiry, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const signature = await signAttestation(escrow, operator, playerA.address, other.address, expiry);
+      await expect(escrow.connect(attacker).bindReferrer(playerA.address, other.address, expiry, signature))
+        .to.emit(escrow, "ReferrerBound")
+        .withArgs(playerA.address, other.address);
+
+      // Later plain joins count as referred buy-ins
+      await escrow.connect(playerA).joinGame(0);
+      expect(await escrow.referredDeposit(0, playerA.address)).to.equal(buyIn);
+    });
+
+    it("Should credit referrers at the first settlement and accrue the rest of the reserved fee at endGame", async function () {
+      const { escrow, usdc, operator, playerA, playerB, playerC, playerD, other, buyIn } =
+        await loadFixture(referralFixture);
+
+      await escrow.connect(playerA).joinGameWithReferrer(0, other.address);
+      await escrow.connect(playerB).joinGameWithReferrer(0, other.address);
+      await escrow.connect(playerC).joinGame(0);
+      await escrow.connect(playerD).joinGame(0);
+      await escrow.connect(operator).startGame(0);
+
+      const { reservedFee } = await escrow.games(0);
+      const commission = ((reservedFee * buyIn) / (buyIn * 4n)) * SHARE_BPS / 10000n;
+
+      await expect(escrow.connect(operator).settleDeathExit(0, playerA.address, buyIn, 1))
+        .to.emit(escrow, "ReferralAccrued")
+        .withArgs(other.address, playerA.address, await usdc.getAddress(), commission);
+      expect(await escrow.referredDeposit(0, playerA.address)).to.equal(0);
+
+      // A revive pays no fee, so the second settlement credits nothing more
+      await escrow.connect(playerA).revive(0);
+      await expect(settleRemaining(escrow, operator, 0, [playerA, playerB, playerC, playerD]))
+        .to.emit(escrow, "ReferralAccrued")
+        .withArgs(other.address, playerB.address, await usdc.getAddress(), commission);
+      expect(await escrow.referralCredited(0)).to.equal(commission * 2n);
+
+      await expect(escrow.connect(operator).endGame(0)).to.not.emit(escrow, "ReferralAccrued");
+
+      expect(await escrow.referralBalance(other.address, await usdc.getAddress())).to.equal(commission * 2n);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(reservedFee - commission * 2n);
+
+      const balanceBefore = await usdc.balanceOf(other.address);
+      await expect(escrow.connect(other).claimReferral(await usdc.getAddress()))
+        .to.emit(escrow, "ReferralClaimed")
+        .withArgs(other.address, await usdc.getAddress(), commission * 2n);
+      expect(await usdc.balanceOf(other.address)).to.equal(balanceBefore + commission * 2n);
+
+      await expect(escrow.connect(other).claimReferral(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("Should cap the referral share and restrict it to the owner", async function () {
+      const { escrow, owner, attacker } = await loadFixture(referralFixture);
+
+      await expect(escrow.connect(attacker).setReferralShareBps(1000))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(owner).setReferralShareBps(5001))
+        .to.be.revertedWithCustomError(escrow, "InvalidReferralShare");
+
+      await expect(escrow.connect(owner).setReferralShareBps(0))
+        .to.emit(escrow, "ReferralShareUpdated")
+        .withArgs(SHARE_BPS, 0);
+      expect(await escrow.referralShareBps()).to.equal(0);
+    });
+  });
+
   describe("Fee Withdrawal", function () {
     async function gameWithFeesFixture() {
       const base = await loadFixture(deployContractsFixture);
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -893,6 +2963,7 @@ describe("RealtimeGamePoolEscrow", function () {
       await escrow.connect(base.playerD).joinGame(0);
 
       await escrow.connect(operator).startGame(0);
+      await settleRemaining(escrow, operator, 0, [base.playerA, base.playerB, base.playerC, base.playerD]);
       await escrow.connect(operator).endGame(0);
 
       return { ...base };
@@ -901,48 +2972,160 @@ describe("RealtimeGamePoolEscrow", function () {
     it("Should withdraw all fees when amount is 0", async function () {
       const { escrow, usdc, owner, treasury } = await loadFixture(gameWithFeesFixture);
 
-      const accruedFees = await escrow.accruedFees();
+      const accruedFees = await escrow.accruedFees(await usdc.getAddress());
       const treasuryBalanceBefore = await usdc.balanceOf(treasury.address);
 
-      await expect(escrow.connect(owner).withdrawFees(0))
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress(), 0))
         .to.emit(escrow, "FeesWithdrawn")
-        .withArgs(treasury.address, accruedFees);
+        .withArgs(await usdc.getAddress(), treasury.address, accruedFees);
 
       const treasuryBalanceAfter = await usdc.balanceOf(treasury.address);
       expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(accruedFees);
-      expect(await escrow.accruedFees()).to.equal(0);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
     });
 
     it("Should withdraw specific amount", async function () {
       const { escrow, usdc, owner, treasury } = await loadFixture(gameWithFeesFixture);
 
-      const accruedFees = await escrow.accruedFees();
+      const accruedFees = await escrow.accruedFees(await usdc.getAddress());
       const withdrawAmount = accruedFees / 2n;
       const treasuryBalanceBefore = await usdc.balanceOf(treasury.address);
 
-      await expect(escrow.connect(owner).withdrawFees(withdrawAmount))
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress(), withdrawAmount))
         .to.emit(escrow, "FeesWithdrawn")
-        .withArgs(treasury.address, withdrawAmount);
+        .withArgs(await usdc.getAddress(), treasury.address, withdrawAmount);
 
       const treasuryBalanceAfter = await usdc.balanceOf(treasury.address);
       expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(withdrawAmount);
-      expect(await escrow.accruedFees()).to.equal(accruedFees - withdrawAmount);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(accruedFees - withdrawAmount);
     });
 
     it("Should revert if insufficient fees", async function () {
-      const { escrow, owner } = await loadFixture(gameWithFeesFixture);
+      const { escrow, usdc, owner } = await loadFixture(gameWithFeesFixture);
 
-      const accruedFees = await escrow.accruedFees();
+      const accruedFees = await escrow.accruedFees(await usdc.getAddress());
 
-      await expect(escrow.connect(owner).withdrawFees(accruedFees + 1n))
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress(), accruedFees + 1n))
         .to.be.revertedWithCustomError(escrow, "InsufficientFunds");
     });
 
     it("Should revert if non-owner tries to withdraw", async function () {
-      const { escrow, attacker } = await loadFixture(gameWithFeesFixture);
+      const { escrow, usdc, attacker } = await loadFixture(gameWithFeesFixture);
+
+      await expect(escrow.connect(attacker).withdrawFees(await usdc.getAddress(), 0))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Revenue Share", function () {
+    const WEIGHTS = [3333n, 3333n, 3334n];
+
+    async function payeesFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, playerA, playerB, playerC, playerD, other, treasury, buyIn } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
+      for (const player of [playerA, playerB, playerC, playerD]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), buyIn);
+        await escrow.connect(player).joinGame(0);
+      }
+      await escrow.connect(operator).startGame(0);
+      await settleRemaining(escrow, operator, 0, [playerA, playerB, playerC, playerD]);
+      await escrow.connect(operator).endGame(0);
+
+      // ops, prize pool, partner studio
+      const payees = [treasury.address, other.address, owner.address];
+      await scheduleCall(escrow, owner, Change.PAYEES, ["address[]", "uint256[]"], [payees, WEIGHTS]);
+      await escrow.connect(owner).setPayees(payees, WEIGHTS);
 
-      await expect(escrow.connect(attacker).withdrawFees(0))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      return { ...base, payees };
+    }
+
+    function expectedShares(amount) {
+      const shares = WEIGHTS.map((weight) => (amount * weight) / 10000n);
+      shares[0] += amount - shares.reduce((a, b) => a + b, 0n);
+      return shares;
+    }
+
+    it("Should split withdrawn fees by weight with the remainder to the first payee", async function () {
+      const { escrow, usdc, owner, payees } = await loadFixture(payeesFixture);
+
+      const amount = 1_000_001n;
+      const shares = expectedShares(amount);
+      expect(shares[0]).to.equal(333_301n);
+
+      const balancesBefore = await Promise.all(payees.map((payee) => usdc.balanceOf(payee)));
+
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress(), amount))
+        .to.emit(escrow, "FeesSplit")
+        .withArgs(await usdc.getAddress(), amount)
+        .and.to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await usdc.getAddress(), payees[1], shares[1]);
+
+      for (let i = 0; i < payees.length; i++) {
+        expect(await usdc.balanceOf(payees[i])).to.equal(balancesBefore[i] + shares[i]);
+      }
+    });
+
+    it("Should let a payee pull its share independently", async function () {
+      const { escrow, usdc, other, attacker, payees } = await loadFixture(payeesFixture);
+
+      const accrued = await escrow.accruedFees(await usdc.getAddress());
+      const shares = expectedShares(accrued);
+      const balanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).claimFeeShare(await usdc.getAddress()))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await usdc.getAddress(), other.address, shares[1]);
+
+      expect(await usdc.balanceOf(other.address)).to.equal(balanceBefore + shares[1]);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+      expect(await escrow.feeShareOf(payees[0], await usdc.getAddress())).to.equal(shares[0]);
+      expect(await escrow.feeShareOf(payees[2], await usdc.getAddress())).to.equal(shares[2]);
+
+      await expect(escrow.connect(other).claimFeeShare(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+      await expect(escrow.connect(attacker).claimFeeShare(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("Should validate and replace the payee table", async function () {
+      const { escrow, usdc, owner, treasury, other, attacker, payees } = await loadFixture(payeesFixture);
+
+      const [listed, weights] = await escrow.getPayees();
+      expect(listed).to.deep.equal(payees);
+      expect(weights).to.deep.equal(WEIGHTS);
+
+      // Each table is scheduled first, so that the call reaches the payee checks
+      const setPayees = async (list, weights) => {
+        await scheduleCall(escrow, owner, Change.PAYEES, ["address[]", "uint256[]"], [list, weights]);
+        return escrow.connect(owner).setPayees(list, weights);
+      };
+
+      await expect(escrow.connect(attacker).setPayees([attacker.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(setPayees([treasury.address, other.address], [5000, 4999]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(setPayees([treasury.address, treasury.address], [5000, 5000]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(setPayees([treasury.address, ethers.ZeroAddress], [5000, 5000]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(setPayees([treasury.address, other.address], [10000, 0]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(setPayees([treasury.address], [5000, 5000]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+
+      // Clearing the table sends fees to the treasury again
+      await expect(setPayees([], []))
+        .to.emit(escrow, "PayeesUpdated")
+        .withArgs([], []);
+
+      const accrued = await escrow.accruedFees(await usdc.getAddress());
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress(), 0))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await usdc.getAddress(), treasury.address, accrued)
+        .and.not.to.emit(escrow, "FeesSplit");
     });
   });
 
@@ -952,7 +3135,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, buyIn } = base;
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(base.playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(base.playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -1013,7 +3196,7 @@ describe("RealtimeGamePoolEscrow", function () {
 
       // 1. Create game
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 4, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       // 2. Players join
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
@@ -1051,14 +3234,16 @@ describe("RealtimeGamePoolEscrow", function () {
       expect(await escrow.activePlayerCount(0)).to.equal(3);
       expect(await escrow.playerDeposited(0, playerA.address)).to.equal(buyIn * 2n);
 
-      // 7. End game
+      // 7. Settle the players still in the game and end it
+      await settleRemaining(escrow, operator, 0, [playerA, playerC, playerD]);
+      expect(await escrow.activePlayerCount(0)).to.equal(0);
       await escrow.connect(operator).endGame(0);
       expect((await escrow.games(0)).status).to.equal(4); // ENDED
 
       // 8. Withdraw fees
-      const accruedFees = await escrow.accruedFees();
+      const accruedFees = await escrow.accruedFees(await usdc.getAddress());
       const treasuryBalanceBefore = await usdc.balanceOf(treasury.address);
-      await escrow.connect(owner).withdrawFees(0);
+      await escrow.connect(owner).withdrawFees(await usdc.getAddress(), 0);
       const treasuryBalanceAfter = await usdc.balanceOf(treasury.address);
       expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(accruedFees);
     });
@@ -1072,7 +3257,7 @@ describe("RealtimeGamePoolEscrow", function () {
 
       // Create 3 games
       for (let i = 0; i < 3; i++) {
-        await escrow.connect(operator).createGame(buyIn, 2, deadline);
+        await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 2, deadline);
       }
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
@@ -1095,7 +3280,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect((await ethers.getSigners())[1]).createGame(buyIn, 4, deadline);
+      await escrow.connect((await ethers.getSigners())[1]).createGame(await usdc.getAddress(), buyIn, 4, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
 
@@ -1113,7 +3298,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, playerB, playerC, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 3, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 3, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -1145,7 +3330,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 2, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 2, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -1169,7 +3354,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 2, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 2, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await escrow.connect(playerA).joinGame(0);
@@ -1187,7 +3372,7 @@ describe("RealtimeGamePoolEscrow", function () {
       const { escrow, usdc, operator, playerA, playerB, buyIn } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
-      await escrow.connect(operator).createGame(buyIn, 2, deadline);
+      await escrow.connect(operator).createGame(await usdc.getAddress(), buyIn, 2, deadline);
 
       await usdc.connect(playerA).approve(await escrow.getAddress(), buyIn * 10n);
       await usdc.connect(playerB).approve(await escrow.getAddress(), buyIn * 10n);
@@ -3,12 +3,43 @@ const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("RealtimeMatchEscrow", function () {
+  // validUntil for Resolve / ResolveDraw signatures in tests that do not exercise expiry
+  const NO_EXPIRY = ethers.MaxUint256;
+  // EIP-170 limit on deployed code, asserted directly so allowUnlimitedContractSize cannot hide an overrun
+  const MAX_CODE_SIZE = 24576;
+  // AdminTimelock.Change
+  const Change = {
+    OPERATOR: 0,
+    TREASURY: 1,
+    FEE_BPS: 2,
+    MIN_DELAY: 3,
+    PAYEES: 4,
+    RESULT_SIGNER: 5,
+    RESULT_THRESHOLD: 6,
+    ARBITER: 7,
+    UPGRADE: 8,
+  };
+
   // Helper function to get future timestamp
   async function getFutureTimestamp(secondsFromNow) {
     const latestBlock = await ethers.provider.getBlock("latest");
     return Number(latestBlock.timestamp) + secondsFromNow;
   }
 
+  // Schedule the timelocked setter call `change` with `args` (ABI-encoded as `types`) and wait out the delay
+  async function scheduleCall(escrow, signer, change, types, args) {
+    const argsHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(types, args));
+    await escrow.connect(signer).scheduleCall(change, argsHash);
+    await time.increase(await escrow.minDelay());
+  }
+
+  // Freshly deployed room and admin modules, the last constructor arguments of every escrow
+  async function deployModules() {
+    const roomModule = await (await ethers.getContractFactory("RealtimeMatchEscrowRoomModule")).deploy();
+    const adminModule = await (await ethers.getContractFactory("RealtimeMatchEscrowAdminModule")).deploy();
+    return [await roomModule.getAddress(), await adminModule.getAddress()];
+  }
+
   // Deploy contracts fixture
   async function deployContractsFixture() {
     const [owner, operator, treasury, playerA, playerB, attacker, other] = await ethers.getSigners();
@@ -23,7 +54,8 @@ describe("RealtimeMatchEscrow", function () {
       await usdc.getAddress(),
       operator.address,
       treasury.address,
-      200 // 2% fee
+      200, // 2% fee
+      ...(await deployModules())
     );
 
     // Give players some USDC
@@ -54,7 +86,9 @@ describe("RealtimeMatchEscrow", function () {
     it("Should deploy with correct initial values", async function () {
       const { escrow, usdc, operator, treasury } = await loadFixture(deployContractsFixture);
 
-      expect(await escrow.usdc()).to.equal(await usdc.getAddress());
+      const usdcConfig = await escrow.stakeTokens(await usdc.getAddress());
+      expect(usdcConfig.allowed).to.equal(true);
+      expect(usdcConfig.decimals).to.equal(6);
       expect(await escrow.operator()).to.equal(operator.address);
       expect(await escrow.treasuryAddress()).to.equal(treasury.address);
       expect(await escrow.feeBps()).to.equal(200);
@@ -65,32 +99,53 @@ describe("RealtimeMatchEscrow", function () {
     it("Should revert with invalid constructor parameters", async function () {
       const { usdc, operator, treasury } = await loadFixture(deployContractsFixture);
       const RealtimeMatchEscrow = await ethers.getContractFactory("RealtimeMatchEscrow");
+      const modules = await deployModules();
 
       // Zero address for USDC
       await expect(
-        RealtimeMatchEscrow.deploy(ethers.ZeroAddress, operator.address, treasury.address, 200)
+        RealtimeMatchEscrow.deploy(ethers.ZeroAddress, operator.address, treasury.address, 200, ...modules)
       ).to.be.revertedWithCustomError({ interface: (await ethers.getContractFactory("RealtimeMatchEscrow")).interface }, "InvalidAddress");
 
       // Zero address for operator
       await expect(
-        RealtimeMatchEscrow.deploy(await usdc.getAddress(), ethers.ZeroAddress, treasury.address, 200)
+        RealtimeMatchEscrow.deploy(await usdc.getAddress(), ethers.ZeroAddress, treasury.address, 200, ...modules)
       ).to.be.revertedWithCustomError({ interface: (await ethers.getContractFactory("RealtimeMatchEscrow")).interface }, "InvalidAddress");
 
       // Zero address for treasury
       await expect(
-        RealtimeMatchEscrow.deploy(await usdc.getAddress(), operator.address, ethers.ZeroAddress, 200)
+        RealtimeMatchEscrow.deploy(await usdc.getAddress(), operator.address, ethers.ZeroAddress, 200, ...modules)
       ).to.be.revertedWithCustomError({ interface: (await ethers.getContractFactory("RealtimeMatchEscrow")).interface }, "InvalidAddress");
 
       // Fee too high
       await expect(
-        RealtimeMatchEscrow.deploy(await usdc.getAddress(), operator.address, treasury.address, 1001)
+        RealtimeMatchEscrow.deploy(await usdc.getAddress(), operator.address, treasury.address, 1001, ...modules)
       ).to.be.revertedWithCustomError({ interface: (await ethers.getContractFactory("RealtimeMatchEscrow")).interface }, "InvalidFeeBps");
+
+      // Module without code
+      await expect(
+        RealtimeMatchEscrow.deploy(
+          await usdc.getAddress(),
+          operator.address,
+          treasury.address,
+          200,
+          ethers.ZeroAddress,
+          modules[1]
+        )
+      ).to.be.revertedWithCustomError({ interface: (await ethers.getContractFactory("RealtimeMatchEscrow")).interface }, "InvalidAddress");
+    });
+
+    it("Should keep the escrow and its modules under the EIP-170 contract size limit", async function () {
+      const { escrow } = await loadFixture(deployContractsFixture);
+
+      for (const address of [await escrow.getAddress(), await escrow.roomModule(), await escrow.adminModule()]) {
+        expect(ethers.dataLength(await ethers.provider.getCode(address))).to.be.at.most(MAX_CODE_SIZE);
+      }
     });
   });
 
   describe("Room Creation", function () {
     it("Should create a room successfully", async function () {
-      const { escrow, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
 
       const stake = ethers.parseUnits("10", 6); // 10 USDC
       const deadline = await getFutureTimestamp(3600); // 1 hour from now
@@ -99,37 +154,42 @@ describe("RealtimeMatchEscrow", function () {
 
       await expect(
         escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerB.address,
           stake,
+          deadline - 60,
           deadline,
           roomKeyCommitment,
           metadataHash
         )
       )
         .to.emit(escrow, "RoomCreated")
-        .withArgs(0, playerA.address, playerB.address, stake, deadline, operator.address, roomKeyCommitment);
+        .withArgs(0, playerA.address, playerB.address, await usdc.getAddress(), stake, deadline - 60, deadline, operator.address, roomKeyCommitment);
 
       const room = await escrow.rooms(0);
       expect(room.playerA).to.equal(playerA.address);
       expect(room.playerB).to.equal(playerB.address);
       expect(room.stake).to.equal(stake);
+      expect(room.joinDeadline).to.equal(deadline - 60);
       expect(room.deadline).to.equal(deadline);
       expect(room.status).to.equal(1); // CREATED
       expect(room.paidMask).to.equal(0);
     });
 
     it("Should revert if non-operator tries to create room", async function () {
-      const { escrow, playerA, playerB, attacker } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, attacker } = await loadFixture(deployContractsFixture);
 
       const stake = ethers.parseUnits("10", 6);
       const deadline = await getFutureTimestamp(3600);
 
       await expect(
         escrow.connect(attacker).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerB.address,
           stake,
+          deadline - 60,
           deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
@@ -138,7 +198,7 @@ describe("RealtimeMatchEscrow", function () {
     });
 
     it("Should revert with invalid room parameters", async function () {
-      const { escrow, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
 
       const stake = ethers.parseUnits("10", 6);
       const deadline = await getFutureTimestamp(3600);
@@ -146,9 +206,11 @@ describe("RealtimeMatchEscrow", function () {
       // Zero address for playerA
       await expect(
         escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           ethers.ZeroAddress,
           playerB.address,
           stake,
+          deadline - 60,
           deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
@@ -158,9 +220,11 @@ describe("RealtimeMatchEscrow", function () {
       // Same player for both
       await expect(
         escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerA.address,
           stake,
+          deadline - 60,
           deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
@@ -170,9 +234,11 @@ describe("RealtimeMatchEscrow", function () {
       // Zero stake
       await expect(
         escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerB.address,
           0,
+          deadline - 60,
           deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
@@ -182,10 +248,26 @@ describe("RealtimeMatchEscrow", function () {
       // Invalid deadline
       await expect(
         escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerB.address,
           stake,
           Number((await ethers.provider.getBlock("latest")).timestamp) - 100,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        )
+      ).to.be.revertedWithCustomError(escrow, "InvalidDeadline");
+
+      // Resolution deadline not after join deadline
+      await expect(
+        escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          playerB.address,
+          stake,
+          deadline,
+          deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
         )
@@ -202,9 +284,11 @@ describe("RealtimeMatchEscrow", function () {
       const deadline = await getFutureTimestamp(3600);
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -283,112 +367,49 @@ describe("RealtimeMatchEscrow", function () {
     });
   });
 
-  describe("Starting Rooms", function () {
-    async function readyRoomFixture() {
-      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
-
-      const stake = ethers.parseUnits("10", 6);
-      const deadline = await getFutureTimestamp(3600);
-
-      await escrow.connect(operator).createRoom(
-        playerA.address,
-        playerB.address,
-        stake,
-        deadline,
-        ethers.ZeroHash,
-        ethers.ZeroHash
-      );
-
-      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
-      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
-
-      await escrow.connect(playerA).joinRoom(0);
-      await escrow.connect(playerB).joinRoom(0);
-
+  describe("Multi-Token Stakes", function () {
+    async function multiTokenFixture() {
       const base = await loadFixture(deployContractsFixture);
-      return { escrow, playerA, playerB, attacker: base.attacker };
-    }
-
-    it("Should start a ready room", async function () {
-      const { escrow } = await loadFixture(readyRoomFixture);
-
-      await expect(escrow.startRoom(0))
-        .to.emit(escrow, "RoomStarted")
-        .withArgs(0);
-
-      const room = await escrow.rooms(0);
-      expect(room.status).to.equal(3); // STARTED
-    });
+      const { escrow, owner, playerA, playerB } = base;
 
-    it("Should allow anyone to start a ready room", async function () {
-      const { escrow, attacker } = await loadFixture(readyRoomFixture);
-
-      await expect(escrow.connect(attacker).startRoom(0))
-        .to.emit(escrow, "RoomStarted")
-        .withArgs(0);
-    });
-
-    it("Should revert if room is not ready", async function () {
-      const { escrow, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
-
-      const stake = ethers.parseUnits("10", 6);
-      const deadline = await getFutureTimestamp(3600);
+      // Game points token with 18 decimals
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const points = await MockERC20.deploy("Game Points", "PTS", 18);
 
-      await escrow.connect(operator).createRoom(
-        playerA.address,
-        playerB.address,
-        stake,
-        deadline,
-        ethers.ZeroHash,
-        ethers.ZeroHash
-      );
+      const minStake = ethers.parseUnits("1", 18);
+      const maxStake = ethers.parseUnits("1000", 18);
+      await escrow.connect(owner).setStakeToken(await points.getAddress(), true, minStake, maxStake);
 
-      await expect(escrow.startRoom(0))
-        .to.be.revertedWithCustomError(escrow, "RoomNotReady");
-    });
-  });
+      for (const player of [playerA, playerB]) {
+        await points.transfer(player.address, ethers.parseUnits("10000", 18));
+        await points.connect(player).approve(await escrow.getAddress(), ethers.MaxUint256);
+      }
 
-  describe("Resolving Rooms", function () {
-    async function startedRoomFixture() {
-      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+      return { ...base, points, minStake, maxStake };
+    }
 
-      const stake = ethers.parseUnits("10", 6);
+    async function createTokenRoom(escrow, operator, token, playerA, playerB, stake) {
       const deadline = await getFutureTimestamp(3600);
+      const roomId = await escrow.nextRoomId();
 
       await escrow.connect(operator).createRoom(
+        await token.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
       );
 
-      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
-      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
-
-      await escrow.connect(playerA).joinRoom(0);
-      await escrow.connect(playerB).joinRoom(0);
-      await escrow.startRoom(0);
-
-      const base = await loadFixture(deployContractsFixture);
-      return { escrow, usdc, playerA, playerB, operator, attacker: base.attacker, stake };
+      return roomId;
     }
 
-    it("Should resolve room and payout winner", async function () {
-      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedRoomFixture);
-
-      const roomId = 0;
-      const winner = playerA.address;
-      const nonce = 12345;
-      const pot = stake * 2n;
-      const fee = (pot * 200n) / 10000n; // 2%
-      const payout = pot - fee;
-
-      // Create EIP-712 signature
+    async function signResolve(escrow, operator, roomId, winner, pot, fee, nonce) {
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -401,157 +422,168 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
 
-      const signature = await operator.signTypedData(domain, types, value);
+    it("Should list a stake token with its decimals and limits", async function () {
+      const { escrow, points, minStake, maxStake } = await loadFixture(multiTokenFixture);
 
-      const winnerBalanceBefore = await usdc.balanceOf(winner);
-      const treasuryBalanceBefore = await usdc.balanceOf(await escrow.treasuryAddress());
+      const config = await escrow.stakeTokens(await points.getAddress());
+      expect(config.allowed).to.equal(true);
+      expect(config.decimals).to.equal(18);
+      expect(config.minStake).to.equal(minStake);
+      expect(config.maxStake).to.equal(maxStake);
+    });
 
-      await expect(escrow.resolveAndPayout(roomId, winner, nonce, signature))
-        .to.emit(escrow, "RoomResolved")
-        .withArgs(roomId, winner, pot, fee, payout, nonce);
+    it("Should record the token and settle the room in it", async function () {
+      const { escrow, usdc, points, operator, playerA, playerB } = await loadFixture(multiTokenFixture);
 
-      const winnerBalanceAfter = await usdc.balanceOf(winner);
-      expect(winnerBalanceAfter - winnerBalanceBefore).to.equal(payout);
+      const stake = ethers.parseUnits("50", 18);
+      const roomId = await createTokenRoom(escrow, operator, points, playerA, playerB, stake);
 
-      const room = await escrow.rooms(roomId);
-      expect(room.status).to.equal(4); // RESOLVED
-      expect(await escrow.accruedFees()).to.equal(fee);
-      expect(await escrow.usedNonce(roomId, nonce)).to.equal(true);
+      expect((await escrow.rooms(roomId)).token).to.equal(await points.getAddress());
+
+      const usdcBefore = await usdc.balanceOf(playerA.address);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+      expect(await usdc.balanceOf(playerA.address)).to.equal(usdcBefore);
+
+      await escrow.startRoom(roomId);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const signature = await signResolve(escrow, operator, roomId, playerA.address, pot, fee, 1);
+
+      const pointsBefore = await points.balanceOf(playerA.address);
+      await escrow.resolveAndPayout(roomId, playerA.address, 1, NO_EXPIRY, signature);
+
+      expect(await points.balanceOf(playerA.address)).to.equal(pointsBefore + pot - fee);
+      expect(await escrow.accruedFees(await points.getAddress())).to.equal(fee);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
     });
 
-    it("Should revert with invalid signature", async function () {
-      const { escrow, playerA, attacker, stake } = await loadFixture(startedRoomFixture);
+    it("Should withdraw fees per token", async function () {
+      const { escrow, usdc, points, owner, operator, treasury, playerA, playerB } =
+        await loadFixture(multiTokenFixture);
+
+      const stake = ethers.parseUnits("50", 18);
+      const roomId = await createTokenRoom(escrow, operator, points, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+      await escrow.startRoom(roomId);
 
-      const roomId = 0;
-      const winner = playerA.address;
-      const nonce = 12345;
       const pot = stake * 2n;
       const fee = (pot * 200n) / 10000n;
-      const payout = pot - fee;
+      const signature = await signResolve(escrow, operator, roomId, playerB.address, pot, fee, 1);
+      await escrow.resolveAndPayout(roomId, playerB.address, 1, NO_EXPIRY, signature);
 
-      const domain = {
-        name: "RealtimeMatchEscrow",
-        version: "1",
-        chainId: 31337,
-        verifyingContract: await escrow.getAddress(),
-      };
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NoFeesToWithdraw");
 
-      const types = {
-        Resolve: [
-          { name: "roomId", type: "uint256" },
-          { name: "winner", type: "address" },
-          { name: "pot", type: "uint256" },
-          { name: "fee", type: "uint256" },
-          { name: "payout", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-        ],
-      };
+      await expect(escrow.connect(owner).withdrawFees(await points.getAddress()))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await points.getAddress(), treasury.address, fee);
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      expect(await points.balanceOf(treasury.address)).to.equal(fee);
+      expect(await escrow.accruedFees(await points.getAddress())).to.equal(0);
+    });
 
-      // Sign with wrong account
-      const signature = await attacker.signTypedData(domain, types, value);
+    it("Should reject tokens that are not allowlisted", async function () {
+      const { escrow, operator, playerA, playerB } = await loadFixture(multiTokenFixture);
 
-      await expect(escrow.resolveAndPayout(roomId, winner, nonce, signature))
-        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdt = await MockERC20.deploy("Mock USDT", "mUSDT", 6);
+
+      await expect(createTokenRoom(escrow, operator, usdt, playerA, playerB, 10_000_000n))
+        .to.be.revertedWithCustomError(escrow, "TokenNotAllowed");
     });
 
-    it("Should revert with reused nonce", async function () {
-      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedRoomFixture);
+    it("Should enforce per-token stake limits", async function () {
+      const { escrow, points, operator, playerA, playerB, minStake, maxStake } =
+        await loadFixture(multiTokenFixture);
 
-      const roomId = 0;
-      const winner = playerA.address;
-      const nonce = 12345;
-      const pot = stake * 2n;
-      const fee = (pot * 200n) / 10000n;
-      const payout = pot - fee;
+      await expect(createTokenRoom(escrow, operator, points, playerA, playerB, minStake - 1n))
+        .to.be.revertedWithCustomError(escrow, "InvalidStake");
+      await expect(createTokenRoom(escrow, operator, points, playerA, playerB, maxStake + 1n))
+        .to.be.revertedWithCustomError(escrow, "InvalidStake");
 
-      const domain = {
-        name: "RealtimeMatchEscrow",
-        version: "1",
-        chainId: 31337,
-        verifyingContract: await escrow.getAddress(),
-      };
+      await createTokenRoom(escrow, operator, points, playerA, playerB, maxStake);
+    });
 
-      const types = {
-        Resolve: [
-          { name: "roomId", type: "uint256" },
-          { name: "winner", type: "address" },
-          { name: "pot", type: "uint256" },
-          { name: "fee", type: "uint256" },
-          { name: "payout", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-        ],
-      };
+    it("Should keep existing rooms refundable after a token is delisted", async function () {
+      const { escrow, points, owner, operator, playerA, playerB, minStake, maxStake } =
+        await loadFixture(multiTokenFixture);
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      const stake = ethers.parseUnits("5", 18);
+      const roomId = await createTokenRoom(escrow, operator, points, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
 
-      const signature = await operator.signTypedData(domain, types, value);
+      await expect(escrow.connect(owner).setStakeToken(await points.getAddress(), false, minStake, maxStake))
+        .to.emit(escrow, "StakeTokenUpdated")
+        .withArgs(await points.getAddress(), false, 18, minStake, maxStake);
 
-      // First resolve should succeed
-      await expect(escrow.connect(playerA).resolveAndPayout(roomId, winner, nonce, signature))
-        .to.emit(escrow, "RoomResolved");
+      await expect(createTokenRoom(escrow, operator, points, playerA, playerB, stake))
+        .to.be.revertedWithCustomError(escrow, "TokenNotAllowed");
 
-      // Verify room is resolved
-      const room = await escrow.rooms(roomId);
-      expect(room.status).to.equal(4); // RESOLVED
+      await time.increase(3600);
 
-      // Try to use same nonce again - should fail with NonceAlreadyUsed
-      // The contract checks nonce before checking if room is resolved
-      await expect(escrow.connect(playerA).resolveAndPayout(roomId, winner, nonce, signature))
-        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed");
+      const balanceBefore = await points.balanceOf(playerA.address);
+      await escrow.connect(playerA).refund(roomId);
+      expect(await points.balanceOf(playerA.address)).to.equal(balanceBefore + stake);
     });
 
-    it("Should revert if room not started", async function () {
-      const { escrow, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+    it("Should validate stake token configuration", async function () {
+      const { escrow, points, owner, attacker } = await loadFixture(multiTokenFixture);
+      const token = await points.getAddress();
+
+      await expect(escrow.connect(owner).setStakeToken(token, true, 0, 10))
+        .to.be.revertedWithCustomError(escrow, "InvalidStake");
+      await expect(escrow.connect(owner).setStakeToken(token, true, 11, 10))
+        .to.be.revertedWithCustomError(escrow, "InvalidStake");
+      await expect(escrow.connect(attacker).setStakeToken(token, true, 1, 10))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Native ETH Stakes", function () {
+    async function nativeFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, owner } = base;
+
+      const minStake = ethers.parseEther("0.001");
+      const maxStake = ethers.parseEther("10");
+      await escrow.connect(owner).setStakeToken(ethers.ZeroAddress, true, minStake, maxStake);
 
+      return { ...base, ethStake: ethers.parseEther("1") };
+    }
+
+    async function createEthRoom(escrow, operator, playerA, playerB, stake) {
       const deadline = await getFutureTimestamp(3600);
+      const roomId = await escrow.nextRoomId();
 
       await escrow.connect(operator).createRoom(
-        playerA.address,
-        playerB.address,
+        ethers.ZeroAddress,
+        playerA,
+        playerB,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
       );
 
-      const roomId = 0;
-      const winner = playerA.address;
-      const nonce = 12345;
-      const pot = stake * 2n;
-      const fee = (pot * 200n) / 10000n;
-      const payout = pot - fee;
+      return roomId;
+    }
 
+    async function signResolve(escrow, operator, roomId, winner, pot, fee, nonce) {
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -564,162 +596,3601 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
 
-      const signature = await operator.signTypedData(domain, types, value);
+    it("Should list native ETH with 18 decimals", async function () {
+      const { escrow } = await loadFixture(nativeFixture);
 
-      await expect(escrow.resolveAndPayout(roomId, winner, nonce, signature))
-        .to.be.revertedWithCustomError(escrow, "RoomNotStarted");
+      const config = await escrow.stakeTokens(ethers.ZeroAddress);
+      expect(config.allowed).to.equal(true);
+      expect(config.decimals).to.equal(18);
     });
 
-    it("Should revert if winner is not a player", async function () {
-      const { escrow, playerA, playerB, operator, attacker, stake } = await loadFixture(startedRoomFixture);
+    it("Should take ETH stakes and pay the winner and fees in ETH", async function () {
+      const { escrow, owner, operator, treasury, playerA, playerB, ethStake } = await loadFixture(nativeFixture);
+
+      const roomId = await createEthRoom(escrow, operator, playerA.address, playerB.address, ethStake);
+
+      await expect(escrow.connect(playerA).joinRoom(roomId, { value: ethStake }))
+        .to.changeEtherBalances([playerA, escrow], [-ethStake, ethStake]);
+      await escrow.connect(playerB).joinRoom(roomId, { value: ethStake });
+      await escrow.startRoom(roomId);
+
+      const pot = ethStake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const signature = await signResolve(escrow, operator, roomId, playerB.address, pot, fee, 1);
+
+      await expect(escrow.resolveAndPayout(roomId, playerB.address, 1, NO_EXPIRY, signature))
+        .to.changeEtherBalance(playerB, pot - fee);
+      expect(await escrow.accruedFees(ethers.ZeroAddress)).to.equal(fee);
+
+      await expect(escrow.connect(owner).withdrawFees(ethers.ZeroAddress))
+        .to.changeEtherBalance(treasury, fee);
+    });
+
+    it("Should refund ETH stakes", async function () {
+      const { escrow, operator, playerA, playerB, ethStake } = await loadFixture(nativeFixture);
+
+      const roomId = await createEthRoom(escrow, operator, playerA.address, playerB.address, ethStake);
+      await escrow.connect(playerA).joinRoom(roomId, { value: ethStake });
+
+      await time.increase(3600);
+
+      await expect(escrow.connect(playerA).refund(roomId)).to.changeEtherBalance(playerA, ethStake);
+    });
+
+    it("Should revert when msg.value does not match the stake", async function () {
+      const { escrow, usdc, operator, playerA, playerB, ethStake, stake } = await loadFixture(nativeFixture);
+
+      const roomId = await createEthRoom(escrow, operator, playerA.address, playerB.address, ethStake);
+
+      await expect(escrow.connect(playerA).joinRoom(roomId, { value: ethStake + 1n }))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+      await expect(escrow.connect(playerA).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+
+      // Token rooms do not accept ETH
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await expect(escrow.connect(playerA).joinRoom(roomId + 1n, { value: 1n }))
+        .to.be.revertedWithCustomError(escrow, "InvalidNativeValue");
+    });
+
+    it("Should reject permit joins for ETH rooms", async function () {
+      const { escrow, operator, playerA, playerB, ethStake } = await loadFixture(nativeFixture);
+
+      const roomId = await createEthRoom(escrow, operator, playerA.address, playerB.address, ethStake);
+      const permitDeadline = await getFutureTimestamp(600);
+
+      await expect(
+        escrow.connect(playerA).joinRoomWithPermit(roomId, permitDeadline, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should credit a rejected payout as claimable ETH", async function () {
+      const { escrow, operator, playerB, ethStake } = await loadFixture(nativeFixture);
+
+      const Receiver = await ethers.getContractFactory("MockRejectingReceiver");
+      const receiver = await Receiver.deploy();
+      const receiverAddress = await receiver.getAddress();
+      const escrowAddress = await escrow.getAddress();
+
+      const roomId = await createEthRoom(escrow, operator, receiverAddress, playerB.address, ethStake);
+      await receiver.execute(escrowAddress, escrow.interface.encodeFunctionData("joinRoom", [roomId]), {
+        value: ethStake,
+      });
+      await escrow.connect(playerB).joinRoom(roomId, { value: ethStake });
+      await escrow.startRoom(roomId);
+
+      const pot = ethStake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const signature = await signResolve(escrow, operator, roomId, receiverAddress, pot, fee, 1);
+
+      // The rejecting winner cannot block resolution
+      await expect(escrow.resolveAndPayout(roomId, receiverAddress, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "NativePayoutDeferred")
+        .withArgs(receiverAddress, pot - fee);
+      expect((await escrow.rooms(roomId)).status).to.equal(4); // RESOLVED
+      expect(await escrow.claimableNative(receiverAddress)).to.equal(pot - fee);
+
+      const claim = escrow.interface.encodeFunctionData("claimNative");
+      await expect(receiver.execute(escrowAddress, claim))
+        .to.be.revertedWithCustomError(escrow, "NativeTransferFailed");
+
+      await receiver.setRejecting(false);
+      await expect(receiver.execute(escrowAddress, claim))
+        .to.emit(escrow, "NativeClaimed")
+        .withArgs(receiverAddress, pot - fee);
+      expect(await escrow.claimableNative(receiverAddress)).to.equal(0);
+
+      await expect(escrow.connect(playerB).claimNative())
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+  });
+
+  describe("Permit Joins", function () {
+    async function permitRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+
+      for (let i = 0; i < 2; i++) {
+        await escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          playerB.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        );
+      }
+
+      return base;
+    }
+
+    async function signPermit(usdc, owner, spender, value, deadline) {
+      const domain = {
+        name: "Mock USDC",
+        version: "1",
+        chainId: 31337,
+        verifyingContract: await usdc.getAddress(),
+      };
+
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+
+      const message = {
+        owner: owner.address,
+        spender,
+        value,
+        nonce: await usdc.nonces(owner.address),
+        deadline,
+      };
+
+      return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+    }
+
+    it("Should join with a permit and no prior approve", async function () {
+      const { escrow, usdc, playerA, stake } = await loadFixture(permitRoomFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), stake, permitDeadline);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(playerA).joinRoomWithPermit(0, permitDeadline, v, r, s))
+        .to.emit(escrow, "RoomJoined")
+        .withArgs(0, playerA.address, stake);
+
+      expect(balanceBefore - (await usdc.balanceOf(playerA.address))).to.equal(stake);
+      expect(await escrow.hasPaid(0, playerA.address)).to.equal(true);
+      expect(await usdc.allowance(playerA.address, await escrow.getAddress())).to.equal(0);
+    });
+
+    it("Should revert with an expired permit", async function () {
+      const { escrow, usdc, playerA, stake } = await loadFixture(permitRoomFixture);
+
+      const permitDeadline = await getFutureTimestamp(10);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), stake, permitDeadline);
+
+      await time.increaseTo(permitDeadline + 1);
+
+      await expect(escrow.connect(playerA).joinRoomWithPermit(0, permitDeadline, v, r, s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should revert with a replayed permit", async function () {
+      const { escrow, usdc, playerA, stake } = await loadFixture(permitRoomFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), stake, permitDeadline);
+
+      await escrow.connect(playerA).joinRoomWithPermit(0, permitDeadline, v, r, s);
+
+      await expect(escrow.connect(playerA).joinRoomWithPermit(1, permitDeadline, v, r, s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should revert with a permit signed by someone else", async function () {
+      const { escrow, usdc, playerB, attacker, stake } = await loadFixture(permitRoomFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, attacker, await escrow.getAddress(), stake, permitDeadline);
+
+      await expect(escrow.connect(playerB).joinRoomWithPermit(0, permitDeadline, v, r, s))
+        .to.be.revertedWithCustomError(escrow, "PermitFailed");
+    });
+
+    it("Should still join if the permit was front-run", async function () {
+      const { escrow, usdc, playerA, attacker, stake } = await loadFixture(permitRoomFixture);
+
+      const permitDeadline = await getFutureTimestamp(600);
+      const { v, r, s } = await signPermit(usdc, playerA, await escrow.getAddress(), stake, permitDeadline);
+
+      // Someone submits the permit straight to the token first
+      await usdc
+        .connect(attacker)
+        .permit(playerA.address, await escrow.getAddress(), stake, permitDeadline, v, r, s);
+
+      await expect(escrow.connect(playerA).joinRoomWithPermit(0, permitDeadline, v, r, s))
+        .to.emit(escrow, "RoomJoined")
+        .withArgs(0, playerA.address, stake);
+    });
+  });
+
+  describe("Relayed Joins", function () {
+    async function relayedRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+
+      for (let i = 0; i < 2; i++) {
+        await escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          playerB.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        );
+      }
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake * 2n);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake * 2n);
+
+      return base;
+    }
+
+    async function signJoin(escrow, signer, player, roomId, nonce, expiry) {
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        JoinAuthorization: [
+          { name: "player", type: "address" },
+          { name: "roomId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, roomId, nonce, expiry });
+    }
+
+    it("Should join the player, with the player's funds, when a relayer submits", async function () {
+      const { escrow, usdc, playerA, other, stake } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signJoin(escrow, playerA, playerA.address, 0, 1, expiry);
+
+      const playerBalanceBefore = await usdc.balanceOf(playerA.address);
+      const relayerBalanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).joinRoomFor(0, playerA.address, 1, expiry, signature))
+        .to.emit(escrow, "RoomJoined")
+        .withArgs(0, playerA.address, stake);
+
+      expect(playerBalanceBefore - (await usdc.balanceOf(playerA.address))).to.equal(stake);
+      expect(await usdc.balanceOf(other.address)).to.equal(relayerBalanceBefore);
+      expect(await escrow.hasPaid(0, playerA.address)).to.equal(true);
+      expect(await escrow.hasPaid(0, other.address)).to.equal(false);
+      expect(await escrow.usedAuthorizationNonce(playerA.address, 1)).to.equal(true);
+    });
+
+    it("Should revert with an expired authorization", async function () {
+      const { escrow, playerA, other } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(10);
+      const signature = await signJoin(escrow, playerA, playerA.address, 0, 1, expiry);
+
+      await time.increaseTo(expiry + 1);
+
+      await expect(escrow.connect(other).joinRoomFor(0, playerA.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "AuthorizationExpired");
+    });
+
+    it("Should revert with a reused authorization nonce", async function () {
+      const { escrow, playerA, other } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature0 = await signJoin(escrow, playerA, playerA.address, 0, 1, expiry);
+      const signature1 = await signJoin(escrow, playerA, playerA.address, 1, 1, expiry);
+
+      await escrow.connect(other).joinRoomFor(0, playerA.address, 1, expiry, signature0);
+
+      await expect(escrow.connect(other).joinRoomFor(1, playerA.address, 1, expiry, signature1))
+        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed");
+    });
+
+    it("Should revert if the authorization is not signed by the player", async function () {
+      const { escrow, playerA, attacker, other } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const forged = await signJoin(escrow, attacker, playerA.address, 0, 1, expiry);
+
+      await expect(escrow.connect(other).joinRoomFor(0, playerA.address, 1, expiry, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert if the authorization is used for another room", async function () {
+      const { escrow, playerA, other } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signJoin(escrow, playerA, playerA.address, 0, 1, expiry);
+
+      await expect(escrow.connect(other).joinRoomFor(1, playerA.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert if the signer is not in the room", async function () {
+      const { escrow, attacker, other } = await loadFixture(relayedRoomFixture);
+
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signJoin(escrow, attacker, attacker.address, 0, 1, expiry);
+
+      await expect(escrow.connect(other).joinRoomFor(0, attacker.address, 1, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotInRoom");
+    });
+  });
+
+  describe("Open Seat Rooms", function () {
+    const NO_RULE = { allowlistOnly: false, inviteOnly: false, minRating: 0 };
+
+    async function openRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, attacker, other } = base;
+
+      for (const player of [playerA, playerB, attacker, other]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), ethers.MaxUint256);
+      }
+
+      return base;
+    }
+
+    async function createOpen(escrow, usdc, operator, creator, stake, rule) {
+      const deadline = await getFutureTimestamp(3600);
+      const roomId = await escrow.nextRoomId();
+
+      await escrow.connect(operator).createOpenRoom(
+        await usdc.getAddress(),
+        creator.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash,
+        rule
+      );
+
+      return roomId;
+    }
+
+    async function signRating(escrow, signer, player, rating, expiry) {
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        RatingAttestation: [
+          { name: "player", type: "address" },
+          { name: "rating", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, rating, expiry });
+    }
+
+    it("Should create a room with an open seat", async function () {
+      const { escrow, usdc, operator, playerA, stake } = await loadFixture(openRoomFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await expect(
+        escrow.connect(operator).createOpenRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash,
+          { allowlistOnly: true, inviteOnly: false, minRating: 1200 }
+        )
+      )
+        .to.emit(escrow, "RoomCreated")
+        .withArgs(0, playerA.address, ethers.ZeroAddress, await usdc.getAddress(), stake, deadline - 60, deadline, operator.address, ethers.ZeroHash)
+        .to.emit(escrow, "SeatRuleUpdated")
+        .withArgs(0, true, false, 1200);
+
+      const room = await escrow.rooms(0);
+      expect(room.playerA).to.equal(playerA.address);
+      expect(room.playerB).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should still require both players in createRoom", async function () {
+      const { escrow, usdc, operator, playerA, attacker, stake } = await loadFixture(openRoomFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await expect(
+        escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          ethers.ZeroAddress,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        )
+      ).to.be.revertedWithCustomError(escrow, "InvalidAddress");
+
+      await expect(
+        escrow.connect(attacker).createOpenRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash,
+          NO_RULE
+        )
+      ).to.be.revertedWithCustomError(escrow, "InvalidAddress");
+    });
+
+    it("Should seat the first player to pay", async function () {
+      const { escrow, usdc, operator, playerA, other, attacker, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, NO_RULE);
+
+      // Creator paying does not fill the seat
+      await escrow.connect(playerA).joinRoom(roomId);
+      expect((await escrow.rooms(roomId)).playerB).to.equal(ethers.ZeroAddress);
+
+      const balanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).joinRoom(roomId))
+        .to.emit(escrow, "SeatFilled")
+        .withArgs(roomId, other.address, 0)
+        .to.emit(escrow, "RoomJoined")
+        .withArgs(roomId, other.address, stake)
+        .to.emit(escrow, "RoomReady")
+        .withArgs(roomId);
+
+      expect(balanceBefore - (await usdc.balanceOf(other.address))).to.equal(stake);
+
+      const room = await escrow.rooms(roomId);
+      expect(room.playerB).to.equal(other.address);
+      expect(room.status).to.equal(2); // READY
+
+      await expect(escrow.connect(attacker).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotInRoom");
+    });
+
+    it("Should let the seated player win the room", async function () {
+      const { escrow, usdc, operator, playerA, other, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, NO_RULE);
+      await escrow.connect(other).joinRoom(roomId);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.startRoom(roomId);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const signature = await operator.signTypedData(domain, types, {
+        roomId,
+        winner: other.address,
+        pot,
+        fee,
+        payout,
+        nonce: 1,
+        validUntil: NO_EXPIRY,
+      });
+
+      const balanceBefore = await usdc.balanceOf(other.address);
+      await escrow.resolveAndPayout(roomId, other.address, 1, NO_EXPIRY, signature);
+      expect((await usdc.balanceOf(other.address)) - balanceBefore).to.equal(payout);
+    });
+
+    it("Should enforce the seat allowlist", async function () {
+      const { escrow, usdc, operator, playerA, playerB, other, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, { allowlistOnly: true, inviteOnly: false, minRating: 0 });
+
+      await expect(escrow.connect(other).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "NotEligibleForSeat");
+
+      await expect(escrow.connect(operator).setSeatAllowlist(roomId, [playerB.address], true))
+        .to.emit(escrow, "SeatAllowlistUpdated")
+        .withArgs(roomId, playerB.address, true);
+
+      await expect(escrow.connect(other).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "NotEligibleForSeat");
+
+      await escrow.connect(playerB).joinRoom(roomId);
+      expect((await escrow.rooms(roomId)).playerB).to.equal(playerB.address);
+    });
+
+    it("Should enforce the minimum rating attestation", async function () {
+      const { escrow, usdc, operator, playerA, other, attacker, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, { allowlistOnly: false, inviteOnly: false, minRating: 1500 });
+      const expiry = await getFutureTimestamp(600);
+
+      // Plain join has no rating
+      await expect(escrow.connect(other).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "NotEligibleForSeat");
+
+      // Rating too low
+      const low = await signRating(escrow, operator, other.address, 1400, expiry);
+      await expect(escrow.connect(other).joinRoomWithRating(roomId, 1400, expiry, low))
+        .to.be.revertedWithCustomError(escrow, "NotEligibleForSeat");
+
+      // Attestation for someone else
+      const forOther = await signRating(escrow, operator, other.address, 1600, expiry);
+      await expect(escrow.connect(attacker).joinRoomWithRating(roomId, 1600, expiry, forOther))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // Self-signed attestation
+      const selfSigned = await signRating(escrow, other, other.address, 1600, expiry);
+      await expect(escrow.connect(other).joinRoomWithRating(roomId, 1600, expiry, selfSigned))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      await expect(escrow.connect(other).joinRoomWithRating(roomId, 1600, expiry, forOther))
+        .to.emit(escrow, "SeatFilled")
+        .withArgs(roomId, other.address, 1600);
+
+      expect((await escrow.rooms(roomId)).playerB).to.equal(other.address);
+    });
+
+    it("Should reject an expired rating attestation", async function () {
+      const { escrow, usdc, operator, playerA, other, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, { allowlistOnly: false, inviteOnly: false, minRating: 1500 });
+      const expiry = await getFutureTimestamp(10);
+      const signature = await signRating(escrow, operator, other.address, 1600, expiry);
+
+      await time.increaseTo(expiry + 1);
+
+      await expect(escrow.connect(other).joinRoomWithRating(roomId, 1600, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "AuthorizationExpired");
+    });
+
+    it("Should only update the seat rule while the seat is open", async function () {
+      const { escrow, usdc, operator, playerA, other, attacker, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, NO_RULE);
+
+      await expect(escrow.connect(attacker).setSeatRule(roomId, { allowlistOnly: true, inviteOnly: false, minRating: 0 }))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+
+      await expect(escrow.connect(operator).setSeatRule(roomId, { allowlistOnly: true, inviteOnly: false, minRating: 0 }))
+        .to.emit(escrow, "SeatRuleUpdated")
+        .withArgs(roomId, true, false, 0);
+
+      await escrow.connect(operator).setSeatAllowlist(roomId, [other.address], true);
+      await escrow.connect(other).joinRoom(roomId);
+
+      await expect(escrow.connect(operator).setSeatRule(roomId, NO_RULE))
+        .to.be.revertedWithCustomError(escrow, "SeatNotOpen");
+      await expect(escrow.connect(operator).setSeatAllowlist(roomId, [attacker.address], true))
+        .to.be.revertedWithCustomError(escrow, "SeatNotOpen");
+    });
+
+    it("Should refund the creator if nobody takes the seat", async function () {
+      const { escrow, usdc, operator, playerA, stake } = await loadFixture(openRoomFixture);
+
+      const roomId = await createOpen(escrow, usdc, operator, playerA, stake, NO_RULE);
+      await escrow.connect(playerA).joinRoom(roomId);
+
+      // Past the join deadline with the seat still open
+      await time.increase(3600);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await escrow.connect(playerA).refund(roomId);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBefore).to.equal(stake);
+      expect((await escrow.rooms(roomId)).status).to.equal(5); // CANCELLED
+    });
+  });
+
+  describe("Private Invite Rooms", function () {
+    async function privateRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, attacker, other, stake } = base;
+
+      for (const player of [playerA, playerB, attacker, other]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), ethers.MaxUint256);
+      }
+
+      // The room code shared in chat is the invite key's private key
+      const inviteKey = ethers.Wallet.createRandom();
+      const roomKeyCommitment = ethers.keccak256(ethers.solidityPacked(["address"], [inviteKey.address]));
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createOpenRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        stake,
+        deadline - 60,
+        deadline,
+        roomKeyCommitment,
+        ethers.ZeroHash,
+        { allowlistOnly: false, inviteOnly: true, minRating: 0 }
+      );
+
+      return { ...base, inviteKey, roomKeyCommitment };
+    }
+
+    async function signInvite(escrow, inviteKey, roomId, player) {
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        InviteProof: [
+          { name: "roomId", type: "uint256" },
+          { name: "player", type: "address" },
+        ],
+      };
+
+      return inviteKey.signTypedData(domain, types, { roomId, player });
+    }
+
+    it("Should seat a player with the right room code", async function () {
+      const { escrow, other, inviteKey, stake } = await loadFixture(privateRoomFixture);
+
+      const proof = await signInvite(escrow, inviteKey, 0, other.address);
+
+      await expect(escrow.connect(other).joinRoomWithInvite(0, proof))
+        .to.emit(escrow, "SeatFilled")
+        .withArgs(0, other.address, 0)
+        .to.emit(escrow, "RoomJoined")
+        .withArgs(0, other.address, stake);
+
+      expect((await escrow.rooms(0)).playerB).to.equal(other.address);
+    });
+
+    it("Should reject a seat rule that needs both an invite and a rating", async function () {
+      const { escrow, usdc, operator, playerA, roomKeyCommitment, stake } = await loadFixture(privateRoomFixture);
+
+      const rule = { allowlistOnly: false, inviteOnly: true, minRating: 1000 };
+      const deadline = await getFutureTimestamp(3600);
+      await expect(
+        escrow.connect(operator).createOpenRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          stake,
+          deadline - 60,
+          deadline,
+          roomKeyCommitment,
+          ethers.ZeroHash,
+          rule
+        )
+      ).to.be.revertedWithCustomError(escrow, "InvalidSeatRule");
+
+      await expect(escrow.connect(operator).setSeatRule(0, rule))
+        .to.be.revertedWithCustomError(escrow, "InvalidSeatRule");
+    });
+
+    it("Should revert with the wrong room code", async function () {
+      const { escrow, other } = await loadFixture(privateRoomFixture);
+
+      const wrongKey = ethers.Wallet.createRandom();
+      const proof = await signInvite(escrow, wrongKey, 0, other.address);
+
+      await expect(escrow.connect(other).joinRoomWithInvite(0, proof))
+        .to.be.revertedWithCustomError(escrow, "InvalidInviteCode");
+    });
+
+    it("Should revert with InvalidInviteCode on a malformed proof", async function () {
+      const { escrow, other } = await loadFixture(privateRoomFixture);
+
+      for (const proof of ["0x", "0x1234", ethers.zeroPadValue("0x", 65)]) {
+        await expect(escrow.connect(other).joinRoomWithInvite(0, proof))
+          .to.be.revertedWithCustomError(escrow, "InvalidInviteCode");
+      }
+    });
+
+    it("Should not let a front-runner reuse someone else's proof", async function () {
+      const { escrow, other, attacker, inviteKey } = await loadFixture(privateRoomFixture);
+
+      const proof = await signInvite(escrow, inviteKey, 0, other.address);
+
+      await expect(escrow.connect(attacker).joinRoomWithInvite(0, proof))
+        .to.be.revertedWithCustomError(escrow, "InvalidInviteCode");
+
+      await escrow.connect(other).joinRoomWithInvite(0, proof);
+      expect((await escrow.rooms(0)).playerB).to.equal(other.address);
+    });
+
+    it("Should not let a proof for another room be reused", async function () {
+      const { escrow, usdc, operator, playerA, other, inviteKey, roomKeyCommitment, stake } =
+        await loadFixture(privateRoomFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createOpenRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        stake,
+        deadline - 60,
+        deadline,
+        roomKeyCommitment,
+        ethers.ZeroHash,
+        { allowlistOnly: false, inviteOnly: true, minRating: 0 }
+      );
+
+      const proof = await signInvite(escrow, inviteKey, 0, other.address);
+
+      await expect(escrow.connect(other).joinRoomWithInvite(1, proof))
+        .to.be.revertedWithCustomError(escrow, "InvalidInviteCode");
+    });
+
+    it("Should require the invite proof to take the seat", async function () {
+      const { escrow, other } = await loadFixture(privateRoomFixture);
+
+      await expect(escrow.connect(other).joinRoom(0))
+        .to.be.revertedWithCustomError(escrow, "NotEligibleForSeat");
+    });
+
+    it("Should revert once the seat is taken", async function () {
+      const { escrow, other, attacker, inviteKey } = await loadFixture(privateRoomFixture);
+
+      await escrow.connect(other).joinRoomWithInvite(0, await signInvite(escrow, inviteKey, 0, other.address));
+
+      const proof = await signInvite(escrow, inviteKey, 0, attacker.address);
+      await expect(escrow.connect(attacker).joinRoomWithInvite(0, proof))
+        .to.be.revertedWithCustomError(escrow, "SeatNotOpen");
+    });
+  });
+
+  describe("Starting Rooms", function () {
+    async function readyRoomFixture() {
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+
+      const stake = ethers.parseUnits("10", 6);
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+
+      const base = await loadFixture(deployContractsFixture);
+      return { escrow, playerA, playerB, attacker: base.attacker };
+    }
+
+    it("Should start a ready room", async function () {
+      const { escrow } = await loadFixture(readyRoomFixture);
+
+      await expect(escrow.startRoom(0))
+        .to.emit(escrow, "RoomStarted")
+        .withArgs(0);
+
+      const room = await escrow.rooms(0);
+      expect(room.status).to.equal(3); // STARTED
+    });
+
+    it("Should allow anyone to start a ready room", async function () {
+      const { escrow, attacker } = await loadFixture(readyRoomFixture);
+
+      await expect(escrow.connect(attacker).startRoom(0))
+        .to.emit(escrow, "RoomStarted")
+        .withArgs(0);
+    });
+
+    it("Should revert if room is not ready", async function () {
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+
+      const stake = ethers.parseUnits("10", 6);
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await expect(escrow.startRoom(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotReady");
+    });
+  });
+
+  describe("Resolving Rooms", function () {
+    async function startedRoomFixture() {
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+
+      const stake = ethers.parseUnits("10", 6);
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const base = await loadFixture(deployContractsFixture);
+      return { escrow, usdc, playerA, playerB, operator, attacker: base.attacker, stake };
+    }
+
+    it("Should resolve room and payout winner", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const roomId = 0;
+      const winner = playerA.address;
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n; // 2%
+      const payout = pot - fee;
+
+      // Create EIP-712 signature
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      const signature = await operator.signTypedData(domain, types, value);
+
+      const winnerBalanceBefore = await usdc.balanceOf(winner);
+      const treasuryBalanceBefore = await usdc.balanceOf(await escrow.treasuryAddress());
+
+      await expect(escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomResolved")
+        .withArgs(roomId, winner, pot, fee, payout, nonce);
+
+      const winnerBalanceAfter = await usdc.balanceOf(winner);
+      expect(winnerBalanceAfter - winnerBalanceBefore).to.equal(payout);
+
+      const room = await escrow.rooms(roomId);
+      expect(room.status).to.equal(4); // RESOLVED
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
+      expect(await escrow.usedNonce(roomId, nonce)).to.equal(true);
+    });
+
+    it("Should revert with invalid signature", async function () {
+      const { escrow, playerA, attacker, stake } = await loadFixture(startedRoomFixture);
+
+      const roomId = 0;
+      const winner = playerA.address;
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      // Sign with wrong account
+      const signature = await attacker.signTypedData(domain, types, value);
+
+      await expect(escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert with reused nonce", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const roomId = 0;
+      const winner = playerA.address;
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      const signature = await operator.signTypedData(domain, types, value);
+
+      // First resolve should succeed
+      await expect(escrow.connect(playerA).resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomResolved");
+
+      // Verify room is resolved
+      const room = await escrow.rooms(roomId);
+      expect(room.status).to.equal(4); // RESOLVED
+
+      // Try to use same nonce again - should fail with NonceAlreadyUsed
+      // The contract checks nonce before checking if room is resolved
+      await expect(escrow.connect(playerA).resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "NonceAlreadyUsed");
+    });
+
+    it("Should revert if room not started", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      const roomId = 0;
+      const winner = playerA.address;
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      const signature = await operator.signTypedData(domain, types, value);
+
+      await expect(escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomNotStarted");
+    });
+
+    it("Should revert if winner is not a player", async function () {
+      const { escrow, playerA, playerB, operator, attacker, stake } = await loadFixture(startedRoomFixture);
+
+      const roomId = 0;
+      const winner = attacker.address; // Not a player
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      const signature = await operator.signTypedData(domain, types, value);
+
+      await expect(escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidWinner");
+    });
+  });
+
+  describe("Draw Resolution", function () {
+    async function startedDrawRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      return base;
+    }
+
+    async function signDraw(escrow, signer, roomId, shareBpsA, nonce) {
+      const [pot, fee, payoutA, payoutB] = await escrow.quoteDraw(roomId, shareBpsA);
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        ResolveDraw: [
+          { name: "roomId", type: "uint256" },
+          { name: "shareBpsA", type: "uint256" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payoutA", type: "uint256" },
+          { name: "payoutB", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, shareBpsA, pot, fee, payoutA, payoutB, nonce, validUntil: NO_EXPIRY };
+      const signature = await signer.signTypedData(domain, types, value);
+
+      return { signature, pot, fee, payoutA, payoutB };
+    }
+
+    it("Should split the pot evenly after fee", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedDrawRoomFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const half = (pot - fee) / 2n;
+
+      const { signature } = await signDraw(escrow, operator, 0, 5000, 777);
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.resolveDraw(0, 5000, 777, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomDrawResolved")
+        .withArgs(0, 5000, pot, fee, half, half, 777);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBeforeA).to.equal(half);
+      expect((await usdc.balanceOf(playerB.address)) - balanceBeforeB).to.equal(half);
+
+      const room = await escrow.rooms(0);
+      expect(room.status).to.equal(4); // RESOLVED
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
+      expect(await escrow.usedNonce(0, 777)).to.equal(true);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(fee);
+    });
+
+    it("Should split the pot unevenly", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(startedDrawRoomFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const net = pot - fee;
+      const expectedA = (net * 7000n) / 10000n;
+      const expectedB = net - expectedA;
+
+      const { signature, payoutA, payoutB } = await signDraw(escrow, operator, 0, 7000, 1);
+      expect(payoutA).to.equal(expectedA);
+      expect(payoutB).to.equal(expectedB);
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      await escrow.resolveDraw(0, 7000, 1, NO_EXPIRY, signature);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBeforeA).to.equal(expectedA);
+      expect((await usdc.balanceOf(playerB.address)) - balanceBeforeB).to.equal(expectedB);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
+    });
+
+    it("Should pay the whole net pot to one side with a 100% share", async function () {
+      const { escrow, usdc, playerB, operator, stake } = await loadFixture(startedDrawRoomFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+
+      const { signature } = await signDraw(escrow, operator, 0, 0, 1);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      await escrow.resolveDraw(0, 0, 1, NO_EXPIRY, signature);
+
+      expect((await usdc.balanceOf(playerB.address)) - balanceBeforeB).to.equal(pot - fee);
+    });
+
+    it("Should add rounding dust to the fee", async function () {
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+
+      // Odd stake so the net pot does not divide cleanly
+      const stake = 10_000_001n;
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const pot = stake * 2n;
+      const baseFee = (pot * 200n) / 10000n;
+      const net = pot - baseFee;
+      const expectedA = (net * 3333n) / 10000n;
+      const expectedB = (net * 6667n) / 10000n;
+      const dust = net - expectedA - expectedB;
+      expect(dust).to.equal(1n);
+
+      const { signature, fee, payoutA, payoutB } = await signDraw(escrow, operator, 0, 3333, 1);
+      expect(fee).to.equal(baseFee + dust);
+      expect(payoutA + payoutB + fee).to.equal(pot);
+
+      await expect(escrow.resolveDraw(0, 3333, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomDrawResolved")
+        .withArgs(0, 3333, pot, baseFee + dust, payoutA, payoutB, 1);
+
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(baseFee + dust);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(baseFee + dust);
+    });
+
+    it("Should revert with invalid signature", async function () {
+      const { escrow, attacker } = await loadFixture(startedDrawRoomFixture);
+
+      const { signature } = await signDraw(escrow, attacker, 0, 5000, 1);
+
+      await expect(escrow.resolveDraw(0, 5000, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert if submitted share differs from signed share", async function () {
+      const { escrow, operator } = await loadFixture(startedDrawRoomFixture);
+
+      const { signature } = await signDraw(escrow, operator, 0, 5000, 1);
+
+      await expect(escrow.resolveDraw(0, 9000, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should revert if share is above 100%", async function () {
+      const { escrow, operator } = await loadFixture(startedDrawRoomFixture);
+
+      await expect(escrow.resolveDraw(0, 10001, 1, NO_EXPIRY, "0x"))
+        .to.be.revertedWithCustomError(escrow, "InvalidSplit");
+    });
+
+    it("Should prevent replaying a draw signature", async function () {
+      const { escrow, operator } = await loadFixture(startedDrawRoomFixture);
+
+      const { signature } = await signDraw(escrow, operator, 0, 5000, 1);
+      await escrow.resolveDraw(0, 5000, 1, NO_EXPIRY, signature);
+
+      expect(await escrow.usedNonce(0, 1)).to.equal(true);
+
+      // Room is already resolved, so the replay is rejected before the nonce check
+      await expect(escrow.resolveDraw(0, 5000, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomNotStarted");
+    });
+
+    it("Should revert if room not started", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      const { signature } = await signDraw(escrow, operator, 0, 5000, 1);
+
+      await expect(escrow.resolveDraw(0, 5000, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomNotStarted");
+    });
+
+    it("Should block refunds after a draw", async function () {
+      const { escrow, playerA, operator } = await loadFixture(startedDrawRoomFixture);
+
+      const { signature } = await signDraw(escrow, operator, 0, 5000, 1);
+      await escrow.resolveDraw(0, 5000, 1, NO_EXPIRY, signature);
+
+      await time.increase(7200);
+
+      await expect(escrow.connect(playerA).refund(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+    });
+
+    it("Should verify draw signature", async function () {
+      const { escrow, operator } = await loadFixture(startedDrawRoomFixture);
+
+      const { signature, pot, fee, payoutA, payoutB } = await signDraw(escrow, operator, 0, 5000, 1);
+
+      const [isValid, signer] = await escrow.verifyResolveDrawSignature(
+        0,
+        5000,
+        pot,
+        fee,
+        payoutA,
+        payoutB,
+        1,
+        NO_EXPIRY,
+        signature
+      );
+
+      expect(isValid).to.equal(true);
+      expect(signer).to.equal(operator.address);
+    });
+  });
+
+  describe("Batch Resolution", function () {
+    const ROOMS = 5;
+
+    async function startedRoomsFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, stake } = base;
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), ethers.MaxUint256);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      // Two identical sets of rooms: one resolved one by one, one batched
+      const deadline = await getFutureTimestamp(3600);
+      const roomIds = [];
+      for (let i = 0; i < ROOMS * 2; i++) {
+        const roomId = await escrow.nextRoomId();
+        await escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          playerB.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        );
+        await escrow.connect(playerA).joinRoom(roomId);
+        await escrow.connect(playerB).joinRoom(roomId);
+        await escrow.startRoom(roomId);
+        roomIds.push(roomId);
+      }
+
+      return { ...base, roomIds };
+    }
+
+    async function signResolve(escrow, operator, roomId, winner, stake, nonce) {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
+
+    async function buildBatch(escrow, operator, roomIds, winner, stake) {
+      const batch = { roomIds, winners: [], nonces: [], validUntils: [], signatures: [] };
+      for (const roomId of roomIds) {
+        batch.winners.push(winner);
+        batch.nonces.push(1);
+        batch.validUntils.push(NO_EXPIRY);
+        batch.signatures.push(await signResolve(escrow, operator, roomId, winner, stake, 1));
+      }
+      return batch;
+    }
+
+    function resolveBatch(escrow, batch, bestEffort) {
+      return escrow.resolveBatch(
+        batch.roomIds,
+        batch.winners,
+        batch.nonces,
+        batch.validUntils,
+        batch.signatures,
+        bestEffort
+      );
+    }
+
+    it("Should resolve every room of the batch", async function () {
+      const { escrow, usdc, operator, playerA, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      const batch = await buildBatch(escrow, operator, roomIds.slice(0, ROOMS), playerA.address, stake);
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+
+      expect(await escrow.resolveBatch.staticCall(
+        batch.roomIds, batch.winners, batch.nonces, batch.validUntils, batch.signatures, false
+      )).to.equal(ROOMS);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await expect(resolveBatch(escrow, batch, false))
+        .to.emit(escrow, "RoomResolved")
+        .withArgs(roomIds[0], playerA.address, pot, fee, pot - fee, 1);
+
+      for (const roomId of batch.roomIds) {
+        expect((await escrow.rooms(roomId)).status).to.equal(4); // RESOLVED
+      }
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + (pot - fee) * BigInt(ROOMS));
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee * BigInt(ROOMS));
+    });
+
+    it("Should revert the whole batch with the item error in all-or-nothing mode", async function () {
+      const { escrow, operator, playerA, attacker, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      const batch = await buildBatch(escrow, operator, roomIds.slice(0, 3), playerA.address, stake);
+      batch.signatures[1] = await signResolve(escrow, attacker, roomIds[1], playerA.address, stake, 1);
+
+      await expect(resolveBatch(escrow, batch, false))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      for (const roomId of batch.roomIds) {
+        expect((await escrow.rooms(roomId)).status).to.equal(3); // STARTED
+      }
+    });
+
+    it("Should skip failing items and report their error selector in best-effort mode", async function () {
+      const { escrow, operator, playerA, attacker, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      const batch = await buildBatch(escrow, operator, roomIds.slice(0, 3), playerA.address, stake);
+      batch.signatures[1] = await signResolve(escrow, attacker, roomIds[1], playerA.address, stake, 1);
+      batch.winners[2] = attacker.address;
+
+      expect(await escrow.resolveBatch.staticCall(
+        batch.roomIds, batch.winners, batch.nonces, batch.validUntils, batch.signatures, true
+      )).to.equal(1);
+
+      await expect(resolveBatch(escrow, batch, true))
+        .to.emit(escrow, "ResolveFailed")
+        .withArgs(1, roomIds[1], escrow.interface.getError("InvalidSignature").selector)
+        .and.to.emit(escrow, "ResolveFailed")
+        .withArgs(2, roomIds[2], escrow.interface.getError("InvalidWinner").selector);
+
+      expect((await escrow.rooms(roomIds[0])).status).to.equal(4); // RESOLVED
+      expect((await escrow.rooms(roomIds[1])).status).to.equal(3); // STARTED
+      expect((await escrow.rooms(roomIds[2])).status).to.equal(3); // STARTED
+    });
+
+    it("Should report already resolved rooms instead of paying twice", async function () {
+      const { escrow, usdc, operator, playerA, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      const batch = await buildBatch(escrow, operator, [roomIds[0], roomIds[0]], playerA.address, stake);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await expect(resolveBatch(escrow, batch, true))
+        .to.emit(escrow, "ResolveFailed")
+        .withArgs(1, roomIds[0], escrow.interface.getError("RoomNotStarted").selector);
+
+      const pot = stake * 2n;
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + pot - (pot * 200n) / 10000n);
+    });
+
+    it("Should revert when array lengths differ", async function () {
+      const { escrow, operator, playerA, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      const batch = await buildBatch(escrow, operator, roomIds.slice(0, 2), playerA.address, stake);
+      batch.nonces.pop();
+
+      await expect(resolveBatch(escrow, batch, true))
+        .to.be.revertedWithCustomError(escrow, "ArrayLengthMismatch");
+    });
+
+    it("Should use less gas than single resolutions", async function () {
+      const { escrow, operator, playerA, stake, roomIds } = await loadFixture(startedRoomsFixture);
+
+      let singleGas = 0n;
+      for (const roomId of roomIds.slice(0, ROOMS)) {
+        const signature = await signResolve(escrow, operator, roomId, playerA.address, stake, 1);
+        const tx = await escrow.resolveAndPayout(roomId, playerA.address, 1, NO_EXPIRY, signature);
+        singleGas += (await tx.wait()).gasUsed;
+      }
+
+      const batch = await buildBatch(escrow, operator, roomIds.slice(ROOMS), playerA.address, stake);
+      const allOrNothingGas = await escrow.resolveBatch.estimateGas(
+        batch.roomIds, batch.winners, batch.nonces, batch.validUntils, batch.signatures, false
+      );
+      const tx = await resolveBatch(escrow, batch, true);
+      const bestEffortGas = (await tx.wait()).gasUsed;
+
+      expect(allOrNothingGas).to.be.lessThan(singleGas);
+      expect(bestEffortGas).to.be.lessThan(singleGas);
+    });
+  });
+
+  describe("Multi-Signer Resolution", function () {
+    async function multiSignerFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, playerA, playerB, operator, stake } = base;
+      const signers = await ethers.getSigners();
+      const validators = signers.slice(7, 10);
+
+      for (const validator of validators) {
+        await scheduleCall(escrow, owner, Change.RESULT_SIGNER, ["address"], [validator.address]);
+        await escrow.connect(owner).addResultSigner(validator.address);
+      }
+      await scheduleCall(escrow, owner, Change.RESULT_THRESHOLD, ["uint256"], [2]);
+      await escrow.connect(owner).setResultThreshold(2);
+
+      // Far enough out for the room to outlast the admin delay of later threshold changes
+      const deadline = await getFutureTimestamp(7 * 24 * 3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      return { ...base, validators };
+    }
+
+    async function signResolve(escrow, signer, roomId, winner, stake, nonce) {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, winner, pot, fee, payout, nonce, validUntil: NO_EXPIRY };
+      return signer.signTypedData(domain, types, value);
+    }
+
+    it("Should resolve with signatures from a threshold of result signers", async function () {
+      const { escrow, usdc, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const sig1 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+      const sig2 = await signResolve(escrow, validators[2], 0, playerA.address, stake, 1);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, ethers.concat([sig1, sig2])))
+        .to.emit(escrow, "RoomResolved");
+
+      const pot = stake * 2n;
+      const payout = pot - (pot * 200n) / 10000n;
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + payout);
+    });
+
+    it("Should reject a resolution below the threshold", async function () {
+      const { escrow, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const sig1 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, sig1))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should no longer accept the operator key alone", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(multiSignerFixture);
+
+      const signature = await signResolve(escrow, operator, 0, playerA.address, stake, 1);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should not count signatures from non-signers", async function () {
+      const { escrow, playerA, validators, attacker, stake } = await loadFixture(multiSignerFixture);
+
+      const sig1 = await signResolve(escrow, validators[1], 0, playerA.address, stake, 1);
+      const sig2 = await signResolve(escrow, attacker, 0, playerA.address, stake, 1);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, ethers.concat([sig1, sig2])))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject the same signer twice", async function () {
+      const { escrow, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const sig1 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, ethers.concat([sig1, sig1])))
+        .to.be.revertedWithCustomError(escrow, "DuplicateSigner");
+    });
+
+    it("Should reject malformed signature bundles", async function () {
+      const { escrow, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const sig1 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+      const sig2 = await signResolve(escrow, validators[1], 0, playerA.address, stake, 1);
+      const truncated = ethers.dataSlice(ethers.concat([sig1, sig2]), 0, 129);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, truncated))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should verify multi-signer bundles off-chain", async function () {
+      const { escrow, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const sig1 = await signResolve(escrow, validators[1], 0, playerA.address, stake, 1);
+      const sig2 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+
+      const [isValid, signer] = await escrow.verifyResolveSignature(
+        0,
+        playerA.address,
+        pot,
+        fee,
+        pot - fee,
+        1,
+        NO_EXPIRY,
+        ethers.concat([sig1, sig2])
+      );
+
+      expect(isValid).to.equal(true);
+      expect(signer).to.equal(validators[1].address);
+    });
+
+    it("Should skip chunks that do not recover or come from non-signers", async function () {
+      const { escrow, playerA, validators, attacker, stake } = await loadFixture(multiSignerFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const garbage = ethers.zeroPadValue("0x", 65);
+      const sigAttacker = await signResolve(escrow, attacker, 0, playerA.address, stake, 1);
+      const sig1 = await signResolve(escrow, validators[2], 0, playerA.address, stake, 1);
+      const sig2 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+      const bundle = ethers.concat([garbage, sigAttacker, sig1, sig2]);
+
+      // The signer reported is the first registered one, not the first chunk
+      const [isValid, signer] = await escrow.verifyResolveSignature(
+        0,
+        playerA.address,
+        pot,
+        fee,
+        pot - fee,
+        1,
+        NO_EXPIRY,
+        bundle
+      );
+      expect(isValid).to.equal(true);
+      expect(signer).to.equal(validators[2].address);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, bundle))
+        .to.emit(escrow, "RoomResolved");
+    });
+
+    it("Should return false instead of reverting when verifying bad bundles", async function () {
+      const { escrow, playerA, validators, stake } = await loadFixture(multiSignerFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const sig1 = await signResolve(escrow, validators[0], 0, playerA.address, stake, 1);
+      const verify = (signature) =>
+        escrow.verifyResolveSignature(0, playerA.address, pot, fee, pot - fee, 1, NO_EXPIRY, signature);
+
+      for (const bundle of [
+        "0x",
+        ethers.dataSlice(sig1, 0, 64),
+        ethers.zeroPadValue("0x", 130),
+        ethers.concat([sig1, sig1]),
+      ]) {
+        const [isValid] = await verify(bundle);
+        expect(isValid).to.equal(false);
+      }
+    });
+
+    it("Should return to single operator mode with a zero threshold", async function () {
+      const { escrow, owner, playerA, operator, stake } = await loadFixture(multiSignerFixture);
+
+      await scheduleCall(escrow, owner, Change.RESULT_THRESHOLD, ["uint256"], [0]);
+      await expect(escrow.connect(owner).setResultThreshold(0))
+        .to.emit(escrow, "ResultThresholdUpdated")
+        .withArgs(2, 0);
+
+      const signature = await signResolve(escrow, operator, 0, playerA.address, stake, 1);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomResolved");
+    });
+
+    it("Should report the operator as signer in single operator mode", async function () {
+      const { escrow, owner, playerA, operator, attacker, stake } = await loadFixture(multiSignerFixture);
+
+      await scheduleCall(escrow, owner, Change.RESULT_THRESHOLD, ["uint256"], [0]);
+      await escrow.connect(owner).setResultThreshold(0);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const verify = (signature) =>
+        escrow.verifyResolveSignature(0, playerA.address, pot, fee, pot - fee, 1, NO_EXPIRY, signature);
+
+      let [isValid, signer] = await verify(await signResolve(escrow, operator, 0, playerA.address, stake, 1));
+      expect(isValid).to.equal(true);
+      expect(signer).to.equal(operator.address);
+
+      // The operator is reported whether or not the signature is valid
+      [isValid, signer] = await verify(await signResolve(escrow, attacker, 0, playerA.address, stake, 1));
+      expect(isValid).to.equal(false);
+      expect(signer).to.equal(operator.address);
+
+      [isValid, signer] = await verify("0x1234");
+      expect(isValid).to.equal(false);
+      expect(signer).to.equal(operator.address);
+    });
+
+    it("Should manage the signer set and guard the threshold", async function () {
+      const { escrow, owner, validators, attacker } = await loadFixture(multiSignerFixture);
+
+      expect(await escrow.resultSignerCount()).to.equal(3);
+      expect(await escrow.isResultSigner(validators[0].address)).to.equal(true);
+
+      // Each call is scheduled first, so that it reaches the signer and threshold checks
+      await scheduleCall(escrow, owner, Change.RESULT_SIGNER, ["address"], [validators[0].address]);
+      await expect(escrow.connect(owner).addResultSigner(validators[0].address))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+      await scheduleCall(escrow, owner, Change.RESULT_SIGNER, ["address"], [ethers.ZeroAddress]);
+      await expect(escrow.connect(owner).addResultSigner(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+      await scheduleCall(escrow, owner, Change.RESULT_THRESHOLD, ["uint256"], [4]);
+      await expect(escrow.connect(owner).setResultThreshold(4))
+        .to.be.revertedWithCustomError(escrow, "InvalidThreshold");
+
+      await expect(escrow.connect(owner).removeResultSigner(validators[2].address))
+        .to.emit(escrow, "ResultSignerRemoved")
+        .withArgs(validators[2].address);
+
+      await expect(escrow.connect(owner).removeResultSigner(validators[1].address))
+        .to.be.revertedWithCustomError(escrow, "InvalidThreshold");
+
+      await expect(escrow.connect(attacker).addResultSigner(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Expiring Signatures and Contract Operators", function () {
+    const ADMIN_DELAY = 2 * 24 * 60 * 60; // DEFAULT_ADMIN_DELAY
+
+    async function startRoom({ escrow, usdc, playerA, playerB, operator, stake }) {
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+    }
+
+    async function startedRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      await startRoom(base);
+      return base;
+    }
+
+    // Schedules the wallet as operator; the current operator stays in charge until acceptAsWallet()
+    async function scheduleWalletOperator(escrow, owner, walletOwner) {
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await MockERC1271Wallet.deploy(walletOwner.address);
+      await escrow.connect(owner).scheduleOperator(await wallet.getAddress());
+      await time.increase(ADMIN_DELAY);
+      return wallet;
+    }
+
+    async function acceptAsWallet(escrow, wallet, walletOwner) {
+      const data = escrow.interface.encodeFunctionData("acceptOperator");
+      await wallet.connect(walletOwner).execute(await escrow.getAddress(), data);
+    }
+
+    async function walletOperatorFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, owner, other } = base;
+
+      // Operator key moves into a contract wallet controlled by `other`
+      const wallet = await scheduleWalletOperator(escrow, owner, other);
+      await startRoom(base);
+      await acceptAsWallet(escrow, wallet, other);
+
+      return { ...base, wallet, walletOwner: other };
+    }
+
+    async function signResolve(escrow, signer, roomId, winner, stake, nonce, validUntil, version = "2") {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version,
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, winner, pot, fee, payout, nonce, validUntil };
+      const signature = await signer.signTypedData(domain, types, value);
+
+      return { signature, pot, fee, payout };
+    }
+
+    it("Should resolve with a signature that has not expired", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const validUntil = await getFutureTimestamp(300);
+      const { signature } = await signResolve(escrow, operator, 0, playerA.address, stake, 1, validUntil);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, validUntil, signature))
+        .to.emit(escrow, "RoomResolved");
+    });
+
+    it("Should reject an expired resolve signature", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const validUntil = await getFutureTimestamp(300);
+      const { signature } = await signResolve(escrow, operator, 0, playerA.address, stake, 1, validUntil);
+
+      await time.increase(301);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, validUntil, signature))
+        .to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should reject a signature whose validUntil was changed", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const validUntil = await getFutureTimestamp(300);
+      const { signature } = await signResolve(escrow, operator, 0, playerA.address, stake, 1, validUntil);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, validUntil + 3600, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject an expired draw signature", async function () {
+      const { escrow, operator } = await loadFixture(startedRoomFixture);
+
+      const validUntil = await getFutureTimestamp(300);
+      const [pot, fee, payoutA, payoutB] = await escrow.quoteDraw(0, 5000);
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        ResolveDraw: [
+          { name: "roomId", type: "uint256" },
+          { name: "shareBpsA", type: "uint256" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payoutA", type: "uint256" },
+          { name: "payoutB", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId: 0, shareBpsA: 5000, pot, fee, payoutA, payoutB, nonce: 1, validUntil };
+      const signature = await operator.signTypedData(domain, types, value);
+
+      await time.increase(301);
+
+      await expect(escrow.resolveDraw(0, 5000, 1, validUntil, signature))
+        .to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should reject signatures made for the version 1 domain", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(startedRoomFixture);
+
+      const { signature } = await signResolve(escrow, operator, 0, playerA.address, stake, 1, NO_EXPIRY, "1");
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should resolve with an EIP-1271 operator signature", async function () {
+      const { escrow, usdc, playerA, walletOwner, stake } = await loadFixture(walletOperatorFixture);
+
+      const { signature, payout } = await signResolve(escrow, walletOwner, 0, playerA.address, stake, 1, NO_EXPIRY);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomResolved");
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + payout);
+    });
+
+    it("Should reject signatures the operator wallet does not accept", async function () {
+      const { escrow, playerA, operator, stake } = await loadFixture(walletOperatorFixture);
+
+      // The old EOA operator key no longer speaks for the operator
+      const { signature } = await signResolve(escrow, operator, 0, playerA.address, stake, 1, NO_EXPIRY);
+
+      await expect(escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should verify EIP-1271 operator signatures off-chain", async function () {
+      const { escrow, playerA, wallet, walletOwner, stake } = await loadFixture(walletOperatorFixture);
+
+      const { signature, pot, fee, payout } = await signResolve(
+        escrow,
+        walletOwner,
+        0,
+        playerA.address,
+        stake,
+        1,
+        NO_EXPIRY
+      );
+
+      const [isValid, signer] = await escrow.verifyResolveSignature(
+        0,
+        playerA.address,
+        pot,
+        fee,
+        payout,
+        1,
+        NO_EXPIRY,
+        signature
+      );
+
+      expect(isValid).to.equal(true);
+      expect(signer).to.equal(await wallet.getAddress());
+    });
+
+    it("Should accept EIP-1271 operator signatures for cancellation", async function () {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, playerA, playerB, other, stake } = base;
+
+      const wallet = await scheduleWalletOperator(escrow, owner, other);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await escrow.connect(playerA).joinRoom(0);
+
+      await acceptAsWallet(escrow, wallet, other);
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+      const types = {
+        CancelRoom: [
+          { name: "roomId", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+      const signature = await other.signTypedData(domain, types, { roomId: 0, nonce: 1, validUntil: NO_EXPIRY });
+
+      await expect(escrow.cancelByOperatorSignature(0, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+    });
+  });
+
+  describe("Challenge Window and Disputes", function () {
+    const WINDOW = 3600;
+
+    async function challengeFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, playerA, playerB, operator, other, stake } = base;
+
+      await escrow.connect(owner).setChallengeWindow(WINDOW);
+      await escrow.connect(owner).setDisputeBond(await usdc.getAddress(), stake);
+      await scheduleCall(escrow, owner, Change.ARBITER, ["address"], [other.address]);
+      await escrow.connect(owner).setArbiter(other.address);
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      // Players approve stake + bond
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake * 2n);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake * 2n);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      return { ...base, arbiter: other };
+    }
+
+    async function proposeWin(escrow, operator, winner, stake) {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId: 0, winner, pot, fee, payout, nonce: 1, validUntil: NO_EXPIRY };
+      const signature = await operator.signTypedData(domain, types, value);
+
+      await escrow.resolveAndPayout(0, winner, 1, NO_EXPIRY, signature);
+
+      return { pot, fee, payout };
+    }
+
+    it("Should only record the result while a challenge window is set", async function () {
+      const { escrow, usdc, playerA, operator, stake } = await loadFixture(challengeFixture);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      const { fee, payout } = await proposeWin(escrow, operator, playerA.address, stake);
+
+      const room = await escrow.rooms(0);
+      expect(room.status).to.equal(7); // PROPOSED
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+
+      const result = await escrow.proposedResults(0);
+      expect(result.payoutA).to.equal(payout);
+      expect(result.payoutB).to.equal(0);
+      expect(result.fee).to.equal(fee);
+      expect(result.challengeEndsAt).to.equal(BigInt(await time.latest()) + BigInt(WINDOW));
+    });
+
+    it("Should emit ResultProposed instead of RoomResolved", async function () {
+      const { escrow, playerB, operator, stake } = await loadFixture(challengeFixture);
+
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+      const value = {
+        roomId: 0,
+        winner: playerB.address,
+        pot,
+        fee,
+        payout: pot - fee,
+        nonce: 1,
+        validUntil: NO_EXPIRY,
+      };
+      const signature = await operator.signTypedData(domain, types, value);
+
+      await expect(escrow.resolveAndPayout(0, playerB.address, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "ResultProposed")
+        .and.not.to.emit(escrow, "RoomResolved");
+    });
+
+    it("Should let anyone finalize an undisputed result after the window", async function () {
+      const { escrow, usdc, playerA, operator, attacker, stake } = await loadFixture(challengeFixture);
+
+      const { fee, payout } = await proposeWin(escrow, operator, playerA.address, stake);
+
+      await expect(escrow.connect(attacker).finalizeResult(0))
+        .to.be.revertedWithCustomError(escrow, "ChallengeWindowOpen");
+
+      await time.increase(WINDOW);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(attacker).finalizeResult(0))
+        .to.emit(escrow, "ResultFinalized")
+        .withArgs(0, payout, 0, fee);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + payout);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
+      expect((await escrow.rooms(0)).status).to.equal(4); // RESOLVED
+
+      await expect(escrow.finalizeResult(0))
+        .to.be.revertedWithCustomError(escrow, "ResultNotProposed");
+    });
+
+    it("Should not refund a proposed room after the deadline", async function () {
+      const { escrow, playerA, playerB, operator, stake } = await loadFixture(challengeFixture);
+
+      await proposeWin(escrow, operator, playerA.address, stake);
+      await time.increase(7200);
+
+      await expect(escrow.connect(playerB).refund(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+    });
+
+    it("Should let only the losing player dispute, with a bond, inside the window", async function () {
+      const { escrow, usdc, playerA, playerB, operator, attacker, stake } = await loadFixture(challengeFixture);
+
+      await proposeWin(escrow, operator, playerA.address, stake);
+
+      await expect(escrow.connect(playerA).disputeResult(0))
+        .to.be.revertedWithCustomError(escrow, "NotDisputable");
+      await expect(escrow.connect(attacker).disputeResult(0))
+        .to.be.revertedWithCustomError(escrow, "PlayerNotInRoom");
+
+      const balanceBefore = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.connect(playerB).disputeResult(0))
+        .to.emit(escrow, "ResultDisputed")
+        .withArgs(0, playerB.address, stake);
+
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBefore - stake);
+      expect((await escrow.rooms(0)).status).to.equal(8); // DISPUTED
+
+      // A disputed result can no longer be finalized permissionlessly
+      await time.increase(WINDOW);
+      await expect(escrow.finalizeResult(0))
+        .to.be.revertedWithCustomError(escrow, "ResultNotProposed");
+    });
+
+    it("Should reject disputes after the window ends", async function () {
+      const { escrow, playerA, playerB, operator, stake } = await loadFixture(challengeFixture);
+
+      await proposeWin(escrow, operator, playerA.address, stake);
+      await time.increase(WINDOW);
+
+      await expect(escrow.connect(playerB).disputeResult(0))
+        .to.be.revertedWithCustomError(escrow, "ChallengeWindowClosed");
+    });
+
+    it("Should overturn the result and return the bond when the disputer is right", async function () {
+      const { escrow, usdc, playerA, playerB, operator, arbiter, stake } = await loadFixture(challengeFixture);
+
+      const { fee, payout } = await proposeWin(escrow, operator, playerA.address, stake);
+      await escrow.connect(playerB).disputeResult(0);
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.connect(arbiter).decideDispute(0, 0))
+        .to.emit(escrow, "DisputeDecided")
+        .withArgs(0, arbiter.address, 0, 0, payout, true)
+        .to.emit(escrow, "ResultFinalized")
+        .withArgs(0, 0, payout, fee);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBeforeA);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBeforeB + payout + stake);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
+      expect((await escrow.rooms(0)).status).to.equal(4); // RESOLVED
+    });
+
+    it("Should uphold the result and forfeit the bond when the dispute fails", async function () {
+      const { escrow, usdc, owner, playerA, playerB, operator, stake } = await loadFixture(challengeFixture);
+
+      const { fee, payout } = await proposeWin(escrow, operator, playerA.address, stake);
+      await escrow.connect(playerB).disputeResult(0);
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      // Owner can decide too
+      await expect(escrow.connect(owner).decideDispute(0, 10000))
+        .to.emit(escrow, "DisputeDecided")
+        .withArgs(0, owner.address, 10000, payout, 0, false);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBeforeA + payout);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBeforeB);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee + stake);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(fee + stake);
+    });
+
+    it("Should only let the arbiter or owner decide disputed rooms", async function () {
+      const { escrow, playerA, playerB, operator, arbiter, attacker, stake } = await loadFixture(challengeFixture);
+
+      await proposeWin(escrow, operator, playerA.address, stake);
+
+      await expect(escrow.connect(arbiter).decideDispute(0, 5000))
+        .to.be.revertedWithCustomError(escrow, "RoomNotDisputed");
+
+      await escrow.connect(playerB).disputeResult(0);
+
+      await expect(escrow.connect(attacker).decideDispute(0, 5000))
+        .to.be.revertedWithCustomError(escrow, "NotArbiter");
+      await expect(escrow.connect(arbiter).decideDispute(0, 10001))
+        .to.be.revertedWithCustomError(escrow, "InvalidSplit");
+    });
+
+    it("Should refund both stakes and return the bond when the arbiter misses the decision deadline", async function () {
+      const { escrow, usdc, playerA, playerB, operator, arbiter, attacker, stake } =
+        await loadFixture(challengeFixture);
+
+      await proposeWin(escrow, operator, playerA.address, stake);
+      await escrow.connect(playerB).disputeResult(0);
+
+      const { challengeEndsAt } = await escrow.proposedResults(0);
+      const decisionDeadline = challengeEndsAt + (await escrow.DISPUTE_DECISION_PERIOD());
+
+      await expect(escrow.connect(attacker).expireDispute(0))
+        .to.be.revertedWithCustomError(escrow, "DecisionPeriodOpen");
+
+      await time.increaseTo(decisionDeadline);
+
+      await expect(escrow.connect(arbiter).decideDispute(0, 0))
+        .to.be.revertedWithCustomError(escrow, "DecisionPeriodClosed");
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      // Anyone can release the locked pot
+      await expect(escrow.connect(attacker).expireDispute(0))
+        .to.emit(escrow, "DisputeExpired")
+        .withArgs(0, playerB.address, stake)
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBeforeA + stake);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBeforeB + stake + stake);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+
+      await expect(escrow.connect(attacker).expireDispute(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotDisputed");
+    });
+
+    it("Should validate challenge window configuration", async function () {
+      const { escrow, owner, attacker } = await loadFixture(deployContractsFixture);
+
+      await expect(escrow.connect(owner).setChallengeWindow(7 * 24 * 3600 + 1))
+        .to.be.revertedWithCustomError(escrow, "InvalidChallengeWindow");
+
+      await expect(escrow.connect(owner).setChallengeWindow(600))
+        .to.emit(escrow, "ChallengeWindowUpdated")
+        .withArgs(0, 600);
+
+      await expect(escrow.connect(attacker).setArbiter(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(attacker).setDisputeBond(ethers.ZeroAddress, 0))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Refunds", function () {
+    async function createRoomForRefundFixture() {
+      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+
+      const stake = ethers.parseUnits("10", 6);
+      const deadline = await getFutureTimestamp(100); // 100 seconds from now
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+
+      return { escrow, usdc, playerA, playerB, stake, deadline };
+    }
+
+    it("Should refund player after deadline", async function () {
+      const { escrow, usdc, playerA, stake } = await loadFixture(createRoomForRefundFixture);
+
+      // Fast forward time
+      await ethers.provider.send("evm_increaseTime", [200]);
+      await ethers.provider.send("evm_mine", []);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(playerA).refund(0))
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+
+      const balanceAfter = await usdc.balanceOf(playerA.address);
+      expect(balanceAfter - balanceBefore).to.equal(stake);
+      expect(await escrow.hasRefunded(0, playerA.address)).to.equal(true);
+    });
+
+    it("Should mark room as cancelled when both players refund", async function () {
+      const { escrow, usdc, playerA, playerB, stake } = await loadFixture(createRoomForRefundFixture);
+
+      await ethers.provider.send("evm_increaseTime", [200]);
+      await ethers.provider.send("evm_mine", []);
+
+      await escrow.connect(playerA).refund(0);
+      await escrow.connect(playerB).refund(0);
+
+      const room = await escrow.rooms(0);
+      expect(room.status).to.equal(5); // CANCELLED
+    });
+
+    it("Should revert if deadline not passed", async function () {
+      const { escrow, playerA } = await loadFixture(createRoomForRefundFixture);
+
+      await expect(escrow.connect(playerA).refund(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+    });
+
+    it("Should revert if room already resolved", async function () {
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const roomId = 0;
+      const winner = playerA.address;
+      const nonce = 12345;
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+      const payout = pot - fee;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = {
+        roomId,
+        winner,
+        pot,
+        fee,
+        payout,
+        nonce,
+        validUntil: NO_EXPIRY,
+      };
+
+      const signature = await operator.signTypedData(domain, types, value);
+      await escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature);
+
+      await expect(escrow.connect(playerA).refund(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+    });
+
+    it("Should revert if player already refunded", async function () {
+      const { escrow, playerA } = await loadFixture(createRoomForRefundFixture);
+
+      await ethers.provider.send("evm_increaseTime", [200]);
+      await ethers.provider.send("evm_mine", []);
+
+      await escrow.connect(playerA).refund(0);
+
+      await expect(escrow.connect(playerA).refund(0))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+    });
+  });
+
+  describe("Expired Room Sweeps", function () {
+    const JOIN_WINDOW = 600;
+    const RESOLVE_WINDOW = 3600;
+
+    async function sweepFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, operator, playerA, playerB, stake } = base;
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), ethers.MaxUint256);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), ethers.MaxUint256);
+
+      const joinDeadline = await getFutureTimestamp(JOIN_WINDOW);
+      const deadline = joinDeadline + RESOLVE_WINDOW;
+
+      // Room 0: only playerA paid, room 1: both paid and started, room 2: nobody paid
+      for (let i = 0; i < 3; i++) {
+        await escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
+          playerA.address,
+          playerB.address,
+          stake,
+          joinDeadline,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        );
+      }
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerA).joinRoom(1);
+      await escrow.connect(playerB).joinRoom(1);
+      await escrow.startRoom(1);
+
+      return { ...base, joinDeadline, deadline };
+    }
+
+    it("Should refund and cancel a room where only one player paid", async function () {
+      const { escrow, usdc, playerA, other, stake, joinDeadline } = await loadFixture(sweepFixture);
+
+      await time.increaseTo(joinDeadline + 1);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await expect(escrow.connect(other).sweepExpired([0]))
+        .to.emit(escrow, "RoomSwept")
+        .withArgs(0)
+        .and.to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + stake);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+      expect(await escrow.hasRefunded(0, playerA.address)).to.equal(true);
+    });
+
+    it("Should refund both players of an expired started room", async function () {
+      const { escrow, usdc, playerA, playerB, other, stake, deadline } = await loadFixture(sweepFixture);
+
+      const balanceA = await usdc.balanceOf(playerA.address);
+      const balanceB = await usdc.balanceOf(playerB.address);
+
+      await time.increaseTo(deadline);
+      await escrow.connect(other).sweepExpired([1]);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceA + stake);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + stake);
+      expect((await escrow.rooms(1)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should skip rooms that are not eligible without reverting", async function () {
+      const { escrow, other, joinDeadline } = await loadFixture(sweepFixture);
+
+      // Started room 1 is not expired before its deadline, room 99 does not exist
+      await time.increaseTo(joinDeadline + 1);
+
+      expect(await escrow.connect(other).sweepExpired.staticCall([0, 1, 2, 99])).to.equal(2);
+      await expect(escrow.connect(other).sweepExpired([0, 1, 2, 99]))
+        .to.emit(escrow, "RoomSwept")
+        .withArgs(2);
+
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+      expect((await escrow.rooms(1)).status).to.equal(3); // STARTED
+      expect((await escrow.rooms(2)).status).to.equal(5); // CANCELLED
+
+      // Already cancelled rooms are skipped on a second sweep
+      expect(await escrow.connect(other).sweepExpired.staticCall([0, 2])).to.equal(0);
+    });
+
+    it("Should not pay a player who already refunded", async function () {
+      const { escrow, usdc, playerA, playerB, other, stake, deadline } = await loadFixture(sweepFixture);
+
+      await time.increaseTo(deadline);
+      await escrow.connect(playerA).refund(1);
+
+      const balanceA = await usdc.balanceOf(playerA.address);
+      const balanceB = await usdc.balanceOf(playerB.address);
+
+      await escrow.connect(other).sweepExpired([1]);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceA);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + stake);
+      expect((await escrow.rooms(1)).status).to.equal(5); // CANCELLED
+
+      await expect(escrow.connect(playerB).refund(1))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+    });
+
+    it("Should not sweep resolved rooms", async function () {
+      const { escrow, operator, playerA, other, stake, deadline } = await loadFixture(sweepFixture);
 
-      const roomId = 0;
-      const winner = attacker.address; // Not a player
-      const nonce = 12345;
       const pot = stake * 2n;
       const fee = (pot * 200n) / 10000n;
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+      const value = { roomId: 1, winner: playerA.address, pot, fee, payout: pot - fee, nonce: 1, validUntil: NO_EXPIRY };
+      const signature = await operator.signTypedData(domain, types, value);
+      await escrow.resolveAndPayout(1, playerA.address, 1, NO_EXPIRY, signature);
+
+      await time.increaseTo(deadline);
+
+      await expect(escrow.connect(other).sweepExpired([1])).to.not.emit(escrow, "RoomSwept");
+      expect((await escrow.rooms(1)).status).to.equal(4); // RESOLVED
+    });
+
+    it("Should revert while paused", async function () {
+      const { escrow, owner, other, joinDeadline } = await loadFixture(sweepFixture);
+
+      await time.increaseTo(joinDeadline + 1);
+      await escrow.connect(owner).pause();
+
+      await expect(escrow.connect(other).sweepExpired([0]))
+        .to.be.revertedWithCustomError(escrow, "ContractPaused");
+    });
+  });
+
+  describe("Room Lifecycle", function () {
+    const JOIN_WINDOW = 600;
+    const RESOLVE_WINDOW = 3600;
+
+    async function lifecycleFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, attacker, other } = base;
+
+      for (const player of [playerA, playerB, attacker, other]) {
+        await usdc.connect(player).approve(await escrow.getAddress(), ethers.MaxUint256);
+      }
+
+      return base;
+    }
+
+    async function createTimedRoom(escrow, usdc, operator, playerA, playerB, stake) {
+      const joinDeadline = await getFutureTimestamp(JOIN_WINDOW);
+      const deadline = joinDeadline + RESOLVE_WINDOW;
+      const roomId = await escrow.nextRoomId();
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        joinDeadline,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      return { roomId, joinDeadline, deadline };
+    }
+
+    async function signResolve(escrow, signer, roomId, winner, nonce) {
+      const room = await escrow.rooms(roomId);
+      const pot = room.stake * 2n;
+      const fee = (pot * room.feeBpsSnapshot) / 10000n;
       const payout = pot - fee;
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { roomId, winner, pot, fee, payout, nonce, validUntil: NO_EXPIRY });
+    }
+
+    // Liability of a room = every paid, unrefunded stake while the room is not RESOLVED or CANCELLED
+    async function expectSolvent(escrow, usdc) {
+      const nextRoomId = await escrow.nextRoomId();
+      let liabilities = await escrow.accruedFees(await usdc.getAddress());
+
+      for (let roomId = 0n; roomId < nextRoomId; roomId++) {
+        const [room, playerAPaid, playerBPaid] = await escrow.getRoom(roomId);
+        if (room.status === 4n || room.status === 5n) {
+          continue; // RESOLVED or CANCELLED
+        }
+        if (playerAPaid && !(await escrow.hasRefunded(roomId, room.playerA))) {
+          liabilities += room.stake;
+        }
+        if (playerBPaid && !(await escrow.hasRefunded(roomId, room.playerB))) {
+          liabilities += room.stake;
+        }
+      }
+
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.be.gte(liabilities);
+      return liabilities;
+    }
+
+    it("Should reject joins and starts after the join deadline", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      const { roomId, joinDeadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+
+      await time.increaseTo(joinDeadline + 1);
+
+      await expect(escrow.connect(playerB).joinRoom(roomId))
+        .to.be.revertedWithCustomError(escrow, "RoomExpired");
+
+      const ready = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(ready.roomId);
+      await escrow.connect(playerB).joinRoom(ready.roomId);
+
+      await time.increaseTo(ready.joinDeadline + 1);
+
+      await expect(escrow.startRoom(ready.roomId))
+        .to.be.revertedWithCustomError(escrow, "RoomExpired");
+    });
+
+    it("Should refund an unstarted room after the join deadline", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      const { roomId, joinDeadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+
+      await expect(escrow.connect(playerA).refund(roomId))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+
+      await time.increaseTo(joinDeadline + 1);
+
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await escrow.connect(playerA).refund(roomId);
+      expect((await usdc.balanceOf(playerA.address)) - balanceBefore).to.equal(stake);
+
+      expect((await escrow.rooms(roomId)).status).to.equal(6); // REFUNDING
+
+      await escrow.connect(playerB).refund(roomId);
+      expect((await escrow.rooms(roomId)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should cancel a half-paid room on the only refund", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      const { roomId, joinDeadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+
+      await time.increaseTo(joinDeadline + 1);
+      await escrow.connect(playerA).refund(roomId);
+
+      expect((await escrow.rooms(roomId)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should not refund a started room before the resolution deadline", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      const { roomId, joinDeadline, deadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+      await escrow.startRoom(roomId);
+
+      await time.increaseTo(joinDeadline + 1);
+      await expect(escrow.connect(playerA).refund(roomId))
+        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+
+      await time.increaseTo(deadline);
+      await escrow.connect(playerA).refund(roomId);
+      expect((await escrow.rooms(roomId)).status).to.equal(6); // REFUNDING
+    });
+
+    it("Should not resolve a room after the resolution deadline", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      const { roomId, deadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+      await escrow.startRoom(roomId);
+
+      const signature = await signResolve(escrow, operator, roomId, playerA.address, 1);
+
+      await time.increaseTo(deadline);
+
+      await expect(escrow.resolveAndPayout(roomId, playerA.address, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomExpired");
+    });
+
+    it("Should make a room unresolvable after a partial refund", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lifecycleFixture);
+
+      // Another open room whose funds must not be used to pay this one
+      const other = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(other.roomId);
+      await escrow.connect(playerB).joinRoom(other.roomId);
+
+      const { roomId, deadline } = await createTimedRoom(escrow, usdc, operator, playerA, playerB, stake);
+      await escrow.connect(playerA).joinRoom(roomId);
+      await escrow.connect(playerB).joinRoom(roomId);
+      await escrow.startRoom(roomId);
+
+      const signature = await signResolve(escrow, operator, roomId, playerB.address, 1);
+
+      await time.increaseTo(deadline);
+      await escrow.connect(playerA).refund(roomId);
+
+      await expect(escrow.resolveAndPayout(roomId, playerB.address, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomNotStarted");
+
+      await expectSolvent(escrow, usdc);
+    });
+
+    it("Should keep the balance covering all open rooms' liabilities", async function () {
+      const { escrow, usdc, operator, owner, playerA, playerB, attacker, other, stake } =
+        await loadFixture(lifecycleFixture);
+
+      const pairs = [
+        [playerA, playerB],
+        [attacker, other],
+        [playerB, attacker],
+        [other, playerA],
+        [playerA, attacker],
+        [playerB, other],
+      ];
+
+      const rooms = [];
+      for (let i = 0; i < pairs.length; i++) {
+        const [a, b] = pairs[i];
+        const room = await createTimedRoom(escrow, usdc, operator, a, b, stake + BigInt(i) * 1_000_001n);
+        rooms.push({ ...room, a, b });
+        await expectSolvent(escrow, usdc);
+      }
+
+      // Room 0, 1, 2, 3 fully paid and started; room 4 half paid; room 5 empty
+      for (let i = 0; i < 4; i++) {
+        await escrow.connect(rooms[i].a).joinRoom(rooms[i].roomId);
+        await escrow.connect(rooms[i].b).joinRoom(rooms[i].roomId);
+        await escrow.startRoom(rooms[i].roomId);
+        await expectSolvent(escrow, usdc);
+      }
+      await escrow.connect(rooms[4].a).joinRoom(rooms[4].roomId);
+      await expectSolvent(escrow, usdc);
+
+      // Room 0 resolved before the deadline
+      const sig0 = await signResolve(escrow, operator, rooms[0].roomId, rooms[0].a.address, 1);
+      await escrow.resolveAndPayout(rooms[0].roomId, rooms[0].a.address, 1, NO_EXPIRY, sig0);
+      await expectSolvent(escrow, usdc);
+
+      // Signatures produced in time but submitted late
+      const sig1 = await signResolve(escrow, operator, rooms[1].roomId, rooms[1].b.address, 1);
+      const sig2 = await signResolve(escrow, operator, rooms[2].roomId, rooms[2].a.address, 1);
+
+      // Half-paid room expires at join deadline
+      await time.increaseTo(rooms[4].joinDeadline + 1);
+      await escrow.connect(rooms[4].a).refund(rooms[4].roomId);
+      await expectSolvent(escrow, usdc);
+
+      // Every started room passes its resolution deadline
+      await time.increaseTo(rooms[rooms.length - 1].deadline);
+
+      // Room 1: one side refunds, resolution must fail, other side refunds
+      await escrow.connect(rooms[1].a).refund(rooms[1].roomId);
+      await expectSolvent(escrow, usdc);
+      await expect(escrow.resolveAndPayout(rooms[1].roomId, rooms[1].b.address, 1, NO_EXPIRY, sig1)).to.be.reverted;
+      await escrow.connect(rooms[1].b).refund(rooms[1].roomId);
+      await expectSolvent(escrow, usdc);
+
+      // Room 2: late resolution is rejected outright, both refund
+      await expect(escrow.resolveAndPayout(rooms[2].roomId, rooms[2].a.address, 1, NO_EXPIRY, sig2))
+        .to.be.revertedWithCustomError(escrow, "RoomExpired");
+      await escrow.connect(rooms[2].b).refund(rooms[2].roomId);
+      await escrow.connect(rooms[2].a).refund(rooms[2].roomId);
+      await expectSolvent(escrow, usdc);
+
+      // Room 3: only one side refunds for now
+      await escrow.connect(rooms[3].b).refund(rooms[3].roomId);
+      const liabilities = await expectSolvent(escrow, usdc);
+      const room3 = await escrow.rooms(rooms[3].roomId);
+      expect(liabilities).to.equal((await escrow.accruedFees(await usdc.getAddress())) + room3.stake);
+
+      // Fees withdrawn, remaining balance is exactly room 3's remaining stake
+      await escrow.connect(owner).withdrawFees(await usdc.getAddress());
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(room3.stake);
+      await expectSolvent(escrow, usdc);
+    });
+  });
+
+  describe("Cooperative Cancellation", function () {
+    async function lobbyRoomFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      return base;
+    }
+
+    async function signCancel(escrow, signer, roomId, nonce, validUntil = NO_EXPIRY) {
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
 
       const types = {
-        Resolve: [
+        CancelRoom: [
           { name: "roomId", type: "uint256" },
-          { name: "winner", type: "address" },
-          { name: "pot", type: "uint256" },
-          { name: "fee", type: "uint256" },
-          { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      return signer.signTypedData(domain, types, { roomId, nonce, validUntil });
+    }
 
-      const signature = await operator.signTypedData(domain, types, value);
+    it("Should cancel and refund both players with both player signatures", async function () {
+      const { escrow, usdc, playerA, playerB, other, stake } = await loadFixture(lobbyRoomFixture);
 
-      await expect(escrow.resolveAndPayout(roomId, winner, nonce, signature))
-        .to.be.revertedWithCustomError(escrow, "InvalidWinner");
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+
+      const sigA = await signCancel(escrow, playerA, 0, 1);
+      const sigB = await signCancel(escrow, playerB, 0, 1);
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      // Anyone can submit, before the deadline
+      await expect(escrow.connect(other).cancelByPlayers(0, 1, NO_EXPIRY, sigA, sigB))
+        .to.emit(escrow, "RoomCancelAuthorized")
+        .withArgs(0, 1, false)
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake)
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerB.address, stake);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBeforeA).to.equal(stake);
+      expect((await usdc.balanceOf(playerB.address)) - balanceBeforeB).to.equal(stake);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+
+      const room = await escrow.rooms(0);
+      expect(room.status).to.equal(5); // CANCELLED
+      expect(await escrow.usedNonce(0, 1)).to.equal(true);
+    });
+
+    it("Should only refund players who paid", async function () {
+      const { escrow, usdc, playerA, playerB, stake } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+
+      const sigA = await signCancel(escrow, playerA, 0, 1);
+      const sigB = await signCancel(escrow, playerB, 0, 1);
+
+      const balanceBeforeB = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, sigA, sigB))
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceBeforeB);
+      expect(await escrow.hasRefunded(0, playerA.address)).to.equal(true);
+      expect(await escrow.hasRefunded(0, playerB.address)).to.equal(false);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should cancel an open-seat room with the creator's signature alone", async function () {
+      const { escrow, usdc, operator, playerA, playerB, other, stake } = await loadFixture(lobbyRoomFixture);
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createOpenRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash,
+        { allowlistOnly: false, inviteOnly: false, minRating: 0 }
+      );
+      await escrow.connect(playerA).joinRoom(1);
+
+      const sigA = await signCancel(escrow, playerA, 1, 1);
+      const sigB = await signCancel(escrow, playerB, 1, 1);
+      await expect(escrow.connect(other).cancelByPlayers(1, 1, NO_EXPIRY, sigB, "0x"))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(other).cancelByPlayers(1, 1, NO_EXPIRY, sigA, "0x"))
+        .to.emit(escrow, "RoomCancelAuthorized")
+        .withArgs(1, 1, false)
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(1, playerA.address, stake);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBeforeA).to.equal(stake);
+      expect((await escrow.rooms(1)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should cancel with an operator signature", async function () {
+      const { escrow, usdc, playerA, operator, other, stake } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+
+      const signature = await signCancel(escrow, operator, 0, 42);
+      const balanceBeforeA = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(other).cancelByOperatorSignature(0, 42, NO_EXPIRY, signature))
+        .to.emit(escrow, "RoomCancelAuthorized")
+        .withArgs(0, 42, true);
+
+      expect((await usdc.balanceOf(playerA.address)) - balanceBeforeA).to.equal(stake);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should revert if a player signature is missing or wrong", async function () {
+      const { escrow, playerA, playerB, attacker, operator } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+
+      const sigA = await signCancel(escrow, playerA, 0, 1);
+      const sigB = await signCancel(escrow, playerB, 0, 1);
+      const sigAttacker = await signCancel(escrow, attacker, 0, 1);
+      const sigOperator = await signCancel(escrow, operator, 0, 1);
+
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, sigA, sigAttacker))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // Signatures in the wrong order
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, sigB, sigA))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // Player signature is not an operator authorization
+      await expect(escrow.cancelByOperatorSignature(0, 1, NO_EXPIRY, sigA))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // Operator signature is not a player signature
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, sigOperator, sigB))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      // Malformed signatures are rejected the same way
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, "0x1234", sigB))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+    });
+
+    it("Should reject expired or mismatched cancel signatures", async function () {
+      const { escrow, playerA, playerB, operator } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+
+      const validUntil = BigInt(await getFutureTimestamp(60));
+      const sigA = await signCancel(escrow, playerA, 0, 1, validUntil);
+      const sigB = await signCancel(escrow, playerB, 0, 1, validUntil);
+      const signature = await signCancel(escrow, operator, 0, 1, validUntil);
+
+      // validUntil is part of the signed message
+      await expect(escrow.cancelByPlayers(0, 1, validUntil + 1n, sigA, sigB))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+      await expect(escrow.cancelByOperatorSignature(0, 1, validUntil + 1n, signature))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      await time.increase(120);
+      await expect(escrow.cancelByPlayers(0, 1, validUntil, sigA, sigB))
+        .to.be.revertedWithCustomError(escrow, "SignatureExpired");
+      await expect(escrow.cancelByOperatorSignature(0, 1, validUntil, signature))
+        .to.be.revertedWithCustomError(escrow, "SignatureExpired");
+    });
+
+    it("Should accept EIP-1271 player signatures", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(lobbyRoomFixture);
+
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await MockERC1271Wallet.deploy(playerA.address);
+      const walletAddress = await wallet.getAddress();
+      const escrowAddress = await escrow.getAddress();
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        walletAddress,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+      await usdc.mint(walletAddress, stake);
+      await wallet
+        .connect(playerA)
+        .execute(await usdc.getAddress(), usdc.interface.encodeFunctionData("approve", [escrowAddress, stake]));
+      await wallet.connect(playerA).execute(escrowAddress, escrow.interface.encodeFunctionData("joinRoom", [1]));
+      await escrow.connect(playerB).joinRoom(1);
+
+      // The wallet owner's key signs for the wallet
+      const sigWallet = await signCancel(escrow, playerA, 1, 1);
+      const sigB = await signCancel(escrow, playerB, 1, 1);
+
+      await expect(escrow.cancelByPlayers(1, 1, NO_EXPIRY, sigB, sigB))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+      await expect(escrow.cancelByPlayers(1, 1, NO_EXPIRY, sigWallet, sigB))
+        .to.emit(escrow, "RoomRefunded")
+        .withArgs(1, walletAddress, stake);
+
+      expect(await usdc.balanceOf(walletAddress)).to.equal(stake);
+    });
+
+    it("Should revert if room already started", async function () {
+      const { escrow, playerA, playerB, operator } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const sigA = await signCancel(escrow, playerA, 0, 1);
+      const sigB = await signCancel(escrow, playerB, 0, 1);
+      const signature = await signCancel(escrow, operator, 0, 1);
+
+      await expect(escrow.cancelByPlayers(0, 1, NO_EXPIRY, sigA, sigB))
+        .to.be.revertedWithCustomError(escrow, "RoomNotCancellable");
+      await expect(escrow.cancelByOperatorSignature(0, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "RoomNotCancellable");
+    });
+
+    it("Should not allow joining, refunding or cancelling again after cancel", async function () {
+      const { escrow, playerA, playerB, operator } = await loadFixture(lobbyRoomFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+
+      const signature = await signCancel(escrow, operator, 0, 1);
+      await escrow.cancelByOperatorSignature(0, 1, NO_EXPIRY, signature);
+
+      await expect(escrow.connect(playerB).joinRoom(0))
+        .to.be.revertedWithCustomError(escrow, "RoomNotReady");
+
+      await time.increase(7200);
+      await expect(escrow.connect(playerA).refund(0))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+
+      const replay = await signCancel(escrow, operator, 0, 2);
+      await expect(escrow.cancelByOperatorSignature(0, 2, NO_EXPIRY, replay))
+        .to.be.revertedWithCustomError(escrow, "RoomNotCancellable");
+    });
+
+    it("Should revert if contract is paused", async function () {
+      const { escrow, owner, operator } = await loadFixture(lobbyRoomFixture);
+
+      const signature = await signCancel(escrow, operator, 0, 1);
+      await escrow.connect(owner).pause();
+
+      await expect(escrow.cancelByOperatorSignature(0, 1, NO_EXPIRY, signature))
+        .to.be.revertedWithCustomError(escrow, "ContractPaused");
     });
   });
 
-  describe("Refunds", function () {
-    async function createRoomForRefundFixture() {
-      const { escrow, usdc, playerA, playerB, operator } = await loadFixture(deployContractsFixture);
+  describe("Operator Cancellation", function () {
+    const REASON_SERVER_CRASH = 1;
+    const REASON_CHEATING = 2;
 
-      const stake = ethers.parseUnits("10", 6);
-      const deadline = await getFutureTimestamp(100); // 100 seconds from now
+    async function operatorCancelFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = base;
+
+      const deadline = await getFutureTimestamp(3600);
+
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      return { ...base, deadline };
+    }
+
+    it("Should cancel a created room and refund the player who paid", async function () {
+      const { escrow, usdc, operator, playerA, stake } = await loadFixture(operatorCancelFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+      const balanceBefore = await usdc.balanceOf(playerA.address);
+
+      await expect(escrow.connect(operator).cancelRoom(0, REASON_SERVER_CRASH))
+        .to.emit(escrow, "RoomCancelled")
+        .withArgs(0, operator.address, REASON_SERVER_CRASH)
+        .and.to.emit(escrow, "RoomRefunded")
+        .withArgs(0, playerA.address, stake);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceBefore + stake);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+    });
+
+    it("Should cancel a started room and refund both stakes without fee", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake } = await loadFixture(operatorCancelFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const balanceA = await usdc.balanceOf(playerA.address);
+      const balanceB = await usdc.balanceOf(playerB.address);
+
+      await expect(escrow.connect(operator).cancelRoom(0, REASON_CHEATING))
+        .to.emit(escrow, "RoomCancelled")
+        .withArgs(0, operator.address, REASON_CHEATING);
 
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceA + stake);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + stake);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+    });
+
+    it("Should not double-pay a player who already refunded", async function () {
+      const { escrow, usdc, operator, playerA, playerB, stake, deadline } = await loadFixture(operatorCancelFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      await time.increaseTo(deadline);
+      await escrow.connect(playerA).refund(0);
+      expect((await escrow.rooms(0)).status).to.equal(6); // REFUNDING
+
+      const balanceA = await usdc.balanceOf(playerA.address);
+      const balanceB = await usdc.balanceOf(playerB.address);
+
+      await escrow.connect(operator).cancelRoom(0, REASON_SERVER_CRASH);
+
+      expect(await usdc.balanceOf(playerA.address)).to.equal(balanceA);
+      expect(await usdc.balanceOf(playerB.address)).to.equal(balanceB + stake);
+      expect((await escrow.rooms(0)).status).to.equal(5); // CANCELLED
+
+      await expect(escrow.connect(playerB).refund(0))
+        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+    });
+
+    it("Should revert for rooms that are already cancelled", async function () {
+      const { escrow, operator, playerA } = await loadFixture(operatorCancelFixture);
+
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(operator).cancelRoom(0, REASON_SERVER_CRASH);
+
+      await expect(escrow.connect(operator).cancelRoom(0, REASON_SERVER_CRASH))
+        .to.be.revertedWithCustomError(escrow, "RoomNotCancellable");
+    });
+
+    it("Should revert if not called by the operator", async function () {
+      const { escrow, playerA, attacker } = await loadFixture(operatorCancelFixture);
+
+      await expect(escrow.connect(attacker).cancelRoom(0, REASON_CHEATING))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+      await expect(escrow.connect(playerA).cancelRoom(0, REASON_CHEATING))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+    });
+  });
+
+  describe("Referrals", function () {
+    const SHARE_BPS = 2000n; // 20% of the fee
+
+    async function referralFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, playerA, playerB, stake } = base;
+
+      await escrow.connect(owner).setReferralShareBps(SHARE_BPS);
+
+      const deadline = await getFutureTimestamp(3600);
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
       );
 
-      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
-      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+
+      return base;
+    }
+
+    async function signAttestation(escrow, signer, player, referrer, expiry) {
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        ReferralAttestation: [
+          { name: "player", type: "address" },
+          { name: "referrer", type: "address" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+
+      return signer.signTypedData(domain, types, { player, referrer, expiry });
+    }
+
+    async function signResolve(escrow, operator, roomId, winner, stake, nonce) {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
 
-      await escrow.connect(playerA).joinRoom(0);
-      await escrow.connect(playerB).joinRoom(0);
+    it("Should bind the referrer when joining with one", async function () {
+      const { escrow, playerA, other } = await loadFixture(referralFixture);
 
-      return { escrow, usdc, playerA, playerB, stake, deadline };
-    }
+      await expect(escrow.connect(playerA).joinRoomWithReferrer(0, other.address))
+        .to.emit(escrow, "ReferrerBound")
+        .withArgs(playerA.address, other.address)
+        .and.to.emit(escrow, "RoomJoined");
 
-    it("Should refund player after deadline", async function () {
-      const { escrow, usdc, playerA, stake } = await loadFixture(createRoomForRefundFixture);
+      expect(await escrow.referrerOf(playerA.address)).to.equal(other.address);
+    });
 
-      // Fast forward time
-      await ethers.provider.send("evm_increaseTime", [200]);
-      await ethers.provider.send("evm_mine", []);
+    it("Should reject self, zero and second referrers", async function () {
+      const { escrow, operator, playerA, playerB, other } = await loadFixture(referralFixture);
 
-      const balanceBefore = await usdc.balanceOf(playerA.address);
+      await expect(escrow.connect(playerA).joinRoomWithReferrer(0, playerA.address))
+        .to.be.revertedWithCustomError(escrow, "InvalidReferrer");
+      await expect(escrow.connect(playerA).joinRoomWithReferrer(0, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(escrow, "InvalidReferrer");
 
-      await expect(escrow.connect(playerA).refund(0))
-        .to.emit(escrow, "RoomRefunded")
-        .withArgs(0, playerA.address, stake);
+      await escrow.connect(playerA).joinRoomWithReferrer(0, other.address);
 
-      const balanceAfter = await usdc.balanceOf(playerA.address);
-      expect(balanceAfter - balanceBefore).to.equal(stake);
-      expect(await escrow.hasRefunded(0, playerA.address)).to.equal(true);
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAttestation(escrow, operator, playerA.address, playerB.address, expiry);
+      await expect(escrow.bindReferrer(playerA.address, playerB.address, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "ReferrerAlreadySet");
     });
 
-    it("Should mark room as cancelled when both players refund", async function () {
-      const { escrow, usdc, playerA, playerB, stake } = await loadFixture(createRoomForRefundFixture);
+    it("Should bind a referrer from an operator attestation", async function () {
+      const { escrow, operator, playerA, other, attacker } = await loadFixture(referralFixture);
 
-      await ethers.provider.send("evm_increaseTime", [200]);
-      await ethers.provider.send("evm_mine", []);
+      const expiry = await getFutureTimestamp(600);
+      const signature = await signAttestation(escrow, operator, playerA.address, other.address, expiry);
 
-      await escrow.connect(playerA).refund(0);
-      await escrow.connect(playerB).refund(0);
+      await expect(escrow.connect(attacker).bindReferrer(playerA.address, other.address, expiry, signature))
+        .to.emit(escrow, "ReferrerBound")
+        .withArgs(playerA.address, other.address);
 
-      const room = await escrow.rooms(0);
-      expect(room.status).to.equal(5); // CANCELLED
+      expect(await escrow.referrerOf(playerA.address)).to.equal(other.address);
     });
 
-    it("Should revert if deadline not passed", async function () {
-      const { escrow, playerA } = await loadFixture(createRoomForRefundFixture);
+    it("Should reject forged and expired attestations", async function () {
+      const { escrow, operator, playerA, other, attacker } = await loadFixture(referralFixture);
 
-      await expect(escrow.connect(playerA).refund(0))
-        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+      const expiry = await getFutureTimestamp(600);
+      const forged = await signAttestation(escrow, attacker, playerA.address, attacker.address, expiry);
+      await expect(escrow.bindReferrer(playerA.address, attacker.address, expiry, forged))
+        .to.be.revertedWithCustomError(escrow, "InvalidSignature");
+
+      const signature = await signAttestation(escrow, operator, playerA.address, other.address, expiry);
+      await time.increaseTo(expiry + 1);
+      await expect(escrow.bindReferrer(playerA.address, other.address, expiry, signature))
+        .to.be.revertedWithCustomError(escrow, "AuthorizationExpired");
     });
 
-    it("Should revert if room already resolved", async function () {
-      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+    it("Should split the fee of a referred player's stake on resolve", async function () {
+      const { escrow, usdc, operator, playerA, playerB, other, stake } = await loadFixture(referralFixture);
 
-      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(playerA).joinRoomWithReferrer(0, other.address);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
 
-      await escrow.connect(operator).createRoom(
-        playerA.address,
-        playerB.address,
-        stake,
-        deadline,
-        ethers.ZeroHash,
-        ethers.ZeroHash
-      );
+      const fee = (stake * 2n * 200n) / 10000n;
+      const commission = (fee / 2n) * SHARE_BPS / 10000n;
+      const signature = await signResolve(escrow, operator, 0, playerB.address, stake, 1);
 
-      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
-      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+      await expect(escrow.resolveAndPayout(0, playerB.address, 1, NO_EXPIRY, signature))
+        .to.emit(escrow, "ReferralAccrued")
+        .withArgs(other.address, playerA.address, await usdc.getAddress(), commission);
 
-      await escrow.connect(playerA).joinRoom(0);
-      await escrow.connect(playerB).joinRoom(0);
+      expect(await escrow.referralBalance(other.address, await usdc.getAddress())).to.equal(commission);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee - commission);
+    });
+
+    it("Should let the referrer claim their balance once", async function () {
+      const { escrow, usdc, operator, playerA, playerB, other, stake } = await loadFixture(referralFixture);
+
+      await escrow.connect(playerA).joinRoomWithReferrer(0, other.address);
+      await escrow.connect(playerB).joinRoomWithReferrer(0, other.address);
       await escrow.startRoom(0);
 
-      const roomId = 0;
-      const winner = playerA.address;
-      const nonce = 12345;
+      const signature = await signResolve(escrow, operator, 0, playerA.address, stake, 1);
+      await escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature);
+
+      const fee = (stake * 2n * 200n) / 10000n;
+      const commission = ((fee / 2n) * SHARE_BPS / 10000n) * 2n;
+      const balanceBefore = await usdc.balanceOf(other.address);
+
+      await expect(escrow.connect(other).claimReferral(await usdc.getAddress()))
+        .to.emit(escrow, "ReferralClaimed")
+        .withArgs(other.address, await usdc.getAddress(), commission);
+
+      expect(await usdc.balanceOf(other.address)).to.equal(balanceBefore + commission);
+      expect(await escrow.referralBalance(other.address, await usdc.getAddress())).to.equal(0);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(fee - commission);
+
+      await expect(escrow.connect(other).claimReferral(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("Should cap the referral share and restrict it to the owner", async function () {
+      const { escrow, owner, attacker } = await loadFixture(referralFixture);
+
+      await expect(escrow.connect(attacker).setReferralShareBps(1000))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(escrow.connect(owner).setReferralShareBps(5001))
+        .to.be.revertedWithCustomError(escrow, "InvalidReferralShare");
+
+      await expect(escrow.connect(owner).setReferralShareBps(5000))
+        .to.emit(escrow, "ReferralShareUpdated")
+        .withArgs(SHARE_BPS, 5000);
+      expect(await escrow.referralShareBps()).to.equal(5000);
+    });
+  });
+
+  describe("Revenue Share", function () {
+    const WEIGHTS = [5000n, 3000n, 2000n];
+
+    async function signResolve(escrow, operator, roomId, winner, stake, nonce) {
       const pot = stake * 2n;
       const fee = (pot * 200n) / 10000n;
-      const payout = pot - fee;
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -732,80 +4203,199 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
-      const value = {
-        roomId,
-        winner,
-        pot,
-        fee,
-        payout,
-        nonce,
-      };
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
 
-      const signature = await operator.signTypedData(domain, types, value);
-      await escrow.resolveAndPayout(roomId, winner, nonce, signature);
+    async function payeesFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, treasury, playerA, playerB, other } = base;
 
-      await expect(escrow.connect(playerA).refund(0))
-        .to.be.revertedWithCustomError(escrow, "RoomNotEligibleForRefund");
+      // Odd stake so the fee does not split evenly
+      const stake = ethers.parseUnits("10", 6) + 7n;
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      await usdc.connect(playerA).approve(await escrow.getAddress(), stake);
+      await usdc.connect(playerB).approve(await escrow.getAddress(), stake);
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.startRoom(0);
+
+      const signature = await signResolve(escrow, operator, 0, playerA.address, stake, 1);
+      await escrow.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature);
+
+      // ops, prize pool, partner studio
+      const payees = [treasury.address, other.address, owner.address];
+      await scheduleCall(escrow, owner, Change.PAYEES, ["address[]", "uint256[]"], [payees, WEIGHTS]);
+      await expect(escrow.connect(owner).setPayees(payees, WEIGHTS))
+        .to.emit(escrow, "PayeesUpdated")
+        .withArgs(payees, WEIGHTS);
+
+      return { ...base, payees };
+    }
+
+    function expectedShares(amount) {
+      const shares = WEIGHTS.map((weight) => (amount * weight) / 10000n);
+      shares[0] += amount - shares.reduce((a, b) => a + b, 0n);
+      return shares;
+    }
+
+    it("Should split withdrawn fees between all payees by weight", async function () {
+      const { escrow, usdc, owner, payees } = await loadFixture(payeesFixture);
+
+      const accrued = await escrow.accruedFees(await usdc.getAddress());
+      const shares = expectedShares(accrued);
+      const balancesBefore = await Promise.all(payees.map((payee) => usdc.balanceOf(payee)));
+
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress()))
+        .to.emit(escrow, "FeesSplit")
+        .withArgs(await usdc.getAddress(), accrued);
+
+      for (let i = 0; i < payees.length; i++) {
+        expect(await usdc.balanceOf(payees[i])).to.equal(balancesBefore[i] + shares[i]);
+      }
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
     });
 
-    it("Should revert if player already refunded", async function () {
-      const { escrow, playerA } = await loadFixture(createRoomForRefundFixture);
+    it("Should let each payee pull its share independently", async function () {
+      const { escrow, usdc, owner, other, payees } = await loadFixture(payeesFixture);
 
-      await ethers.provider.send("evm_increaseTime", [200]);
-      await ethers.provider.send("evm_mine", []);
+      const accrued = await escrow.accruedFees(await usdc.getAddress());
+      const shares = expectedShares(accrued);
 
-      await escrow.connect(playerA).refund(0);
+      await expect(escrow.connect(other).claimFeeShare(await usdc.getAddress()))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await usdc.getAddress(), other.address, shares[1]);
+      expect(await escrow.feeShareOf(payees[0], await usdc.getAddress())).to.equal(shares[0]);
 
-      await expect(escrow.connect(playerA).refund(0))
-        .to.be.revertedWithCustomError(escrow, "AlreadyRefunded");
+      // All accrued fees were split by the claim: the other payees pull their own shares
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NoFeesToWithdraw");
+      await expect(escrow.connect(owner).claimFeeShare(await usdc.getAddress()))
+        .to.emit(escrow, "FeesWithdrawn")
+        .withArgs(await usdc.getAddress(), owner.address, shares[2]);
+
+      await expect(escrow.connect(other).claimFeeShare(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "NothingToClaim");
+    });
+
+    it("Should require weights that sum to 100%", async function () {
+      const { escrow, owner, treasury, other, attacker } = await loadFixture(payeesFixture);
+
+      // Each table is scheduled first, so that the call reaches the payee checks
+      const setPayees = async (list, weights) => {
+        await scheduleCall(escrow, owner, Change.PAYEES, ["address[]", "uint256[]"], [list, weights]);
+        return escrow.connect(owner).setPayees(list, weights);
+      };
+
+      await expect(escrow.connect(attacker).setPayees([attacker.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+      await expect(setPayees([treasury.address, other.address], [6000, 5000]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+      await expect(setPayees([other.address, other.address], [5000, 5000]))
+        .to.be.revertedWithCustomError(escrow, "InvalidPayees");
+
+      await setPayees([other.address], [10000]);
+      const [listed, weights] = await escrow.getPayees();
+      expect(listed).to.deep.equal([other.address]);
+      expect(weights).to.deep.equal([10000n]);
     });
   });
 
   describe("Admin Functions", function () {
-    it("Should update operator", async function () {
+    const ADMIN_DELAY = 2 * 24 * 60 * 60; // DEFAULT_ADMIN_DELAY
+
+    it("Should update operator after the delay once accepted", async function () {
       const { escrow, owner, operator, attacker } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setOperator(attacker.address))
+      await expect(escrow.connect(owner).scheduleOperator(attacker.address))
+        .to.emit(escrow, "ChangeScheduled");
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(attacker).acceptOperator())
         .to.emit(escrow, "OperatorUpdated")
-        .withArgs(operator.address, attacker.address);
+        .withArgs(operator.address, attacker.address)
+        .and.to.emit(escrow, "ChangeExecuted")
+        .withArgs(Change.OPERATOR, BigInt(attacker.address));
 
       expect(await escrow.operator()).to.equal(attacker.address);
     });
 
-    it("Should update treasury", async function () {
+    it("Should update treasury after the delay once accepted", async function () {
       const { escrow, owner, treasury, attacker } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setTreasury(attacker.address))
+      await escrow.connect(owner).scheduleTreasury(attacker.address);
+      await time.increase(ADMIN_DELAY);
+
+      await expect(escrow.connect(owner).acceptTreasury())
+        .to.be.revertedWithCustomError(escrow, "NotPendingAccount");
+      await expect(escrow.connect(attacker).acceptTreasury())
         .to.emit(escrow, "TreasuryUpdated")
         .withArgs(treasury.address, attacker.address);
 
       expect(await escrow.treasuryAddress()).to.equal(attacker.address);
     });
 
-    it("Should update fee BPS", async function () {
+    it("Should update fee BPS after the delay", async function () {
       const { escrow, owner } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(owner).setFeeBps(300))
+      await escrow.connect(owner).scheduleFeeBps(300);
+      await expect(escrow.connect(owner).executeFeeBps())
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      await time.increase(ADMIN_DELAY);
+      await expect(escrow.connect(owner).executeFeeBps())
         .to.emit(escrow, "FeeBpsUpdated")
         .withArgs(200, 300);
 
       expect(await escrow.feeBps()).to.equal(300);
     });
 
+    it("Should cancel a pending change", async function () {
+      const { escrow, owner, operator, attacker } = await loadFixture(deployContractsFixture);
+
+      await escrow.connect(owner).scheduleOperator(attacker.address);
+      await expect(escrow.connect(owner).cancelChange(Change.OPERATOR))
+        .to.emit(escrow, "ChangeCancelled")
+        .withArgs(Change.OPERATOR, BigInt(attacker.address));
+
+      await time.increase(ADMIN_DELAY);
+      await expect(escrow.connect(attacker).acceptOperator())
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+      expect(await escrow.operator()).to.equal(operator.address);
+    });
+
     it("Should revert if non-owner tries admin functions", async function () {
       const { escrow, attacker } = await loadFixture(deployContractsFixture);
 
-      await expect(escrow.connect(attacker).setOperator(attacker.address))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(attacker).scheduleOperator(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(attacker).scheduleTreasury(attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
 
-      await expect(escrow.connect(attacker).setTreasury(attacker.address))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(attacker).scheduleFeeBps(300))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
 
-      await expect(escrow.connect(attacker).setFeeBps(300))
-        .to.be.revertedWithCustomError(escrow, "OwnableUnauthorizedAccount");
+      await expect(escrow.connect(attacker).scheduleMinDelay(0))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(attacker).cancelChange(Change.FEE_BPS))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
     });
 
     it("Should pause and unpause contract", async function () {
@@ -830,9 +4420,11 @@ describe("RealtimeMatchEscrow", function () {
       const deadline = await getFutureTimestamp(3600);
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -854,7 +4446,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -867,6 +4459,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -877,20 +4470,407 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce,
+        validUntil: NO_EXPIRY,
       };
 
       const signature = await operator.signTypedData(domain, types, value);
-      await escrow.resolveAndPayout(roomId, winner, nonce, signature);
+      await escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature);
 
       const treasuryBalanceBefore = await usdc.balanceOf(treasury.address);
 
-      await expect(escrow.connect(owner).withdrawFees())
+      await expect(escrow.connect(owner).withdrawFees(await usdc.getAddress()))
         .to.emit(escrow, "FeesWithdrawn")
-        .withArgs(treasury.address, fee);
+        .withArgs(await usdc.getAddress(), treasury.address, fee);
 
       const treasuryBalanceAfter = await usdc.balanceOf(treasury.address);
       expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(fee);
-      expect(await escrow.accruedFees()).to.equal(0);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(0);
+    });
+
+    it("Should only apply a setter call scheduled with the same arguments after the delay", async function () {
+      const { escrow, owner, treasury, other } = await loadFixture(deployContractsFixture);
+      const argsHash = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256[]"], [[other.address], [10000]])
+      );
+
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+
+      await expect(escrow.connect(owner).scheduleCall(Change.PAYEES, argsHash))
+        .to.emit(escrow, "ChangeScheduled");
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      await time.increase(ADMIN_DELAY);
+      await expect(escrow.connect(owner).setPayees([treasury.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "ChangeMismatch");
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.emit(escrow, "PayeesUpdated")
+        .withArgs([other.address], [10000]);
+      await expect(escrow.connect(owner).setPayees([other.address], [10000]))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+
+      // Changes with their own schedule function cannot be scheduled as setter calls
+      await expect(escrow.connect(owner).scheduleCall(Change.OPERATOR, argsHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidChange");
+    });
+  });
+
+  describe("Access Control", function () {
+    const ROLES = ["DEFAULT_ADMIN_ROLE", "PAUSER_ROLE", "FEE_MANAGER_ROLE", "OPERATOR_ADMIN_ROLE", "TREASURER_ROLE", "OPERATOR_ROLE"];
+
+    async function rolesFixture() {
+      const base = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, owner, operator, playerA, playerB, stake } = base;
+      const [pauser, feeManager, operatorAdmin, treasurer] = (await ethers.getSigners()).slice(10, 14);
+
+      await escrow.connect(owner).grantRole(await escrow.PAUSER_ROLE(), pauser.address);
+      await escrow.connect(owner).grantRole(await escrow.FEE_MANAGER_ROLE(), feeManager.address);
+      await escrow.connect(owner).grantRole(await escrow.OPERATOR_ADMIN_ROLE(), operatorAdmin.address);
+      await escrow.connect(owner).grantRole(await escrow.TREASURER_ROLE(), treasurer.address);
+
+      // The deployer keeps only the admin role
+      for (const role of ["PAUSER_ROLE", "FEE_MANAGER_ROLE", "OPERATOR_ADMIN_ROLE", "TREASURER_ROLE"]) {
+        await escrow.connect(owner).renounceRole(await escrow[role](), owner.address);
+      }
+
+      const deadline = await getFutureTimestamp(3600);
+      await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
+        playerA.address,
+        playerB.address,
+        stake,
+        deadline - 60,
+        deadline,
+        ethers.ZeroHash,
+        ethers.ZeroHash
+      );
+
+      const holders = {
+        DEFAULT_ADMIN_ROLE: owner,
+        PAUSER_ROLE: pauser,
+        FEE_MANAGER_ROLE: feeManager,
+        OPERATOR_ADMIN_ROLE: operatorAdmin,
+        TREASURER_ROLE: treasurer,
+        OPERATOR_ROLE: operator,
+      };
+
+      return { ...base, holders, deadline };
+    }
+
+    // Every role-gated function, with the role allowed to call it
+    const GATED = [
+      ["PAUSER_ROLE", "pause", (e) => e.pause()],
+      ["PAUSER_ROLE", "unpause", (e) => e.unpause()],
+      ["FEE_MANAGER_ROLE", "scheduleFeeBps", (e) => e.scheduleFeeBps(300)],
+      ["FEE_MANAGER_ROLE", "executeFeeBps", (e) => e.executeFeeBps()],
+      ["FEE_MANAGER_ROLE", "cancelChange(FEE_BPS)", (e) => e.cancelChange(Change.FEE_BPS)],
+      ["FEE_MANAGER_ROLE", "setReferralShareBps", (e) => e.setReferralShareBps(100)],
+      ["OPERATOR_ADMIN_ROLE", "scheduleOperator", (e, c) => e.scheduleOperator(c.other.address)],
+      ["OPERATOR_ADMIN_ROLE", "cancelChange(OPERATOR)", (e) => e.cancelChange(Change.OPERATOR)],
+      ["OPERATOR_ADMIN_ROLE", "addResultSigner", (e, c) => e.addResultSigner(c.other.address)],
+      ["OPERATOR_ADMIN_ROLE", "removeResultSigner", (e, c) => e.removeResultSigner(c.other.address)],
+      ["OPERATOR_ADMIN_ROLE", "setResultThreshold", (e) => e.setResultThreshold(0)],
+      ["OPERATOR_ADMIN_ROLE", "scheduleCall(RESULT_SIGNER)", (e) => e.scheduleCall(Change.RESULT_SIGNER, ethers.ZeroHash)],
+      ["TREASURER_ROLE", "withdrawFees", (e, c) => e.withdrawFees(c.usdcAddress)],
+      ["TREASURER_ROLE", "setPayees", (e, c) => e.setPayees([c.other.address], [10000])],
+      ["TREASURER_ROLE", "scheduleCall(PAYEES)", (e) => e.scheduleCall(Change.PAYEES, ethers.ZeroHash)],
+      ["TREASURER_ROLE", "scheduleTreasury", (e, c) => e.scheduleTreasury(c.other.address)],
+      ["TREASURER_ROLE", "cancelChange(TREASURY)", (e) => e.cancelChange(Change.TREASURY)],
+      ["DEFAULT_ADMIN_ROLE", "scheduleMinDelay", (e) => e.scheduleMinDelay(3600)],
+      ["DEFAULT_ADMIN_ROLE", "executeMinDelay", (e) => e.executeMinDelay()],
+      ["DEFAULT_ADMIN_ROLE", "cancelChange(MIN_DELAY)", (e) => e.cancelChange(Change.MIN_DELAY)],
+      ["DEFAULT_ADMIN_ROLE", "setStakeToken", (e, c) => e.setStakeToken(c.usdcAddress, true, 1, ethers.MaxUint256)],
+      ["DEFAULT_ADMIN_ROLE", "setChallengeWindow", (e) => e.setChallengeWindow(60)],
+      ["DEFAULT_ADMIN_ROLE", "setDisputeBond", (e, c) => e.setDisputeBond(c.usdcAddress, 1)],
+      ["DEFAULT_ADMIN_ROLE", "setArbiter", (e, c) => e.setArbiter(c.other.address)],
+      ["DEFAULT_ADMIN_ROLE", "scheduleCall(ARBITER)", (e) => e.scheduleCall(Change.ARBITER, ethers.ZeroHash)],
+      ["DEFAULT_ADMIN_ROLE", "grantRole", async (e, c) => e.grantRole(await e.PAUSER_ROLE(), c.other.address)],
+      ["OPERATOR_ROLE", "createRoom", (e, c) =>
+        e.createRoom(
+          c.usdcAddress,
+          c.playerA.address,
+          c.playerB.address,
+          c.stake,
+          c.deadline - 60,
+          c.deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        )],
+      ["OPERATOR_ROLE", "cancelRoom", (e) => e.cancelRoom(0, 1)],
+      ["OPERATOR_ROLE", "setRoomMetadata", (e) => e.setRoomMetadata(0, ethers.ZeroHash)],
+    ];
+
+    for (const role of ROLES) {
+      it(`Should only let ${role} call its functions`, async function () {
+        const context = await loadFixture(rolesFixture);
+        const { escrow, usdc, holders } = context;
+        context.usdcAddress = await usdc.getAddress();
+
+        for (const [allowed, name, call] of GATED.filter(([allowed]) => allowed === role)) {
+          for (const other of ROLES.filter((r) => r !== role)) {
+            const signer = holders[other];
+            const tx = call(escrow.connect(signer), context);
+            if (role === "OPERATOR_ROLE") {
+              await expect(tx, `${name} as ${other}`).to.be.revertedWithCustomError(escrow, "InvalidAddress");
+            } else {
+              await expect(tx, `${name} as ${other}`)
+                .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+                .withArgs(signer.address, await escrow[allowed]());
+            }
+          }
+
+          await expect(call(escrow.connect(holders[role]), context), `${name} as ${role}`)
+            .not.to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+        }
+      });
+    }
+
+    it("Should let the pauser pause without being able to move funds", async function () {
+      const { escrow, usdc, holders } = await loadFixture(rolesFixture);
+
+      await expect(escrow.connect(holders.PAUSER_ROLE).pause())
+        .to.emit(escrow, "Paused")
+        .withArgs(holders.PAUSER_ROLE.address);
+      await expect(escrow.connect(holders.PAUSER_ROLE).withdrawFees(await usdc.getAddress()))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the admin grant and revoke roles", async function () {
+      const { escrow, holders, other, attacker } = await loadFixture(rolesFixture);
+      const PAUSER_ROLE = await escrow.PAUSER_ROLE();
+
+      await expect(escrow.connect(attacker).grantRole(PAUSER_ROLE, attacker.address))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+
+      await expect(escrow.connect(holders.DEFAULT_ADMIN_ROLE).grantRole(PAUSER_ROLE, other.address))
+        .to.emit(escrow, "RoleGranted")
+        .withArgs(PAUSER_ROLE, other.address, holders.DEFAULT_ADMIN_ROLE.address);
+      await escrow.connect(other).pause();
+
+      await escrow.connect(holders.DEFAULT_ADMIN_ROLE).revokeRole(PAUSER_ROLE, other.address);
+      await expect(escrow.connect(other).unpause())
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not let DEFAULT_ADMIN_ROLE grant or revoke the operator role", async function () {
+      const { escrow, holders, operator, other } = await loadFixture(rolesFixture);
+      const OPERATOR_ROLE = await escrow.OPERATOR_ROLE();
+
+      await expect(escrow.connect(holders.DEFAULT_ADMIN_ROLE).grantRole(OPERATOR_ROLE, other.address))
+        .to.be.revertedWithCustomError(escrow, "OperatorRoleLocked");
+      await expect(escrow.connect(holders.DEFAULT_ADMIN_ROLE).revokeRole(OPERATOR_ROLE, operator.address))
+        .to.be.revertedWithCustomError(escrow, "OperatorRoleLocked");
+
+      expect(await escrow.hasRole(OPERATOR_ROLE, other.address)).to.equal(false);
+      expect(await escrow.hasRole(OPERATOR_ROLE, operator.address)).to.equal(true);
+    });
+
+    it("Should move the operator role with the operator rotation", async function () {
+      const { escrow, holders, operator, other } = await loadFixture(rolesFixture);
+      const OPERATOR_ROLE = await escrow.OPERATOR_ROLE();
+
+      await escrow.connect(holders.OPERATOR_ADMIN_ROLE).scheduleOperator(other.address);
+      await time.increase(2 * 24 * 60 * 60);
+      await escrow.connect(other).acceptOperator();
+
+      expect(await escrow.hasRole(OPERATOR_ROLE, other.address)).to.equal(true);
+      expect(await escrow.hasRole(OPERATOR_ROLE, operator.address)).to.equal(false);
+      await expect(escrow.connect(operator).setRoomMetadata(0, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(escrow, "InvalidAddress");
+    });
+  });
+
+  describe("Upgradeability", function () {
+    // RealtimeMatchEscrowUpgradeable behind an ERC1967 proxy, initialized in the proxy deployment
+    // tx, with two open rooms holding stakes
+    async function proxyFixture() {
+      const [owner, operator, treasury, playerA, playerB, attacker, other] = await ethers.getSigners();
+
+      const usdc = await (await ethers.getContractFactory("MockUSDC")).deploy();
+      const usdcAddress = await usdc.getAddress();
+
+      const Upgradeable = await ethers.getContractFactory("RealtimeMatchEscrowUpgradeable");
+      const implementation = await Upgradeable.deploy(...(await deployModules()));
+      const initData = implementation.interface.encodeFunctionData("initialize", [
+        usdcAddress,
+        operator.address,
+        treasury.address,
+        200,
+      ]);
+      const proxy = await (await ethers.getContractFactory("RealtimeEscrowProxy")).deploy(
+        await implementation.getAddress(),
+        initData
+      );
+      const escrow = Upgradeable.attach(await proxy.getAddress());
+      const escrowAddress = await escrow.getAddress();
+
+      const stake = ethers.parseUnits("10", 6);
+      for (const player of [playerA, playerB]) {
+        await usdc.transfer(player.address, ethers.parseUnits("1000", 6));
+        await usdc.connect(player).approve(escrowAddress, ethers.MaxUint256);
+      }
+
+      // Far enough out for the rooms to outlast the upgrade delay
+      const deadline = await getFutureTimestamp(7 * 24 * 3600);
+      for (let i = 0; i < 2; i++) {
+        await escrow.connect(operator).createRoom(
+          usdcAddress,
+          playerA.address,
+          playerB.address,
+          stake,
+          deadline - 60,
+          deadline,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        );
+      }
+      await escrow.connect(playerA).joinRoom(0);
+      await escrow.connect(playerB).joinRoom(0);
+      await escrow.connect(playerA).joinRoom(1);
+
+      return {
+        escrow,
+        implementation,
+        usdc,
+        owner,
+        operator,
+        treasury,
+        playerA,
+        playerB,
+        attacker,
+        other,
+        stake,
+      };
+    }
+
+    async function signResolve(escrow, operator, roomId, winner, stake, nonce) {
+      const pot = stake * 2n;
+      const fee = (pot * 200n) / 10000n;
+
+      const domain = {
+        name: "RealtimeMatchEscrow",
+        version: "2",
+        chainId: 31337,
+        verifyingContract: await escrow.getAddress(),
+      };
+
+      const types = {
+        Resolve: [
+          { name: "roomId", type: "uint256" },
+          { name: "winner", type: "address" },
+          { name: "pot", type: "uint256" },
+          { name: "fee", type: "uint256" },
+          { name: "payout", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
+        ],
+      };
+
+      const value = { roomId, winner, pot, fee, payout: pot - fee, nonce, validUntil: NO_EXPIRY };
+      return operator.signTypedData(domain, types, value);
+    }
+
+    async function upgradeToV2(escrow, signer) {
+      const v2 = await (await ethers.getContractFactory("MockRealtimeMatchEscrowV2")).deploy(...(await deployModules()));
+      await scheduleCall(escrow, signer, Change.UPGRADE, ["address"], [await v2.getAddress()]);
+      await escrow.connect(signer).upgradeToAndCall(await v2.getAddress(), "0x");
+      return v2.attach(await escrow.getAddress());
+    }
+
+    it("Should initialize the proxy like the constructor deployment", async function () {
+      const { escrow, usdc, owner, operator, treasury } = await loadFixture(proxyFixture);
+
+      expect(await escrow.operator()).to.equal(operator.address);
+      expect(await escrow.treasuryAddress()).to.equal(treasury.address);
+      expect(await escrow.feeBps()).to.equal(200);
+      expect(await escrow.minDelay()).to.equal(2 * 24 * 3600);
+      expect((await escrow.stakeTokens(await usdc.getAddress())).allowed).to.equal(true);
+      expect(await escrow.hasRole(await escrow.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await escrow.hasRole(await escrow.UPGRADER_ROLE(), owner.address)).to.equal(true);
+      expect(await escrow.hasRole(await escrow.OPERATOR_ROLE(), operator.address)).to.equal(true);
+
+      const domain = await escrow.eip712Domain();
+      expect(domain.name).to.equal("RealtimeMatchEscrow");
+      expect(domain.version).to.equal("2");
+      expect(domain.verifyingContract).to.equal(await escrow.getAddress());
+    });
+
+    it("Should keep the implementation and its modules under the EIP-170 contract size limit", async function () {
+      const { implementation } = await loadFixture(proxyFixture);
+
+      for (const address of [
+        await implementation.getAddress(),
+        await implementation.roomModule(),
+        await implementation.adminModule(),
+      ]) {
+        expect(ethers.dataLength(await ethers.provider.getCode(address))).to.be.at.most(MAX_CODE_SIZE);
+      }
+    });
+
+    it("Should not initialize twice or through the implementation", async function () {
+      const { escrow, implementation, usdc, operator, treasury, attacker } = await loadFixture(proxyFixture);
+      const args = [await usdc.getAddress(), operator.address, treasury.address, 200];
+
+      await expect(escrow.connect(attacker).initialize(...args))
+        .to.be.revertedWithCustomError(escrow, "InvalidInitialization");
+      await expect(implementation.connect(attacker).initialize(...args))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should only let UPGRADER_ROLE upgrade", async function () {
+      const { escrow, owner, attacker } = await loadFixture(proxyFixture);
+      const v2 = await (await ethers.getContractFactory("MockRealtimeMatchEscrowV2")).deploy(...(await deployModules()));
+
+      await expect(escrow.connect(attacker).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount")
+        .withArgs(attacker.address, await escrow.UPGRADER_ROLE());
+
+      // The upgrader has to schedule the implementation first, and wait out the delay
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "NoPendingChange");
+      await escrow.connect(owner).scheduleCall(Change.UPGRADE, ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address"], [await v2.getAddress()])
+      ));
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "ChangeNotReady");
+
+      // Management roles do not imply the upgrade right
+      await escrow.connect(owner).renounceRole(await escrow.UPGRADER_ROLE(), owner.address);
+      await expect(escrow.connect(owner).upgradeToAndCall(await v2.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(escrow, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep rooms, balances and roles across an upgrade", async function () {
+      const { escrow, usdc, owner, operator, playerA, playerB, stake } = await loadFixture(proxyFixture);
+      const escrowAddress = await escrow.getAddress();
+
+      const roomsBefore = [await escrow.getRoom(0), await escrow.getRoom(1)];
+      const balanceBefore = await usdc.balanceOf(escrowAddress);
+      expect(balanceBefore).to.equal(stake * 3n);
+
+      const upgraded = await upgradeToV2(escrow, owner);
+
+      expect(await upgraded.version()).to.equal("v2");
+      expect(await upgraded.getRoom(0)).to.deep.equal(roomsBefore[0]);
+      expect(await upgraded.getRoom(1)).to.deep.equal(roomsBefore[1]);
+      expect(await usdc.balanceOf(escrowAddress)).to.equal(balanceBefore);
+      expect(await upgraded.nextRoomId()).to.equal(2);
+      expect(await upgraded.operator()).to.equal(operator.address);
+      expect(await upgraded.hasRole(await upgraded.UPGRADER_ROLE(), owner.address)).to.equal(true);
+      expect(await upgraded.hasRole(await upgraded.OPERATOR_ROLE(), operator.address)).to.equal(true);
+
+      // The open room can still be finished...
+      await upgraded.connect(playerB).joinRoom(1);
+      expect(await usdc.balanceOf(escrowAddress)).to.equal(stake * 4n);
+
+      // ...and the EIP-712 domain (name, version, proxy address) still verifies operator signatures
+      await upgraded.startRoom(0);
+      const fee = (stake * 2n * 200n) / 10000n;
+      const signature = await signResolve(upgraded, operator, 0, playerA.address, stake, 1);
+      await expect(upgraded.resolveAndPayout(0, playerA.address, 1, NO_EXPIRY, signature))
+        .to.changeTokenBalance(usdc, playerA, stake * 2n - fee);
+      expect(await upgraded.accruedFees(await usdc.getAddress())).to.equal(fee);
     });
   });
 
@@ -902,9 +4882,11 @@ describe("RealtimeMatchEscrow", function () {
       const deadline = await getFutureTimestamp(3600);
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -928,7 +4910,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -941,6 +4923,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -951,6 +4934,7 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce: nonce1,
+        validUntil: NO_EXPIRY,
       };
 
       const value2 = {
@@ -960,16 +4944,17 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce: nonce2,
+        validUntil: NO_EXPIRY,
       };
 
       const signature1 = await operator.signTypedData(domain, types, value1);
       const signature2 = await operator.signTypedData(domain, types, value2);
 
       // First resolve should succeed
-      await escrow.resolveAndPayout(roomId, winner, nonce1, signature1);
+      await escrow.resolveAndPayout(roomId, winner, nonce1, NO_EXPIRY, signature1);
 
       // Second resolve should fail because room is already resolved
-      await expect(escrow.resolveAndPayout(roomId, winner, nonce2, signature2))
+      await expect(escrow.resolveAndPayout(roomId, winner, nonce2, NO_EXPIRY, signature2))
         .to.be.revertedWithCustomError(escrow, "RoomAlreadyResolved");
     });
 
@@ -980,18 +4965,22 @@ describe("RealtimeMatchEscrow", function () {
 
       // Create two rooms
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
       );
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -1016,7 +5005,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -1029,6 +5018,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -1040,13 +5030,14 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce,
+        validUntil: NO_EXPIRY,
       };
 
       const signature0 = await operator.signTypedData(domain, types, value0);
-      await escrow.resolveAndPayout(0, winner, nonce, signature0);
+      await escrow.resolveAndPayout(0, winner, nonce, NO_EXPIRY, signature0);
 
       // Try to use same signature for room 1 (should fail because roomId is in signature)
-      await expect(escrow.resolveAndPayout(1, winner, nonce, signature0))
+      await expect(escrow.resolveAndPayout(1, winner, nonce, NO_EXPIRY, signature0))
         .to.be.revertedWithCustomError(escrow, "InvalidSignature");
     });
 
@@ -1054,14 +5045,18 @@ describe("RealtimeMatchEscrow", function () {
       const { escrow, usdc, playerA, playerB, operator, owner, stake } = await loadFixture(deployContractsFixture);
 
       // Change fee to 5%
-      await escrow.connect(owner).setFeeBps(500);
+      await escrow.connect(owner).scheduleFeeBps(500);
+      await time.increase(2 * 24 * 60 * 60);
+      await escrow.connect(owner).executeFeeBps();
 
       const deadline = await getFutureTimestamp(3600);
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -1087,7 +5082,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -1100,6 +5095,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -1110,12 +5106,13 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce,
+        validUntil: NO_EXPIRY,
       };
 
       const signature = await operator.signTypedData(domain, types, value);
-      await escrow.resolveAndPayout(roomId, winner, nonce, signature);
+      await escrow.resolveAndPayout(roomId, winner, nonce, NO_EXPIRY, signature);
 
-      expect(await escrow.accruedFees()).to.equal(fee);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee);
     });
   });
 
@@ -1128,9 +5125,11 @@ describe("RealtimeMatchEscrow", function () {
       // Create 3 rooms
       for (let i = 0; i < 3; i++) {
         await escrow.connect(operator).createRoom(
+          await usdc.getAddress(),
           playerA.address,
           playerB.address,
           stake,
+          deadline - 60,
           deadline,
           ethers.ZeroHash,
           ethers.ZeroHash
@@ -1156,7 +5155,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -1169,6 +5168,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -1180,24 +5180,27 @@ describe("RealtimeMatchEscrow", function () {
           fee,
           payout,
           nonce: i + 1000,
+          validUntil: NO_EXPIRY,
         };
 
         const signature = await operator.signTypedData(domain, types, value);
-        await escrow.resolveAndPayout(i, value.winner, value.nonce, signature);
+        await escrow.resolveAndPayout(i, value.winner, value.nonce, NO_EXPIRY, signature);
       }
 
-      expect(await escrow.accruedFees()).to.equal(fee * 3n);
+      expect(await escrow.accruedFees(await usdc.getAddress())).to.equal(fee * 3n);
     });
 
     it("Should verify signature correctly", async function () {
-      const { escrow, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
+      const { escrow, usdc, playerA, playerB, operator, stake } = await loadFixture(deployContractsFixture);
 
       const deadline = await getFutureTimestamp(3600);
 
       await escrow.connect(operator).createRoom(
+        await usdc.getAddress(),
         playerA.address,
         playerB.address,
         stake,
+        deadline - 60,
         deadline,
         ethers.ZeroHash,
         ethers.ZeroHash
@@ -1212,7 +5215,7 @@ describe("RealtimeMatchEscrow", function () {
 
       const domain = {
         name: "RealtimeMatchEscrow",
-        version: "1",
+        version: "2",
         chainId: 31337,
         verifyingContract: await escrow.getAddress(),
       };
@@ -1225,6 +5228,7 @@ describe("RealtimeMatchEscrow", function () {
           { name: "fee", type: "uint256" },
           { name: "payout", type: "uint256" },
           { name: "nonce", type: "uint256" },
+          { name: "validUntil", type: "uint256" },
         ],
       };
 
@@ -1235,6 +5239,7 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce,
+        validUntil: NO_EXPIRY,
       };
 
       const signature = await operator.signTypedData(domain, types, value);
@@ -1246,6 +5251,7 @@ describe("RealtimeMatchEscrow", function () {
         fee,
         payout,
         nonce,
+        NO_EXPIRY,
         signature
       );
 